@@ -0,0 +1,148 @@
+/**
+ * Local WebDAV server for trying WebDAV sync
+ * Serves a folder with the parts of WebDAV the WebDAV provider uses:
+ * PROPFIND, GET, PUT, DELETE and MKCOL, with ETags, If-Match and
+ * If-None-Match, basic authentication, and CORS for the dev server.
+ *
+ *   npm run webdav   # http://127.0.0.1:8081/, user "editor", password "editor"
+ *
+ * It only listens on this machine unless WEBDAV_HOST says otherwise (e.g.
+ * 0.0.0.0 to try it from a phone). WEBDAV_PORT, WEBDAV_ROOT, WEBDAV_USER and
+ * WEBDAV_PASSWORD change the other defaults.
+ *
+ * Listings percent-encode every character of a name but letters, digits and
+ * -._~, as Apache and Nextcloud do, which is more than encodeURIComponent().
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+const HOST = process.env.WEBDAV_HOST || '127.0.0.1';
+const PORT = Number(process.env.WEBDAV_PORT) || 8081;
+const ROOT = path.resolve(process.env.WEBDAV_ROOT || '.webdav');
+const USER = process.env.WEBDAV_USER || 'editor';
+const PASSWORD = process.env.WEBDAV_PASSWORD || 'editor';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, PUT, DELETE, PROPFIND, MKCOL, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, Depth, If-Match, If-None-Match',
+  'Access-Control-Expose-Headers': 'ETag',
+};
+
+function escapeXML(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * @param {string} name - File name
+ * @returns {string} The name as it appears in a listing's hrefs
+ */
+function encodeName(name) {
+  return encodeURIComponent(name).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+async function etagOf(file) {
+  return `"${createHash('sha1').update(await fs.readFile(file)).digest('hex')}"`;
+}
+
+/**
+ * @param {string} urlPath - Request path
+ * @returns {string|null} File system path, or null if it leaves the root
+ */
+function resolvePath(urlPath) {
+  const file = path.join(ROOT, decodeURIComponent(urlPath));
+  return file === ROOT || file.startsWith(ROOT + path.sep) ? file : null;
+}
+
+async function propEntry(href, file, stat) {
+  const props = stat.isDirectory()
+    ? '<d:resourcetype><d:collection/></d:resourcetype>'
+    : `<d:resourcetype/><d:getetag>${escapeXML(await etagOf(file))}</d:getetag><d:getcontentlength>${stat.size}</d:getcontentlength>`;
+  return `<d:response><d:href>${escapeXML(href)}</d:href><d:propstat><d:prop>${props}</d:prop>` +
+    '<d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>';
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const send = (status, body = '', headers = {}) => {
+    res.writeHead(status, { ...CORS_HEADERS, ...headers });
+    res.end(body);
+  };
+
+  if (req.method === 'OPTIONS') return send(204, '', { DAV: '1' });
+
+  const expected = `Basic ${Buffer.from(`${USER}:${PASSWORD}`).toString('base64')}`;
+  if (req.headers.authorization !== expected) return send(401, 'Unauthorized');
+
+  const file = resolvePath(url.pathname);
+  if (!file) return send(403, 'Forbidden');
+  const stat = await fs.stat(file).catch(() => null);
+
+  switch (req.method) {
+    case 'PROPFIND': {
+      if (!stat) return send(404, 'Not Found');
+      const entries = [await propEntry(url.pathname, file, stat)];
+      if (stat.isDirectory() && req.headers.depth !== '0') {
+        const base = url.pathname.endsWith('/') ? url.pathname : `${url.pathname}/`;
+        for (const name of await fs.readdir(file)) {
+          const child = path.join(file, name);
+          const childStat = await fs.stat(child);
+          entries.push(await propEntry(`${base}${encodeName(name)}${childStat.isDirectory() ? '/' : ''}`, child, childStat));
+        }
+      }
+      return send(207, `<?xml version="1.0" encoding="utf-8"?><d:multistatus xmlns:d="DAV:">${entries.join('')}</d:multistatus>`, {
+        'Content-Type': 'application/xml; charset=utf-8',
+      });
+    }
+
+    case 'GET': {
+      if (!stat || stat.isDirectory()) return send(404, 'Not Found');
+      return send(200, await fs.readFile(file), { 'Content-Type': 'text/markdown; charset=utf-8', ETag: await etagOf(file) });
+    }
+
+    case 'PUT': {
+      const body = await readBody(req);
+      if (req.headers['if-none-match'] === '*' && stat) return send(412, 'Precondition Failed');
+      if (req.headers['if-match'] && (!stat || req.headers['if-match'] !== await etagOf(file))) {
+        return send(412, 'Precondition Failed');
+      }
+      await fs.writeFile(file, body);
+      return send(stat ? 204 : 201, '', { ETag: await etagOf(file) });
+    }
+
+    case 'DELETE': {
+      if (!stat) return send(404, 'Not Found');
+      await fs.rm(file, { recursive: true });
+      return send(204);
+    }
+
+    case 'MKCOL': {
+      if (stat) return send(405, 'Method Not Allowed');
+      await fs.mkdir(file);
+      return send(201);
+    }
+
+    default:
+      return send(405, 'Method Not Allowed');
+  }
+}
+
+await fs.mkdir(ROOT, { recursive: true });
+createServer((req, res) => {
+  handle(req, res).catch((error) => {
+    console.error(error);
+    res.writeHead(500, CORS_HEADERS);
+    res.end('Internal Server Error');
+  });
+}).listen(PORT, HOST, () => {
+  console.log(`WebDAV server for ${ROOT} at http://${HOST}:${PORT}/ (user "${USER}", password "${PASSWORD}")`);
+});
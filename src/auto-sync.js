@@ -0,0 +1,234 @@
+/**
+ * Automatic Sync
+ * Syncs saved documents with every connected provider in the background.
+ * Saves are queued (see sync-queue.js) and uploaded a few seconds after
+ * typing stops; while offline they wait for the connection to come back.
+ * Failed syncs are retried with exponential backoff, and conflicting edits
+ * are left for the next sync started by hand. The sync state is shown in
+ * the status bar.
+ */
+
+import providers from './cloud-providers.js';
+import syncQueue from './sync-queue.js';
+import ui from './ui.js';
+
+const SAVE_DELAY = 3000;
+const BUSY_DELAY = 5000;
+const RETRY_DELAY = 5000;
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+export const BACKGROUND_SYNC_TAG = 'cloud-sync';
+
+class AutoSync {
+  /**
+   * @param {DocumentSync} documentSync - Syncs the document library with a provider
+   */
+  constructor(documentSync) {
+    this.documentSync = documentSync;
+    this.statusEl = document.getElementById('sync-status');
+    this.timer = null;
+    this.flushing = false;
+    this.syncing = false;
+    this.attempts = 0;
+    this.error = null;
+  }
+
+  /**
+   * @returns {Array<Object>} Providers that can be synced with
+   */
+  getConnected() {
+    return providers.list().filter((provider) => provider.isConnected());
+  }
+
+  /**
+   * Queue a saved document for every connected provider
+   * @param {string} id - Document id
+   */
+  async queueDocument(id) {
+    const connected = this.getConnected();
+    if (!connected.length) return;
+
+    await Promise.all(connected.map((provider) => syncQueue.add(provider.id, id)));
+    this.schedule(SAVE_DELAY);
+    this.render();
+  }
+
+  /**
+   * @param {number} delay - Milliseconds until the queue is synced
+   */
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), delay);
+  }
+
+  /**
+   * Sync the queued documents with their providers now
+   */
+  async flush() {
+    clearTimeout(this.timer);
+    if (!navigator.onLine) {
+      this.requestBackgroundSync();
+      this.render();
+      return;
+    }
+    if (this.flushing) {
+      this.schedule(BUSY_DELAY);
+      return;
+    }
+
+    this.flushing = true;
+    let synced = false;
+    try {
+      for (const provider of this.getConnected()) {
+        const queued = (await syncQueue.list(provider.id)).filter((record) => !record.conflict);
+        if (!queued.length) continue;
+
+        const summary = await this.syncProvider(provider, {
+          documentIds: queued.map((record) => record.documentId),
+          interactive: false,
+        });
+        if (!summary) {
+          // A sync started by hand is running
+          this.schedule(BUSY_DELAY);
+          return;
+        }
+        synced = true;
+      }
+      this.attempts = 0;
+      // A failed sync started by hand is shown until a sync succeeds
+      if (synced || (this.error && this.error.retrying)) this.error = null;
+    } catch (error) {
+      console.error('Background sync error:', error);
+      if (!navigator.onLine) {
+        // Picked up again by the online event
+        this.requestBackgroundSync();
+      } else {
+        this.attempts++;
+        const delay = Math.min(RETRY_DELAY * 2 ** (this.attempts - 1), MAX_RETRY_DELAY);
+        // Spread out the retries of tabs that failed together
+        this.schedule(delay * (0.8 + Math.random() * 0.4));
+        this.error = { message: error.message, retrying: true };
+      }
+    } finally {
+      this.flushing = false;
+      this.render();
+    }
+  }
+
+  /**
+   * Sync with a provider and take the synced documents off its queue
+   * @param {Object} provider - Provider
+   * @param {Object} options - Options for DocumentSync.syncAll(); without
+   *   documentIds every document is synced
+   * @returns {Promise<Object|null>} The sync summary, or null if a sync is already running
+   */
+  async syncProvider(provider, options = {}) {
+    const startedAt = new Date().toISOString();
+    this.syncing = true;
+    this.render();
+    try {
+      const summary = await this.documentSync.syncAll(provider, options);
+      if (!summary) return null;
+
+      const synced = options.documentIds || (await syncQueue.list(provider.id)).map((record) => record.documentId);
+      await syncQueue.remove(provider.id, synced.filter((id) => !summary.skippedIds.includes(id)), startedAt);
+      await syncQueue.markConflicts(provider.id, summary.skippedIds);
+      if (!options.documentIds) this.error = null;
+      return summary;
+    } finally {
+      this.syncing = false;
+      this.render();
+    }
+  }
+
+  /**
+   * Show a failed sync started by hand until the next one succeeds
+   * @param {Object} provider - Provider
+   * @param {Error} error - What went wrong
+   */
+  showError(provider, error) {
+    this.error = { message: `${provider.name}: ${error.message}`, retrying: false };
+    this.render();
+  }
+
+  /**
+   * Forget what is queued for a provider that was disconnected
+   * @param {string} id - Provider id
+   */
+  async forget(id) {
+    await syncQueue.clear(id);
+    this.render();
+  }
+
+  /**
+   * Ask the service worker to wake the app when the connection is back,
+   * where the browser supports Background Sync
+   */
+  requestBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready
+      .then((registration) => registration.sync && registration.sync.register(BACKGROUND_SYNC_TAG))
+      .catch((error) => console.log('Background sync unavailable:', error));
+  }
+
+  /**
+   * Show the sync state in the status bar
+   */
+  async render() {
+    const connected = this.getConnected();
+    const queued = await syncQueue.list();
+    if (!connected.length && !queued.length) {
+      this.statusEl.hidden = true;
+      return;
+    }
+
+    const conflicts = queued.filter((record) => record.conflict);
+    const pending = new Set(queued.filter((record) => !record.conflict).map((record) => record.documentId)).size;
+    let state = 'synced';
+    let text = 'Synced';
+    let title = `Synced with ${connected.map((provider) => provider.name).join(', ')}`;
+
+    if (this.syncing) {
+      state = 'syncing';
+      text = 'Syncing…';
+      title = 'Syncing with the cloud';
+    } else if (this.error) {
+      state = 'error';
+      text = this.error.retrying ? 'Sync failed · retrying' : 'Sync failed';
+      title = this.error.message;
+    } else if (conflicts.length) {
+      state = 'error';
+      text = conflicts.length === 1 ? '1 sync conflict' : `${conflicts.length} sync conflicts`;
+      title = 'Edited here and in the cloud. Open Cloud Sync and choose Sync Now to merge.';
+    } else if (pending) {
+      state = 'pending';
+      text = navigator.onLine ? `${pending} to sync` : `Offline · ${pending} to sync`;
+      title = connected.length
+        ? 'Saved here, waiting to be uploaded'
+        : 'Saved here. Connect a cloud provider to upload.';
+    }
+
+    this.statusEl.hidden = false;
+    this.statusEl.dataset.state = state;
+    this.statusEl.textContent = text;
+    this.statusEl.title = title;
+  }
+
+  /**
+   * Initialize automatic sync event listeners
+   */
+  init() {
+    document.addEventListener('document-saved', (e) => {
+      this.queueDocument(e.detail.id).catch((error) => console.error('Failed to queue sync:', error));
+    });
+
+    this.statusEl.addEventListener('click', () => {
+      ui.showModal(document.getElementById('cloud-modal'));
+    });
+
+    this.render();
+    // Uploads left from before a reload, for providers still connected
+    this.schedule(SAVE_DELAY);
+  }
+}
+
+export default AutoSync;
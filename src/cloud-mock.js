@@ -0,0 +1,252 @@
+/**
+ * Mock cloud providers
+ * Answers the Google Drive and Dropbox file requests that the providers make from
+ * files kept in localStorage, so sync and conflict handling can be tried
+ * offline. Open the dev server with ?mock-cloud to use it (production builds
+ * leave it out, so nobody is shown a fake backup); window.mockCloud can then
+ * change the "remote" files the way another device would, or expire the
+ * access tokens to try refreshing them.
+ */
+
+const STORE_KEY = 'mockCloudFiles';
+
+// Access tokens are numbered, on from those of earlier page loads; those below
+// tokensValidFrom have expired
+let tokensIssued = Date.now();
+let tokensValidFrom = 0;
+const revokedGrants = new Set();
+
+export function isMockCloudEnabled() {
+  return import.meta.env.DEV && new URLSearchParams(window.location.search).has('mock-cloud');
+}
+
+function load() {
+  try {
+    return { google: {}, dropbox: {}, ...JSON.parse(localStorage.getItem(STORE_KEY) || '{}') };
+  } catch {
+    return { google: {}, dropbox: {} };
+  }
+}
+
+function save(files) {
+  localStorage.setItem(STORE_KEY, JSON.stringify(files));
+}
+
+function newRevision() {
+  return Math.random().toString(36).slice(2, 11);
+}
+
+function json(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+/**
+ * Read a body the way fetch would send it
+ * @param {*} body - String, URLSearchParams or typed array
+ * @returns {string} Text
+ */
+function bodyText(body) {
+  if (!body) return '';
+  if (body instanceof URLSearchParams) return body.toString();
+  return typeof body === 'string' ? body : new TextDecoder().decode(body);
+}
+
+function headerValue(headers, name) {
+  return new Headers(headers).get(name);
+}
+
+/**
+ * A token response, as the OAuth token endpoint would send after sign-in
+ * @param {string} provider - Provider id
+ * @returns {Object} Token response
+ */
+export function mockTokenResponse(provider) {
+  revokedGrants.delete(provider);
+  return { access_token: `mock-${provider}-${++tokensIssued}`, refresh_token: `mock-${provider}-refresh`, expires_in: 3600 };
+}
+
+/**
+ * @param {Object} options - fetch options
+ * @returns {boolean} Whether the request has an access token that hasn't expired
+ */
+function isAuthorized(options) {
+  const match = (headerValue(options.headers, 'Authorization') || '').match(/^Bearer mock-\w+-(\d+)$/);
+  return !!match && Number(match[1]) >= tokensValidFrom;
+}
+
+/**
+ * @param {string} provider - Provider id
+ * @param {URL} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Response} Token or revocation endpoint response
+ */
+function handleTokens(provider, url, options) {
+  if (url.pathname.endsWith('/revoke')) {
+    revokedGrants.add(provider);
+    return json({});
+  }
+  const params = new URLSearchParams(bodyText(options.body));
+  if (params.get('grant_type') !== 'refresh_token' || revokedGrants.has(provider)) {
+    return json({ error: 'invalid_grant' }, 400);
+  }
+  const { refresh_token, ...response } = mockTokenResponse(provider);
+  return json(response);
+}
+
+/**
+ * @param {URL} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Response} Drive API response
+ */
+function handleGoogle(url, options) {
+  const files = load();
+  const drive = files.google;
+  const method = (options.method || 'GET').toUpperCase();
+  const toMeta = (id) => ({ id, name: drive[id].name, headRevisionId: drive[id].revision });
+  const match = url.pathname.match(/\/files\/([^/]+)$/);
+  const id = match ? decodeURIComponent(match[1]) : null;
+
+  if (id && !drive[id]) return json({ error: { code: 404, message: 'File not found' } }, 404);
+
+  if (url.pathname.startsWith('/upload/')) {
+    let name;
+    let content;
+    if (id) {
+      content = bodyText(options.body);
+    } else {
+      // Multipart: metadata then content
+      const boundary = headerValue(options.headers, 'Content-Type').split('boundary=')[1];
+      const parts = bodyText(options.body).split(`--${boundary}`).slice(1, -1)
+        .map((part) => part.slice(part.indexOf('\r\n\r\n') + 4, -2));
+      name = JSON.parse(parts[0]).name;
+      content = parts[1];
+    }
+    const fileId = id || `mock-${newRevision()}`;
+    drive[fileId] = { name: name || drive[fileId].name, content, revision: newRevision() };
+    save(files);
+    return json(toMeta(fileId));
+  }
+
+  if (method === 'DELETE') {
+    delete drive[id];
+    save(files);
+    return new Response(null, { status: 204 });
+  }
+  if (method !== 'GET') return json({ error: { code: 405, message: 'Not supported by the mock' } }, 405);
+  if (!id) return json({ files: Object.keys(drive).map(toMeta) });
+  if (url.searchParams.get('alt') === 'media') return new Response(drive[id].content);
+  return json(toMeta(id));
+}
+
+/**
+ * @param {URL} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Response} Dropbox API response
+ */
+function handleDropbox(url, options) {
+  const files = load();
+  const dropbox = files.dropbox;
+  const toMeta = (path) => ({
+    '.tag': 'file',
+    name: dropbox[path].name,
+    path_lower: path,
+    path_display: dropbox[path].path,
+    rev: dropbox[path].revision,
+  });
+  const conflict = (summary) => json({ error_summary: summary }, 409);
+
+  if (url.pathname.endsWith('/list_folder')) {
+    const folder = JSON.parse(options.body).path.toLowerCase();
+    const entries = Object.keys(dropbox).filter((path) => path.startsWith(`${folder}/`)).map(toMeta);
+    if (entries.length === 0) return conflict('path/not_found/..');
+    return json({ entries, cursor: '', has_more: false });
+  }
+
+  if (url.pathname.endsWith('/get_metadata')) {
+    const path = JSON.parse(options.body).path.toLowerCase();
+    return dropbox[path] ? json(toMeta(path)) : conflict('path/not_found/..');
+  }
+
+  if (url.pathname.endsWith('/delete_v2')) {
+    const path = JSON.parse(options.body).path.toLowerCase();
+    if (!dropbox[path]) return conflict('path_lookup/not_found/..');
+    const metadata = toMeta(path);
+    delete dropbox[path];
+    save(files);
+    return json({ metadata });
+  }
+
+  const arg = JSON.parse(headerValue(options.headers, 'Dropbox-API-Arg'));
+  const path = arg.path.toLowerCase();
+
+  if (url.pathname.endsWith('/download')) {
+    if (!dropbox[path]) return conflict('path/not_found/..');
+    return new Response(dropbox[path].content, {
+      headers: { 'Dropbox-API-Result': JSON.stringify(toMeta(path)) },
+    });
+  }
+
+  if (url.pathname.endsWith('/upload')) {
+    const existing = dropbox[path];
+    if (arg.mode === 'add' && existing) return conflict('path/conflict/file/..');
+    if (arg.mode['.tag'] === 'update' && (!existing || existing.revision !== arg.mode.update)) {
+      return conflict('path/conflict/file/..');
+    }
+    dropbox[path] = {
+      name: existing ? existing.name : arg.path.split('/').pop(),
+      path: existing ? existing.path : arg.path,
+      content: bodyText(options.body),
+      revision: newRevision(),
+    };
+    save(files);
+    return json(toMeta(path));
+  }
+
+  return json({ error_summary: 'not_supported_by_mock/' }, 400);
+}
+
+/**
+ * Route provider API requests to the mock; everything else goes to the network
+ */
+export function installMockCloud() {
+  const networkFetch = window.fetch.bind(window);
+  window.fetch = async (input, options = {}) => {
+    const url = new URL(typeof input === 'string' ? input : input.url, window.location.href);
+    if (url.hostname === 'oauth2.googleapis.com') return handleTokens('google', url, options);
+    if (url.hostname === 'api.dropboxapi.com' && /^\/(oauth2\/token|2\/auth\/token\/revoke)$/.test(url.pathname)) {
+      return handleTokens('dropbox', url, options);
+    }
+    const isGoogle = url.hostname === 'www.googleapis.com';
+    if (!isGoogle && !url.hostname.endsWith('.dropboxapi.com')) return networkFetch(input, options);
+    if (!isAuthorized(options)) return json({ error: { code: 401, message: 'Invalid Credentials' } }, 401);
+    return isGoogle ? handleGoogle(url, options) : handleDropbox(url, options);
+  };
+
+  // Stand in for another device editing the synced files
+  window.mockCloud = {
+    list(provider) {
+      return load()[provider];
+    },
+    write(provider, name, content) {
+      const files = load();
+      const store = files[provider];
+      const key = Object.keys(store).find((fileKey) => store[fileKey].name === name);
+      if (!key) return false;
+      store[key] = { ...store[key], content, revision: newRevision() };
+      save(files);
+      return true;
+    },
+    reset() {
+      localStorage.removeItem(STORE_KEY);
+    },
+    // Expire every access token issued so far; the next request refreshes it
+    expireTokens() {
+      tokensValidFrom = tokensIssued + 1;
+    },
+    // Revoke the grant, as if access was removed in the provider's account settings
+    revoke(provider) {
+      revokedGrants.add(provider);
+      this.expireTokens();
+    },
+  };
+}
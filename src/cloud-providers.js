@@ -0,0 +1,54 @@
+/**
+ * Cloud Provider Registry
+ * The storage services documents can be synced with. The cloud menu,
+ * its commands and sync all work from what is registered here.
+ *
+ * A provider is an object with:
+ *   id, name - Unique id and the name shown to people
+ *   fields - Optional sign-in form fields ({name, label, type, placeholder})
+ *     for providers that are not connected through OAuth
+ *   isConnected() - Whether it has credentials
+ *   restore() - Load credentials kept from an earlier session (see
+ *     credential-store.js)
+ *   authenticate(values) - Connect, given the sign-in form's values; resolves
+ *     to whether it connected (OAuth providers leave the page instead)
+ *   disconnect() - Revoke the credentials where the service allows, and forget them
+ *   list() - Files in the app's folder: [{id, name, revision}]
+ *   read(file) - The file's {content, revision}
+ *   write({id, name, content, revision}) - Create the file (no id) or replace
+ *     it if it is still at revision; resolves to the new {id, name, revision},
+ *     or {conflict: true} if it changed in between
+ *   delete(file) - Remove the file
+ *   getRevision(file) - The file's current revision, or null if it is gone
+ */
+
+class CloudProviders {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Add a provider, replacing any with the same id
+   * @param {Object} provider - Provider
+   */
+  register(provider) {
+    this.providers.set(provider.id, provider);
+  }
+
+  /**
+   * @param {string} id - Provider id
+   * @returns {Object|undefined}
+   */
+  get(id) {
+    return this.providers.get(id);
+  }
+
+  /**
+   * @returns {Array<Object>} Providers in registration order
+   */
+  list() {
+    return Array.from(this.providers.values());
+  }
+}
+
+export default new CloudProviders();
@@ -1,52 +1,64 @@
 /**
  * Cloud Sync functionality
- * Handles OAuth integration with Google Drive and Dropbox
- * Implements PKCE flow for secure client-side authentication
+ * Lists the registered cloud providers in the cloud menu, connects and
+ * disconnects them, and syncs the document library with them
  */
 
-import { OAUTH_CONFIG, isOAuthConfigured } from './oauth-config.js';
-import { generatePKCE, storeCodeVerifier, getCodeVerifier } from './pkce.js';
+import providers from './cloud-providers.js';
+import credentialStore from './credential-store.js';
+import { takeAuthRequest, OAUTH_CALLBACK_MESSAGE } from './pkce.js';
+import commands from './commands.js';
+import ui from './ui.js';
 
 class CloudSync {
-  constructor() {
-    this.googleToken = null;
-    this.googleRefreshToken = null;
-    this.dropboxToken = null;
-    this.googleStatusEl = document.getElementById('google-status');
-    this.dropboxStatusEl = document.getElementById('dropbox-status');
-    this.googleSyncBtn = document.getElementById('google-sync');
-    this.dropboxSyncBtn = document.getElementById('dropbox-sync');
-    this.googleConnectBtn = document.getElementById('google-connect');
-    this.dropboxConnectBtn = document.getElementById('dropbox-connect');
+  /**
+   * @param {AutoSync} autoSync - Syncs documents with providers, in the background or when asked
+   */
+  constructor(autoSync) {
+    this.autoSync = autoSync;
+    this.listEl = document.getElementById('cloud-providers');
+    this.statusText = new Map();
 
     // Check for OAuth callback
     this.handleOAuthCallback();
-    
-    // Load saved tokens
-    this.loadTokens();
   }
 
   /**
-   * Handle OAuth callback from redirect
+   * Handle OAuth callback from redirect, when sign-in could not use a popup
    */
   handleOAuthCallback() {
     const urlParams = new URLSearchParams(window.location.search);
-    const code = urlParams.get('code');
-    const state = urlParams.get('state');
-    const error = urlParams.get('error');
+    if (!urlParams.has('state') && !urlParams.has('code') && !urlParams.has('error')) return;
+
+    this.cleanupOAuthCallback();
+    this.completeOAuth(urlParams);
+  }
+
+  /**
+   * Finish signing in with a provider's answer, if its state belongs to a
+   * sign-in started in this tab
+   * @param {URLSearchParams} params - code or error, and state
+   */
+  async completeOAuth(params) {
+    const request = takeAuthRequest(params.get('state') || '');
+    // Otherwise forged, replayed, or for another tab: ignore it
+    if (!request) return;
 
+    const provider = providers.get(request.provider);
+    const error = params.get('error');
     if (error) {
-      alert(`OAuth error: ${error}`);
-      this.cleanupOAuthCallback();
+      alert(`OAuth error: ${params.get('error_description') || error}`);
       return;
     }
 
-    if (code && state) {
-      if (state === 'google') {
-        this.exchangeGoogleToken(code);
-      } else if (state === 'dropbox') {
-        this.exchangeDropboxToken(code);
-      }
+    try {
+      await provider.completeSignIn(params.get('code'), request);
+      this.updateUI();
+      this.autoSync.render();
+      alert(`Successfully connected to ${provider.name}!`);
+    } catch (error) {
+      console.error('Token exchange error:', error);
+      alert(`Failed to connect to ${provider.name}: ` + error.message);
     }
   }
 
@@ -58,371 +70,232 @@ class CloudSync {
     url.searchParams.delete('code');
     url.searchParams.delete('state');
     url.searchParams.delete('error');
-    window.history.replaceState({}, document.title, url.pathname);
+    url.searchParams.delete('error_description');
+    window.history.replaceState({}, document.title, url.pathname + url.search);
   }
 
   /**
-   * Load tokens from sessionStorage
+   * Reconnect the providers whose credentials were kept from an earlier session
    */
-  loadTokens() {
-    this.googleToken = sessionStorage.getItem('google_access_token');
-    this.googleRefreshToken = sessionStorage.getItem('google_refresh_token');
-    this.dropboxToken = sessionStorage.getItem('dropbox_access_token');
+  async restoreConnections() {
+    await Promise.all(providers.list().map((provider) => provider.restore().catch((error) => {
+      console.error(`Failed to restore the ${provider.name} connection:`, error);
+    })));
     this.updateUI();
+    this.autoSync.render();
   }
 
   /**
-   * Update UI based on connection status
+   * Render a section per provider with its connection state
    */
   updateUI() {
-    if (this.googleToken) {
-      this.googleConnectBtn.textContent = 'Disconnect';
-      this.googleSyncBtn.style.display = 'inline-block';
-      this.googleStatusEl.textContent = 'Connected';
-      this.googleStatusEl.className = 'cloud-status connected';
-    } else {
-      this.googleConnectBtn.textContent = 'Connect';
-      this.googleSyncBtn.style.display = 'none';
-      this.googleStatusEl.textContent = 'Not connected';
-      this.googleStatusEl.className = 'cloud-status';
-    }
-
-    if (this.dropboxToken) {
-      this.dropboxConnectBtn.textContent = 'Disconnect';
-      this.dropboxSyncBtn.style.display = 'inline-block';
-      this.dropboxStatusEl.textContent = 'Connected';
-      this.dropboxStatusEl.className = 'cloud-status connected';
-    } else {
-      this.dropboxConnectBtn.textContent = 'Connect';
-      this.dropboxSyncBtn.style.display = 'none';
-      this.dropboxStatusEl.textContent = 'Not connected';
-      this.dropboxStatusEl.className = 'cloud-status';
-    }
+    this.listEl.innerHTML = '';
+    providers.list().forEach((provider) => {
+      this.listEl.appendChild(this.renderProvider(provider));
+    });
   }
 
   /**
-   * Connect to Google Drive using OAuth 2.0 PKCE flow
+   * @param {Object} provider - Provider
+   * @returns {HTMLElement} The provider's section of the cloud menu
    */
-  async connectGoogle() {
-    if (this.googleToken) {
-      // Disconnect
-      sessionStorage.removeItem('google_access_token');
-      sessionStorage.removeItem('google_refresh_token');
-      this.googleToken = null;
-      this.googleRefreshToken = null;
-      this.updateUI();
-      return;
-    }
-
-    // Check if OAuth is configured
-    if (!isOAuthConfigured().google) {
-      alert(
-        'Google Drive OAuth is not configured.\n\n' +
-        'Please add your Google OAuth Client ID in src/oauth-config.js\n\n' +
-        'To get a Client ID:\n' +
-        '1. Go to https://console.cloud.google.com/\n' +
-        '2. Create a project or select existing\n' +
-        '3. Enable Google Drive API\n' +
-        '4. Create OAuth 2.0 credentials (Web application)\n' +
-        '5. Add authorized redirect URI: ' + OAUTH_CONFIG.google.redirectUri
-      );
-      return;
-    }
-
-    try {
-      // Generate PKCE pair
-      const { verifier, challenge } = await generatePKCE();
-      storeCodeVerifier(verifier);
-
-      // Build authorization URL
-      const params = new URLSearchParams({
-        client_id: OAUTH_CONFIG.google.clientId,
-        redirect_uri: OAUTH_CONFIG.google.redirectUri,
-        response_type: 'code',
-        scope: OAUTH_CONFIG.google.scope,
-        code_challenge: challenge,
-        code_challenge_method: 'S256',
-        state: 'google',
-        access_type: 'offline', // Request refresh token
-        prompt: 'consent', // Force consent screen to get refresh token
+  renderProvider(provider) {
+    const connected = provider.isConnected();
+    const section = document.createElement('form');
+    section.className = 'cloud-section';
+    section.dataset.provider = provider.id;
+
+    const heading = document.createElement('h3');
+    heading.textContent = provider.name;
+    section.appendChild(heading);
+
+    if (provider.fields && !connected) {
+      provider.fields.forEach((field) => {
+        const label = document.createElement('label');
+        label.className = 'cloud-field';
+        const text = document.createElement('span');
+        text.className = 'setting-label';
+        text.textContent = field.label;
+        const input = document.createElement('input');
+        input.className = 'setting-input';
+        input.name = field.name;
+        input.type = field.type;
+        input.placeholder = field.placeholder;
+        input.autocomplete = field.type === 'password' ? 'current-password' : 'off';
+        label.append(text, input);
+        section.appendChild(label);
       });
-
-      // Redirect to Google OAuth
-      window.location.href = `${OAUTH_CONFIG.google.authUrl}?${params.toString()}`;
-    } catch (error) {
-      console.error('Google OAuth error:', error);
-      alert('Failed to initiate Google Drive connection: ' + error.message);
     }
-  }
 
-  /**
-   * Exchange authorization code for access token (Google)
-   * @param {string} code - Authorization code
-   */
-  async exchangeGoogleToken(code) {
-    const verifier = getCodeVerifier();
-    if (!verifier) {
-      alert('OAuth session expired. Please try again.');
-      this.cleanupOAuthCallback();
-      return;
+    const connect = document.createElement('button');
+    connect.type = 'submit';
+    connect.className = 'btn-primary';
+    connect.textContent = connected ? 'Disconnect' : 'Connect';
+    section.appendChild(connect);
+
+    if (connected) {
+      const sync = document.createElement('button');
+      sync.type = 'button';
+      sync.className = 'btn-secondary';
+      sync.dataset.sync = '';
+      sync.textContent = 'Sync Now';
+      section.appendChild(sync);
     }
 
-    try {
-      const response = await fetch(OAUTH_CONFIG.google.tokenUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: new URLSearchParams({
-          client_id: OAUTH_CONFIG.google.clientId,
-          code: code,
-          redirect_uri: OAUTH_CONFIG.google.redirectUri,
-          grant_type: 'authorization_code',
-          code_verifier: verifier,
-        }),
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error_description || 'Token exchange failed');
-      }
-
-      const data = await response.json();
-      this.googleToken = data.access_token;
-      this.googleRefreshToken = data.refresh_token;
-
-      // Store tokens
-      sessionStorage.setItem('google_access_token', this.googleToken);
-      if (this.googleRefreshToken) {
-        sessionStorage.setItem('google_refresh_token', this.googleRefreshToken);
-      }
-
-      this.updateUI();
-      this.cleanupOAuthCallback();
-      
-      alert('Successfully connected to Google Drive!');
-    } catch (error) {
-      console.error('Token exchange error:', error);
-      alert('Failed to connect to Google Drive: ' + error.message);
-      this.cleanupOAuthCallback();
-    }
+    const status = document.createElement('span');
+    status.className = connected ? 'cloud-status connected' : 'cloud-status';
+    status.textContent = connected ? this.statusText.get(provider.id) || 'Connected' : 'Not connected';
+    section.appendChild(status);
+    return section;
   }
 
   /**
-   * Connect to Dropbox using OAuth 2.0 PKCE flow
+   * Show a provider's sync state under its name
+   * @param {string} id - Provider id
+   * @param {string} text - Status text
    */
-  async connectDropbox() {
-    if (this.dropboxToken) {
-      // Disconnect
-      sessionStorage.removeItem('dropbox_access_token');
-      this.dropboxToken = null;
-      this.updateUI();
-      return;
-    }
-
-    // Check if OAuth is configured
-    if (!isOAuthConfigured().dropbox) {
-      alert(
-        'Dropbox OAuth is not configured.\n\n' +
-        'Please add your Dropbox App Key in src/oauth-config.js\n\n' +
-        'To get an App Key:\n' +
-        '1. Go to https://www.dropbox.com/developers/apps\n' +
-        '2. Create new app (Scoped access, Full Dropbox)\n' +
-        '3. Add redirect URI: ' + OAUTH_CONFIG.dropbox.redirectUri
-      );
-      return;
-    }
-
-    try {
-      // Generate PKCE pair
-      const { verifier, challenge } = await generatePKCE();
-      storeCodeVerifier(verifier);
-
-      // Build authorization URL
-      const params = new URLSearchParams({
-        client_id: OAUTH_CONFIG.dropbox.appKey,
-        redirect_uri: OAUTH_CONFIG.dropbox.redirectUri,
-        response_type: 'code',
-        code_challenge: challenge,
-        code_challenge_method: 'S256',
-        state: 'dropbox',
-        token_access_type: 'offline', // Request refresh token
-      });
-
-      // Redirect to Dropbox OAuth
-      window.location.href = `${OAUTH_CONFIG.dropbox.authUrl}?${params.toString()}`;
-    } catch (error) {
-      console.error('Dropbox OAuth error:', error);
-      alert('Failed to initiate Dropbox connection: ' + error.message);
-    }
+  setStatus(id, text) {
+    this.statusText.set(id, text);
+    const status = this.listEl.querySelector(`[data-provider="${id}"] .cloud-status`);
+    if (status) status.textContent = text;
   }
 
   /**
-   * Exchange authorization code for access token (Dropbox)
-   * @param {string} code - Authorization code
+   * Connect a provider, or disconnect it if it is connected
+   * @param {string} id - Provider id
+   * @param {Object} values - Sign-in form values
    */
-  async exchangeDropboxToken(code) {
-    const verifier = getCodeVerifier();
-    if (!verifier) {
-      alert('OAuth session expired. Please try again.');
-      this.cleanupOAuthCallback();
+  async toggleConnection(id, values = {}) {
+    const provider = providers.get(id);
+    if (provider.isConnected()) {
+      await provider.disconnect();
+      this.statusText.delete(id);
+      await this.autoSync.forget(id);
+    } else if (provider.fields && !provider.fields.every((field) => values[field.name] !== undefined)) {
+      // Connecting needs the form, which is in the cloud menu
+      ui.showModal(document.getElementById('cloud-modal'));
       return;
+    } else {
+      await provider.authenticate(values);
+      this.autoSync.render();
     }
-
-    try {
-      const response = await fetch(OAUTH_CONFIG.dropbox.tokenUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: new URLSearchParams({
-          code: code,
-          grant_type: 'authorization_code',
-          redirect_uri: OAUTH_CONFIG.dropbox.redirectUri,
-          code_verifier: verifier,
-          client_id: OAUTH_CONFIG.dropbox.appKey,
-        }),
-      });
-
-      if (!response.ok) {
-        const error = await response.text();
-        throw new Error(error || 'Token exchange failed');
-      }
-
-      const data = await response.json();
-      this.dropboxToken = data.access_token;
-
-      // Store token
-      sessionStorage.setItem('dropbox_access_token', this.dropboxToken);
-
-      this.updateUI();
-      this.cleanupOAuthCallback();
-      
-      alert('Successfully connected to Dropbox!');
-    } catch (error) {
-      console.error('Token exchange error:', error);
-      alert('Failed to connect to Dropbox: ' + error.message);
-      this.cleanupOAuthCallback();
-    }
+    this.updateUI();
   }
 
   /**
-   * Sync content to Google Drive
-   * @param {string} content - Content to sync
+   * Sync every document with a provider, both ways
+   * @param {string} id - Provider id
+   * @returns {Promise<boolean>} Whether the sync finished
    */
-  async syncToGoogle(content) {
-    if (!this.googleToken) {
-      alert('Please connect to Google Drive first');
+  async sync(id) {
+    const provider = providers.get(id);
+    if (!provider.isConnected()) {
+      alert(`Please connect to ${provider.name} first`);
       return false;
     }
 
+    this.setStatus(id, 'Syncing…');
     try {
-      // Create a text file in Google Drive
-      const fileName = `minimal-editor-${new Date().toISOString().split('T')[0]}.txt`;
-      const fileContent = content.replace(/<[^>]*>/g, ''); // Strip HTML tags
-
-      // Create file metadata
-      const metadata = {
-        name: fileName,
-        mimeType: 'text/plain',
-      };
-
-      // Upload file using multipart upload
-      const boundary = '----WebKitFormBoundary' + Math.random().toString(36).substring(2);
-      const formData = `--${boundary}\r\n` +
-        `Content-Disposition: form-data; name="metadata"\r\n` +
-        `Content-Type: application/json; charset=UTF-8\r\n\r\n` +
-        `${JSON.stringify(metadata)}\r\n` +
-        `--${boundary}\r\n` +
-        `Content-Disposition: form-data; name="file"\r\n` +
-        `Content-Type: text/plain\r\n\r\n` +
-        `${fileContent}\r\n` +
-        `--${boundary}--`;
-
-      const response = await fetch('https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.googleToken}`,
-          'Content-Type': `multipart/related; boundary=${boundary}`,
-        },
-        body: formData,
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error?.message || 'Upload failed');
+      const summary = await this.autoSync.syncProvider(provider);
+      if (!summary) {
+        this.setStatus(id, 'A sync is already running');
+        return false;
       }
-
-      const result = await response.json();
-      alert('Successfully synced to Google Drive!');
+      const text = this.describeSync(summary);
+      this.setStatus(id, `Connected · ${text}`);
+      ui.updateSaveStatus(`${provider.name}: ${text}`, true);
       return true;
     } catch (error) {
-      console.error('Google Drive sync error:', error);
-      alert('Failed to sync to Google Drive: ' + error.message);
+      console.error(`${provider.name} sync error:`, error);
+      // An expired connection has been disconnected by now
+      if (provider.isConnected()) this.setStatus(id, `Connected · Last sync failed: ${error.message}`);
+      ui.updateSaveStatus(`${provider.name} sync failed`, false);
+      this.autoSync.showError(provider, error);
       return false;
     }
   }
 
   /**
-   * Sync content to Dropbox
-   * @param {string} content - Content to sync
+   * @param {Object} summary - Counts from DocumentSync.syncAll()
+   * @returns {string} E.g. "2 uploaded, 1 merged"
    */
-  async syncToDropbox(content) {
-    if (!this.dropboxToken) {
-      alert('Please connect to Dropbox first');
-      return false;
-    }
-
-    try {
-      // Create a text file in Dropbox
-      const fileName = `/minimal-editor-${new Date().toISOString().split('T')[0]}.txt`;
-      const fileContent = content.replace(/<[^>]*>/g, ''); // Strip HTML tags
-
-      // Upload file using Dropbox API
-      const response = await fetch('https://content.dropboxapi.com/2/files/upload', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.dropboxToken}`,
-          'Content-Type': 'application/octet-stream',
-          'Dropbox-API-Arg': JSON.stringify({
-            path: fileName,
-            mode: 'overwrite',
-            autorename: true,
-            mute: false,
-          }),
-        },
-        body: fileContent,
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error_summary || 'Upload failed');
-      }
-
-      alert('Successfully synced to Dropbox!');
-      return true;
-    } catch (error) {
-      console.error('Dropbox sync error:', error);
-      alert('Failed to sync to Dropbox: ' + error.message);
-      return false;
-    }
+  describeSync({ uploaded, downloaded, merged, skipped }) {
+    const parts = [];
+    if (uploaded) parts.push(`${uploaded} uploaded`);
+    if (downloaded) parts.push(`${downloaded} downloaded`);
+    if (merged) parts.push(`${merged} merged`);
+    if (skipped) parts.push(`${skipped} skipped`);
+    return parts.length ? `Synced: ${parts.join(', ')}` : 'Up to date';
   }
 
   /**
    * Initialize cloud sync event listeners
    */
   init() {
-    this.googleConnectBtn.addEventListener('click', () => this.connectGoogle());
-    this.dropboxConnectBtn.addEventListener('click', () => this.connectDropbox());
-    
-    this.googleSyncBtn.addEventListener('click', async () => {
-      const content = document.getElementById('editor').innerHTML;
-      await this.syncToGoogle(content);
+    this.listEl.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const form = e.target;
+      this.toggleConnection(form.dataset.provider, Object.fromEntries(new FormData(form)));
     });
 
-    this.dropboxSyncBtn.addEventListener('click', async () => {
-      const content = document.getElementById('editor').innerHTML;
-      await this.syncToDropbox(content);
+    this.listEl.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-sync]');
+      if (button) this.sync(button.closest('[data-provider]').dataset.provider);
+    });
+
+    // Sign-ins finished in the popup, see oauth-callback.js
+    window.addEventListener('message', (e) => {
+      if (e.origin !== window.location.origin || !e.data || e.data.type !== OAUTH_CALLBACK_MESSAGE) return;
+      this.completeOAuth(new URLSearchParams(e.data.search));
+    });
+    if ('BroadcastChannel' in window) {
+      new BroadcastChannel(OAUTH_CALLBACK_MESSAGE).addEventListener('message', (e) => {
+        this.completeOAuth(new URLSearchParams(e.data.search));
+      });
+    }
+
+    // A connection expired for good while refreshing its token
+    document.addEventListener('cloud-connection-changed', () => {
+      this.updateUI();
+      this.autoSync.render();
+    });
+
+    document.addEventListener('stay-connected-changed', () => {
+      credentialStore.updatePersistence().catch((error) => console.error('Failed to update saved connections:', error));
+    });
+
+    this.updateUI();
+    this.restoreConnections();
+    this.registerCommands();
+  }
+
+  registerCommands() {
+    providers.list().forEach(({ id, name }) => {
+      const connected = () => providers.get(id).isConnected();
+      commands.register({
+        id: `sync-${id}`,
+        title: `Sync with ${name}`,
+        group: 'Cloud',
+        keywords: ['upload', 'download', 'backup', 'merge'],
+        isEnabled: connected,
+        run: () => this.sync(id),
+      });
+      commands.register({
+        id: `connect-${id}`,
+        title: `Connect ${name}`,
+        group: 'Cloud',
+        keywords: ['sign in', 'login'],
+        isEnabled: () => !connected(),
+        run: () => this.toggleConnection(id),
+      });
+      commands.register({
+        id: `disconnect-${id}`,
+        title: `Disconnect ${name}`,
+        group: 'Cloud',
+        keywords: ['sign out', 'logout'],
+        isEnabled: connected,
+        run: () => this.toggleConnection(id),
+      });
     });
   }
 }
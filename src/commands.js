@@ -0,0 +1,244 @@
+/**
+ * Command Registry
+ * Actions that modules register once and that the command palette and the
+ * / menu offer, ranked by a fuzzy match and by recent use
+ */
+
+const RECENT_KEY = 'recentCommands';
+const MAX_RECENT = 5;
+export const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+// Key names for the physical keys used in shortcuts
+const KEY_LABELS = {
+  Period: '.',
+  Comma: ',',
+  Minus: '-',
+  Equal: '=',
+  Slash: '/',
+  Backslash: '\\',
+  BracketLeft: '[',
+  BracketRight: ']',
+  Semicolon: ';',
+  Quote: "'",
+  Backquote: '`',
+  Escape: 'Esc',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Enter: '↵',
+  Space: 'Space',
+};
+const MODIFIER_LABELS = IS_MAC
+  ? { Mod: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧' }
+  : { Mod: 'Ctrl', Ctrl: 'Ctrl', Meta: 'Win', Alt: 'Alt', Shift: 'Shift' };
+
+/**
+ * Readable form of a shortcut such as "Mod+Shift+KeyX" (Mod is Cmd on a Mac and Ctrl elsewhere)
+ * @param {string} shortcut - Modifiers and a KeyboardEvent.code, joined with "+"
+ * @returns {string} E.g. "⌘⇧X" on a Mac, "Ctrl+Shift+X" elsewhere
+ */
+export function formatShortcut(shortcut) {
+  if (!shortcut) return '';
+  const parts = shortcut.split('+');
+  const code = parts.pop();
+  const key = KEY_LABELS[code] || code.replace(/^(Key|Digit)/, '');
+  return [...parts.map((part) => MODIFIER_LABELS[part] || part), key].join(IS_MAC ? '' : '+');
+}
+
+/**
+ * @param {string} text - Lowercase text
+ * @param {number} index - Position in the text
+ * @returns {boolean} Whether a word starts at the position
+ */
+function isWordStart(text, index) {
+  return index === 0 || /[\s\-/&:]/.test(text[index - 1]);
+}
+
+/**
+ * @param {string} query - Lowercase query
+ * @param {string} text - Lowercase text
+ * @param {number} from - Position in the text to start at
+ * @returns {boolean} Whether the query is an in-order subsequence of the text from the position
+ */
+function isSubsequence(query, text, from) {
+  let position = from;
+  for (const char of query) {
+    position = text.indexOf(char, position) + 1;
+    if (!position) return false;
+  }
+  return true;
+}
+
+/**
+ * Score how well a query matches text as an in-order subsequence. Matches at
+ * the start of words and runs of consecutive characters score higher.
+ * @param {string} query - Lowercase query without spaces
+ * @param {string} text - Text to match
+ * @returns {number} Score above 0, or 0 if the query is not a subsequence of the text
+ */
+function fuzzyScore(query, text) {
+  const target = text.toLowerCase();
+  let score = 0;
+  let run = 0;
+  let position = 0;
+  for (let i = 0; i < query.length; i++) {
+    const char = query[i];
+    let index = target.indexOf(char, position);
+    if (index === -1) return 0;
+
+    // Skip ahead to a word starting with the character, if the rest of the query still matches after it
+    if (index !== position && !isWordStart(target, index)) {
+      for (let next = target.indexOf(char, index + 1); next !== -1; next = target.indexOf(char, next + 1)) {
+        if (isWordStart(target, next) && isSubsequence(query.slice(i + 1), target, next + 1)) {
+          index = next;
+          break;
+        }
+      }
+    }
+
+    run = index === position && position > 0 ? run + 1 : 0;
+    // Every matched character adds to the score, however far it is from the last
+    score += 1 + (isWordStart(target, index) ? 3 : 0) + run * 2 - Math.min(index - position, 3) * 0.25;
+    position = index + 1;
+  }
+  // Prefer shorter texts, where the query covers more of the text
+  return score + query.length / target.length;
+}
+
+class CommandRegistry {
+  constructor() {
+    this.commands = new Map();
+  }
+
+  /**
+   * Add a command, replacing any with the same id
+   * @param {Object} command - Command
+   * @param {string} command.id - Unique id
+   * @param {string} command.title - Name shown in menus
+   * @param {string} [command.group] - Section the command belongs to, such as 'Insert'
+   * @param {Array<string>} [command.keywords] - Other words the command is found by
+   * @param {string|Array<string>} [command.shortcut] - Default key binding, e.g. "Mod+Shift+KeyX", or several
+   * @param {boolean} [command.slash] - Whether the / menu offers it
+   * @param {boolean} [command.inEditor] - Whether it acts at the editor's caret
+   * @param {boolean} [command.palette] - False to leave it out of the command palette
+   * @param {Function} [command.isEnabled] - Returns whether the command can run now
+   * @param {Function} command.run - Runs the command
+   */
+  register(command) {
+    this.commands.set(command.id, { keywords: [], group: '', shortcut: '', ...command });
+  }
+
+  /**
+   * @param {string} id - Command id
+   * @returns {Object|undefined}
+   */
+  get(id) {
+    return this.commands.get(id);
+  }
+
+  /**
+   * @returns {Array<Object>} All commands in registration order
+   */
+  list() {
+    return Array.from(this.commands.values());
+  }
+
+  /**
+   * @param {Object} command - Registered command
+   * @returns {boolean} Whether the command can run now
+   */
+  isEnabled(command) {
+    return !command.isEnabled || command.isEnabled();
+  }
+
+  /**
+   * Score a command against a query; every word of the query has to match
+   * @param {Object} command - Command
+   * @param {Array<string>} terms - Lowercase query words
+   * @returns {number} Score, or 0 if it does not match
+   */
+  score(command, terms) {
+    const fields = [
+      { text: command.title, weight: 1.5 },
+      { text: command.group, weight: 0.8 },
+      ...command.keywords.map((keyword) => ({ text: keyword, weight: 1 })),
+    ];
+    let total = 0;
+    for (const term of terms) {
+      const best = Math.max(...fields.map(({ text, weight }) => (text ? fuzzyScore(term, text) * weight : 0)));
+      if (best === 0) return 0;
+      total += best;
+    }
+    return total;
+  }
+
+  /**
+   * Commands matching a query, best first. Without a query they are listed in registration order.
+   * @param {string} query - Query
+   * @param {Function} [filter] - Returns whether a command is offered at all
+   * @returns {Array<Object>} Matching commands
+   */
+  search(query, filter = () => true) {
+    const commands = this.list().filter(filter);
+    const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return commands;
+
+    const recent = this.getRecentIds();
+    return commands
+      .map((command, order) => {
+        const score = this.score(command, terms);
+        // Recently used commands win close calls
+        const rank = recent.indexOf(command.id);
+        return { command, order, score: score > 0 && rank !== -1 ? score + (MAX_RECENT - rank) * 0.5 : score };
+      })
+      .filter((entry) => entry.score > 0)
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .map((entry) => entry.command);
+  }
+
+  /**
+   * @returns {Array<string>} Ids of the most recently run commands, newest first
+   */
+  getRecentIds() {
+    try {
+      const ids = JSON.parse(localStorage.getItem(RECENT_KEY) || '[]');
+      return Array.isArray(ids) ? ids : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @param {Function} [filter] - Returns whether a command is offered at all
+   * @returns {Array<Object>} Recently run commands that still exist, newest first
+   */
+  getRecent(filter = () => true) {
+    return this.getRecentIds()
+      .map((id) => this.commands.get(id))
+      .filter((command) => command && filter(command));
+  }
+
+  /**
+   * @param {string} id - Command id that just ran
+   */
+  addRecent(id) {
+    const ids = [id, ...this.getRecentIds().filter((recentId) => recentId !== id)].slice(0, MAX_RECENT);
+    localStorage.setItem(RECENT_KEY, JSON.stringify(ids));
+  }
+
+  /**
+   * Run a command if it is enabled
+   * @param {string} id - Command id
+   * @returns {Promise<boolean>} Whether the command ran
+   */
+  async run(id) {
+    const command = this.commands.get(id);
+    if (!command || !this.isEnabled(command)) return false;
+    this.addRecent(id);
+    await command.run();
+    return true;
+  }
+}
+
+export default new CommandRegistry();
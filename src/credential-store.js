@@ -0,0 +1,98 @@
+/**
+ * Credential Store
+ * Cloud provider credentials. They are kept in sessionStorage for the
+ * browser session, and also in IndexedDB when "Stay connected" is on, so
+ * that providers are still connected after the tab is closed.
+ */
+
+import storage, { promisifyRequest } from './storage.js';
+
+const SESSION_PREFIX = 'cloudCredentials:';
+
+class CredentialStore {
+  /**
+   * Whether credentials are kept after the browser session
+   * @returns {boolean}
+   */
+  isPersistent() {
+    try {
+      const settings = JSON.parse(localStorage.getItem('editorSettings') || '{}');
+      return settings.stayConnected === true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Credentials from this browser session
+   * @param {string} provider - Provider id
+   * @returns {Object|null}
+   */
+  get(provider) {
+    try {
+      return JSON.parse(sessionStorage.getItem(SESSION_PREFIX + provider) || 'null');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Credentials from this session, or from an earlier one when staying connected
+   * @param {string} provider - Provider id
+   * @returns {Promise<Object|null>}
+   */
+  async restore(provider) {
+    const current = this.get(provider);
+    if (current || !this.isPersistent()) return current;
+
+    const store = await this.getStore('readonly');
+    const record = await promisifyRequest(store.get(provider));
+    if (!record) return null;
+    sessionStorage.setItem(SESSION_PREFIX + provider, JSON.stringify(record.credentials));
+    return record.credentials;
+  }
+
+  /**
+   * @param {string} provider - Provider id
+   * @param {Object} credentials - Tokens, or whatever else the provider signs in with
+   */
+  async set(provider, credentials) {
+    sessionStorage.setItem(SESSION_PREFIX + provider, JSON.stringify(credentials));
+    const store = await this.getStore('readwrite');
+    await promisifyRequest(this.isPersistent()
+      ? store.put({ provider, credentials })
+      : store.delete(provider));
+  }
+
+  /**
+   * @param {string} provider - Provider id
+   */
+  async delete(provider) {
+    sessionStorage.removeItem(SESSION_PREFIX + provider);
+    const store = await this.getStore('readwrite');
+    await promisifyRequest(store.delete(provider));
+  }
+
+  /**
+   * Save this session's credentials after "Stay connected" was turned on,
+   * or forget the saved ones after it was turned off
+   */
+  async updatePersistence() {
+    const store = await this.getStore('readwrite');
+    if (!this.isPersistent()) {
+      await promisifyRequest(store.clear());
+      return;
+    }
+
+    const providerIds = Object.keys(sessionStorage)
+      .filter((key) => key.startsWith(SESSION_PREFIX))
+      .map((key) => key.slice(SESSION_PREFIX.length));
+    await Promise.all(providerIds.map((provider) => promisifyRequest(store.put({ provider, credentials: this.get(provider) }))));
+  }
+
+  async getStore(mode) {
+    return storage.getStore(mode, storage.credentialsStoreName);
+  }
+}
+
+export default new CredentialStore();
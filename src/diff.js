@@ -0,0 +1,467 @@
+/**
+ * Diff utilities
+ * Word and paragraph level diffs over plain text or editor HTML,
+ * grouped into hunks that can be individually accepted or rejected
+ */
+
+const MAX_EDIT_DISTANCE = 4000; // Beyond this, treat the changed middle as a single replacement
+
+const TEXT_WORD_PATTERN = /\s+|[\p{L}\p{N}_']+|[^\s\p{L}\p{N}_']/gu;
+const TEXT_PARAGRAPH_PATTERN = /[^\n]+|\n+/g;
+const HTML_WORD_PATTERN = /<[^>]+>|&#?\w+;|\s+|[\p{L}\p{N}_']+|[^<&\s\p{L}\p{N}_']/gu;
+
+/**
+ * Escape text for safe insertion as HTML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped HTML
+ */
+export function escapeHTML(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert editor HTML to plain text with one line per block
+ * @param {string} html - HTML content
+ * @returns {string} Plain text
+ */
+export function htmlToPlainText(html) {
+  // An inert template, so that images in the HTML don't load
+  const template = document.createElement('template');
+  template.innerHTML = (html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|blockquote|pre)>/gi, '$&\n');
+  return template.content.textContent || '';
+}
+
+/**
+ * Convert plain text to editor HTML, one line per line break
+ * @param {string} text - Plain text
+ * @returns {string} HTML content
+ */
+export function plainTextToHTML(text) {
+  return escapeHTML(text).replace(/\r\n?/g, '\n').replace(/\n/g, '<br>');
+}
+
+/**
+ * Split top-level HTML into block tokens (one per top-level node)
+ * @param {string} html - HTML content
+ * @returns {Array<string>} Tokens
+ */
+function tokenizeHTMLBlocks(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html || '';
+  return Array.from(template.content.childNodes).map((node) => (
+    node.nodeType === Node.ELEMENT_NODE ? node.outerHTML : escapeHTML(node.textContent)
+  ));
+}
+
+/**
+ * Tokenize content for diffing
+ * @param {string} content - Text or HTML
+ * @param {Object} options - Tokenizer options
+ * @param {boolean} options.html - Whether content is HTML
+ * @param {string} options.granularity - 'word' or 'paragraph'
+ * @returns {Array<string>} Tokens
+ */
+export function tokenize(content, { html = false, granularity = 'word' } = {}) {
+  if (html && granularity === 'paragraph') return tokenizeHTMLBlocks(content);
+
+  const text = html ? (content || '') : (content || '').replace(/\r\n?/g, '\n');
+  let pattern = TEXT_WORD_PATTERN;
+  if (html) pattern = HTML_WORD_PATTERN;
+  else if (granularity === 'paragraph') pattern = TEXT_PARAGRAPH_PATTERN;
+  return text.match(pattern) || [];
+}
+
+/**
+ * Comparison key for a token; whitespace differences are ignored
+ * @param {string} token - Token
+ * @returns {string} Key
+ */
+function tokenKey(token) {
+  if (/^\s+$/.test(token)) return token.includes('\n') ? '\n' : ' ';
+  return token.replace(/\s+$/, '');
+}
+
+/**
+ * Myers diff over two token arrays
+ * @param {Array<string>} a - Old tokens
+ * @param {Array<string>} b - New tokens
+ * @returns {Array<{type: string, tokens: Array<string>}>} Operations
+ */
+export function diffTokens(a, b) {
+  const aKeys = a.map(tokenKey);
+  const bKeys = b.map(tokenKey);
+
+  // Trim common prefix and suffix
+  let start = 0;
+  while (start < a.length && start < b.length && aKeys[start] === bKeys[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && aKeys[endA - 1] === bKeys[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  const push = (type, token) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) last.tokens.push(token);
+    else ops.push({ type, tokens: [token] });
+  };
+
+  for (let i = 0; i < start; i++) push('equal', b[i]);
+  diffMiddle(aKeys, bKeys, start, endA, start, endB).forEach(([type, index]) => {
+    push(type, type === 'delete' ? a[index] : b[index]);
+  });
+  for (let i = endB; i < b.length; i++) push('equal', b[i]);
+
+  return ops;
+}
+
+/**
+ * Core Myers O(ND) diff between key ranges
+ * @returns {Array<[string, number]>} Edit script of [type, index] pairs
+ */
+function diffMiddle(aKeys, bKeys, aStart, aEnd, bStart, bEnd) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const max = n + m;
+  if (max === 0) return [];
+
+  const replaceAll = () => {
+    const script = [];
+    for (let i = aStart; i < aEnd; i++) script.push(['delete', i]);
+    for (let j = bStart; j < bEnd; j++) script.push(['insert', j]);
+    return script;
+  };
+  if (n === 0 || m === 0) return replaceAll();
+
+  // One spare diagonal on each side, read as 0 by the first step of the backtrack
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  let found = false;
+
+  for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d++) {
+    // Only diagonals -d - 1 to d + 1 can be read back for step d
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && aKeys[aStart + x] === bKeys[bStart + y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+    if (found) break;
+  }
+
+  if (!found) return replaceAll();
+
+  // Backtrack through the saved frontiers
+  const script = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const frontier = trace[d];
+    const center = d + 1;
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && frontier[center + k - 1] < frontier[center + k + 1])) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = frontier[center + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      script.push(['equal', bStart + y - 1]);
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) script.push(['insert', bStart + y - 1]);
+      else script.push(['delete', aStart + x - 1]);
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return script.reverse();
+}
+
+/**
+ * Diff two contents
+ * @param {string} oldContent - Old text or HTML
+ * @param {string} newContent - New text or HTML
+ * @param {Object} options - Same options as tokenize()
+ * @returns {Array<Object>} Segments: {type: 'equal', tokens} or {type: 'change', id, deleted, inserted}
+ */
+export function diff(oldContent, newContent, options = {}) {
+  const ops = diffTokens(tokenize(oldContent, options), tokenize(newContent, options));
+  return buildHunks(ops);
+}
+
+/**
+ * Group adjacent insert/delete operations into numbered hunks.
+ * Whitespace-only equal runs between changes are folded into the hunk.
+ * @param {Array<Object>} ops - Operations from diffTokens()
+ * @returns {Array<Object>} Segments
+ */
+export function buildHunks(ops) {
+  const segments = [];
+  let current = null;
+  let nextId = 0;
+
+  ops.forEach((op, index) => {
+    if (op.type === 'equal') {
+      const isWhitespace = op.tokens.every((token) => /^\s+$/.test(token));
+      const nextOp = ops[index + 1];
+      if (current && isWhitespace && nextOp && nextOp.type !== 'equal') {
+        current.deleted.push(...op.tokens);
+        current.inserted.push(...op.tokens);
+        return;
+      }
+      current = null;
+      segments.push({ type: 'equal', tokens: op.tokens });
+      return;
+    }
+
+    if (!current) {
+      current = { type: 'change', id: nextId++, deleted: [], inserted: [] };
+      segments.push(current);
+    }
+    if (op.type === 'delete') current.deleted.push(...op.tokens);
+    else current.inserted.push(...op.tokens);
+  });
+
+  return segments;
+}
+
+/**
+ * Rebuild content from segments, reverting rejected hunks
+ * @param {Array<Object>} segments - Segments from diff()
+ * @param {Set<number>} rejected - Ids of hunks to revert to the old content
+ * @returns {string} Merged content
+ */
+export function mergeHunks(segments, rejected = new Set()) {
+  return segments.map((segment) => {
+    if (segment.type === 'equal') return segment.tokens.join('');
+    return (rejected.has(segment.id) ? segment.deleted : segment.inserted).join('');
+  }).join('');
+}
+
+/**
+ * Render tokens for display, wrapping text runs (never tags) in a marker element
+ * so the result stays well nested
+ * @param {Array<string>} tokens - Tokens
+ * @param {Object} options - Render options
+ * @param {boolean} options.html - Whether tokens are HTML
+ * @param {string} options.marker - Opening marker tag (e.g. '<ins class="...">'), or '' for none
+ * @param {string} options.markerTag - Marker tag name used to close the marker
+ * @returns {string} HTML
+ */
+function renderTokens(tokens, { html, marker = '', markerTag = '' }) {
+  const wrap = (run) => (marker && run ? `${marker}${run}</${markerTag}>` : run);
+
+  if (!html) {
+    return wrap(escapeHTML(tokens.join('')).replace(/\n/g, '<br>'));
+  }
+
+  let out = '';
+  let run = '';
+  tokens.forEach((token) => {
+    if (token.startsWith('<') && token.endsWith('>')) {
+      out += wrap(run) + token;
+      run = '';
+    } else {
+      run += token;
+    }
+  });
+  return out + wrap(run);
+}
+
+/**
+ * Render one side of a side-by-side diff
+ * @param {Array<Object>} segments - Segments from diff()
+ * @param {Object} options - Render options
+ * @param {string} options.side - 'old' or 'new'
+ * @param {boolean} options.html - Whether content is HTML
+ * @param {string} options.granularity - 'word' or 'paragraph'
+ * @param {Set<number>} options.rejected - Rejected hunk ids
+ * @returns {string} HTML
+ */
+export function renderSide(segments, { side, html = false, granularity = 'word', rejected = new Set() }) {
+  return segments.map((segment) => {
+    if (segment.type === 'equal') {
+      return renderTokens(segment.tokens, { html });
+    }
+
+    const tokens = side === 'old' ? segment.deleted : segment.inserted;
+    const markerTag = side === 'old' ? 'del' : 'ins';
+    const state = rejected.has(segment.id) ? 'rejected' : 'accepted';
+    const attrs = `class="diff-hunk ${state}" data-hunk="${segment.id}"`;
+
+    if (html && granularity === 'paragraph') {
+      return `<div ${attrs} data-marker="${markerTag}">${tokens.join('')}</div>`;
+    }
+
+    const hasText = tokens.some((token) => !/^\s*$/.test(token) && !(token.startsWith('<') && token.endsWith('>')));
+    const body = renderTokens(tokens, { html, marker: `<${markerTag} ${attrs}>`, markerTag });
+    if (hasText || !html) return body;
+
+    // Formatting-only change: keep the tags and add a visible, clickable marker
+    return `${body}<${markerTag} ${attrs} data-format title="Formatting changed">¶</${markerTag}>`;
+  }).join('');
+}
+
+/**
+ * Changes a diff makes to its old side, as ranges of old tokens and what replaces them
+ * @param {Array<Object>} ops - Operations from diffTokens()
+ * @returns {Array<{start: number, end: number, tokens: Array<string>}>} Changes in order
+ */
+function changedRanges(ops) {
+  const changes = [];
+  let position = 0;
+  let current = null;
+  ops.forEach((op) => {
+    if (op.type === 'equal') {
+      position += op.tokens.length;
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { start: position, end: position, tokens: [] };
+      changes.push(current);
+    }
+    if (op.type === 'delete') {
+      position += op.tokens.length;
+      current.end = position;
+    } else {
+      current.tokens.push(...op.tokens);
+    }
+  });
+  return changes;
+}
+
+/**
+ * One side's version of the base lines from start to end
+ * @param {Array<string>} base - Base lines
+ * @param {Array<Object>} changes - That side's changes within the range
+ * @param {number} start - First base line
+ * @param {number} end - Base line after the last
+ * @returns {string} Text
+ */
+function applyRanges(base, changes, start, end) {
+  let text = '';
+  let position = start;
+  changes.forEach((change) => {
+    text += base.slice(position, change.start).join('') + change.tokens.join('');
+    position = change.end;
+  });
+  return text + base.slice(position, end).join('');
+}
+
+/**
+ * Split text into lines that keep their line breaks
+ * @param {string} text - Text
+ * @returns {Array<string>} Lines
+ */
+function splitLines(text) {
+  return (text || '').replace(/\r\n?/g, '\n').match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Three-way merge of two edits of the same text, line by line. Lines only
+ * one side changed are taken from that side; where both sides changed the
+ * same lines differently, the result has a conflict to resolve.
+ * @param {string} base - Text both sides started from
+ * @param {string} mine - One edit
+ * @param {string} theirs - The other edit
+ * @returns {Array<Object>} Segments: {type: 'merged', text} or {type: 'conflict', id, base, mine, theirs}
+ */
+export function merge3(base, mine, theirs) {
+  const baseLines = splitLines(base);
+  const changes = [
+    ...changedRanges(diffTokens(baseLines, splitLines(mine))).map((change) => ({ ...change, side: 'mine' })),
+    ...changedRanges(diffTokens(baseLines, splitLines(theirs))).map((change) => ({ ...change, side: 'theirs' })),
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const segments = [];
+  const push = (text) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === 'merged') last.text += text;
+    else if (text) segments.push({ type: 'merged', text });
+  };
+
+  let position = 0;
+  let nextId = 0;
+  let i = 0;
+  while (i < changes.length) {
+    // Changes that overlap, or insert at the same place, have to be taken together
+    const group = [changes[i]];
+    const { start } = changes[i];
+    let { end } = changes[i];
+    for (i++; i < changes.length; i++) {
+      const change = changes[i];
+      if (change.start > end || (change.start === end && change.start !== change.end && start !== end)) break;
+      group.push(change);
+      end = Math.max(end, change.end);
+    }
+
+    push(baseLines.slice(position, start).join(''));
+    const mineText = applyRanges(baseLines, group.filter((change) => change.side === 'mine'), start, end);
+    const theirsText = applyRanges(baseLines, group.filter((change) => change.side === 'theirs'), start, end);
+    const sides = new Set(group.map((change) => change.side));
+
+    if (sides.size === 1) push(sides.has('mine') ? mineText : theirsText);
+    else if (mineText === theirsText) push(mineText);
+    else {
+      segments.push({
+        type: 'conflict',
+        id: nextId++,
+        base: baseLines.slice(start, end).join(''),
+        mine: mineText,
+        theirs: theirsText,
+      });
+    }
+    position = end;
+  }
+  push(baseLines.slice(position).join(''));
+  return segments;
+}
+
+/**
+ * Put merged text back together, taking each conflict from the chosen side
+ * @param {Array<Object>} segments - Segments from merge3()
+ * @param {Map<number, string>} choices - 'mine', 'theirs' or 'both' (mine, a blank line, then theirs) by conflict id; unlisted conflicts keep mine
+ * @returns {string} Text
+ */
+export function resolveMerge(segments, choices = new Map()) {
+  return segments.map((segment) => {
+    if (segment.type === 'merged') return segment.text;
+    const choice = choices.get(segment.id) || 'mine';
+    if (choice === 'both') {
+      if (!segment.mine || !segment.theirs) return segment.mine + segment.theirs;
+      // A blank line between keeps them apart as paragraphs
+      return `${segment.mine.replace(/\n*$/, '\n')}\n${segment.theirs}`;
+    }
+    return choice === 'theirs' ? segment.theirs : segment.mine;
+  }).join('');
+}
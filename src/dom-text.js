@@ -0,0 +1,204 @@
+/**
+ * DOM text mapping
+ * Flattens the text nodes under an element into one string so that offsets
+ * found by searching the string can be turned back into DOM ranges
+ */
+
+const BLOCK_TAGS = new Set(['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'LI', 'BLOCKQUOTE', 'PRE', 'BR', 'HR', 'TR', 'TH', 'TD']);
+
+/**
+ * Collect the text under an element. Block boundaries and line breaks become
+ * "\n" so that matches do not run words from separate lines together.
+ * @param {Node} root - Root element
+ * @returns {{text: string, nodes: Array<{node: Text, start: number}>}} Concatenated text and where each node starts
+ */
+export function collectText(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+  const nodes = [];
+  let text = '';
+  let node;
+  while ((node = walker.nextNode())) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      nodes.push({ node, start: text.length });
+      text += node.nodeValue;
+    } else if (BLOCK_TAGS.has(node.tagName) && text && !text.endsWith('\n')) {
+      text += '\n';
+    }
+  }
+  return { text, nodes };
+}
+
+/**
+ * Find the node containing an offset of the concatenated text
+ * @param {Array<{node: Text, start: number}>} nodes - Node offsets from collectText
+ * @param {number} offset - Offset into the concatenated text
+ * @param {boolean} isEnd - Prefer the earlier node when the offset falls on a boundary
+ * @returns {{node: Text, offset: number}|null} DOM position
+ */
+function locate(nodes, offset, isEnd) {
+  let low = 0;
+  let high = nodes.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    const start = nodes[mid].start;
+    if (start < offset || (!isEnd && start === offset)) low = mid;
+    else high = mid - 1;
+  }
+  const entry = nodes[low];
+  if (!entry) return null;
+  // Offsets on a block separator belong to the end of the preceding text
+  const length = entry.node.nodeValue.length;
+  return { node: entry.node, offset: Math.max(0, Math.min(offset - entry.start, length)) };
+}
+
+/**
+ * Create a range spanning offsets of the concatenated text
+ * @param {{nodes: Array}} map - Result of collectText
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @returns {Range|null} DOM range
+ */
+export function rangeFromOffsets(map, start, end) {
+  const from = locate(map.nodes, start, false);
+  const to = locate(map.nodes, end, true);
+  if (!from || !to) return null;
+
+  const range = document.createRange();
+  range.setStart(from.node, from.offset);
+  range.setEnd(to.node, to.offset);
+  return range;
+}
+
+/**
+ * Build a case-insensitive pattern for text where any whitespace in the needle
+ * matches any run of whitespace or none, since stored text and the editor DOM
+ * may break lines differently
+ * @param {string} needle - Text to find
+ * @returns {RegExp} Global pattern
+ */
+export function loosePattern(needle) {
+  const source = needle
+    .trim()
+    .split(/\s+/)
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('\\s*');
+  return new RegExp(source, 'giu');
+}
+
+// Elements that hold a line of text, and containers whose children do
+const LINE_SELECTOR = 'p, div, h1, h2, h3, h4, h5, h6, li, blockquote, pre, td, th';
+const CONTAINER_SELECTOR = 'ul, ol, table, thead, tbody, tfoot, tr, hr';
+
+/**
+ * @param {Node} root - Root element
+ * @param {Node} node - Node under the root
+ * @returns {Element} The nearest line element holding the node, or the root
+ */
+export function lineElementOf(root, node) {
+  const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  const line = el && el.closest(LINE_SELECTOR);
+  return line && line !== root && root.contains(line) ? line : root;
+}
+
+/**
+ * Map the text under an element line by line, as it reads on screen. Unlike
+ * collectText, every empty paragraph counts as a line of its own, so offsets
+ * can address them.
+ * @param {Node} root - Root element
+ * @returns {{text: string, nodes: Array<{node: Text, start: number}>, lines: Array<{start: number, el: Element}>, root: Node}}
+ *   Text with "\n" between lines, where each text node starts, and the element each line begins in
+ */
+export function mapLines(root) {
+  const nodes = [];
+  const lines = [];
+  let text = '';
+  let open = false;
+
+  const startLine = (node) => {
+    if (lines.length > 0) text += '\n';
+    lines.push({ start: text.length, el: lineElementOf(root, node) });
+    open = true;
+  };
+
+  const walk = (parent) => {
+    for (const child of parent.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        // Source formatting between blocks is not shown
+        if (!child.data || (!open && !child.data.trim() && lineElementOf(root, child) === root)) continue;
+        if (!open) startLine(child);
+        nodes.push({ node: child, start: text.length });
+        text += child.data;
+      } else if (child.nodeType !== Node.ELEMENT_NODE) {
+        continue;
+      } else if (child.tagName === 'BR') {
+        if (!open) startLine(child);
+        open = false;
+      } else if (child.matches(`${LINE_SELECTOR}, ${CONTAINER_SELECTOR}`)) {
+        open = false;
+        const before = lines.length;
+        if (child.tagName !== 'HR') walk(child);
+        if (lines.length === before && child.matches(LINE_SELECTOR)) startLine(child);
+        open = false;
+      } else {
+        walk(child);
+      }
+    }
+  };
+
+  walk(root);
+  if (lines.length === 0) lines.push({ start: 0, el: root });
+  return { text, nodes, lines, root };
+}
+
+/**
+ * @param {{text: string, nodes: Array, lines: Array}} map - Result of mapLines
+ * @param {number} offset - Offset into the text
+ * @returns {{node: Node, offset: number}} DOM position, inside the line the offset is on
+ */
+export function pointAtOffset(map, offset) {
+  const lineStart = offset > 0 ? map.text.lastIndexOf('\n', offset - 1) + 1 : 0;
+  let fallback = null;
+  for (let i = map.nodes.length - 1; i >= 0; i--) {
+    const { node, start } = map.nodes[i];
+    if (start > offset || start + node.length < offset) continue;
+    // Text ending just before a line break belongs to the line above
+    if (start >= lineStart || start + node.length > lineStart) return { node, offset: offset - start };
+    fallback = fallback || { node, offset: offset - start };
+  }
+
+  // An empty line has no text to point into
+  const line = map.lines.find((entry) => entry.start === lineStart);
+  if (line) return { node: line.el, offset: 0 };
+  return fallback || { node: map.root, offset: 0 };
+}
+
+/**
+ * @param {{text: string, nodes: Array, lines: Array, root: Node}} map - Result of mapLines
+ * @param {Node} container - DOM position's node
+ * @param {number} offset - DOM position's offset
+ * @returns {number} Offset into the text
+ */
+export function offsetAtPoint(map, container, offset) {
+  if (container.nodeType === Node.TEXT_NODE) {
+    const entry = map.nodes.find(({ node }) => node === container);
+    if (entry) return entry.start + Math.min(offset, container.length);
+  }
+
+  const empty = map.lines.find(({ start, el }) => el !== map.root && (el === container || el.contains(container))
+    && (start === map.text.length || map.text[start] === '\n'));
+  if (empty) return empty.start;
+
+  const point = document.createRange();
+  point.setStart(container, offset);
+  const line = lineElementOf(map.root, container);
+  let before = null;
+  for (const entry of map.nodes) {
+    if (point.comparePoint(entry.node, 0) > 0) {
+      // Prefer the end of text earlier on the same line to the start of the next
+      if (before && lineElementOf(map.root, before.node) === line) return before.start + before.node.length;
+      return entry.start;
+    }
+    before = entry;
+  }
+  return before ? before.start + before.node.length : 0;
+}
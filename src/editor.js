@@ -4,7 +4,18 @@
  */
 
 import storage from './storage.js';
+import revisions from './revisions.js';
+import trash from './trash.js';
 import ui from './ui.js';
+import { collectText, rangeFromOffsets, loosePattern } from './dom-text.js';
+import { sanitizeHTML } from './sanitize.js';
+import { clipboardToHTML } from './paste.js';
+import { plainTextToHTML } from './diff.js';
+import UndoHistory from './undo-history.js';
+import InputRules from './input-rules.js';
+import VimMode from './vim-mode.js';
+import EmacsMode from './emacs-mode.js';
+import commands from './commands.js';
 
 class Editor {
   constructor() {
@@ -13,10 +24,39 @@ class Editor {
     this.saveDebounceDelay = 500; // 500ms delay for auto-save
     this.typingTimer = null;
     this.isTyping = false;
+    this.currentDocumentId = null;
+    this.lastSavedContent = '';
+    this.plainPaste = false;
+    this.history = new UndoHistory(this);
+    this.inputRules = new InputRules(this);
+    this.vimMode = new VimMode(this);
+    this.emacsMode = new EmacsMode(this);
     
+    this.registerCommands();
     this.init();
   }
 
+  registerCommands() {
+    commands.register({
+      id: 'undo',
+      title: 'Undo',
+      group: 'Edit',
+      shortcut: 'Mod+KeyZ',
+      inEditor: true,
+      isEnabled: () => this.history.canUndo(),
+      run: () => this.history.undo(),
+    });
+    commands.register({
+      id: 'redo',
+      title: 'Redo',
+      group: 'Edit',
+      shortcut: ['Mod+Shift+KeyZ', 'Mod+KeyY'],
+      inEditor: true,
+      isEnabled: () => this.history.canRedo(),
+      run: () => this.history.redo(),
+    });
+  }
+
   async init() {
     // Initialize storage
     try {
@@ -38,43 +78,152 @@ class Editor {
     // Setup auto-save
     this.setupAutoSave();
 
+    // Clean up pasted content
+    this.setupPaste();
+
     // Setup keyboard shortcuts
     this.setupKeyboardShortcuts();
   }
 
   /**
-   * Load content from storage
+   * Load the last opened document (or the most recent one) from storage
    */
   async loadContent() {
     try {
-      const content = await storage.load();
-      if (content) {
-        // Set content while preserving cursor position
-        const selection = window.getSelection();
-        const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
-        
-        this.editorEl.innerHTML = content;
-        ui.updateStats(this.getTextContent());
-
-        // Restore cursor position if possible
-        if (range) {
-          try {
-            selection.removeAllRanges();
-            selection.addRange(range);
-          } catch (e) {
-            // Fallback: place cursor at end
-            this.placeCursorAtEnd();
-          }
-        } else {
-          this.placeCursorAtEnd();
-        }
+      let doc = null;
+      const lastId = storage.getLastDocumentId();
+      if (lastId) {
+        doc = await storage.getDocument(lastId);
       }
+      if (!doc) {
+        const docs = await storage.listDocuments();
+        doc = docs.length > 0 ? await storage.getDocument(docs[0].id) : await storage.createDocument();
+      }
+
+      this.showDocument(doc);
     } catch (error) {
       console.error('Failed to load content:', error);
       ui.updateSaveStatus('Load failed', false);
     }
   }
 
+  /**
+   * Display a document in the editor and make it the current one
+   * @param {Object} doc - Document record from storage
+   */
+  showDocument(doc) {
+    this.currentDocumentId = doc.id;
+    this.lastSavedContent = doc.content || '';
+    storage.setLastDocumentId(doc.id);
+
+    // Stored content may predate sanitizing; the cleaned version is saved on the next edit
+    this.editorEl.innerHTML = sanitizeHTML(this.lastSavedContent);
+    ui.updateStats(this.getTextContent());
+    this.placeCursorAtEnd();
+    this.history.record('switchDocument');
+
+    document.dispatchEvent(new CustomEvent('document-opened', { detail: { id: doc.id } }));
+  }
+
+  /**
+   * Open a stored document, saving the current one first
+   * @param {string} id - Document id
+   */
+  async openDocument(id) {
+    if (id === this.currentDocumentId) return;
+
+    await this.flushSave();
+    const doc = await storage.getDocument(id);
+    if (!doc) {
+      ui.updateSaveStatus('Document not found', false);
+      return;
+    }
+    this.showDocument(doc);
+  }
+
+  /**
+   * Create a new document and open it
+   * @param {Object} options - Optional initial title and content
+   */
+  async newDocument(options = {}) {
+    await this.flushSave();
+    const doc = await storage.createDocument({ ...options, content: sanitizeHTML(options.content) });
+    this.showDocument(doc);
+    this.editorEl.focus();
+    document.dispatchEvent(new CustomEvent('documents-changed'));
+  }
+
+  /**
+   * Move a document to the trash; if it is the open one, switch to the next most recent
+   * @param {string} id - Document id
+   */
+  async trashDocument(id) {
+    if (id === this.currentDocumentId) {
+      await this.flushSave();
+    }
+    await trash.moveToTrash(id);
+
+    if (id === this.currentDocumentId) {
+      const docs = await storage.listDocuments();
+      const next = docs.length > 0 ? await storage.getDocument(docs[0].id) : await storage.createDocument();
+      this.showDocument(next);
+    }
+    document.dispatchEvent(new CustomEvent('documents-changed'));
+  }
+
+  /**
+   * Rename a document
+   * @param {string} id - Document id
+   * @param {string} title - New title
+   */
+  async renameDocument(id, title) {
+    await storage.renameDocument(id, title);
+    document.dispatchEvent(new CustomEvent('documents-changed'));
+  }
+
+  /**
+   * Replace the current document's content.
+   * The content being replaced is snapshotted first so the change can be undone.
+   * @param {string} content - New HTML content
+   * @param {string} label - Label for the snapshot of the replaced content
+   */
+  async replaceContent(content, label) {
+    await this.flushSave();
+    await revisions.create(this.currentDocumentId, this.getHTMLContent(), {
+      kind: 'manual',
+      label,
+    });
+    this.setContent(content);
+    await this.flushSave();
+  }
+
+  /**
+   * Restore the current document to a saved revision
+   * @param {Object} revision - Revision record
+   */
+  async restoreRevision(revision) {
+    await this.replaceContent(revision.content, 'Before restore');
+  }
+
+  /**
+   * Reload from storage after it was cleared externally
+   */
+  async reloadDocuments() {
+    clearTimeout(this.saveDebounceTimer);
+    this.currentDocumentId = null;
+    await this.loadContent();
+    this.history.reset();
+    document.dispatchEvent(new CustomEvent('documents-changed'));
+  }
+
+  /**
+   * Run any pending debounced save immediately
+   */
+  async flushSave() {
+    clearTimeout(this.saveDebounceTimer);
+    await this.save();
+  }
+
   /**
    * Place cursor at end of editor
    */
@@ -87,12 +236,42 @@ class Editor {
     selection.addRange(range);
   }
 
+  /**
+   * Select an occurrence of some text and scroll it into view
+   * @param {string} needle - Text to find (case-insensitive, whitespace may span blocks)
+   * @param {number} occurrence - Zero-based occurrence to reveal
+   * @returns {boolean} Whether the text was found
+   */
+  revealText(needle, occurrence = 0) {
+    if (!needle || !needle.trim()) return false;
+
+    const map = collectText(this.editorEl);
+    const matches = Array.from(map.text.matchAll(loosePattern(needle)));
+    const match = matches[Math.min(occurrence, matches.length - 1)];
+    if (!match) return false;
+
+    const range = rangeFromOffsets(map, match.index, match.index + match[0].length);
+    if (!range) return false;
+
+    this.editorEl.focus();
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    const target = range.startContainer.parentElement;
+    if (target && target.scrollIntoView) {
+      target.scrollIntoView({ block: 'center' });
+    }
+    return true;
+  }
+
   /**
    * Setup auto-save functionality
    */
   setupAutoSave() {
-    this.editorEl.addEventListener('input', () => {
-      this.handleInput();
+    this.editorEl.addEventListener('input', (e) => {
+      this.handleInput(e);
+      this.history.record(e.inputType, e.data);
     });
 
     // Also save on blur (when editor loses focus)
@@ -103,8 +282,12 @@ class Editor {
 
   /**
    * Handle input event (debounced)
+   * @param {InputEvent} [e] - The input event, when the change came from one
    */
-  handleInput() {
+  handleInput(e) {
+    // Turn typed Markdown into formatting
+    if (e) this.inputRules.apply(e);
+
     // Update stats immediately
     ui.updateStats(this.getTextContent());
 
@@ -238,10 +421,19 @@ class Editor {
    * Save content to storage
    */
   async save() {
+    if (!this.currentDocumentId) return;
+
+    const content = this.editorEl.innerHTML;
+    if (content === this.lastSavedContent) return;
+
     try {
-      const content = this.editorEl.innerHTML;
-      await storage.save(content);
+      const doc = await storage.saveDocument(this.currentDocumentId, content);
+      this.lastSavedContent = content;
       ui.updateSaveStatus('Saved', true);
+      revisions.maybeSnapshot(doc.id, content).catch((error) => {
+        console.error('Snapshot failed:', error);
+      });
+      document.dispatchEvent(new CustomEvent('document-saved', { detail: { id: doc.id, title: doc.title } }));
     } catch (error) {
       console.error('Save failed:', error);
       ui.updateSaveStatus('Save failed', false);
@@ -274,22 +466,125 @@ class Editor {
    * @param {string} content - Content to set
    */
   setContent(content) {
-    this.editorEl.innerHTML = content;
-    ui.updateStats(this.getTextContent());
+    this.editorEl.innerHTML = sanitizeHTML(content);
+    this.handleInput();
+    this.history.breakGroup();
+    this.history.record('replaceContent');
+  }
+
+  /**
+   * Replace a range of the document with text as a single undoable edit
+   * @param {Range} range - Range inside the editor
+   * @param {string} text - Replacement text
+   */
+  replaceRange(range, text) {
+    this.editorEl.focus();
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    // execCommand keeps the surrounding formatting and fires the input event
+    // that saves and records the change
+    this.history.breakGroup();
+    const command = text ? 'insertText' : 'delete';
+    if (!document.execCommand(command, false, text)) {
+      range.deleteContents();
+      if (text) range.insertNode(document.createTextNode(text));
+      this.editorEl.normalize();
+      this.handleInput();
+      this.history.record('insertReplacementText');
+    }
+    this.history.breakGroup();
+  }
+
+  /**
+   * Replace the whole document with new HTML as a single undoable edit
+   * @param {string} html - New HTML content
+   */
+  replaceAllHTML(html) {
+    this.editorEl.focus();
+    const range = document.createRange();
+    range.selectNodeContents(this.editorEl);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    if (!document.execCommand('insertHTML', false, html)) {
+      this.setContent(html);
+    }
+  }
+
+  /**
+   * Insert HTML at the cursor as a single undoable edit
+   * @param {string} html - Sanitized HTML
+   */
+  insertHTML(html) {
+    this.history.breakGroup();
+    if (document.execCommand('insertHTML', false, html)) {
+      this.history.breakGroup();
+      return;
+    }
+
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0) return;
+    const range = selection.getRangeAt(0);
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const last = template.content.lastChild;
+    range.deleteContents();
+    range.insertNode(template.content);
+    if (last) {
+      range.setStartAfter(last);
+      range.collapse(true);
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+    this.handleInput();
+    this.history.record('insertFromPaste');
+    this.history.breakGroup();
   }
 
   /**
-   * Setup keyboard shortcuts
+   * Insert plain text at the cursor as a single undoable edit
+   * @param {string} text - Text to insert
+   */
+  insertText(text) {
+    if (!text) return;
+    this.history.breakGroup();
+    if (document.execCommand('insertText', false, text)) {
+      this.history.breakGroup();
+    } else {
+      this.insertHTML(plainTextToHTML(text));
+    }
+  }
+
+  /**
+   * Route pastes through the clipboard pipeline; Cmd/Ctrl+Shift+V pastes plain text
+   */
+  setupPaste() {
+    // The shortcut still triggers the browser's paste, so remember it for the paste event
+    this.editorEl.addEventListener('keydown', (e) => {
+      this.plainPaste = (e.metaKey || e.ctrlKey) && e.shiftKey && e.key.toLowerCase() === 'v';
+    });
+
+    this.editorEl.addEventListener('paste', (e) => {
+      const plain = this.plainPaste;
+      this.plainPaste = false;
+      if (!e.clipboardData) return;
+
+      e.preventDefault();
+      const text = e.clipboardData.getData('text/plain');
+      const html = plain ? null : clipboardToHTML({ html: e.clipboardData.getData('text/html'), text });
+      if (html === null) this.insertText(text);
+      else this.insertHTML(html);
+    });
+  }
+
+  /**
+   * Setup keyboard shortcuts; command shortcuts are run by the keybindings module
    */
   setupKeyboardShortcuts() {
     document.addEventListener('keydown', (e) => {
-      // Cmd/Ctrl + S: Prevent default and show export menu (we handle save automatically)
-      if ((e.metaKey || e.ctrlKey) && e.key === 's') {
-        e.preventDefault();
-        // Auto-save is handled, but we can trigger export menu
-        document.getElementById('export-btn').click();
-      }
-
       // Escape: Close modals
       if (e.key === 'Escape') {
         const visibleModal = document.querySelector('.modal.visible');
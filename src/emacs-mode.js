@@ -0,0 +1,518 @@
+/**
+ * Emacs Mode
+ * Emacs editing keys for the editor: movement, kills and yanks with a kill
+ * ring, mark and region, and incremental search. Off unless chosen as the
+ * editing keys in Settings. The keys only apply while typing in the editor,
+ * so the app's shortcuts keep working elsewhere, and Cmd shortcuts keep
+ * working everywhere on a Mac.
+ */
+
+import { IS_MAC } from './commands.js';
+import { mapLines, pointAtOffset, offsetAtPoint } from './dom-text.js';
+import { charClass, lineStartOf, lineEndOf, lineStarts, lineIndexOf, deleteText, insertText } from './text-edits.js';
+
+const KILL_RING_SIZE = 30;
+
+// Emacs key names, the methods they run and what the Keyboard Shortcuts dialog calls them
+const KEYS = {
+  'C-a': { method: 'lineStart', title: 'Beginning of Line' },
+  'C-e': { method: 'lineEnd', title: 'End of Line' },
+  'C-f': { method: 'forwardChar', title: 'Forward Character' },
+  'C-b': { method: 'backwardChar', title: 'Backward Character' },
+  'C-n': { method: 'nextLine', title: 'Next Line' },
+  'C-p': { method: 'previousLine', title: 'Previous Line' },
+  'M-f': { method: 'forwardWord', title: 'Forward Word' },
+  'M-b': { method: 'backwardWord', title: 'Backward Word' },
+  'C-k': { method: 'killLine', title: 'Kill Line' },
+  'C-w': { method: 'killRegion', title: 'Kill Region' },
+  'M-w': { method: 'copyRegion', title: 'Copy Region' },
+  'C-y': { method: 'yank', title: 'Yank' },
+  'M-y': { method: 'yankPop', title: 'Yank Earlier Kill' },
+  'C-SPC': { method: 'setMark', title: 'Set Mark' },
+  'C-g': { method: 'quit', title: 'Quit' },
+  'C-s': { method: 'searchForward', title: 'Incremental Search Forward' },
+  'C-r': { method: 'searchBackward', title: 'Incremental Search Backward' },
+};
+
+/**
+ * The Emacs keys as shortcuts in the form commands use, such as "Mod+KeyK" for
+ * C-k on Windows and Linux and "Ctrl+KeyK" on a Mac
+ * @returns {Array<{title: string, shortcut: string}>}
+ */
+export function getEmacsShortcuts() {
+  return Object.entries(KEYS).map(([key, { title }]) => {
+    const [modifier, name] = key.split('-');
+    const code = name === 'SPC' ? 'Space' : `Key${name.toUpperCase()}`;
+    return { title, shortcut: `${modifier === 'M' ? 'Alt' : IS_MAC ? 'Ctrl' : 'Mod'}+${code}` };
+  });
+}
+
+/**
+ * Name a key press the Emacs way, such as "C-k" for Ctrl+K or "M-f" for Alt/Option+F
+ * @param {KeyboardEvent} e - Keydown event
+ * @returns {string|null} Key name, or null without exactly one of Ctrl and Alt
+ */
+function emacsKey(e) {
+  if (e.metaKey || e.shiftKey || e.ctrlKey === e.altKey) return null;
+  let name;
+  if (e.code === 'Space' || e.key === ' ') name = 'SPC';
+  // Option on a Mac changes the character, so go by the physical key
+  else if (/^Key[A-Z]$/.test(e.code)) name = e.code.slice(3).toLowerCase();
+  else name = e.key.toLowerCase();
+  return `${e.ctrlKey ? 'C' : 'M'}-${name}`;
+}
+
+class EmacsMode {
+  /**
+   * @param {Editor} editor - The editor whose keys are handled
+   */
+  constructor(editor) {
+    this.editor = editor;
+    this.root = editor.editorEl;
+    this.statusEl = document.getElementById('keymap-status');
+    this.modeEl = document.getElementById('keymap-mode');
+    this.messageEl = document.getElementById('keymap-message');
+    this.searchInput = document.getElementById('keymap-search');
+
+    this.enabled = false;
+    this.mark = null;
+    this.killRing = [];
+    this.yankIndex = 0;
+    this.lastYank = null;
+    this.lastCommand = null;
+    this.column = null;
+    this.search = null;
+    this.lastSearch = '';
+
+    this.init();
+  }
+
+  init() {
+    // Capture, so the keys are taken before the app's shortcuts and the browser's own
+    this.root.addEventListener('keydown', (e) => this.handleKeydown(e), true);
+    this.root.addEventListener('mousedown', () => {
+      this.mark = null;
+      this.lastCommand = null;
+    });
+
+    this.searchInput.addEventListener('input', () => {
+      if (this.search) this.updateSearch(false);
+    });
+    this.searchInput.addEventListener('keydown', (e) => this.handleSearchKey(e));
+    this.searchInput.addEventListener('blur', () => this.endSearch(false));
+
+    document.addEventListener('keymap-changed', (e) => this.setEnabled(e.detail.keymap === 'emacs'));
+    this.setEnabled(this.isChosen());
+  }
+
+  /**
+   * Emacs keys are on when chosen as the editing keys in Settings
+   * @returns {boolean}
+   */
+  isChosen() {
+    try {
+      const settings = JSON.parse(localStorage.getItem('editorSettings') || '{}');
+      return settings.keymap === 'emacs';
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * @param {boolean} enabled - Whether Emacs keys are used
+   */
+  setEnabled(enabled) {
+    if (enabled === this.enabled) return;
+    this.enabled = enabled;
+    this.mark = null;
+    this.lastCommand = null;
+    // The mode line is shared with the Vim keys
+    if (enabled) this.statusEl.dataset.keymap = 'emacs';
+    if (this.statusEl.dataset.keymap === 'emacs') this.statusEl.hidden = !enabled;
+    if (enabled) {
+      this.modeEl.textContent = 'Emacs';
+      this.showMessage('');
+    }
+  }
+
+  /**
+   * @param {KeyboardEvent} e - Keydown in the editor
+   */
+  handleKeydown(e) {
+    if (!this.enabled || e.isComposing) return;
+    const key = emacsKey(e);
+    const method = key && KEYS[key] && KEYS[key].method;
+    if (!method) {
+      // Modifier presses on their own don't end a run of kills or yanks
+      if (!['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) this.lastCommand = null;
+      return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+    this.showMessage('');
+    this[method]();
+    this.lastCommand = method;
+  }
+
+  lineStart() {
+    const text = this.getText();
+    this.moveTo(lineStartOf(text, this.getPoint()));
+  }
+
+  lineEnd() {
+    const text = this.getText();
+    this.moveTo(lineEndOf(text, this.getPoint()));
+  }
+
+  forwardChar() {
+    this.moveTo(Math.min(this.getPoint() + 1, this.getText().length));
+  }
+
+  backwardChar() {
+    this.moveTo(Math.max(this.getPoint() - 1, 0));
+  }
+
+  nextLine() {
+    this.moveLines(1);
+  }
+
+  previousLine() {
+    this.moveLines(-1);
+  }
+
+  /**
+   * Move up or down, keeping to the column the first of a run of line moves started at
+   * @param {number} delta - Lines to move
+   */
+  moveLines(delta) {
+    const text = this.getText();
+    const point = this.getPoint();
+    if (this.lastCommand !== 'nextLine' && this.lastCommand !== 'previousLine') {
+      this.column = point - lineStartOf(text, point);
+    }
+    const starts = lineStarts(text);
+    const index = lineIndexOf(text, point) + delta;
+    if (index < 0 || index >= starts.length) {
+      this.moveTo(index < 0 ? 0 : text.length);
+      return;
+    }
+    this.moveTo(Math.min(starts[index] + this.column, lineEndOf(text, starts[index])));
+  }
+
+  /**
+   * Move to the end of this or the next word (M-f)
+   */
+  forwardWord() {
+    const text = this.getText();
+    let pos = this.getPoint();
+    while (pos < text.length && charClass(text[pos]) !== 1) pos++;
+    while (pos < text.length && charClass(text[pos]) === 1) pos++;
+    this.moveTo(pos);
+  }
+
+  /**
+   * Move to the start of this or the previous word (M-b)
+   */
+  backwardWord() {
+    const text = this.getText();
+    let pos = this.getPoint();
+    while (pos > 0 && charClass(text[pos - 1]) !== 1) pos--;
+    while (pos > 0 && charClass(text[pos - 1]) === 1) pos--;
+    this.moveTo(pos);
+  }
+
+  /**
+   * Kill to the end of the line, or the line break when already there (C-k)
+   */
+  killLine() {
+    const text = this.getText();
+    const point = this.getPoint();
+    const end = lineEndOf(text, point);
+    this.mark = null;
+    if (point === text.length) {
+      this.showMessage('End of buffer');
+      return;
+    }
+    this.kill(point, end > point ? end : end + 1);
+  }
+
+  /**
+   * Kill the text between the mark and the point (C-w)
+   */
+  killRegion() {
+    const region = this.getRegion();
+    if (!region) return;
+    this.mark = null;
+    this.kill(region.from, region.to);
+  }
+
+  /**
+   * Copy the region to the kill ring without deleting it (M-w)
+   */
+  copyRegion() {
+    const region = this.getRegion();
+    if (!region) return;
+    this.pushKill(this.getText().slice(region.from, region.to), false);
+    this.mark = null;
+    this.moveTo(this.getPoint());
+  }
+
+  /**
+   * Delete text onto the kill ring. Kills in a row add to the same entry.
+   * @param {number} from - Start offset
+   * @param {number} to - End offset
+   */
+  kill(from, to) {
+    const killed = this.getText().slice(from, to);
+    const append = this.lastCommand === 'killLine' || this.lastCommand === 'killRegion';
+    this.pushKill(killed, append);
+    this.change(() => deleteText(this.root, from, to), 'deleteByCut');
+    this.moveTo(from);
+  }
+
+  /**
+   * @param {string} text - Killed or copied text
+   * @param {boolean} append - Add to the newest entry instead of starting one
+   */
+  pushKill(text, append) {
+    if (append && this.killRing.length > 0) this.killRing[0] += text;
+    else this.killRing.unshift(text);
+    this.killRing.length = Math.min(this.killRing.length, KILL_RING_SIZE);
+    this.yankIndex = 0;
+  }
+
+  /**
+   * Insert the newest kill at the point (C-y)
+   */
+  yank() {
+    if (this.killRing.length === 0) {
+      this.showMessage('Kill ring is empty');
+      return;
+    }
+    this.mark = null;
+    this.yankIndex = 0;
+    this.insertYank(this.getPoint(), this.killRing[0]);
+  }
+
+  /**
+   * Replace the text just yanked with the kill before it (M-y)
+   */
+  yankPop() {
+    if (!this.lastYank || (this.lastCommand !== 'yank' && this.lastCommand !== 'yankPop')) {
+      this.showMessage('Previous command was not a yank');
+      return;
+    }
+    this.yankIndex = (this.yankIndex + 1) % this.killRing.length;
+    const { from, to } = this.lastYank;
+    this.change(() => deleteText(this.root, from, to), 'deleteContent');
+    this.insertYank(from, this.killRing[this.yankIndex]);
+  }
+
+  /**
+   * @param {number} pos - Offset to insert at
+   * @param {string} text - Text
+   */
+  insertYank(pos, text) {
+    this.change(() => insertText(this.root, pos, text), 'insertFromYank');
+    this.lastYank = { from: pos, to: pos + text.length };
+    this.moveTo(pos + text.length);
+  }
+
+  /**
+   * Set the mark at the point; moving then selects the region (C-SPC)
+   */
+  setMark() {
+    this.mark = this.getPoint();
+    this.moveTo(this.mark);
+    this.showMessage('Mark set');
+  }
+
+  /**
+   * Drop the mark (C-g)
+   */
+  quit() {
+    this.mark = null;
+    this.moveTo(this.getPoint());
+    this.showMessage('Quit');
+  }
+
+  searchForward() {
+    this.startSearch(true);
+  }
+
+  searchBackward() {
+    this.startSearch(false);
+  }
+
+  /**
+   * @returns {{from: number, to: number}|null} The region, or null without a mark
+   */
+  getRegion() {
+    if (this.mark === null) {
+      this.showMessage('The mark is not set now, so there is no region');
+      return null;
+    }
+    const point = this.getPoint();
+    return { from: Math.min(this.mark, point), to: Math.max(this.mark, point) };
+  }
+
+  /**
+   * Open the search field; each letter typed moves to the next match (C-s, C-r)
+   * @param {boolean} forward - Search forward rather than backward
+   */
+  startSearch(forward) {
+    const point = this.getPoint();
+    this.mark = null;
+    this.search = { origin: point, match: null, forward, start: point };
+    this.searchInput.value = '';
+    this.searchInput.hidden = false;
+    this.showMessage(forward ? 'I-search:' : 'I-search backward:');
+    this.searchInput.focus();
+  }
+
+  /**
+   * @param {KeyboardEvent} e - Keydown in the search field
+   */
+  handleSearchKey(e) {
+    if (!this.search) return;
+    const key = emacsKey(e);
+    if (key === 'C-s' || key === 'C-r') {
+      e.preventDefault();
+      this.search.forward = key === 'C-s';
+      // C-s again with an empty field searches for the last string again
+      if (!this.searchInput.value && this.lastSearch) this.searchInput.value = this.lastSearch;
+      this.updateSearch(true);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      this.endSearch(true);
+    } else if (e.key === 'Escape' || key === 'C-g') {
+      e.preventDefault();
+      e.stopPropagation();
+      this.endSearch(false);
+    }
+  }
+
+  /**
+   * Find the search string from where the search stands and show the match
+   * @param {boolean} next - Look past the current match for the next one
+   */
+  updateSearch(next) {
+    const query = this.searchInput.value;
+    const { forward, match } = this.search;
+    this.showMessage(forward ? 'I-search:' : 'I-search backward:');
+    if (!query) {
+      this.search.match = null;
+      this.showMatch(null);
+      return;
+    }
+
+    const ignoreCase = query === query.toLowerCase();
+    const source = this.getText();
+    const text = ignoreCase ? source.toLowerCase() : source;
+    const needle = ignoreCase ? query.toLowerCase() : query;
+    let from = match ? match.from : this.search.start;
+    if (next && match) from = forward ? match.from + 1 : match.from - 1;
+
+    let found = forward ? text.indexOf(needle, from) : (from >= 0 ? text.lastIndexOf(needle, from) : -1);
+    if (found === -1 && next) {
+      // Searching again after a failure wraps around
+      found = forward ? text.indexOf(needle) : text.lastIndexOf(needle);
+    }
+    if (found === -1) {
+      this.showMessage(`Failing ${forward ? 'I-search' : 'I-search backward'}:`);
+      return;
+    }
+    this.search.match = { from: found, to: found + needle.length };
+    this.showMatch(this.search.match);
+  }
+
+  /**
+   * @param {{from: number, to: number}|null} match - Match to highlight
+   */
+  showMatch(match) {
+    if (typeof CSS === 'undefined' || !CSS.highlights || typeof Highlight !== 'function') return;
+    if (!match) {
+      CSS.highlights.delete('keymap-search');
+      return;
+    }
+    const map = mapLines(this.root);
+    const start = pointAtOffset(map, match.from);
+    const end = pointAtOffset(map, match.to);
+    const range = document.createRange();
+    range.setStart(start.node, start.offset);
+    range.setEnd(end.node, end.offset);
+    CSS.highlights.set('keymap-search', new Highlight(range));
+    const block = start.node.nodeType === Node.ELEMENT_NODE ? start.node : start.node.parentElement;
+    if (block && block.scrollIntoView) block.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * @param {boolean} accept - Stay at the match rather than go back to where the search began
+   */
+  endSearch(accept) {
+    if (!this.search) return;
+    const { origin, match, forward } = this.search;
+    this.search = null;
+    if (this.searchInput.value) this.lastSearch = this.searchInput.value;
+    this.searchInput.hidden = true;
+    this.showMatch(null);
+    this.showMessage('');
+    this.root.focus();
+    if (accept && match) {
+      this.moveTo(forward ? match.to : match.from);
+    } else {
+      this.moveTo(origin);
+    }
+  }
+
+  /**
+   * Make a change to the editor as one undo step, saved like typing
+   * @param {Function} edit - Changes the DOM
+   * @param {string} inputType - Input type reported for the change
+   */
+  change(edit, inputType) {
+    edit();
+    this.editor.history.breakGroup();
+    this.root.dispatchEvent(new InputEvent('input', { bubbles: true, inputType }));
+    this.editor.history.breakGroup();
+  }
+
+  /**
+   * @returns {string} Editor text, one line per line on screen
+   */
+  getText() {
+    return mapLines(this.root).text;
+  }
+
+  /**
+   * @returns {number} Offset of the caret, or of the moving end of the region
+   */
+  getPoint() {
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0 || !this.root.contains(selection.focusNode)) return 0;
+    return offsetAtPoint(mapLines(this.root), selection.focusNode, selection.focusOffset);
+  }
+
+  /**
+   * Move the point, selecting from the mark when it is set
+   * @param {number} pos - Offset
+   */
+  moveTo(pos) {
+    const map = mapLines(this.root);
+    const point = pointAtOffset(map, pos);
+    const anchor = this.mark === null ? point : pointAtOffset(map, Math.min(this.mark, map.text.length));
+    window.getSelection().setBaseAndExtent(anchor.node, anchor.offset, point.node, point.offset);
+    const el = point.node.nodeType === Node.ELEMENT_NODE ? point.node : point.node.parentElement;
+    if (el && el.scrollIntoView) el.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * @param {string} text - Message for the mode line, or '' to clear it
+   */
+  showMessage(text) {
+    if (this.enabled) this.messageEl.textContent = text;
+  }
+}
+
+export default EmacsMode;
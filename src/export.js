@@ -3,7 +3,51 @@
  * Handles exporting content to TXT and Markdown formats
  */
 
+import { htmlToMarkdown } from './markdown.js';
+import ui from './ui.js';
+import commands from './commands.js';
+
+// Formats offered for export, by file extension
+const FORMATS = {
+  md: { name: 'Markdown', keywords: ['download', 'save', 'md'] },
+  txt: { name: 'TXT', title: 'Plain Text', keywords: ['download', 'save', 'text', 'txt'] },
+};
+
 class Export {
+  /**
+   * Register the export commands
+   * @param {Function} getContent - Returns the HTML content to export
+   */
+  registerCommands(getContent) {
+    Object.keys(FORMATS).forEach((extension) => {
+      const format = FORMATS[extension];
+      commands.register({
+        id: `export-${extension}`,
+        title: `Export as ${format.title || format.name}`,
+        group: 'Export',
+        keywords: format.keywords,
+        run: () => this.exportDocument(extension, getContent()),
+      });
+    });
+  }
+
+  /**
+   * Download content in a format and show which format it was saved as
+   * @param {string} extension - 'md' or 'txt'
+   * @param {string} content - HTML content
+   */
+  exportDocument(extension, content) {
+    const filename = this.generateFilename(extension);
+    if (extension === 'md') this.exportAsMD(content, filename);
+    else this.exportAsTXT(content, filename);
+
+    // Update file extension indicator
+    const fileExt = document.getElementById('file-extension');
+    if (fileExt) fileExt.textContent = `.${extension}`;
+
+    ui.updateSaveStatus(`Exported as ${FORMATS[extension].name}`, true);
+  }
+
   /**
    * Export content as plain text
    * @param {string} content - The content to export
@@ -23,7 +67,6 @@ class Export {
    * @param {string} filename - Optional filename
    */
   exportAsMD(content, filename = 'document.md') {
-    // Convert HTML to Markdown (basic conversion)
     const markdown = this.htmlToMarkdown(content);
     
     const blob = new Blob([markdown], { type: 'text/markdown' });
@@ -48,29 +91,12 @@ class Export {
   }
 
   /**
-   * Convert HTML to Markdown (basic conversion)
+   * Convert HTML to Markdown
    * @param {string} html - HTML content
    * @returns {string} Markdown content
    */
   htmlToMarkdown(html) {
-    // For a simple editor, we'll mostly preserve the text
-    // This is a basic implementation - can be enhanced with a library later
-    let markdown = html;
-    
-    // Replace <br> with newlines
-    markdown = markdown.replace(/<br\s*\/?>/gi, '\n');
-    
-    // Replace <p> tags with double newlines
-    markdown = markdown.replace(/<p>/gi, '');
-    markdown = markdown.replace(/<\/p>/gi, '\n\n');
-    
-    // Strip remaining HTML tags
-    markdown = this.stripHTML(markdown);
-    
-    // Clean up excessive newlines
-    markdown = markdown.replace(/\n{3,}/g, '\n\n');
-    
-    return markdown.trim();
+    return htmlToMarkdown(html);
   }
 
   /**
@@ -94,12 +120,13 @@ class Export {
   /**
    * Generate filename with timestamp
    * @param {string} extension - File extension (e.g., 'txt', 'md')
+   * @param {string} prefix - Filename prefix (default: 'document')
    * @returns {string} Filename
    */
-  generateFilename(extension) {
+  generateFilename(extension, prefix = 'document') {
     const date = new Date();
     const timestamp = date.toISOString().split('T')[0]; // YYYY-MM-DD
-    return `document-${timestamp}.${extension}`;
+    return `${prefix}-${timestamp}.${extension}`;
   }
 }
 
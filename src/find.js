@@ -0,0 +1,69 @@
+/**
+ * Find and replace utilities
+ * Builds search patterns for literal, whole-word and regular-expression
+ * queries and expands replacement templates
+ */
+
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+/**
+ * Build the pattern for a find query
+ * @param {string} query - Text or regular expression source
+ * @param {Object} options - Find options
+ * @param {boolean} options.caseSensitive - Match case exactly
+ * @param {boolean} options.wholeWord - Only match whole words
+ * @param {boolean} options.regex - Treat the query as a regular expression
+ * @returns {RegExp|null} Global pattern, or null for an empty query
+ * @throws {SyntaxError} If the regular expression is invalid
+ */
+export function buildFindPattern(query, { caseSensitive = false, wholeWord = false, regex = false } = {}) {
+  if (!query) return null;
+
+  let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (wholeWord) {
+    source = `(?<!${WORD_CHAR})(?:${source})(?!${WORD_CHAR})`;
+  }
+  return new RegExp(source, caseSensitive ? 'gmu' : 'gimu');
+}
+
+/**
+ * Find all non-empty matches of a pattern
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Global pattern
+ * @returns {Array<RegExpMatchArray>} Matches in document order
+ */
+export function findMatches(text, pattern) {
+  if (!pattern) return [];
+  return Array.from(text.matchAll(pattern)).filter((match) => match[0].length > 0);
+}
+
+/**
+ * Expand a replacement template for a match. In regex mode $&, $1…$99, $<name>
+ * and $$ are substituted as in String.prototype.replace; otherwise the
+ * replacement is used literally.
+ * @param {RegExpMatchArray} match - Match to replace
+ * @param {string} template - Replacement text
+ * @param {boolean} regex - Whether the query is a regular expression
+ * @returns {string} Replacement
+ */
+export function expandReplacement(match, template, regex) {
+  if (!regex) return template;
+
+  return template.replace(/\$(\$|&|<([^>]*)>|(\d{1,2}))/g, (token, what, name, digits) => {
+    if (what === '$') return '$';
+    if (what === '&') return match[0];
+    if (name !== undefined) {
+      return match.groups && match.groups[name] !== undefined ? match.groups[name] : '';
+    }
+
+    // Prefer a two-digit group when it exists, as String.prototype.replace does
+    let index = Number(digits);
+    let rest = '';
+    if (index >= match.length && digits.length === 2) {
+      index = Number(digits[0]);
+      rest = digits[1];
+    }
+    if (index === 0 || index >= match.length) return token;
+    return (match[index] || '') + rest;
+  });
+}
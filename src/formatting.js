@@ -0,0 +1,778 @@
+/**
+ * Formatting
+ * Toggles inline marks and block types over a range while keeping the
+ * formatting already inside it
+ */
+
+import { collectText } from './dom-text.js';
+
+const TEXT_BLOCK_SELECTOR = 'p, div, h1, h2, h3, h4, h5, h6, pre';
+const BLOCK_SELECTOR = `${TEXT_BLOCK_SELECTOR}, ul, ol, li, blockquote, hr, table, thead, tbody, tr, th, td`;
+// Lines of inline content inside these are blocks of their own
+const LINE_CONTAINER_SELECTOR = 'li, blockquote, th, td';
+// Whitespace directly inside these is layout, not text that can be formatted
+const CONTAINER_TAGS = new Set(['UL', 'OL', 'LI', 'BLOCKQUOTE', 'TABLE', 'THEAD', 'TBODY', 'TR']);
+
+/**
+ * Closest ancestor of a node matching a selector, stopping at the root
+ * @param {Node} node - Node
+ * @param {string} selector - CSS selector
+ * @param {Element} root - Editor root
+ * @returns {Element|null}
+ */
+function closestWithin(node, selector, root) {
+  let el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  while (el && el !== root) {
+    if (el.matches(selector)) return el;
+    el = el.parentElement;
+  }
+  return null;
+}
+
+/**
+ * @param {Element} el - Element
+ */
+function unwrap(el) {
+  el.replaceWith(...el.childNodes);
+}
+
+/**
+ * Replace an element with one of another tag, keeping its attributes and children
+ * @param {Element} el - Element
+ * @param {string} tag - New tag name
+ * @returns {Element} The new element
+ */
+function renameElement(el, tag) {
+  if (el.tagName === tag.toUpperCase()) return el;
+  const replacement = document.createElement(tag);
+  Array.from(el.attributes).forEach(({ name, value }) => replacement.setAttribute(name, value));
+  replacement.append(...el.childNodes);
+  el.replaceWith(replacement);
+  return replacement;
+}
+
+/**
+ * Whether two elements have the same tag and attributes
+ * @param {Node} a - First node
+ * @param {Node} b - Second node
+ * @returns {boolean}
+ */
+function isSameMark(a, b) {
+  return !!a && !!b && a.nodeType === Node.ELEMENT_NODE && b.nodeType === Node.ELEMENT_NODE
+    && a.cloneNode(false).isEqualNode(b.cloneNode(false));
+}
+
+/**
+ * Text nodes with selected characters, in document order
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ * @returns {Array<Text>}
+ */
+export function textNodesInRange(range, root) {
+  const ancestor = range.commonAncestorContainer;
+  const candidates = [];
+  if (ancestor.nodeType === Node.TEXT_NODE) {
+    candidates.push(ancestor);
+  } else {
+    const walker = document.createTreeWalker(ancestor, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) candidates.push(node);
+  }
+
+  return candidates.filter((node) => {
+    if (!root.contains(node) || !range.intersectsNode(node)) return false;
+    if (node === range.startContainer && range.startOffset >= node.length) return false;
+    if (node === range.endContainer && range.endOffset === 0) return false;
+    const parent = node.parentNode;
+    return !!node.data.trim() || (parent !== root && !CONTAINER_TAGS.has(parent.tagName));
+  });
+}
+
+/**
+ * Split text nodes at the range boundaries so whole nodes can be wrapped
+ * @param {Range} range - Range, updated to the split nodes
+ */
+function splitBoundaries(range) {
+  const { startContainer, startOffset, endContainer, endOffset } = range;
+  if (endContainer.nodeType === Node.TEXT_NODE && endOffset > 0 && endOffset < endContainer.length) {
+    endContainer.splitText(endOffset);
+    range.setEnd(endContainer, endOffset);
+  }
+  if (startContainer.nodeType === Node.TEXT_NODE && startOffset > 0 && startOffset < startContainer.length) {
+    const rest = startContainer.splitText(startOffset);
+    range.setStart(rest, 0);
+    if (endContainer === startContainer) range.setEnd(rest, endOffset - startOffset);
+  }
+}
+
+/**
+ * Range covering a list of text nodes
+ * @param {Array<Text>} nodes - Text nodes in document order
+ * @returns {Range}
+ */
+export function rangeAround(nodes) {
+  const range = document.createRange();
+  const last = nodes[nodes.length - 1];
+  range.setStart(nodes[0], 0);
+  range.setEnd(last, last.length);
+  return range;
+}
+
+/**
+ * Whether every selected character is inside a mark
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ * @param {string} selector - Elements that count as the mark
+ * @returns {boolean}
+ */
+export function isMarkActive(range, root, selector) {
+  const nodes = textNodesInRange(range, root);
+  return nodes.length > 0 && nodes.every((node) => closestWithin(node, selector, root));
+}
+
+/**
+ * Merge a mark with identical neighbouring marks
+ * @param {Element} el - Mark element
+ */
+function mergeWithSiblings(el) {
+  const skipEmpty = (node, direction) => {
+    while (node && node.nodeType === Node.TEXT_NODE && !node.data) node = node[direction];
+    return node;
+  };
+
+  const previous = skipEmpty(el.previousSibling, 'previousSibling');
+  if (isSameMark(previous, el)) {
+    previous.append(...el.childNodes);
+    el.remove();
+    el = previous;
+  }
+  const next = skipEmpty(el.nextSibling, 'nextSibling');
+  if (isSameMark(el, next)) {
+    el.append(...next.childNodes);
+    next.remove();
+  }
+}
+
+/**
+ * Wrap the selected text in a mark, extending each wrapper over whole
+ * inline elements where possible and merging it with identical neighbours
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ * @param {Object} mark - Mark to apply
+ * @param {string} mark.tag - Tag to create
+ * @param {string} mark.selector - Elements that already count as the mark
+ * @param {Object} attributes - Attributes for the new elements
+ * @returns {Array<Text>} The formatted text nodes
+ */
+export function applyMark(range, root, { tag, selector }, attributes = {}) {
+  splitBoundaries(range);
+  const nodes = textNodesInRange(range, root);
+  const selected = new Set(nodes);
+  const isFullySelected = (el) => {
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      if (!selected.has(node) && node.data.trim()) return false;
+    }
+    return true;
+  };
+
+  nodes.forEach((node) => {
+    if (closestWithin(node, selector, root)) return;
+
+    // Wrap the largest inline ancestor that holds nothing but selected text
+    let target = node;
+    while (
+      target.parentNode !== root
+      && !target.parentNode.matches(BLOCK_SELECTOR)
+      && isFullySelected(target.parentNode)
+    ) {
+      target = target.parentNode;
+    }
+
+    const el = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+    target.before(el);
+    el.appendChild(target);
+    // The new mark makes any copies inside it redundant
+    el.querySelectorAll(selector).forEach(unwrap);
+    mergeWithSiblings(el);
+  });
+
+  return nodes;
+}
+
+/**
+ * Move the part of an element outside a run of its descendants into copies of it
+ * @param {Element} el - Element to split
+ * @param {Node} first - First node to keep
+ * @param {Node} last - Last node to keep
+ */
+function splitAround(el, first, last) {
+  const moveOut = (range, where) => {
+    if (range.collapsed) return;
+    const fragment = range.extractContents();
+    if (!fragment.textContent && !fragment.querySelector('img, br')) return;
+    const copy = el.cloneNode(false);
+    copy.appendChild(fragment);
+    el[where](copy);
+  };
+
+  const before = document.createRange();
+  before.setStart(el, 0);
+  before.setEndBefore(first);
+  moveOut(before, 'before');
+
+  const after = document.createRange();
+  after.setStartAfter(last);
+  after.setEnd(el, el.childNodes.length);
+  moveOut(after, 'after');
+}
+
+/**
+ * Remove a mark from the selected text, keeping it on the rest of the mark
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ * @param {string} selector - Elements that count as the mark
+ * @returns {Array<Text>} The affected text nodes
+ */
+export function removeMark(range, root, selector) {
+  splitBoundaries(range);
+  const nodes = textNodesInRange(range, root);
+
+  const marks = [];
+  nodes.forEach((node) => {
+    let el = closestWithin(node, selector, root);
+    while (el) {
+      if (!marks.includes(el)) marks.push(el);
+      el = closestWithin(el.parentElement, selector, root);
+    }
+  });
+
+  marks.forEach((mark) => {
+    const inside = nodes.filter((node) => mark.contains(node));
+    splitAround(mark, inside[0], inside[inside.length - 1]);
+    unwrap(mark);
+  });
+
+  return nodes;
+}
+
+/**
+ * Apply a mark, or remove it if all of the selection already has it
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ * @param {Object} mark - Mark with tag and selector
+ * @returns {Array<Text>} The affected text nodes
+ */
+export function toggleMark(range, root, mark) {
+  if (isMarkActive(range, root, mark.selector)) return removeMark(range, root, mark.selector);
+  return applyMark(range, root, mark);
+}
+
+/**
+ * Whether a block holds text rather than other blocks
+ * @param {Element} el - Block element
+ * @returns {boolean}
+ */
+function isTextBlock(el) {
+  return !el.querySelector(BLOCK_SELECTOR);
+}
+
+/**
+ * Find the text block that holds a node, wrapping a bare line of inline
+ * content in a paragraph first
+ * @param {Node} node - Node inside the editor
+ * @param {Element} root - Editor root
+ * @param {boolean} create - Whether to create missing blocks
+ * @returns {Element|null} Block
+ */
+function blockFor(node, root, create) {
+  let block = closestWithin(node, TEXT_BLOCK_SELECTOR, root);
+  if (block && isTextBlock(block)) {
+    // Headings used to be inserted inline; lift them out of the paragraph
+    const parent = block.parentElement;
+    if (create && parent !== root && parent.matches('p, h1, h2, h3, h4, h5, h6')) {
+      splitAround(parent, block, block);
+      unwrap(parent);
+    }
+    return block;
+  }
+  if (!create) return null;
+
+  // A run of inline content between line breaks or blocks forms the line
+  const container = block || closestWithin(node, LINE_CONTAINER_SELECTOR, root) || root;
+  let top = node;
+  while (top.parentNode !== container) top = top.parentNode;
+  const isBoundary = (sibling) => sibling.nodeType === Node.ELEMENT_NODE
+    && (sibling.tagName === 'BR' || sibling.matches(BLOCK_SELECTOR));
+
+  let first = top;
+  let last = top;
+  while (first.previousSibling && !isBoundary(first.previousSibling)) first = first.previousSibling;
+  while (last.nextSibling && !isBoundary(last.nextSibling)) last = last.nextSibling;
+
+  block = document.createElement('p');
+  first.before(block);
+  let current = first;
+  while (current) {
+    const next = current === last ? null : current.nextSibling;
+    block.appendChild(current);
+    current = next;
+  }
+  // The paragraph ends the line, so its line break is no longer needed
+  if (block.nextSibling && block.nextSibling.nodeName === 'BR') block.nextSibling.remove();
+  return block;
+}
+
+/**
+ * Text nodes to act on for block formatting; a collapsed range uses the caret's node
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ * @returns {Array<Node>}
+ */
+function blockAnchors(range, root) {
+  const nodes = textNodesInRange(range, root);
+  if (nodes.length > 0) return nodes;
+  return range.startContainer === root ? [] : [range.startContainer];
+}
+
+/**
+ * Whether every selected line is a block of the given tag
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ * @param {string} tag - Block tag name
+ * @returns {boolean}
+ */
+export function isBlockActive(range, root, tag) {
+  const anchors = blockAnchors(range, root);
+  return anchors.length > 0 && anchors.every((node) => {
+    const block = blockFor(node, root, false);
+    return !!block && block.tagName === tag.toUpperCase();
+  });
+}
+
+/**
+ * Turn the selected lines into blocks of the given tag, or back into
+ * paragraphs if they all are already
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ * @param {string} tag - Block tag name
+ * @returns {Array<Element>} The affected blocks
+ */
+export function toggleBlock(range, root, tag) {
+  const newTag = isBlockActive(range, root, tag) ? 'p' : tag;
+  const blocks = [];
+  blockAnchors(range, root).forEach((node) => {
+    const block = blockFor(node, root, true);
+    if (block && !blocks.includes(block)) blocks.push(block);
+  });
+  return blocks.map((block) => renameElement(block, newTag));
+}
+
+/**
+ * Whether every selected line is inside an element matching a selector
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ * @param {string} selector - CSS selector
+ * @returns {boolean}
+ */
+export function isWithin(range, root, selector) {
+  const anchors = blockAnchors(range, root);
+  return anchors.length > 0 && anchors.every((node) => closestWithin(node, selector, root));
+}
+
+/**
+ * Unwrap a block, putting any bare inline content it held into paragraphs
+ * @param {Element} el - Block element
+ */
+function unwrapBlock(el) {
+  let paragraph = null;
+  Array.from(el.childNodes).forEach((child) => {
+    const isBlock = child.nodeType === Node.ELEMENT_NODE && child.matches(BLOCK_SELECTOR);
+    if (isBlock || (child.nodeType === Node.TEXT_NODE && !child.data.trim() && !paragraph)) {
+      paragraph = null;
+      return;
+    }
+    if (!paragraph) {
+      paragraph = document.createElement('p');
+      child.before(paragraph);
+    }
+    paragraph.appendChild(child);
+  });
+  unwrap(el);
+}
+
+/**
+ * The editor's top-level children spanned by the selection, with bare lines
+ * wrapped in paragraphs
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ * @returns {Array<Node>}
+ */
+function topLevelBlocks(range, root) {
+  const tops = [];
+  blockAnchors(range, root).forEach((node) => {
+    let top = node;
+    while (top.parentNode !== root) top = top.parentNode;
+    if (top.nodeType !== Node.ELEMENT_NODE || !top.matches(BLOCK_SELECTOR)) top = blockFor(node, root, true);
+    if (!tops.includes(top)) tops.push(top);
+  });
+  if (tops.length === 0) return [];
+
+  const blocks = [];
+  const last = tops[tops.length - 1];
+  for (let node = tops[0]; node; node = node.nextSibling) {
+    blocks.push(node);
+    if (node === last) break;
+  }
+  return blocks;
+}
+
+/**
+ * Checklist, numbered or bulleted
+ * @param {Element} list - List element
+ * @returns {string} List type
+ */
+function listType(list) {
+  if (list.tagName === 'OL') return 'ordered';
+  return list.classList.contains('checklist') ? 'checklist' : 'bullet';
+}
+
+/**
+ * Innermost list items holding the selection, leaving out items inside other selected items
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ * @returns {Array<Element>}
+ */
+function selectedListItems(range, root) {
+  const items = [];
+  blockAnchors(range, root).forEach((node) => {
+    const item = closestWithin(node, 'li', root);
+    if (item && !items.includes(item)) items.push(item);
+  });
+  return items.filter((item) => !items.some((other) => other !== item && other.contains(item)));
+}
+
+/**
+ * Change a list to another type, keeping its items
+ * @param {Element} list - List element
+ * @param {string} type - 'bullet', 'ordered' or 'checklist'
+ * @returns {Element} The list
+ */
+function setListType(list, type) {
+  const updated = renameElement(list, type === 'ordered' ? 'ol' : 'ul');
+  if (type !== 'ordered') updated.removeAttribute('start');
+  if (type === 'checklist') updated.setAttribute('class', 'checklist');
+  else updated.removeAttribute('class');
+
+  Array.from(updated.children).forEach((item) => {
+    if (type !== 'checklist') item.removeAttribute('data-checked');
+    else if (!item.hasAttribute('data-checked')) item.setAttribute('data-checked', 'false');
+  });
+  return updated;
+}
+
+/**
+ * Take a list item out of its list as paragraphs
+ * @param {Element} item - List item
+ */
+function liftListItem(item) {
+  const list = item.parentElement;
+  splitAround(list, item, item);
+  unwrap(list);
+  item.removeAttribute('data-checked');
+  unwrapBlock(item);
+}
+
+/**
+ * Whether every selected line is an item of a list of the given type
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ * @param {string} type - 'bullet', 'ordered' or 'checklist'
+ * @returns {boolean}
+ */
+export function isListActive(range, root, type) {
+  const anchors = blockAnchors(range, root);
+  return anchors.length > 0 && anchors.every((node) => {
+    const item = closestWithin(node, 'li', root);
+    return !!item && listType(item.parentElement) === type;
+  });
+}
+
+/**
+ * Turn the selected lines into a list of the given type, or back into
+ * paragraphs if they all are one already
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ * @param {string} type - 'bullet', 'ordered' or 'checklist'
+ */
+export function toggleList(range, root, type) {
+  if (isListActive(range, root, type)) {
+    selectedListItems(range, root).forEach(liftListItem);
+    return;
+  }
+
+  const anchors = blockAnchors(range, root);
+
+  // Items already in a list switch the whole list to the new type
+  const lists = [];
+  anchors.forEach((node) => {
+    const item = closestWithin(node, 'li', root);
+    if (item && !lists.includes(item.parentElement)) lists.push(item.parentElement);
+  });
+  lists.forEach((list) => mergeWithSiblings(setListType(list, type)));
+
+  // Other lines become items of new lists, one per run of adjacent lines
+  const blocks = [];
+  anchors.forEach((node) => {
+    if (closestWithin(node, 'li', root)) return;
+    const block = blockFor(node, root, true);
+    if (block && !blocks.includes(block)) blocks.push(block);
+  });
+
+  let list = null;
+  let previous = null;
+  blocks.forEach((block) => {
+    if (!list || block.previousElementSibling !== previous) {
+      list = document.createElement(type === 'ordered' ? 'ol' : 'ul');
+      if (type === 'checklist') list.className = 'checklist';
+      block.before(list);
+    }
+    const item = document.createElement('li');
+    if (type === 'checklist') item.setAttribute('data-checked', 'false');
+    item.append(...block.childNodes);
+    list.appendChild(item);
+    block.remove();
+    previous = list;
+  });
+  root.querySelectorAll('ul, ol').forEach((el) => {
+    if (el.isConnected) mergeWithSiblings(el);
+  });
+}
+
+/**
+ * Nest the selected list items under the item before them
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ * @returns {boolean} Whether anything moved
+ */
+export function indentListItems(range, root) {
+  let changed = false;
+  selectedListItems(range, root).forEach((item) => {
+    const previous = item.previousElementSibling;
+    if (!previous || previous.tagName !== 'LI') return;
+
+    const list = item.parentElement;
+    let nested = previous.lastElementChild;
+    if (!nested || !isSameMark(nested, list)) {
+      nested = list.cloneNode(false);
+      nested.removeAttribute('start');
+      previous.appendChild(nested);
+    }
+    nested.appendChild(item);
+    changed = true;
+  });
+  return changed;
+}
+
+/**
+ * Move the selected list items up one level; top-level items leave the list
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ * @returns {boolean} Whether anything moved
+ */
+export function outdentListItems(range, root) {
+  const items = selectedListItems(range, root);
+  items.forEach((item) => {
+    const list = item.parentElement;
+    const parentItem = list.parentElement;
+    if (!parentItem || parentItem.tagName !== 'LI' || !root.contains(parentItem)) {
+      liftListItem(item);
+      return;
+    }
+
+    // Items after this one become its children so the order is kept
+    const following = [];
+    for (let next = item.nextElementSibling; next; next = next.nextElementSibling) following.push(next);
+    if (following.length > 0) {
+      const nested = list.cloneNode(false);
+      nested.removeAttribute('start');
+      nested.append(...following);
+      item.appendChild(nested);
+    }
+    parentItem.after(item);
+    if (list.children.length === 0) list.remove();
+  });
+  return items.length > 0;
+}
+
+/**
+ * Quote the selected blocks, or unquote them if they are all quoted
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ */
+export function toggleBlockquote(range, root) {
+  if (isWithin(range, root, 'blockquote')) {
+    const anchors = blockAnchors(range, root);
+    const quotes = [];
+    anchors.forEach((node) => {
+      const quote = closestWithin(node, 'blockquote', root);
+      if (!quotes.includes(quote)) quotes.push(quote);
+    });
+    quotes.forEach((quote) => {
+      const inside = anchors.filter((node) => quote.contains(node));
+      const childOf = (node) => {
+        while (node.parentNode !== quote) node = node.parentNode;
+        return node;
+      };
+      splitAround(quote, childOf(inside[0]), childOf(inside[inside.length - 1]));
+      unwrapBlock(quote);
+    });
+    return;
+  }
+
+  const blocks = topLevelBlocks(range, root);
+  if (blocks.length === 0) return;
+  const quote = document.createElement('blockquote');
+  blocks[0].before(quote);
+  quote.append(...blocks);
+  mergeWithSiblings(quote);
+}
+
+/**
+ * Turn the selected blocks into one code block, or code blocks back into paragraphs
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ */
+export function toggleCodeBlock(range, root) {
+  if (isWithin(range, root, 'pre')) {
+    const blocks = [];
+    blockAnchors(range, root).forEach((node) => {
+      const pre = closestWithin(node, 'pre', root);
+      if (!blocks.includes(pre)) blocks.push(pre);
+    });
+    blocks.forEach((pre) => {
+      const paragraphs = pre.textContent.replace(/\n$/, '').split('\n').map((line) => {
+        const paragraph = document.createElement('p');
+        if (line) paragraph.textContent = line;
+        else paragraph.appendChild(document.createElement('br'));
+        return paragraph;
+      });
+      pre.replaceWith(...paragraphs);
+    });
+    return;
+  }
+
+  const blocks = topLevelBlocks(range, root);
+  if (blocks.length === 0) return;
+  const text = blocks
+    .filter((block) => block.nodeType === Node.ELEMENT_NODE || block.data.trim())
+    .map((block) => collectText(block).text.replace(/^\n+|\n+$/g, ''))
+    .join('\n');
+
+  const pre = document.createElement('pre');
+  const code = document.createElement('code');
+  code.textContent = text;
+  pre.appendChild(code);
+  blocks[0].before(pre);
+  blocks.forEach((block) => block.remove());
+}
+
+/**
+ * The editor's top-level child holding the end of a range, with a bare line wrapped in a paragraph
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ * @returns {Node|null}
+ */
+function topLevelAt(range, root) {
+  let top = range.endContainer;
+  if (top === root || !root.contains(top)) return root.childNodes[range.endOffset - 1] || null;
+
+  while (top.parentNode !== root) top = top.parentNode;
+  if (top.nodeType !== Node.ELEMENT_NODE || !top.matches(BLOCK_SELECTOR)) top = blockFor(range.endContainer, root, true);
+  return top;
+}
+
+/**
+ * Insert blocks after the line holding the end of the range; an empty line is replaced
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ * @param {Array<Node>} blocks - Blocks to insert
+ * @returns {Element} The block after the inserted ones, where typing continues
+ */
+export function insertBlocks(range, root, blocks) {
+  const line = topLevelAt(range, root);
+  if (line) line.after(...blocks);
+  else root.prepend(...blocks);
+
+  const isEmptyLine = line && line.nodeType === Node.ELEMENT_NODE && line.matches(TEXT_BLOCK_SELECTOR)
+    && !line.textContent.trim() && !line.querySelector('img');
+  if (isEmptyLine) line.remove();
+
+  const last = blocks[blocks.length - 1];
+  let next = last.nextElementSibling;
+  if (!next || !next.matches(TEXT_BLOCK_SELECTOR)) {
+    next = document.createElement('p');
+    next.appendChild(document.createElement('br'));
+    last.after(next);
+  }
+  return next;
+}
+
+/**
+ * Insert a horizontal rule after the block holding the end of the range
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ * @returns {Element} The block after the rule, where typing continues
+ */
+export function insertHorizontalRule(range, root) {
+  return insertBlocks(range, root, [document.createElement('hr')]);
+}
+
+/**
+ * Character offsets of a range within the editor's text, which block changes leave intact
+ * @param {Range} range - Range
+ * @param {Element} root - Editor root
+ * @returns {{start: number, end: number}}
+ */
+export function saveSelection(range, root) {
+  const offset = (container, index) => {
+    const before = document.createRange();
+    before.setStart(root, 0);
+    before.setEnd(container, index);
+    return before.toString().length;
+  };
+  return { start: offset(range.startContainer, range.startOffset), end: offset(range.endContainer, range.endOffset) };
+}
+
+/**
+ * Range for character offsets from saveSelection
+ * @param {{start: number, end: number}} saved - Offsets
+ * @param {Element} root - Editor root
+ * @returns {Range}
+ */
+export function restoreSelection(saved, root) {
+  const range = document.createRange();
+  range.setStart(root, 0);
+  range.collapse(true);
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  let position = 0;
+  let startSet = false;
+  let node;
+  while ((node = walker.nextNode())) {
+    const end = position + node.length;
+    if (!startSet && saved.start <= end) {
+      range.setStart(node, saved.start - position);
+      startSet = true;
+    }
+    if (startSet && saved.end <= end) {
+      range.setEnd(node, Math.max(saved.end - position, 0));
+      return range;
+    }
+    position = end;
+  }
+  if (startSet) range.setEnd(root, root.childNodes.length);
+  return range;
+}
@@ -0,0 +1,283 @@
+/**
+ * Input Rules
+ * Turns Markdown typed at the start of a line or around a word into
+ * formatting as you type; Backspace straight after a conversion reverts it
+ */
+
+import {
+  applyMark,
+  toggleBlock,
+  toggleList,
+  isListActive,
+  toggleBlockquote,
+  toggleCodeBlock,
+  insertHorizontalRule,
+  saveSelection,
+  restoreSelection,
+} from './formatting.js';
+
+// Typed at the start of a line, ending with the space that triggers them
+const BLOCK_RULES = [
+  { pattern: /^(#{1,6}) $/, apply: (rules, range, match) => toggleBlock(range, rules.root, `h${match[1].length}`) },
+  { pattern: /^[-*+] $/, apply: (rules, range) => rules.startList(range, 'bullet') },
+  { pattern: /^(\d{1,9})[.)] $/, apply: (rules, range, match) => rules.startList(range, 'ordered', Number(match[1])) },
+  { pattern: /^\[([ xX]?)\] $/, list: true, apply: (rules, range, match) => rules.startChecklist(range, /x/i.test(match[1])) },
+  { pattern: /^> $/, apply: (rules, range) => toggleBlockquote(range, rules.root) },
+];
+
+// Typed as a whole line
+const LINE_RULES = [
+  { pattern: /^```$/, apply: (rules, range) => rules.startCodeBlock(range) },
+  { pattern: /^---$/, apply: (rules, range) => rules.insertRule(range) },
+];
+
+// Completed by typing the closing marker
+const INLINE_RULES = [
+  { pattern: /(^|[^*\\])\*\*([^*\s](?:[^*]*[^*\s])?)\*\*$/, marker: '**', mark: { tag: 'strong', selector: 'strong, b' } },
+  { pattern: /(^|[\s([{"'])_([^_\s](?:[^_]*[^_\s])?)_$/, marker: '_', mark: { tag: 'em', selector: 'em, i' } },
+];
+
+/**
+ * Whether a node ends the line before or after it
+ * @param {Node|null} node - Sibling node
+ * @returns {boolean}
+ */
+function isLineBoundary(node) {
+  if (!node) return true;
+  return node.nodeName === 'BR' || (node.nodeType === Node.ELEMENT_NODE && window.getComputedStyle(node).display !== 'inline');
+}
+
+class InputRules {
+  /**
+   * @param {Editor} editor - The editor whose typing is converted
+   */
+  constructor(editor) {
+    this.editor = editor;
+    this.root = editor.editorEl;
+    this.lastConversion = null;
+
+    this.init();
+  }
+
+  init() {
+    this.root.addEventListener('keydown', (e) => {
+      if (e.key !== 'Backspace' || e.metaKey || e.ctrlKey || e.altKey || e.shiftKey) return;
+      if (this.revert()) e.preventDefault();
+    });
+  }
+
+  /**
+   * Input rules are on unless turned off in Settings
+   * @returns {boolean}
+   */
+  isEnabled() {
+    try {
+      const settings = JSON.parse(localStorage.getItem('editorSettings') || '{}');
+      if (settings.inputRules !== undefined) return settings.inputRules !== false;
+    } catch {}
+    return true;
+  }
+
+  /**
+   * Convert Markdown the user just typed
+   * @param {InputEvent} e - Input event
+   * @returns {boolean} Whether anything was converted
+   */
+  apply(e) {
+    this.lastConversion = null;
+    if (e.inputType !== 'insertText' || !e.data || e.isComposing || this.editor.history.applying) return false;
+    if (!this.isEnabled()) return false;
+
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0 || !selection.isCollapsed) return false;
+    const { startContainer: node, startOffset: offset } = selection.getRangeAt(0);
+    if (node.nodeType !== Node.TEXT_NODE || !this.root.contains(node) || node.parentElement.closest('pre, code')) {
+      return false;
+    }
+
+    // The state with the Markdown still typed, for Backspace to go back to
+    const before = {
+      html: this.root.innerHTML,
+      selection: saveSelection(selection.getRangeAt(0), this.root),
+    };
+
+    const converted = this.applyLineRules(node, offset) || this.applyInlineRules(node, offset);
+    if (!converted) return false;
+
+    this.lastConversion = {
+      before,
+      html: this.root.innerHTML,
+      selection: saveSelection(window.getSelection().getRangeAt(0), this.root),
+    };
+    return true;
+  }
+
+  /**
+   * @param {Text} node - Text node holding the caret
+   * @param {number} offset - Caret offset
+   * @returns {boolean} Whether a block rule applied
+   */
+  applyLineRules(node, offset) {
+    if (!isLineBoundary(node.previousSibling)) return false;
+    const parent = node.parentElement;
+    const inListItem = parent.tagName === 'LI';
+    const topLevel = parent === this.root || (parent.matches('p, div') && parent.parentElement === this.root);
+    if (!topLevel && !inListItem) return false;
+
+    // A space typed at the end of a line is stored as a no-break space
+    const typed = node.data.slice(0, offset).replace(/\u00A0/g, ' ');
+    const wholeLine = offset === node.length && isLineBoundary(node.nextSibling);
+    const rule = BLOCK_RULES.find((r) => r.pattern.test(typed) && (topLevel || r.list))
+      || (topLevel && wholeLine && LINE_RULES.find((r) => r.pattern.test(typed)));
+    if (!rule) return false;
+
+    // Remove the Markdown, then format the line it was typed on
+    node.deleteData(0, offset);
+    const range = document.createRange();
+    range.setStart(node, 0);
+    range.collapse(true);
+    const caret = rule.apply(this, range, typed.match(rule.pattern));
+    this.placeCaret(caret instanceof Node ? caret : node);
+    return true;
+  }
+
+  /**
+   * @param {Text} node - Text node holding the caret
+   * @param {number} offset - Caret offset
+   * @returns {boolean} Whether an inline rule applied
+   */
+  applyInlineRules(node, offset) {
+    const typed = node.data.slice(0, offset);
+    for (const rule of INLINE_RULES) {
+      const match = typed.match(rule.pattern);
+      if (!match) continue;
+
+      const start = match.index + match[1].length;
+      const length = match[2].length;
+      node.deleteData(start + rule.marker.length + length, rule.marker.length);
+      node.deleteData(start, rule.marker.length);
+
+      const range = document.createRange();
+      range.setStart(node, start);
+      range.setEnd(node, start + length);
+      const nodes = applyMark(range, this.root, rule.mark);
+      const mark = nodes.length > 0 ? nodes[nodes.length - 1].parentElement.closest(rule.mark.selector) : null;
+      if (!mark) return true;
+
+      // Keep typing after the mark rather than inside it
+      const after = document.createRange();
+      after.setStartAfter(mark);
+      after.collapse(true);
+      this.select(after);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @param {Range} range - Caret in the line
+   * @param {string} type - 'bullet' or 'ordered'
+   * @param {number} start - First number of an ordered list
+   */
+  startList(range, type, start = 1) {
+    const line = range.startContainer;
+    toggleList(range, this.root, type);
+    const list = line.parentElement.closest('ol');
+    // A list joined to the one above keeps counting from it
+    if (list && start !== 1 && list.children.length === 1) list.setAttribute('start', String(start));
+  }
+
+  /**
+   * @param {Range} range - Caret in the line or list item
+   * @param {boolean} checked - Whether the item starts checked
+   */
+  startChecklist(range, checked) {
+    const line = range.startContainer;
+    if (!isListActive(range, this.root, 'checklist')) toggleList(range, this.root, 'checklist');
+    const item = line.parentElement.closest('li');
+    if (item) item.setAttribute('data-checked', String(checked));
+  }
+
+  /**
+   * @param {Range} range - Caret in the line
+   * @returns {Node} Where typing continues
+   */
+  startCodeBlock(range) {
+    let line = range.startContainer;
+    while (line.parentNode !== this.root) line = line.parentNode;
+    const previous = line.previousSibling;
+
+    toggleCodeBlock(range, this.root);
+    const pre = previous ? previous.nextSibling : this.root.firstChild;
+    return pre.querySelector('code') || pre;
+  }
+
+  /**
+   * @param {Range} range - Caret in the line
+   * @returns {Node} Where typing continues
+   */
+  insertRule(range) {
+    const line = range.startContainer;
+    const next = insertHorizontalRule(range, this.root);
+    // The rule replaces the line it was typed on
+    const block = line.parentElement === this.root ? line : line.parentElement;
+    if (!block.textContent) block.remove();
+    else line.remove();
+    return next;
+  }
+
+  /**
+   * Put the caret at the start of a node, giving an emptied line a line break to keep its height
+   * @param {Node} node - Text node or element
+   */
+  placeCaret(node) {
+    const range = document.createRange();
+    if (node.nodeType === Node.TEXT_NODE && !node.length && node.parentNode) {
+      const parent = node.parentNode;
+      if (parent !== this.root && !parent.textContent && !parent.querySelector('br')) {
+        node.replaceWith(document.createElement('br'));
+        range.setStart(parent, 0);
+      } else {
+        range.setStart(node, 0);
+      }
+    } else if (node.nodeType === Node.ELEMENT_NODE && node !== this.root && !node.textContent && !node.querySelector('br')) {
+      node.appendChild(document.createElement('br'));
+      range.setStart(node, 0);
+    } else {
+      range.setStart(node, 0);
+    }
+    range.collapse(true);
+    this.select(range);
+  }
+
+  /**
+   * @param {Range} range - Range to select
+   */
+  select(range) {
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  /**
+   * Undo the conversion just made, leaving the typed Markdown in place
+   * @returns {boolean} Whether a conversion was reverted
+   */
+  revert() {
+    const conversion = this.lastConversion;
+    this.lastConversion = null;
+    if (!conversion || this.root.innerHTML !== conversion.html) return false;
+
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0) return false;
+    const current = saveSelection(selection.getRangeAt(0), this.root);
+    if (current.start !== conversion.selection.start || current.end !== conversion.selection.end) return false;
+
+    this.root.innerHTML = conversion.before.html;
+    this.select(restoreSelection(conversion.before.selection, this.root));
+    this.root.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'formatRemove' }));
+    return true;
+  }
+}
+
+export default InputRules;
@@ -0,0 +1,220 @@
+/**
+ * Insert commands
+ * Tables, stamps, templates and images that can be inserted at the caret,
+ * registered once for the / menu and the command palette
+ */
+
+import commands from './commands.js';
+import { insertBlocks } from './formatting.js';
+import { sanitizeHTML, isSafeUrl } from './sanitize.js';
+import { escapeHTML } from './diff.js';
+
+const TABLE_COLUMNS = 3;
+const TABLE_BODY_ROWS = 2;
+const EMPTY_SLOT_SELECTOR = 'p, li, h1, h2, h3, h4, h5, h6, th, td';
+
+// Document skeletons; {date} is replaced with today's date
+const TEMPLATES = [
+  {
+    id: 'meeting-notes',
+    title: 'Meeting Notes',
+    keywords: ['agenda', 'minutes'],
+    html: '<h2>Meeting notes, {date}</h2><p><strong>Attendees:</strong> </p><h3>Agenda</h3><ul><li><br></li></ul>'
+      + '<h3>Notes</h3><p><br></p><h3>Action items</h3><ul class="checklist"><li data-checked="false"><br></li></ul>',
+  },
+  {
+    id: 'journal',
+    title: 'Daily Journal',
+    keywords: ['diary', 'day'],
+    html: '<h2>{date}</h2><h3>Today</h3><p><br></p><h3>Grateful for</h3><ul><li><br></li></ul>',
+  },
+  {
+    id: 'todo',
+    title: 'To-do List',
+    keywords: ['tasks', 'checklist'],
+    html: '<h2>To do</h2><ul class="checklist"><li data-checked="false"><br></li></ul>',
+  },
+  {
+    id: 'essay',
+    title: 'Essay Outline',
+    keywords: ['structure', 'paper', 'outline'],
+    html: '<h1><br></h1><h2>Introduction</h2><p><br></p><h2>Body</h2><p><br></p><h2>Conclusion</h2><p><br></p>',
+  },
+];
+
+/**
+ * @returns {string} Today's date, written out
+ */
+function formatDate() {
+  return new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * @returns {string} The current time
+ */
+function formatTime() {
+  return new Date().toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Put the caret at the start of a node
+ * @param {Node} node - Node
+ */
+function placeCaret(node) {
+  const range = document.createRange();
+  range.setStart(node, 0);
+  range.collapse(true);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+/**
+ * Insert blocks after the caret's line as one undoable edit, moving the caret
+ * into the first empty line they contain
+ * @param {Editor} editor - Editor
+ * @param {string} html - Sanitized block HTML
+ * @param {string} inputType - Input type reported for the change
+ */
+function insertBlocksAtCaret(editor, html, inputType) {
+  const selection = window.getSelection();
+  if (selection.rangeCount === 0 || !editor.editorEl.contains(selection.anchorNode)) editor.placeCursorAtEnd();
+
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  const blocks = Array.from(template.content.childNodes);
+  const next = insertBlocks(window.getSelection().getRangeAt(0), editor.editorEl, blocks);
+
+  const slots = blocks.flatMap((block) => (block.nodeType === Node.ELEMENT_NODE ? [block, ...block.querySelectorAll('*')] : []));
+  const slot = slots.find((el) => el.matches(EMPTY_SLOT_SELECTOR) && !el.textContent.trim());
+  placeCaret(slot || next);
+
+  editor.history.breakGroup();
+  editor.editorEl.dispatchEvent(new InputEvent('input', { bubbles: true, inputType }));
+}
+
+/**
+ * @returns {string} HTML for an empty table with a header row
+ */
+function tableHTML() {
+  const row = (tag) => `<tr>${`<${tag}><br></${tag}>`.repeat(TABLE_COLUMNS)}</tr>`;
+  return `<table><thead>${row('th')}</thead><tbody>${row('td').repeat(TABLE_BODY_ROWS)}</tbody></table>`;
+}
+
+/**
+ * Ask for an image file and insert it at the caret as an inline image
+ * @param {Editor} editor - Editor
+ */
+function insertImageFile(editor) {
+  const selection = window.getSelection();
+  const saved = selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null;
+
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = 'image/png,image/jpeg,image/gif,image/webp';
+  input.addEventListener('change', () => {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      editor.editorEl.focus();
+      if (saved && editor.editorEl.contains(saved.startContainer)) {
+        selection.removeAllRanges();
+        selection.addRange(saved);
+      }
+      const html = sanitizeHTML(`<img src="${escapeHTML(reader.result)}" alt="${escapeHTML(file.name)}">`);
+      if (html) editor.insertHTML(html);
+      else alert('Only PNG, JPEG, GIF and WebP images can be inserted.');
+    };
+    reader.onerror = () => alert('Failed to read image: ' + reader.error.message);
+    reader.readAsDataURL(file);
+  });
+  input.click();
+}
+
+/**
+ * Ask for an image address and insert it at the caret
+ * @param {Editor} editor - Editor
+ */
+function insertImageURL(editor) {
+  const selection = window.getSelection();
+  const saved = selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null;
+  const url = (prompt('Image URL:') || '').trim();
+  if (!url) return;
+  if (!isSafeUrl(url)) {
+    alert('Only web addresses can be used for images.');
+    return;
+  }
+
+  editor.editorEl.focus();
+  if (saved) {
+    selection.removeAllRanges();
+    selection.addRange(saved);
+  }
+  editor.insertHTML(sanitizeHTML(`<img src="${escapeHTML(url)}" alt="">`));
+}
+
+/**
+ * Register the insert commands
+ * @param {Editor} editor - Editor they insert into
+ */
+export function registerInsertCommands(editor) {
+  commands.register({
+    id: 'insert-table',
+    title: 'Table',
+    group: 'Insert',
+    keywords: ['grid', 'rows', 'columns'],
+    slash: true,
+    inEditor: true,
+    run: () => insertBlocksAtCaret(editor, tableHTML(), 'insertTable'),
+  });
+
+  [
+    { id: 'date', title: 'Date', keywords: ['today', 'stamp'], text: () => formatDate() },
+    { id: 'time', title: 'Time', keywords: ['now', 'clock', 'stamp'], text: () => formatTime() },
+    { id: 'datetime', title: 'Date & Time', keywords: ['now', 'timestamp'], text: () => `${formatDate()} ${formatTime()}` },
+  ].forEach(({ id, title, keywords, text }) => {
+    commands.register({
+      id: `insert-${id}`,
+      title,
+      group: 'Insert',
+      keywords,
+      slash: true,
+      inEditor: true,
+      run: () => editor.insertText(text()),
+    });
+  });
+
+  commands.register({
+    id: 'insert-image',
+    title: 'Image',
+    group: 'Insert',
+    keywords: ['picture', 'photo', 'upload', 'file'],
+    slash: true,
+    inEditor: true,
+    run: () => insertImageFile(editor),
+  });
+
+  commands.register({
+    id: 'insert-image-url',
+    title: 'Image from URL',
+    group: 'Insert',
+    keywords: ['picture', 'photo', 'link', 'web'],
+    slash: true,
+    inEditor: true,
+    run: () => insertImageURL(editor),
+  });
+
+  TEMPLATES.forEach(({ id, title, keywords, html }) => {
+    commands.register({
+      id: `template-${id}`,
+      title,
+      group: 'Template',
+      keywords,
+      slash: true,
+      inEditor: true,
+      run: () => insertBlocksAtCaret(editor, sanitizeHTML(html.replace('{date}', escapeHTML(formatDate()))), 'insertTemplate'),
+    });
+  });
+}
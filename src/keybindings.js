@@ -0,0 +1,229 @@
+/**
+ * Keybindings
+ * Runs registered commands from the keyboard. Commands bring their default
+ * shortcuts; changes made in the Keyboard Shortcuts dialog are stored on top.
+ */
+
+import commands, { IS_MAC, formatShortcut } from './commands.js';
+
+const STORAGE_KEY = 'keybindings';
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock'];
+
+// Keys the browser or the editor keeps for itself
+const RESERVED = {
+  'Mod+KeyA': 'Select All',
+  'Mod+KeyC': 'Copy',
+  'Mod+KeyX': 'Cut',
+  'Mod+KeyV': 'Paste',
+  'Mod+Shift+KeyV': 'Paste as Plain Text',
+  'Mod+KeyN': 'New Window',
+  'Mod+KeyT': 'New Tab',
+  'Mod+KeyW': 'Close Tab',
+  'Mod+KeyQ': 'Quit',
+};
+
+// Keys with a fixed meaning, listed in the cheat sheet alongside the commands
+export const FIXED_SHORTCUTS = [
+  { group: 'Edit', title: 'Paste as Plain Text', shortcut: 'Mod+Shift+KeyV' },
+  { group: 'Insert', title: 'Block Menu', shortcut: 'Slash' },
+  { group: 'Format', title: 'Indent List Item', shortcut: 'Tab' },
+  { group: 'Format', title: 'Outdent List Item', shortcut: 'Shift+Tab' },
+  { group: 'View', title: 'Close Dialog', shortcut: 'Escape' },
+];
+
+/**
+ * The shortcut a key press makes, in the form commands use
+ * @param {KeyboardEvent} e - Keydown event
+ * @returns {string} E.g. "Mod+Shift+KeyX", or '' for a lone modifier
+ */
+export function shortcutFromEvent(e) {
+  if (!e.code || MODIFIER_KEYS.includes(e.key)) return '';
+  const parts = [];
+  if (IS_MAC ? e.metaKey : e.ctrlKey) parts.push('Mod');
+  if (IS_MAC && e.ctrlKey) parts.push('Ctrl');
+  if (!IS_MAC && e.metaKey) parts.push('Meta');
+  if (e.altKey) parts.push('Alt');
+  if (e.shiftKey) parts.push('Shift');
+  parts.push(e.code);
+  return parts.join('+');
+}
+
+/**
+ * Shortcuts need a modifier other than Shift, except for function keys, so typing is never captured
+ * @param {string} shortcut - Shortcut
+ * @returns {boolean}
+ */
+export function isBindable(shortcut) {
+  return /(^|\+)(Mod|Ctrl|Meta|Alt)\+/.test(shortcut) || /(^|\+)F\d{1,2}$/.test(shortcut);
+}
+
+class Keybindings {
+  constructor() {
+    this.overrides = this.load();
+    this.editorEl = null;
+  }
+
+  /**
+   * Start running commands from key presses
+   * @param {HTMLElement} editorEl - Editor; commands that act at its caret only run while it has focus
+   */
+  init(editorEl) {
+    this.editorEl = editorEl;
+    document.addEventListener('keydown', (e) => this.handleKeydown(e));
+  }
+
+  /**
+   * @returns {Object} Customized bindings by command id
+   */
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Pick up bindings written to storage elsewhere, such as by a workspace import
+   */
+  reload() {
+    this.overrides = this.load();
+    document.dispatchEvent(new CustomEvent('keybindings-changed'));
+  }
+
+  save() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.overrides));
+    document.dispatchEvent(new CustomEvent('keybindings-changed'));
+  }
+
+  /**
+   * @param {string} id - Command id
+   * @returns {Array<string>} The shortcuts the command comes with
+   */
+  getDefaults(id) {
+    const command = commands.get(id);
+    return command ? [].concat(command.shortcut || []) : [];
+  }
+
+  /**
+   * @param {string} id - Command id
+   * @returns {Array<string>} The shortcuts currently bound to the command
+   */
+  getBindings(id) {
+    return Array.isArray(this.overrides[id]) ? this.overrides[id] : this.getDefaults(id);
+  }
+
+  /**
+   * @param {string} id - Command id
+   * @returns {string} The command's first shortcut, readable, or ''
+   */
+  getLabel(id) {
+    return formatShortcut(this.getBindings(id)[0]);
+  }
+
+  /**
+   * @param {string} id - Command id
+   * @returns {boolean} Whether the command's shortcuts differ from its defaults
+   */
+  isCustomized(id) {
+    return Array.isArray(this.overrides[id]);
+  }
+
+  /**
+   * @param {string} id - Command id
+   * @param {Array<string>} shortcuts - New shortcuts
+   */
+  setBindings(id, shortcuts) {
+    const defaults = this.getDefaults(id);
+    const same = shortcuts.length === defaults.length && shortcuts.every((shortcut, i) => shortcut === defaults[i]);
+    if (same) delete this.overrides[id];
+    else this.overrides[id] = shortcuts;
+  }
+
+  /**
+   * What a shortcut is already used for
+   * @param {string} shortcut - Shortcut
+   * @param {string} [exceptId] - Command being rebound, which does not count
+   * @returns {{command: Object}|{reserved: string}|null}
+   */
+  findConflict(shortcut, exceptId) {
+    if (RESERVED[shortcut]) return { reserved: RESERVED[shortcut] };
+    const command = this.commandFor(shortcut);
+    return command && command.id !== exceptId ? { command } : null;
+  }
+
+  /**
+   * Bind a shortcut to a command, taking it from any command that had it
+   * @param {string} id - Command id
+   * @param {string} shortcut - Shortcut
+   */
+  add(id, shortcut) {
+    commands.list().forEach((command) => {
+      const bindings = this.getBindings(command.id);
+      if (command.id !== id && bindings.includes(shortcut)) {
+        this.setBindings(command.id, bindings.filter((binding) => binding !== shortcut));
+      }
+    });
+    const bindings = this.getBindings(id);
+    if (!bindings.includes(shortcut)) this.setBindings(id, [...bindings, shortcut]);
+    this.save();
+  }
+
+  /**
+   * @param {string} id - Command id
+   * @param {string} shortcut - Shortcut to unbind
+   */
+  remove(id, shortcut) {
+    this.setBindings(id, this.getBindings(id).filter((binding) => binding !== shortcut));
+    this.save();
+  }
+
+  /**
+   * Give a command back its default shortcuts, unbinding them from any command that took them
+   * @param {string} id - Command id
+   */
+  reset(id) {
+    delete this.overrides[id];
+    this.getDefaults(id).forEach((shortcut) => {
+      const owner = this.commandFor(shortcut);
+      if (owner && owner.id !== id) {
+        this.setBindings(owner.id, this.getBindings(owner.id).filter((binding) => binding !== shortcut));
+      }
+    });
+    this.save();
+  }
+
+  resetAll() {
+    this.overrides = {};
+    this.save();
+  }
+
+  /**
+   * @param {string} shortcut - Shortcut
+   * @returns {Object|undefined} The command bound to it
+   */
+  commandFor(shortcut) {
+    return commands.list().find((command) => this.getBindings(command.id).includes(shortcut));
+  }
+
+  /**
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeydown(e) {
+    if (e.defaultPrevented || e.isComposing) return;
+    const shortcut = shortcutFromEvent(e);
+    if (!shortcut) return;
+    const command = this.commandFor(shortcut);
+    if (!command) return;
+    if (command.inEditor && !(this.editorEl && this.editorEl.contains(e.target))) return;
+
+    e.preventDefault();
+    if (!commands.isEnabled(command)) return;
+    Promise.resolve(command.run()).catch((error) => {
+      console.error('Command failed:', error);
+    });
+  }
+}
+
+export default new Keybindings();
@@ -7,9 +7,34 @@ import Editor from './editor.js';
 import ui from './ui.js';
 import Export from './export.js';
 import CloudSync from './cloud.js';
+import DocumentSync from './sync.js';
+import AutoSync, { BACKGROUND_SYNC_TAG } from './auto-sync.js';
+import providers from './cloud-providers.js';
+import GoogleDriveProvider from './providers/google-drive.js';
+import DropboxProvider from './providers/dropbox.js';
+import WebDAVProvider from './providers/webdav.js';
+import { isMockCloudEnabled, installMockCloud } from './cloud-mock.js';
+import SyncConflictDialog from './ui/sync-conflict-dialog.js';
 import storage from './storage.js';
 import Settings from './settings.js';
 import FormattingToolbar from './ui/formatting-toolbar.js';
+import DocumentList from './ui/document-list.js';
+import HistoryPanel from './ui/history-panel.js';
+import DiffViewer from './ui/diff-viewer.js';
+import revisions from './revisions.js';
+import trash from './trash.js';
+import TrashPanel from './ui/trash-panel.js';
+import workspace from './workspace.js';
+import WorkspaceDialog from './ui/workspace-dialog.js';
+import DocumentSearch from './ui/document-search.js';
+import FindBar from './ui/find-bar.js';
+import { markdownToHTML } from './markdown.js';
+import { plainTextToHTML } from './diff.js';
+import commands from './commands.js';
+import keybindings from './keybindings.js';
+import { registerInsertCommands } from './insert-commands.js';
+import SlashMenu from './ui/slash-menu.js';
+import ShortcutsDialog from './ui/shortcuts-dialog.js';
 
 // Initialize Editor
 const editor = new Editor();
@@ -17,13 +42,57 @@ const editor = new Editor();
 // Initialize Settings
 const settings = new Settings();
 
-// Initialize Cloud Sync
-const cloudSync = new CloudSync();
+// Stand-in providers for trying sync offline (?mock-cloud)
+if (isMockCloudEnabled()) {
+  installMockCloud();
+}
+
+// Initialize Cloud Sync with the providers it offers
+providers.register(new GoogleDriveProvider());
+providers.register(new DropboxProvider());
+providers.register(new WebDAVProvider());
+const syncConflictDialog = new SyncConflictDialog();
+const documentSync = new DocumentSync(editor, syncConflictDialog);
+const autoSync = new AutoSync(documentSync);
+const cloudSync = new CloudSync(autoSync);
 cloudSync.init();
+autoSync.init();
 
 // Initialize Formatting Toolbar
 const formattingToolbar = new FormattingToolbar();
 
+// Initialize the / menu
+const slashMenu = new SlashMenu(editor);
+
+// Initialize the Keyboard Shortcuts cheat sheet and editor
+const shortcutsDialog = new ShortcutsDialog();
+
+// Initialize Find & Replace
+const findBar = new FindBar(editor);
+
+// Initialize Document List
+const documentList = new DocumentList(editor);
+
+// Initialize Version History and Compare view
+const diffViewer = new DiffViewer(editor);
+const historyPanel = new HistoryPanel(editor, diffViewer);
+
+// Initialize Trash and purge anything past the retention window
+const trashPanel = new TrashPanel(editor);
+trash.purgeExpired().catch((error) => {
+  console.error('Trash purge failed:', error);
+});
+
+// Initialize workspace import/export
+const workspaceDialog = new WorkspaceDialog(editor, settings);
+
+// Remember what was last uploaded so it can be compared later
+document.addEventListener('cloud-synced', (e) => {
+  revisions.markSynced(e.detail.documentId, e.detail.content, e.detail.provider).catch((error) => {
+    console.error('Failed to record synced copy:', error);
+  });
+});
+
 // Setup Save button (triggers export menu)
 const saveBtn = document.getElementById('save-btn');
 
@@ -50,54 +119,22 @@ exportModal.addEventListener('click', (e) => {
 });
 
 exportTxt.addEventListener('click', () => {
-  const content = editor.getHTMLContent();
-  const filename = Export.generateFilename('txt');
-  Export.exportAsTXT(content, filename);
-  
-  // Update file extension indicator
-  const fileExt = document.getElementById('file-extension');
-  if (fileExt) fileExt.textContent = '.txt';
-  
+  Export.exportDocument('txt', editor.getHTMLContent());
   ui.hideModal(exportModal);
-  ui.updateSaveStatus('Exported as TXT', true);
 });
 
 exportMd.addEventListener('click', () => {
-  const content = editor.getHTMLContent();
-  const filename = Export.generateFilename('md');
-  Export.exportAsMD(content, filename);
-  
-  // Update file extension indicator
-  const fileExt = document.getElementById('file-extension');
-  if (fileExt) fileExt.textContent = '.md';
-  
+  Export.exportDocument('md', editor.getHTMLContent());
   ui.hideModal(exportModal);
-  ui.updateSaveStatus('Exported as Markdown', true);
 });
 
-// Keyboard shortcut: Cmd/Ctrl + S for save/export
-document.addEventListener('keydown', (e) => {
-  if ((e.metaKey || e.ctrlKey) && e.key === 's') {
-    e.preventDefault();
-    saveBtn.click();
-  }
-});
-
-// Keyboard shortcut: Cmd/Ctrl + E for export (alternative)
-document.addEventListener('keydown', (e) => {
-  if ((e.metaKey || e.ctrlKey) && e.key === 'e') {
-    e.preventDefault();
-    saveBtn.click();
-  }
-});
+Export.registerCommands(() => editor.getHTMLContent());
 
 // Setup New button
 const newBtn = document.getElementById('new-btn');
-newBtn.addEventListener('click', () => {
-  if (confirm('Create a new document? Current content will be saved.')) {
-    editor.setContent('');
-    ui.updateSaveStatus('New document created', true);
-  }
+newBtn.addEventListener('click', async () => {
+  await editor.newDocument();
+  ui.updateSaveStatus('New document created', true);
 });
 
 // Setup Open button (placeholder - would need file input)
@@ -106,13 +143,17 @@ openBtn.addEventListener('click', () => {
   // Create hidden file input
   const fileInput = document.createElement('input');
   fileInput.type = 'file';
-  fileInput.accept = '.txt,.md,.text';
+  fileInput.accept = '.txt,.md,.markdown,.text';
   fileInput.addEventListener('change', (e) => {
     const file = e.target.files[0];
     if (file) {
       const reader = new FileReader();
-      reader.onload = (event) => {
-        editor.setContent(event.target.result);
+      reader.onload = async (event) => {
+        const title = file.name.replace(/\.[^.]+$/, '');
+        const text = event.target.result;
+        // Markdown renders as rich content; anything else is plain text
+        const content = /\.(md|markdown)$/i.test(file.name) ? markdownToHTML(text) : plainTextToHTML(text);
+        await editor.newDocument({ title, content });
         ui.updateSaveStatus('File opened', true);
       };
       reader.readAsText(file);
@@ -125,8 +166,14 @@ openBtn.addEventListener('click', () => {
 const menuBtn = document.getElementById('menu-btn');
 const menuDropdown = document.getElementById('menu-dropdown');
 const menuSaveAs = document.getElementById('menu-save-as');
+const menuFind = document.getElementById('menu-find');
 const menuDelete = document.getElementById('menu-delete');
+const menuHistory = document.getElementById('menu-history');
+const menuCompare = document.getElementById('menu-compare');
 const menuDownload = document.getElementById('menu-download');
+const menuTrash = document.getElementById('menu-trash');
+const menuExportWorkspace = document.getElementById('menu-export-workspace');
+const menuImportWorkspace = document.getElementById('menu-import-workspace');
 const menuClearData = document.getElementById('menu-clear-data');
 const menuShortcut = document.getElementById('menu-shortcut');
 const menuCloudStorage = document.getElementById('menu-cloud-storage');
@@ -153,12 +200,34 @@ menuSaveAs.addEventListener('click', () => {
   saveBtn.click();
 });
 
+menuFind.addEventListener('click', () => {
+  menuDropdown.classList.remove('visible');
+  findBar.show({ replace: true });
+});
+
 menuDelete.addEventListener('click', () => {
   menuDropdown.classList.remove('visible');
-  if (confirm('Delete current document? This cannot be undone.')) {
-    editor.setContent('');
-    ui.updateSaveStatus('Document deleted', true);
-  }
+  editor.trashDocument(editor.currentDocumentId).then(() => {
+    ui.updateSaveStatus('Document moved to Trash', true);
+  }).catch((error) => {
+    console.error('Failed to move to Trash:', error);
+    ui.updateSaveStatus('Failed to move to Trash', false);
+  });
+});
+
+menuTrash.addEventListener('click', () => {
+  menuDropdown.classList.remove('visible');
+  trashPanel.show();
+});
+
+menuHistory.addEventListener('click', () => {
+  menuDropdown.classList.remove('visible');
+  historyPanel.show();
+});
+
+menuCompare.addEventListener('click', () => {
+  menuDropdown.classList.remove('visible');
+  diffViewer.open();
 });
 
 menuDownload.addEventListener('click', () => {
@@ -166,24 +235,67 @@ menuDownload.addEventListener('click', () => {
   saveBtn.click();
 });
 
+menuExportWorkspace.addEventListener('click', () => {
+  menuDropdown.classList.remove('visible');
+  workspaceDialog.exportWorkspace();
+});
+
+menuImportWorkspace.addEventListener('click', () => {
+  menuDropdown.classList.remove('visible');
+  workspaceDialog.chooseImportFile();
+});
+
 menuClearData.addEventListener('click', () => {
   menuDropdown.classList.remove('visible');
-  if (confirm('Clear all local data? This will delete all saved documents.')) {
-    storage.clear().then(() => {
-      editor.setContent('');
-      ui.updateSaveStatus('All data cleared', true);
-    });
+  ui.showModal(clearDataModal);
+});
+
+// Clear all data dialog: offers a backup download before wiping
+const clearDataModal = document.getElementById('clear-data-modal');
+
+async function clearAllData({ backup }) {
+  try {
+    if (backup) {
+      await editor.flushSave();
+      await workspace.exportWorkspace();
+    }
+
+    await storage.clear();
+    await editor.reloadDocuments();
+    ui.hideModal(clearDataModal);
+    ui.updateSaveStatus('All data cleared', true);
+  } catch (error) {
+    console.error('Clear data failed:', error);
+    ui.updateSaveStatus('Clear data failed', false);
+  }
+}
+
+document.getElementById('clear-data-backup').addEventListener('click', () => clearAllData({ backup: true }));
+
+document.getElementById('clear-data-confirm').addEventListener('click', () => {
+  if (confirm('Permanently delete all documents, history and trash without a backup?')) {
+    clearAllData({ backup: false });
+  }
+});
+
+document.getElementById('clear-data-cancel').addEventListener('click', () => {
+  ui.hideModal(clearDataModal);
+});
+
+clearDataModal.addEventListener('click', (e) => {
+  if (e.target === clearDataModal) {
+    ui.hideModal(clearDataModal);
   }
 });
 
 menuShortcut.addEventListener('click', () => {
   menuDropdown.classList.remove('visible');
-  alert('Keyboard Shortcuts:\n\n' +
-    'Cmd/Ctrl + S - Save/Export\n' +
-    'Cmd/Ctrl + E - Export\n' +
-    'Cmd/Ctrl + K - Toggle Theme\n' +
-    'Esc - Close Modals'
-  );
+  shortcutsDialog.show();
+});
+
+document.getElementById('customize-shortcuts').addEventListener('click', () => {
+  settings.hideSidebar();
+  shortcutsDialog.show({ customize: true });
 });
 
 menuCloudStorage.addEventListener('click', () => {
@@ -270,38 +382,173 @@ const commandInput = document.getElementById('command-input');
 const commandList = document.getElementById('command-list');
 const commandEmpty = document.getElementById('command-empty');
 
+/**
+ * Click a button elsewhere in the app
+ * @param {string} id - Button element id
+ */
+function clickButton(id) {
+  const button = document.getElementById(id);
+  if (button) button.click();
+}
+
+// App commands; modules register their own as they start, and insert commands come last
+[
+  { id: 'new-document', title: 'New Document', group: 'File', keywords: ['create'], run: () => clickButton('new-btn') },
+  { id: 'open-file', title: 'Open File', group: 'File', keywords: ['load', 'import'], run: () => clickButton('open-btn') },
+  { id: 'command-palette', title: 'Command Palette', group: 'View', shortcut: 'Mod+KeyJ', palette: false, run: () => togglePalette() },
+  { id: 'export', title: 'Export…', group: 'File', keywords: ['save', 'download'], shortcut: ['Mod+KeyS', 'Mod+KeyE'], run: () => ui.showModal(exportModal) },
+  { id: 'find', title: 'Find', group: 'Edit', keywords: ['search'], shortcut: 'Mod+KeyF', run: () => findBar.show() },
+  { id: 'replace', title: 'Find & Replace', group: 'Edit', keywords: ['search'], shortcut: 'Mod+KeyH', run: () => findBar.show({ replace: true }) },
+  { id: 'history', title: 'Version History', group: 'File', keywords: ['revisions', 'snapshots'], run: () => historyPanel.show() },
+  { id: 'compare', title: 'Compare Versions', group: 'File', keywords: ['diff', 'changes'], run: () => diffViewer.open() },
+  { id: 'delete-document', title: 'Move to Trash', group: 'File', keywords: ['delete', 'remove'], run: () => clickButton('menu-delete') },
+  { id: 'trash', title: 'Trash', group: 'File', keywords: ['deleted', 'restore'], run: () => trashPanel.show() },
+  { id: 'export-workspace', title: 'Export Workspace', group: 'File', keywords: ['backup', 'archive'], run: () => workspaceDialog.exportWorkspace() },
+  { id: 'import-workspace', title: 'Import Workspace', group: 'File', keywords: ['restore', 'archive'], run: () => workspaceDialog.chooseImportFile() },
+  { id: 'cloud-storage', title: 'Connected Cloud Storages', group: 'Cloud', keywords: ['google drive', 'dropbox'], run: () => ui.showModal(cloudModal) },
+  { id: 'shortcuts', title: 'Keyboard Shortcuts', group: 'Help', keywords: ['keys', 'hotkeys', 'cheat sheet'], run: () => shortcutsDialog.show() },
+  { id: 'customize-shortcuts', title: 'Customize Keyboard Shortcuts', group: 'Settings', keywords: ['keys', 'keybindings', 'hotkeys'], run: () => shortcutsDialog.show({ customize: true }) },
+  { id: 'fullscreen', title: 'Toggle Fullscreen', group: 'View', keywords: ['focus', 'distraction'], shortcut: ['Mod+Shift+KeyF', 'F11'], run: () => toggleFullscreen() },
+].forEach((command) => commands.register(command));
+registerInsertCommands(editor);
+keybindings.init(editor.editorEl);
+
+// Where the caret was when the palette opened, for commands that insert there
+let paletteEditorRange = null;
+
+// Highlighted palette entry, counting enabled commands first and then documents
+let activePaletteIndex = 0;
+
+// Full-text search results shown below the commands
+const documentSearch = new DocumentSearch(editor, () => ui.hideModal(commandModal));
+
+/**
+ * Run a palette command, first putting the caret back where it was for commands that act there
+ * @param {string} id - Command id
+ */
+function runPaletteCommand(id) {
+  const command = commands.get(id);
+  if (!command) return;
+  if (command.inEditor) {
+    editor.editorEl.focus();
+    if (paletteEditorRange) {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(paletteEditorRange);
+    } else {
+      editor.placeCursorAtEnd();
+    }
+  }
+  commands.run(id).catch((error) => {
+    console.error('Command failed:', error);
+  });
+}
+
+/**
+ * @param {string} title - Section heading
+ */
+function appendCommandSection(title) {
+  const heading = document.createElement('h3');
+  heading.className = 'command-section-title';
+  heading.textContent = title;
+  commandList.appendChild(heading);
+}
+
+/**
+ * @param {Object} command - Command to list, with its key binding if it has one
+ */
+function appendCommandItem(command) {
+  const item = document.createElement('button');
+  item.className = 'command-item command-entry';
+  item.dataset.command = command.id;
+  item.disabled = !commands.isEnabled(command);
+
+  const title = document.createElement('span');
+  title.textContent = command.group ? `${command.group}: ${command.title}` : command.title;
+  item.appendChild(title);
+
+  if (keybindings.getBindings(command.id).length > 0) {
+    const shortcut = document.createElement('kbd');
+    shortcut.className = 'command-shortcut';
+    shortcut.textContent = keybindings.getLabel(command.id);
+    item.appendChild(shortcut);
+  }
+  commandList.appendChild(item);
+}
+
+/**
+ * @returns {Array<HTMLElement>} Palette entries that can be chosen, in order
+ */
+function getPaletteItems() {
+  return Array.from(commandModal.querySelectorAll('.command-item')).filter((item) => !item.disabled);
+}
+
+/**
+ * @param {number} index - Entry to highlight, wrapping around
+ */
+function setActivePaletteItem(index) {
+  commandModal.querySelectorAll('.command-item.active').forEach((item) => {
+    item.classList.remove('active');
+    item.removeAttribute('aria-selected');
+  });
+
+  const items = getPaletteItems();
+  if (items.length === 0) return;
+  activePaletteIndex = (index + items.length) % items.length;
+  const item = items[activePaletteIndex];
+  item.classList.add('active');
+  item.setAttribute('aria-selected', 'true');
+  if (item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+}
+
 function filterCommandItems(query) {
   if (!commandList) return;
-  const items = commandList.querySelectorAll('.command-item');
-  let any = false;
-  const q = (query || '').toLowerCase();
-  items.forEach((item) => {
-    const text = item.textContent.toLowerCase();
-    const match = text.includes(q);
-    item.style.display = match ? 'flex' : 'none';
-    if (match && !item.disabled) any = true;
+  commandList.innerHTML = '';
+  const listed = (command) => command.palette !== false;
+  let matches = commands.search(query || '', listed);
+
+  // Without a query, recently run commands come first
+  const recent = query ? [] : commands.getRecent(listed);
+  if (recent.length > 0) {
+    appendCommandSection('Recent');
+    recent.forEach(appendCommandItem);
+    appendCommandSection('All Commands');
+    matches = matches.filter((command) => !recent.includes(command));
+  }
+  matches.forEach(appendCommandItem);
+  setActivePaletteItem(0);
+  const any = recent.concat(matches).some((command) => commands.isEnabled(command));
+
+  documentSearch.update(query || '').then((resultCount) => {
+    if (commandInput && query !== commandInput.value) return;
+    if (commandEmpty) commandEmpty.style.display = any || resultCount > 0 ? 'none' : 'block';
+    if (!commandModal.querySelector('.command-item.active')) setActivePaletteItem(0);
   });
-  if (commandEmpty) commandEmpty.style.display = any ? 'none' : 'block';
 }
 
-if (commandModal) {
-  // Toggle Command with Cmd/Ctrl + J
-  document.addEventListener('keydown', (e) => {
-    if ((e.metaKey || e.ctrlKey) && (e.key === 'j' || e.key === 'J')) {
-      e.preventDefault();
-      const isVisible = commandModal.classList.contains('visible');
-      if (isVisible) {
-        ui.hideModal(commandModal);
-      } else {
-        ui.showModal(commandModal);
-        if (commandInput) {
-          commandInput.value = '';
-        }
-        filterCommandItems('');
-      }
-    }
-  });
+/**
+ * Open the command palette, or close it if it is open
+ */
+function togglePalette() {
+  if (!commandModal) return;
+  if (commandModal.classList.contains('visible')) {
+    ui.hideModal(commandModal);
+    return;
+  }
 
+  const selection = window.getSelection();
+  paletteEditorRange = selection.rangeCount > 0 && editor.editorEl.contains(selection.anchorNode)
+    ? selection.getRangeAt(0).cloneRange()
+    : null;
+  ui.showModal(commandModal);
+  if (commandInput) {
+    commandInput.value = '';
+    commandInput.focus();
+  }
+  filterCommandItems('');
+}
+
+if (commandModal) {
   // Backdrop click closes
   commandModal.addEventListener('click', (e) => {
     if (e.target === commandModal) {
@@ -309,11 +556,22 @@ if (commandModal) {
     }
   });
 
-  // Input filtering
+  // Input filtering; arrows move through the entries and Enter chooses the highlighted one
   if (commandInput) {
     commandInput.addEventListener('input', (e) => {
       filterCommandItems(e.target.value);
     });
+
+    commandInput.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        setActivePaletteItem(activePaletteIndex + (e.key === 'ArrowDown' ? 1 : -1));
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        const item = commandModal.querySelector('.command-item.active') || getPaletteItems()[0];
+        if (item) item.click();
+      }
+    });
   }
 
   // Item click handler
@@ -321,12 +579,8 @@ if (commandModal) {
     commandList.addEventListener('click', (e) => {
       const item = e.target.closest('.command-item');
       if (!item || item.disabled) return;
-      const action = item.getAttribute('data-action');
-      if (action === 'settings') {
-        const settingsBtn = document.getElementById('settings-btn');
-        if (settingsBtn) settingsBtn.click();
-      }
       ui.hideModal(commandModal);
+      runPaletteCommand(item.dataset.command);
     });
   }
 }
@@ -342,15 +596,22 @@ if ('serviceWorker' in navigator) {
       // Service worker is optional, so we continue without it
     }
   });
+
+  // Background Sync fired: the credentials live here, so the page does the syncing
+  navigator.serviceWorker.addEventListener('message', (e) => {
+    if (e.data && e.data.type === BACKGROUND_SYNC_TAG) autoSync.flush();
+  });
 }
 
 // Handle online/offline status
 window.addEventListener('online', () => {
   ui.updateSaveStatus('Online', true);
+  autoSync.flush();
 });
 
 window.addEventListener('offline', () => {
   ui.updateSaveStatus('Offline', false);
+  autoSync.render();
 });
 
 const appContainer = document.querySelector('.app-container');
@@ -406,7 +667,9 @@ function updateFullscreenUI() {
   
   // Update existing fullscreen button if it exists
   if (fullscreenBtn) {
-    fullscreenBtn.title = inFs ? 'Exit Fullscreen (F11 or Cmd/Ctrl+Shift+F)' : 'Fullscreen (F11 or Cmd/Ctrl+Shift+F)';
+    const shortcut = keybindings.getLabel('fullscreen');
+    const title = inFs ? 'Exit Fullscreen' : 'Fullscreen';
+    fullscreenBtn.title = shortcut ? `${title} (${shortcut})` : title;
     fullscreenBtn.setAttribute('aria-pressed', inFs ? 'true' : 'false');
   }
   
@@ -441,17 +704,11 @@ document.addEventListener('keydown', (e) => {
   if (e.key === 'Escape' && isFullscreen()) {
     toggleFullscreen();
   }
-  if (e.key === 'F11') {
-    e.preventDefault();
-    toggleFullscreen();
-  }
-  if ((e.metaKey || e.ctrlKey) && e.shiftKey && (e.key === 'F' || e.key === 'f')) {
-    e.preventDefault();
-    toggleFullscreen();
-  }
 });
 
 document.addEventListener('fullscreenchange', updateFullscreenUI);
+document.addEventListener('keybindings-changed', updateFullscreenUI);
+updateFullscreenUI();
 document.addEventListener('webkitfullscreenchange', updateFullscreenUI);
 
 // Mobile touch functionality
@@ -0,0 +1,1040 @@
+/**
+ * Markdown conversion
+ * Converts editor HTML to CommonMark by walking the DOM, and parses Markdown
+ * back into editor HTML
+ */
+
+import { escapeHTML } from './diff.js';
+import { isSafeUrl } from './sanitize.js';
+
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DETAILS', 'DIV', 'DL', 'FIELDSET', 'FIGURE', 'FOOTER', 'FORM',
+  'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'UL',
+]);
+const MERGEABLE_TAGS = new Set(['STRONG', 'B', 'EM', 'I', 'S', 'DEL', 'STRIKE', 'CODE']);
+const ALIGNMENTS = new Set(['center', 'right', 'justify']);
+const HARD_BREAK = '\\\n';
+
+/**
+ * Whether a node is rendered as a block
+ * @param {Node} node - DOM node
+ * @returns {boolean}
+ */
+function isBlock(node) {
+  return node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.has(node.tagName);
+}
+
+/**
+ * Trim HTML whitespace (but not non-breaking spaces)
+ * @param {string} text - Text
+ * @returns {string} Trimmed text
+ */
+function trimSpace(text) {
+  return text.replace(/^[ \t\r\n]+|[ \t\r\n]+$/g, '');
+}
+
+/**
+ * Escape characters that Markdown would otherwise treat as syntax
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+export function escapeMarkdown(text) {
+  let result = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if ('\\`*[]<~'.includes(ch)) {
+      result += '\\' + ch;
+    } else if (ch === '_') {
+      // Underscores inside words never start emphasis
+      const intraword = /[\p{L}\p{N}]/u.test(text[i - 1] || '') && /[\p{L}\p{N}]/u.test(text[i + 1] || '');
+      result += intraword ? ch : '\\_';
+    } else if (ch === '&' && /^&(#\d+|#x[\da-f]+|\w+);/i.test(text.slice(i))) {
+      result += '\\&';
+    } else {
+      result += ch;
+    }
+  }
+  return result;
+}
+
+/**
+ * Escape text at the start of a line that would begin a block construct
+ * @param {string} line - Markdown line
+ * @returns {string} Escaped line
+ */
+function escapeLineStart(line) {
+  return line
+    .replace(/^(#{1,6})(?=\s|$)/, '\\$1')
+    .replace(/^>/, '\\>')
+    .replace(/^([-+])(?=\s|$)/, '\\$1')
+    .replace(/^(\d{1,9})([.)])(?=\s|$)/, '$1\\$2')
+    .replace(/^([-=])(?=[-=\s]*$)/, '\\$1');
+}
+
+/**
+ * Merge adjacent identical formatting elements so their markers do not collide
+ * @param {Element} root - Root element
+ */
+function mergeAdjacentFormatting(root) {
+  root.querySelectorAll('*').forEach((el) => {
+    if (!MERGEABLE_TAGS.has(el.tagName) || el.attributes.length > 0 || !el.parentNode) return;
+    let next = el.nextSibling;
+    while (next && next.nodeType === Node.ELEMENT_NODE && next.tagName === el.tagName && next.attributes.length === 0) {
+      while (next.firstChild) el.appendChild(next.firstChild);
+      next.remove();
+      next = el.nextSibling;
+    }
+  });
+}
+
+/**
+ * Horizontal alignment set on an element, if it is not the default
+ * @param {Element} el - Element
+ * @returns {string} 'center', 'right', 'justify' or ''
+ */
+function getAlignment(el) {
+  const align = (el.style && el.style.textAlign) || el.getAttribute('align') || '';
+  return ALIGNMENTS.has(align.toLowerCase()) ? align.toLowerCase() : '';
+}
+
+/**
+ * Wrap converted blocks in an HTML alignment container. The blank lines keep
+ * the content inside parsed as Markdown.
+ * @param {string} markdown - Converted content
+ * @param {string} align - Alignment
+ * @returns {string} Markdown block
+ */
+function wrapAlignment(markdown, align) {
+  return `<div align="${align}">\n\n${markdown}\n\n</div>`;
+}
+
+/**
+ * Wrap inline content in emphasis markers, keeping surrounding whitespace outside them
+ * @param {string} content - Inline Markdown
+ * @param {string} marker - Marker, e.g. '**'
+ * @param {string} closeMarker - Closing marker, if different
+ * @returns {string} Inline Markdown
+ */
+function wrapInline(content, marker, closeMarker = marker) {
+  const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!match[2]) return content;
+  return `${match[1]}${marker}${match[2]}${closeMarker}${match[3]}`;
+}
+
+/**
+ * Wrap emphasis unless an ancestor already applies the same emphasis, since
+ * nested markers would read back as a different style
+ * @param {Element} el - Emphasis element
+ * @param {string} content - Converted children
+ * @param {string} selector - Elements with the same meaning
+ * @param {string} marker - Marker
+ * @param {string} closeMarker - Closing marker, if different
+ * @returns {string} Inline Markdown
+ */
+function wrapEmphasis(el, content, selector, marker, closeMarker = marker) {
+  const parent = el.parentElement;
+  if (parent && parent.closest(selector)) return content;
+  return wrapInline(content, marker, closeMarker);
+}
+
+/**
+ * Format a code span with a fence longer than any backtick run inside it
+ * @param {string} code - Code text
+ * @returns {string} Inline Markdown
+ */
+function codeSpan(code) {
+  if (!code) return '';
+  const longest = Math.max(0, ...(code.match(/`+/g) || []).map((run) => run.length));
+  const fence = '`'.repeat(longest + 1);
+  const pad = /^`|`$/.test(code) || (/^ /.test(code) && / $/.test(code) && code.trim()) ? ' ' : '';
+  return `${fence}${pad}${code}${pad}${fence}`;
+}
+
+/**
+ * Format a link destination, using the angle-bracket form when needed
+ * @param {string} url - URL
+ * @returns {string} Destination
+ */
+function linkDestination(url) {
+  if (/[\s()<>]/.test(url) || url === '') {
+    return `<${url.replace(/[<>\n]/g, (ch) => encodeURIComponent(ch))}>`;
+  }
+  return url.replace(/\\/g, '%5C');
+}
+
+/**
+ * Convert inline content to Markdown. Line breaks come back as "\n".
+ * @param {Node} node - DOM node
+ * @returns {string} Inline Markdown
+ */
+function convertInline(node) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return escapeMarkdown(node.nodeValue.replace(/[ \t\r\n]+/g, ' '));
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+  const children = () => Array.from(node.childNodes).map(convertInline).join('');
+
+  switch (node.tagName) {
+    case 'BR':
+      return '\n';
+    case 'STRONG':
+    case 'B':
+      return wrapEmphasis(node, children(), 'strong, b', '**');
+    case 'EM':
+    case 'I':
+      return wrapEmphasis(node, children(), 'em, i', '*');
+    case 'S':
+    case 'DEL':
+    case 'STRIKE':
+      return wrapEmphasis(node, children(), 's, del, strike', '~~');
+    case 'U':
+      // Markdown has no underline, so it is kept as the one inline tag the importer accepts
+      return wrapEmphasis(node, children(), 'u', '<u>', '</u>');
+    case 'CODE':
+    case 'KBD':
+    case 'SAMP':
+      return codeSpan(node.textContent);
+    case 'A': {
+      const text = children();
+      const href = node.getAttribute('href');
+      if (!href) return text;
+      const title = node.getAttribute('title');
+      const titlePart = title ? ` "${title.replace(/["\\]/g, '\\$&')}"` : '';
+      return `[${text}](${linkDestination(href)}${titlePart})`;
+    }
+    case 'IMG': {
+      const src = node.getAttribute('src');
+      if (!src) return '';
+      return `![${escapeMarkdown(node.getAttribute('alt') || '')}](${linkDestination(src)})`;
+    }
+    case 'SCRIPT':
+    case 'STYLE':
+      return '';
+    default:
+      // Blocks nested inside inline elements still start a new line
+      return isBlock(node) ? `\n${children()}\n` : children();
+  }
+}
+
+/**
+ * Convert a list to Markdown
+ * @param {Element} list - UL or OL element
+ * @returns {string} Markdown block
+ */
+function convertList(list) {
+  const ordered = list.tagName === 'OL';
+  const checklist = !ordered && list.classList.contains('checklist');
+  let number = ordered ? parseInt(list.getAttribute('start') || '1', 10) || 1 : 0;
+
+  const items = Array.from(list.children).filter((child) => child.tagName === 'LI');
+  return items.map((item) => {
+    const marker = ordered ? `${number++}.` : '-';
+    const loose = Array.from(item.children).some((child) => child.tagName === 'P');
+    let content = convertBlocks(item).join(loose ? '\n\n' : '\n');
+    if (checklist) {
+      // GitHub-style task list item
+      content = `[${item.getAttribute('data-checked') === 'true' ? 'x' : ' '}] ${content}`;
+    }
+    if (!content) return marker;
+
+    const indent = ' '.repeat(marker.length + 1);
+    const [first, ...rest] = content.split('\n');
+    return [`${marker} ${first}`, ...rest.map((line) => (line ? indent + line : line))].join('\n');
+  }).join('\n');
+}
+
+/**
+ * Convert a table to a GitHub-style pipe table; the first row is the header
+ * @param {Element} table - Table element
+ * @returns {string} Markdown table
+ */
+function convertTable(table) {
+  const rows = Array.from(table.querySelectorAll('tr')).filter((row) => row.closest('table') === table);
+  const cells = rows.map((row) => Array.from(row.children).filter((cell) => cell.tagName === 'TH' || cell.tagName === 'TD'));
+  const width = Math.max(0, ...cells.map((row) => row.length));
+  if (width === 0) return '';
+
+  // Cells hold one line, so their blocks and line breaks are joined with spaces
+  const cellText = (cell) => (cell ? trimSpace(convertBlocks(cell).join(' ').replace(/\\?\n/g, ' ')).replace(/\|/g, '\\|') : '');
+  const line = (row) => `| ${Array.from({ length: width }, (_, i) => cellText(row[i])).join(' | ')} |`;
+  const delimiter = Array.from({ length: width }, (_, i) => {
+    const align = cells[0][i] ? getAlignment(cells[0][i]) : '';
+    if (align === 'center') return ':---:';
+    return align === 'right' ? '---:' : '---';
+  });
+  return [line(cells[0]), `| ${delimiter.join(' | ')} |`, ...cells.slice(1).map(line)].join('\n');
+}
+
+/**
+ * Convert the children of a block container to a list of Markdown blocks
+ * @param {Element} container - Block element
+ * @returns {Array<string>} Markdown blocks
+ */
+function convertBlocks(container) {
+  const blocks = [];
+  let lines = [];
+  let line = '';
+
+  // A <br> ends the current line; an empty line separates paragraphs
+  const appendInline = (markdown) => {
+    const parts = markdown.split('\n');
+    line += parts[0];
+    parts.slice(1).forEach((part) => {
+      lines.push(line);
+      line = part;
+    });
+  };
+
+  // Block boundaries end a line without creating an empty one
+  const closeLine = () => {
+    if (trimSpace(line)) lines.push(line);
+    line = '';
+  };
+
+  const flushParagraph = () => {
+    closeLine();
+    let paragraph = [];
+    const emit = () => {
+      if (paragraph.length > 0) blocks.push(paragraph.join(HARD_BREAK));
+      paragraph = [];
+    };
+    lines.forEach((text) => {
+      const clean = trimSpace(text.replace(/ {2,}/g, ' '));
+      if (clean) paragraph.push(escapeLineStart(clean));
+      else emit();
+    });
+    emit();
+    lines = [];
+  };
+
+  const pushBlock = (markdown, align = '') => {
+    flushParagraph();
+    if (markdown) blocks.push(align ? wrapAlignment(markdown, align) : markdown);
+  };
+
+  const walk = (parent) => {
+    Array.from(parent.childNodes).forEach((node) => {
+      if (!isBlock(node)) {
+        appendInline(convertInline(node));
+        return;
+      }
+
+      const align = getAlignment(node);
+      switch (node.tagName) {
+        case 'H1':
+        case 'H2':
+        case 'H3':
+        case 'H4':
+        case 'H5':
+        case 'H6': {
+          const level = Number(node.tagName[1]);
+          const text = trimSpace(convertInline(node).replace(/\s*\n\s*/g, ' ').replace(/ {2,}/g, ' '));
+          if (text) pushBlock(`${'#'.repeat(level)} ${text.replace(/(^|\s)(#+)$/, '$1\\$2')}`, align);
+          break;
+        }
+        case 'UL':
+        case 'OL':
+          pushBlock(convertList(node), align);
+          break;
+        case 'BLOCKQUOTE': {
+          const quoted = convertBlocks(node).join('\n\n');
+          if (quoted) pushBlock(quoted.split('\n').map((text) => (text ? `> ${text}` : '>')).join('\n'), align);
+          break;
+        }
+        case 'PRE': {
+          const code = node.textContent.replace(/\n$/, '');
+          const codeEl = node.querySelector('code');
+          const language = codeEl && (codeEl.className.match(/language-(\S+)/) || [])[1];
+          const longest = Math.max(0, ...(code.match(/`+/g) || []).map((run) => run.length));
+          const fence = '`'.repeat(Math.max(3, longest + 1));
+          pushBlock(`${fence}${language || ''}\n${code}\n${fence}`, align);
+          break;
+        }
+        case 'HR':
+          pushBlock('---');
+          break;
+        case 'TABLE':
+          pushBlock(convertTable(node), align);
+          break;
+        case 'P':
+          if (align) {
+            pushBlock(convertBlocks(node).join('\n\n'), align);
+          } else {
+            flushParagraph();
+            walk(node);
+            flushParagraph();
+          }
+          break;
+        default:
+          // Generic blocks (the editor's <div> lines) continue the current paragraph
+          if (align) {
+            pushBlock(convertBlocks(node).join('\n\n'), align);
+          } else {
+            closeLine();
+            walk(node);
+            closeLine();
+          }
+      }
+    });
+  };
+
+  walk(container);
+  flushParagraph();
+  return blocks;
+}
+
+/**
+ * Convert editor HTML to Markdown
+ * @param {string} html - HTML content
+ * @returns {string} Markdown
+ */
+export function htmlToMarkdown(html) {
+  const root = document.createElement('div');
+  root.innerHTML = html || '';
+  mergeAdjacentFormatting(root);
+  const markdown = convertBlocks(root).join('\n\n');
+  return markdown ? `${markdown}\n` : '';
+}
+
+/* Markdown to HTML */
+
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const FENCE_OPEN = /^( {0,3})(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/;
+const BLOCKQUOTE_LINE = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM = /^( {0,3})([-+*]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/;
+const ALIGN_OPEN = /^ {0,3}<div align="(left|center|right|justify)">[ \t]*$/i;
+const DIV_CLOSE = /^ {0,3}<\/div>[ \t]*$/i;
+const ESCAPABLE = /\\([!-/:-@[-`{-~])/g;
+const TASK_ITEM = /^\[([ xX])\](?:[ \t]+(.*)|$)/;
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const ENTITY = /^&(?:#\d{1,7}|#[xX][\da-fA-F]{1,6}|[a-zA-Z][a-zA-Z\d]{1,31});/;
+
+const isBlank = (line) => /^[ \t]*$/.test(line);
+const isSpace = (ch) => !ch || /\s/.test(ch);
+const isPunctuation = (ch) => !!ch && /[\p{P}\p{S}]/u.test(ch);
+
+/**
+ * Whether a line starts a block that ends a paragraph
+ * @param {string} line - Line
+ * @returns {boolean}
+ */
+function interruptsParagraph(line) {
+  return ATX_HEADING.test(line)
+    || THEMATIC_BREAK.test(line)
+    || FENCE_OPEN.test(line)
+    || BLOCKQUOTE_LINE.test(line)
+    || ALIGN_OPEN.test(line)
+    || /^ {0,3}([-+*]|1[.)])[ \t]+\S/.test(line);
+}
+
+/**
+ * Split a pipe table row into its cells
+ * @param {string} line - Table row
+ * @returns {Array<string>} Cell sources, with escaped pipes unescaped
+ */
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+  return row.split(/(?<!\\)\|/).map((cell) => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Parse a pipe table starting at a line, if there is one
+ * @param {Array<string>} lines - All lines
+ * @param {number} start - Index of the header row
+ * @returns {{html: string, end: number}|null} Table HTML and the index after it
+ */
+function parseTable(lines, start) {
+  const delimiter = lines[start + 1];
+  if (!lines[start].includes('|') || delimiter === undefined || !delimiter.includes('|') || !TABLE_DELIMITER.test(delimiter)) {
+    return null;
+  }
+  const header = splitTableRow(lines[start]);
+  const alignments = splitTableRow(delimiter).map((cell) => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    return cell.startsWith(':') ? 'left' : '';
+  });
+  if (header.length !== alignments.length) return null;
+
+  const renderRow = (cells, tag) => {
+    const html = alignments.map((align, i) => {
+      const style = align ? ` style="text-align: ${align};"` : '';
+      return `<${tag}${style}>${parseInline(cells[i] || '')}</${tag}>`;
+    }).join('');
+    return `<tr>${html}</tr>`;
+  };
+
+  let end = start + 2;
+  const body = [];
+  while (end < lines.length && !isBlank(lines[end]) && lines[end].includes('|') && !interruptsParagraph(lines[end])) {
+    body.push(renderRow(splitTableRow(lines[end]), 'td'));
+    end++;
+  }
+  const tbody = body.length > 0 ? `<tbody>${body.join('')}</tbody>` : '';
+  return { html: `<table><thead>${renderRow(header, 'th')}</thead>${tbody}</table>`, end };
+}
+
+/**
+ * Parse a link destination and optional title following "]("
+ * @param {string} src - Inline source
+ * @param {number} start - Index of the "("
+ * @returns {{url: string, title: string, end: number}|null} Parsed link tail
+ */
+function parseLinkTail(src, start) {
+  let i = start + 1;
+  const skipSpace = () => {
+    while (i < src.length && /\s/.test(src[i])) i++;
+  };
+
+  skipSpace();
+  let url = '';
+  if (src[i] === '<') {
+    const close = src.indexOf('>', i);
+    if (close === -1 || /[\n<]/.test(src.slice(i + 1, close))) return null;
+    url = src.slice(i + 1, close);
+    i = close + 1;
+  } else {
+    let depth = 0;
+    const from = i;
+    while (i < src.length && !/\s/.test(src[i])) {
+      if (src[i] === '\\' && i + 1 < src.length) {
+        i += 2;
+        continue;
+      }
+      if (src[i] === '(') depth++;
+      if (src[i] === ')') {
+        if (depth === 0) break;
+        depth--;
+      }
+      i++;
+    }
+    url = src.slice(from, i);
+  }
+
+  skipSpace();
+  let title = '';
+  const opener = src[i];
+  if (opener === '"' || opener === "'" || opener === '(') {
+    const closer = opener === '(' ? ')' : opener;
+    let j = i + 1;
+    while (j < src.length && src[j] !== closer) j += src[j] === '\\' ? 2 : 1;
+    if (j >= src.length) return null;
+    title = src.slice(i + 1, j);
+    i = j + 1;
+    skipSpace();
+  }
+
+  if (src[i] !== ')') return null;
+  return {
+    url: url.replace(ESCAPABLE, '$1'),
+    title: title.replace(ESCAPABLE, '$1'),
+    end: i + 1,
+  };
+}
+
+/**
+ * Resolve emphasis delimiters into strong, em and strikethrough nodes
+ * (the CommonMark delimiter run algorithm)
+ * @param {Array<Object>} nodes - Inline nodes, modified in place
+ */
+function processEmphasis(nodes) {
+  let c = 0;
+  while (c < nodes.length) {
+    const closer = nodes[c];
+    if (closer.type !== 'delim' || !closer.canClose || closer.count === 0) {
+      c++;
+      continue;
+    }
+
+    let o = c - 1;
+    for (; o >= 0; o--) {
+      const opener = nodes[o];
+      if (opener.type !== 'delim' || opener.char !== closer.char || !opener.canOpen || opener.count === 0) continue;
+      if (closer.char === '~') {
+        if (opener.count >= 2 && closer.count >= 2) break;
+        continue;
+      }
+      const oddMatch = (opener.canClose || closer.canOpen)
+        && (opener.original + closer.original) % 3 === 0
+        && !(opener.original % 3 === 0 && closer.original % 3 === 0);
+      if (!oddMatch) break;
+    }
+
+    if (o < 0) {
+      c++;
+      continue;
+    }
+
+    const opener = nodes[o];
+    const use = closer.char === '~' ? 2 : Math.min(2, opener.count, closer.count);
+    let tag = use === 2 ? 'strong' : 'em';
+    if (closer.char === '~') tag = 's';
+
+    const children = nodes.splice(o + 1, c - o - 1);
+    nodes.splice(o + 1, 0, { type: 'element', tag, children });
+    opener.count -= use;
+    closer.count -= use;
+    c = o + 2;
+    if (opener.count === 0) {
+      nodes.splice(o, 1);
+      c--;
+    }
+    if (closer.count === 0) {
+      nodes.splice(c, 1);
+    }
+  }
+}
+
+/**
+ * Render inline nodes to HTML
+ * @param {Array<Object>} nodes - Inline nodes
+ * @returns {string} HTML
+ */
+function renderInline(nodes) {
+  return nodes.map((node) => {
+    if (node.type === 'text') return escapeHTML(node.value);
+    if (node.type === 'delim') return escapeHTML(node.char.repeat(node.count));
+    if (node.type === 'element') return `<${node.tag}>${renderInline(node.children)}</${node.tag}>`;
+    return node.value;
+  }).join('');
+}
+
+/**
+ * Plain text of inline nodes, for image alt text
+ * @param {Array<Object>} nodes - Inline nodes
+ * @returns {string} Text
+ */
+function inlineText(nodes) {
+  return nodes.map((node) => {
+    if (node.type === 'text') return node.value;
+    if (node.type === 'element') return inlineText(node.children);
+    if (node.type === 'delim') return node.char.repeat(node.count);
+    return node.alt || '';
+  }).join('');
+}
+
+/**
+ * Parse inline Markdown
+ * @param {string} src - Inline source
+ * @returns {string} HTML
+ */
+function parseInline(src) {
+  const nodes = [];
+  const brackets = [];
+  let text = '';
+  let i = 0;
+
+  const flush = () => {
+    if (text) nodes.push({ type: 'text', value: text });
+    text = '';
+  };
+  const pushHTML = (value, extra = {}) => {
+    flush();
+    nodes.push({ type: 'html', value, ...extra });
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (ch === '\\') {
+      const next = src[i + 1];
+      if (next === '\n') {
+        pushHTML('<br>');
+        i += 2;
+      } else if (next && /[!-/:-@[-`{-~]/.test(next)) {
+        text += next;
+        i += 2;
+      } else {
+        text += ch;
+        i++;
+      }
+      continue;
+    }
+
+    if (ch === '`') {
+      const run = src.slice(i).match(/^`+/)[0];
+      let search = i + run.length;
+      let close = -1;
+      while ((close = src.indexOf(run, search)) !== -1) {
+        const after = close + run.length;
+        if (src[close - 1] !== '`' && src[after] !== '`') break;
+        search = src.slice(close).match(/^`+/)[0].length + close;
+      }
+      if (close === -1) {
+        text += run;
+        i += run.length;
+        continue;
+      }
+      let code = src.slice(i + run.length, close).replace(/\n/g, ' ');
+      if (/^ .*[^ ].* $/.test(code) || /^ [^ ] $/.test(code)) code = code.slice(1, -1);
+      pushHTML(`<code>${escapeHTML(code)}</code>`);
+      i = close + run.length;
+      continue;
+    }
+
+    if (ch === '*' || ch === '_' || ch === '~') {
+      const run = src.slice(i).match(ch === '*' ? /^\*+/ : ch === '_' ? /^_+/ : /^~+/)[0];
+      const before = src[i - 1];
+      const after = src[i + run.length];
+      const leftFlanking = !isSpace(after) && (!isPunctuation(after) || isSpace(before) || isPunctuation(before));
+      const rightFlanking = !isSpace(before) && (!isPunctuation(before) || isSpace(after) || isPunctuation(after));
+      let canOpen = leftFlanking;
+      let canClose = rightFlanking;
+      if (ch === '_') {
+        canOpen = leftFlanking && (!rightFlanking || isPunctuation(before));
+        canClose = rightFlanking && (!leftFlanking || isPunctuation(after));
+      }
+      if (ch === '~' && run.length > 2) {
+        canOpen = false;
+        canClose = false;
+      }
+      flush();
+      nodes.push({ type: 'delim', char: ch, count: run.length, original: run.length, canOpen, canClose });
+      i += run.length;
+      continue;
+    }
+
+    if (ch === '[' || (ch === '!' && src[i + 1] === '[')) {
+      const image = ch === '!';
+      flush();
+      brackets.push({ index: nodes.length, image, active: true });
+      nodes.push({ type: 'text', value: image ? '![' : '[' });
+      i += image ? 2 : 1;
+      continue;
+    }
+
+    if (ch === ']') {
+      const opener = brackets.pop();
+      const tail = opener && opener.active && src[i + 1] === '(' ? parseLinkTail(src, i + 1) : null;
+      if (!tail) {
+        text += ch;
+        i++;
+        continue;
+      }
+
+      flush();
+      const children = nodes.splice(opener.index);
+      children.shift();
+      processEmphasis(children);
+      const title = tail.title ? ` title="${escapeHTML(tail.title)}"` : '';
+
+      if (opener.image) {
+        const alt = inlineText(children);
+        if (isSafeUrl(tail.url)) {
+          pushHTML(`<img src="${escapeHTML(tail.url)}" alt="${escapeHTML(alt)}"${title}>`, { alt });
+        } else {
+          text += alt;
+        }
+      } else {
+        const inner = renderInline(children);
+        if (isSafeUrl(tail.url)) {
+          pushHTML(`<a href="${escapeHTML(tail.url)}"${title} target="_blank" rel="noopener noreferrer">${inner}</a>`);
+        } else {
+          pushHTML(inner);
+        }
+        // Links may not contain other links
+        brackets.forEach((bracket) => {
+          if (!bracket.image) bracket.active = false;
+        });
+      }
+      i = tail.end;
+      continue;
+    }
+
+    if (ch === '<') {
+      // <u> is the only raw HTML allowed, as Markdown has no underline
+      const underline = src.slice(i).match(/^<\/?u>/i);
+      if (underline) {
+        pushHTML(underline[0].toLowerCase());
+        i += underline[0].length;
+        continue;
+      }
+      const autolink = src.slice(i).match(/^<([a-zA-Z][a-zA-Z\d+.-]{1,31}:[^\s<>]*)>/);
+      const email = src.slice(i).match(/^<([\w.!#$%&'*+/=?^`{|}~-]+@[a-zA-Z\d-]+(?:\.[a-zA-Z\d-]+)*)>/);
+      if (autolink && isSafeUrl(autolink[1])) {
+        pushHTML(`<a href="${escapeHTML(autolink[1])}" target="_blank" rel="noopener noreferrer">${escapeHTML(autolink[1])}</a>`);
+        i += autolink[0].length;
+        continue;
+      }
+      if (email) {
+        pushHTML(`<a href="mailto:${escapeHTML(email[1])}">${escapeHTML(email[1])}</a>`);
+        i += email[0].length;
+        continue;
+      }
+    }
+
+    if (ch === '&') {
+      const entity = src.slice(i).match(ENTITY);
+      if (entity) {
+        pushHTML(entity[0]);
+        i += entity[0].length;
+        continue;
+      }
+    }
+
+    if (ch === '\n') {
+      // Two trailing spaces make a hard break; otherwise the newline is a soft break
+      if (/ {2,}$/.test(text)) {
+        text = text.replace(/ +$/, '');
+        pushHTML('<br>');
+      } else {
+        text = text.replace(/ +$/, '') + '\n';
+      }
+      i++;
+      while (src[i] === ' ') i++;
+      continue;
+    }
+
+    text += ch;
+    i++;
+  }
+
+  flush();
+  processEmphasis(nodes);
+  return renderInline(nodes);
+}
+
+/**
+ * Expand leading tabs to four-column stops
+ * @param {string} line - Line
+ * @returns {string} Line with leading tabs expanded
+ */
+function expandIndent(line) {
+  return line.replace(/^[ \t]+/, (indent) => {
+    let width = 0;
+    for (const ch of indent) width = ch === '\t' ? width + 4 - (width % 4) : width + 1;
+    return ' '.repeat(width);
+  });
+}
+
+/**
+ * Parse a list starting at a line
+ * @param {Array<string>} lines - Lines
+ * @param {number} start - Index of the first item
+ * @returns {{html: string, end: number}} Rendered list and the index after it
+ */
+function parseList(lines, start) {
+  const parseItem = (line) => {
+    const match = line.match(LIST_ITEM);
+    if (!match) return null;
+    const [, indent, marker, spacing = '', content = ''] = match;
+    const ordered = /\d/.test(marker);
+    const pad = spacing.length >= 1 && spacing.length <= 4 && content ? spacing.length : 1;
+    return {
+      ordered,
+      kind: ordered ? marker.slice(-1) : marker,
+      number: ordered ? parseInt(marker, 10) : 0,
+      width: indent.length + marker.length + pad,
+      content: spacing.length > 4 ? ' '.repeat(spacing.length - 1) + content : content,
+    };
+  };
+
+  const first = parseItem(lines[start]);
+  const items = [];
+  let loose = false;
+  let blankBefore = false;
+  let i = start;
+
+  while (i < lines.length) {
+    const item = parseItem(lines[i]);
+    if (!item || item.ordered !== first.ordered || item.kind !== first.kind) break;
+    if (THEMATIC_BREAK.test(lines[i])) break;
+    if (items.length > 0 && blankBefore) loose = true;
+
+    const itemLines = [item.content];
+    i++;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (isBlank(line)) {
+        itemLines.push('');
+        i++;
+      } else if (line.match(/^ */)[0].length >= item.width) {
+        if (itemLines[itemLines.length - 1] === '' && itemLines.some((text) => text !== '')) {
+          // A blank line followed by more content of the same item
+          const nested = line.slice(item.width);
+          if (!LIST_ITEM.test(nested)) loose = true;
+        }
+        itemLines.push(line.slice(item.width));
+        i++;
+      } else if (itemLines[itemLines.length - 1] !== '' && !interruptsParagraph(line) && !parseItem(line)) {
+        itemLines.push(line.trimStart());
+        i++;
+      } else {
+        break;
+      }
+    }
+
+    blankBefore = false;
+    while (itemLines.length > 1 && itemLines[itemLines.length - 1] === '') {
+      itemLines.pop();
+      blankBefore = true;
+    }
+    items.push(itemLines);
+  }
+
+  // A bulleted list whose items all start with [ ] or [x] is a checklist
+  const checklist = !first.ordered && items.every((itemLines) => TASK_ITEM.test(itemLines[0]));
+  const body = items.map((itemLines) => {
+    if (!checklist) return `<li>${parseBlocks(itemLines, { tight: !loose })}</li>`;
+    const [, state, rest] = itemLines[0].match(TASK_ITEM);
+    const checked = state === ' ' ? 'false' : 'true';
+    return `<li data-checked="${checked}">${parseBlocks([rest || '', ...itemLines.slice(1)], { tight: !loose })}</li>`;
+  }).join('');
+  const startAttr = first.ordered && first.number !== 1 ? ` start="${first.number}"` : '';
+  const tag = first.ordered ? 'ol' : 'ul';
+  const classAttr = checklist ? ' class="checklist"' : '';
+  return { html: `<${tag}${startAttr}${classAttr}>${body}</${tag}>`, end: i };
+}
+
+/**
+ * Parse block-level Markdown
+ * @param {Array<string>} lines - Lines
+ * @param {Object} options - Parser options
+ * @param {boolean} options.tight - Render paragraphs without <p> (tight list items)
+ * @returns {string} HTML
+ */
+function parseBlocks(lines, { tight = false } = {}) {
+  const out = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    let match;
+
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    if ((match = line.match(FENCE_OPEN))) {
+      const [, indent, fence, language] = match;
+      const code = [];
+      i++;
+      while (i < lines.length) {
+        const close = lines[i].match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+        if (close && close[1][0] === fence[0] && close[1].length >= fence.length) {
+          i++;
+          break;
+        }
+        code.push(lines[i].replace(new RegExp(`^ {0,${indent.length}}`), ''));
+        i++;
+      }
+      const lang = language ? ` class="language-${escapeHTML(language.replace(ESCAPABLE, '$1'))}"` : '';
+      out.push(`<pre><code${lang}>${escapeHTML(code.join('\n'))}${code.length ? '\n' : ''}</code></pre>`);
+      continue;
+    }
+
+    if ((match = line.match(ATX_HEADING))) {
+      const level = match[1].length;
+      out.push(`<h${level}>${parseInline((match[2] || '').trim())}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (THEMATIC_BREAK.test(line)) {
+      out.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if ((match = line.match(ALIGN_OPEN))) {
+      let depth = 1;
+      let end = i + 1;
+      for (; end < lines.length; end++) {
+        if (ALIGN_OPEN.test(lines[end])) depth++;
+        if (DIV_CLOSE.test(lines[end]) && --depth === 0) break;
+      }
+      if (end < lines.length) {
+        const align = match[1].toLowerCase();
+        out.push(`<div style="text-align: ${align};">${parseBlocks(lines.slice(i + 1, end))}</div>`);
+        i = end + 1;
+        continue;
+      }
+    }
+
+    if (BLOCKQUOTE_LINE.test(line)) {
+      const inner = [];
+      while (i < lines.length) {
+        const quoted = lines[i].match(BLOCKQUOTE_LINE);
+        if (quoted) {
+          inner.push(quoted[1]);
+        } else if (!isBlank(lines[i]) && inner.length > 0 && !isBlank(inner[inner.length - 1]) && !interruptsParagraph(lines[i])) {
+          inner.push(lines[i]);
+        } else {
+          break;
+        }
+        i++;
+      }
+      out.push(`<blockquote>${parseBlocks(inner)}</blockquote>`);
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const list = parseList(lines, i);
+      out.push(list.html);
+      i = list.end;
+      continue;
+    }
+
+    const table = parseTable(lines, i);
+    if (table) {
+      out.push(table.html);
+      i = table.end;
+      continue;
+    }
+
+    if (/^ {4}/.test(line)) {
+      const code = [];
+      while (i < lines.length && (/^ {4}/.test(lines[i]) || isBlank(lines[i]))) {
+        code.push(lines[i].slice(4));
+        i++;
+      }
+      while (code.length && isBlank(code[code.length - 1])) code.pop();
+      out.push(`<pre><code>${escapeHTML(code.join('\n'))}\n</code></pre>`);
+      continue;
+    }
+
+    // Paragraph, possibly turned into a heading by a setext underline
+    const paragraph = [line.replace(/^[ \t]+/, '')];
+    let heading = 0;
+    i++;
+    while (i < lines.length && !isBlank(lines[i])) {
+      const underline = lines[i].match(SETEXT_UNDERLINE);
+      if (underline) {
+        heading = underline[1][0] === '=' ? 1 : 2;
+        i++;
+        break;
+      }
+      if (interruptsParagraph(lines[i])) break;
+      paragraph.push(lines[i].replace(/^[ \t]+/, ''));
+      i++;
+    }
+
+    const inline = parseInline(paragraph.join('\n').replace(/[ \t]+$/, ''));
+    if (heading) out.push(`<h${heading}>${inline}</h${heading}>`);
+    else out.push(tight ? inline : `<p>${inline}</p>`);
+  }
+
+  return out.join('');
+}
+
+/**
+ * Convert Markdown to editor HTML. Raw HTML in the source is shown as text,
+ * except for the alignment wrappers and underline tags written by htmlToMarkdown.
+ * @param {string} markdown - Markdown source
+ * @returns {string} HTML content
+ */
+export function markdownToHTML(markdown) {
+  const lines = (markdown || '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\u0000/g, '\uFFFD')
+    .split('\n')
+    .map(expandIndent);
+  return parseBlocks(lines);
+}
@@ -0,0 +1,21 @@
+/**
+ * OAuth popup callback
+ * The page providers send the sign-in popup back to. It hands their answer
+ * (code or error, and state) to the editor that opened it, which checks the
+ * state and finishes signing in. Then it closes itself.
+ */
+
+import { OAUTH_CALLBACK_MESSAGE } from './pkce.js';
+
+const message = { type: OAUTH_CALLBACK_MESSAGE, search: window.location.search };
+
+if (window.opener && !window.opener.closed) {
+  window.opener.postMessage(message, window.location.origin);
+} else if ('BroadcastChannel' in window) {
+  // The provider's pages can cut the popup off from its opener
+  const channel = new BroadcastChannel(OAUTH_CALLBACK_MESSAGE);
+  channel.postMessage(message);
+  channel.close();
+}
+
+window.close();
@@ -15,8 +15,9 @@ export const OAUTH_CONFIG = {
     // https://console.cloud.google.com/apis/credentials
     clientId: '', // Add your Google OAuth Client ID here
     
-    // Redirect URI - must match what's configured in Google Cloud Console
+    // Redirect URIs - must match what's configured in Google Cloud Console
     redirectUri: window.location.origin + window.location.pathname,
+    popupRedirectUri: new URL('oauth-callback.html', window.location.origin + window.location.pathname).href,
     
     // Scopes for Google Drive API
     scope: 'https://www.googleapis.com/auth/drive.file',
@@ -24,6 +25,7 @@ export const OAUTH_CONFIG = {
     // OAuth endpoints
     authUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
     tokenUrl: 'https://oauth2.googleapis.com/token',
+    revokeUrl: 'https://oauth2.googleapis.com/revoke',
   },
   
   dropbox: {
@@ -31,12 +33,14 @@ export const OAUTH_CONFIG = {
     // https://www.dropbox.com/developers/apps
     appKey: '', // Add your Dropbox App Key here
     
-    // Redirect URI - must match what's configured in Dropbox App Console
+    // Redirect URIs - must match what's configured in Dropbox App Console
     redirectUri: window.location.origin + window.location.pathname,
+    popupRedirectUri: new URL('oauth-callback.html', window.location.origin + window.location.pathname).href,
     
     // OAuth endpoints
     authUrl: 'https://www.dropbox.com/oauth2/authorize',
     tokenUrl: 'https://api.dropboxapi.com/oauth2/token',
+    revokeUrl: 'https://api.dropboxapi.com/2/auth/token/revoke',
   }
 };
 
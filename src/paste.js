@@ -0,0 +1,234 @@
+/**
+ * Paste pipeline
+ * Turns clipboard content into the editor's own formatting: HTML from web
+ * pages, Word and Google Docs is reduced to plain structure, and Markdown
+ * text is converted
+ */
+
+import { sanitizeHTML } from './sanitize.js';
+import { markdownToHTML } from './markdown.js';
+
+const FORMATTING_PATTERN = /<(h[1-6]|strong|em|u|s|a|ul|ol|blockquote|pre|code|img|hr)\b/i;
+const MARKDOWN_BLOCK = /^ {0,3}(#{1,6}[ \t]+\S|>[ \t]*\S|[-*+][ \t]+\S|\d{1,9}[.)][ \t]+\S|```|~~~)/m;
+const MARKDOWN_INLINE = [
+  /\*\*\S(?:[^*\n]*\S)?\*\*/,
+  /~~\S(?:[^~\n]*\S)?~~/,
+  /`[^`\n]+`/,
+  /\[[^\]\n]+\]\([^)\s]+(?: "[^"\n]*")?\)/,
+  /(?:^|[\s(])\*[^*\s](?:[^*\n]*[^*\s])?\*(?=$|[\s).,:;!?])/m,
+];
+const RENAMED_TAGS = { B: 'strong', I: 'em', DEL: 's', STRIKE: 's' };
+const INLINE_TAGS = new Set(['STRONG', 'EM', 'U', 'S', 'CODE', 'KBD', 'SAMP', 'MARK', 'SUB', 'SUP', 'A']);
+const HEADING_TAGS = new Set(['H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'TH']);
+
+/**
+ * Whether plain text is probably Markdown
+ * @param {string} text - Plain text
+ * @returns {boolean}
+ */
+export function looksLikeMarkdown(text) {
+  if (!text || !text.trim()) return false;
+  return MARKDOWN_BLOCK.test(text) || MARKDOWN_INLINE.some((pattern) => pattern.test(text));
+}
+
+/**
+ * Replace an element with a new one of another tag, keeping its children
+ * @param {Element} el - Element
+ * @param {string} tag - New tag name
+ * @returns {Element} The new element
+ */
+function renameElement(el, tag) {
+  const replacement = el.ownerDocument.createElement(tag);
+  Array.from(el.attributes).forEach(({ name, value }) => replacement.setAttribute(name, value));
+  replacement.append(...el.childNodes);
+  el.replaceWith(replacement);
+  return replacement;
+}
+
+/**
+ * Move an element's children into a new inline wrapper
+ * @param {Element} el - Element
+ * @param {string} tag - Wrapper tag name
+ */
+function wrapChildren(el, tag) {
+  const wrapper = el.ownerDocument.createElement(tag);
+  wrapper.append(...el.childNodes);
+  el.appendChild(wrapper);
+}
+
+/**
+ * Turn inline styles into formatting elements, as Google Docs and many web
+ * pages style text with spans rather than tags
+ * @param {DocumentFragment} root - Parsed clipboard content
+ */
+function applyInlineStyles(root) {
+  root.querySelectorAll('[style]').forEach((el) => {
+    const style = el.style;
+    const weight = style.fontWeight;
+    const numericWeight = parseInt(weight, 10);
+    const bold = weight === 'bold' || weight === 'bolder' || numericWeight >= 600;
+    const notBold = weight === 'normal' || weight === 'lighter' || numericWeight < 600;
+    const decoration = `${style.textDecoration} ${style.textDecorationLine}`;
+
+    // Google Docs wraps the whole selection in <b style="font-weight: normal">
+    if ((el.tagName === 'B' || el.tagName === 'STRONG') && notBold) {
+      el.replaceWith(...el.childNodes);
+      return;
+    }
+
+    if (bold && !HEADING_TAGS.has(el.tagName) && el.tagName !== 'B' && el.tagName !== 'STRONG') {
+      wrapChildren(el, 'strong');
+    }
+    if ((style.fontStyle === 'italic' || style.fontStyle === 'oblique') && el.tagName !== 'I' && el.tagName !== 'EM') {
+      wrapChildren(el, 'em');
+    }
+    if (decoration.includes('line-through')) wrapChildren(el, 's');
+    if (decoration.includes('underline') && !el.closest('a')) wrapChildren(el, 'u');
+  });
+}
+
+/**
+ * Rebuild Word's list paragraphs (<p style="mso-list: l0 level1">) as real lists
+ * @param {DocumentFragment} root - Parsed clipboard content
+ */
+function convertWordLists(root) {
+  const items = Array.from(root.querySelectorAll('p'))
+    .filter((p) => /mso-list:\s*l\d+/i.test(p.getAttribute('style') || ''));
+
+  let stack = [];
+  let previous = null;
+  items.forEach((p) => {
+    // Items continue the list only while they follow one another
+    if (!previous || p.previousElementSibling !== previous) stack = [];
+
+    const level = parseInt((p.getAttribute('style').match(/level(\d+)/i) || [])[1], 10) || 1;
+    const marker = p.querySelector('span[style*="mso-list" i]');
+    const markerText = marker ? marker.textContent.trim() : '';
+    if (marker) marker.remove();
+    const ordered = /^[\da-z]{1,5}[.)]$/i.test(markerText);
+
+    while (stack.length > level) stack.pop();
+    while (stack.length < level) {
+      const list = root.ownerDocument.createElement(ordered ? 'ol' : 'ul');
+      const parent = stack.length > 0 ? stack[stack.length - 1].lastElementChild : null;
+      if (parent) parent.appendChild(list);
+      else if (stack.length > 0) stack[stack.length - 1].appendChild(list);
+      else p.before(list);
+      stack.push(list);
+    }
+
+    const li = root.ownerDocument.createElement('li');
+    li.append(...p.childNodes);
+    stack[stack.length - 1].appendChild(li);
+    p.replaceWith(stack[0]);
+    previous = stack[0];
+  });
+}
+
+/**
+ * Turn task lists (<li><input type="checkbox"> …</li>, as GitHub renders them) into checklists
+ * @param {DocumentFragment} root - Parsed clipboard content
+ */
+function convertTaskLists(root) {
+  root.querySelectorAll('li > input[type="checkbox"]:first-child').forEach((input) => {
+    const item = input.parentElement;
+    item.setAttribute('data-checked', String(input.hasAttribute('checked')));
+    item.parentElement.setAttribute('class', 'checklist');
+    input.remove();
+    if (item.firstChild && item.firstChild.nodeType === Node.TEXT_NODE) {
+      item.firstChild.data = item.firstChild.data.trimStart();
+    }
+  });
+}
+
+/**
+ * Reduce sanitized HTML to the editor's own elements
+ * @param {DocumentFragment} root - Sanitized content
+ */
+function normalizeElements(root) {
+  Array.from(root.querySelectorAll('*')).reverse().forEach((el) => {
+    if (RENAMED_TAGS[el.tagName]) {
+      el = renameElement(el, RENAMED_TAGS[el.tagName]);
+    }
+
+    if (el.tagName === 'SPAN') {
+      el.replaceWith(...el.childNodes);
+    } else if (INLINE_TAGS.has(el.tagName) && !el.textContent && !el.querySelector('img, br')) {
+      el.remove();
+    } else if (el.tagName === 'LI' && el.children.length === 1 && el.firstElementChild.tagName === 'P' && !el.firstElementChild.attributes.length) {
+      // Google Docs puts a paragraph in every list item
+      el.firstElementChild.replaceWith(...el.firstElementChild.childNodes);
+    }
+  });
+
+  // Directly nested identical formatting adds nothing
+  root.querySelectorAll('strong strong, em em, s s, u u').forEach((el) => el.replaceWith(...el.childNodes));
+  root.normalize();
+}
+
+/**
+ * Unwrap a lone paragraph so short pastes flow into the current line
+ * @param {DocumentFragment} root - Content
+ * @returns {boolean} Whether the content is now inline
+ */
+function unwrapSingleParagraph(root) {
+  Array.from(root.childNodes).forEach((node) => {
+    if (node.nodeType === Node.TEXT_NODE && !node.textContent.trim()) node.remove();
+  });
+  if (root.childNodes.length === 1 && root.firstChild.tagName === 'P' && !root.firstChild.attributes.length) {
+    root.firstChild.replaceWith(...root.firstChild.childNodes);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Parse HTML into an inert fragment
+ * @param {string} html - HTML
+ * @returns {HTMLTemplateElement} Template holding the content
+ */
+function parse(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  return template;
+}
+
+/**
+ * Clean clipboard HTML into the editor's own formatting
+ * @param {string} html - Clipboard HTML
+ * @returns {string} Clean HTML
+ */
+export function cleanPastedHTML(html) {
+  // Styles are read before sanitizing, which drops them
+  const raw = parse(html);
+  applyInlineStyles(raw.content);
+  convertWordLists(raw.content);
+  convertTaskLists(raw.content);
+
+  const clean = parse(sanitizeHTML(raw.innerHTML));
+  normalizeElements(clean.content);
+  unwrapSingleParagraph(clean.content);
+  return clean.innerHTML;
+}
+
+/**
+ * Convert clipboard content to the HTML that should be inserted
+ * @param {Object} data - Clipboard content
+ * @param {string} data.html - The text/html flavour, if any
+ * @param {string} data.text - The text/plain flavour, if any
+ * @returns {string|null} HTML to insert, or null to insert the plain text as is
+ */
+export function clipboardToHTML({ html = '', text = '' }) {
+  const cleaned = html ? cleanPastedHTML(html) : '';
+
+  // Code editors and terminals copy Markdown as unformatted HTML or plain text
+  if (!FORMATTING_PATTERN.test(cleaned) && looksLikeMarkdown(text)) {
+    const converted = parse(markdownToHTML(text));
+    if (!unwrapSingleParagraph(converted.content)) return converted.innerHTML;
+    // Markdown trims the paragraph, but inline the spaces around it matter
+    const [, before, after] = text.match(/^([ \t]*)[\s\S]*?([ \t]*)$/);
+    return `${before}${converted.innerHTML}${after}`;
+  }
+
+  return cleaned.trim() ? cleaned : null;
+}
@@ -48,23 +48,62 @@ export async function generatePKCE() {
   return { verifier, challenge };
 }
 
+// What the sign-in popup's page sends the editor, see oauth-callback.js
+export const OAUTH_CALLBACK_MESSAGE = 'oauth-callback';
+
+const AUTH_REQUESTS_KEY = 'oauth_requests';
+// How long a sign-in can take before its state is no longer accepted
+const AUTH_REQUEST_LIFETIME = 10 * 60 * 1000;
+
 /**
- * Store PKCE verifier temporarily (for token exchange)
- * @param {string} verifier - Code verifier
+ * Generate an unguessable OAuth state value
+ * @returns {string} Base64URL encoded random bytes
  */
-export function storeCodeVerifier(verifier) {
-  sessionStorage.setItem('oauth_code_verifier', verifier);
+export function generateState() {
+  const array = new Uint8Array(32);
+  crypto.getRandomValues(array);
+  return btoa(String.fromCharCode(...array))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '');
+}
+
+function loadAuthRequests() {
+  try {
+    return JSON.parse(sessionStorage.getItem(AUTH_REQUESTS_KEY) || '{}');
+  } catch {
+    return {};
+  }
 }
 
 /**
- * Get and remove stored code verifier
- * @returns {string|null} Code verifier or null
+ * Remember a sign-in in progress, bound to its state, until the provider
+ * redirects back with the authorization code
+ * @param {string} state - The request's state value
+ * @param {Object} request - provider, verifier and redirectUri
  */
-export function getCodeVerifier() {
-  const verifier = sessionStorage.getItem('oauth_code_verifier');
-  if (verifier) {
-    sessionStorage.removeItem('oauth_code_verifier');
-  }
-  return verifier;
+export function storeAuthRequest(state, request) {
+  const requests = loadAuthRequests();
+  // Drop sign-ins that were abandoned
+  Object.keys(requests).forEach((key) => {
+    if (Date.now() - requests[key].createdAt > AUTH_REQUEST_LIFETIME) delete requests[key];
+  });
+  requests[state] = { ...request, createdAt: Date.now() };
+  sessionStorage.setItem(AUTH_REQUESTS_KEY, JSON.stringify(requests));
 }
 
+/**
+ * Get and remove the sign-in a redirect's state belongs to. Each state is
+ * accepted once, and only from the browser session that started the sign-in.
+ * @param {string} state - State from the redirect
+ * @returns {Object|null} provider, verifier and redirectUri, or null if no sign-in here has that state
+ */
+export function takeAuthRequest(state) {
+  const requests = loadAuthRequests();
+  const request = Object.prototype.hasOwnProperty.call(requests, state) ? requests[state] : null;
+  if (!request) return null;
+
+  delete requests[state];
+  sessionStorage.setItem(AUTH_REQUESTS_KEY, JSON.stringify(requests));
+  return Date.now() - request.createdAt <= AUTH_REQUEST_LIFETIME ? request : null;
+}
@@ -0,0 +1,138 @@
+/**
+ * Dropbox provider
+ * Documents are Markdown files in one folder
+ */
+
+import OAuthProvider, { throwResponseError } from './oauth-provider.js';
+import { OAUTH_CONFIG } from '../oauth-config.js';
+
+const DROPBOX_API = 'https://api.dropboxapi.com/2/files';
+const DROPBOX_CONTENT_API = 'https://content.dropboxapi.com/2/files';
+const DROPBOX_FOLDER = '/Minimal Text Editor';
+
+/**
+ * Dropbox-API-Arg header value; the header has to be ASCII
+ * @param {Object} arg - Argument
+ * @returns {string} JSON with other characters escaped
+ */
+function dropboxArg(arg) {
+  return JSON.stringify(arg).replace(/[\u007f-\uffff]/g, (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+/**
+ * @param {Response} response - A 409 response
+ * @param {string} prefix - Error summary to look for
+ * @returns {Promise<boolean>} Whether the error is that one
+ */
+async function isDropboxError(response, prefix) {
+  if (response.status !== 409) return false;
+  const error = await response.clone().json();
+  return error.error_summary.startsWith(prefix);
+}
+
+class DropboxProvider extends OAuthProvider {
+  constructor() {
+    super({
+      id: 'dropbox',
+      name: 'Dropbox',
+      oauth: { ...OAUTH_CONFIG.dropbox, clientId: OAUTH_CONFIG.dropbox.appKey },
+      authParams: {
+        token_access_type: 'offline', // Request refresh token
+      },
+      setupHelp: 'Dropbox OAuth is not configured.\n\n' +
+        'Please add your Dropbox App Key in src/oauth-config.js\n\n' +
+        'To get an App Key:\n' +
+        '1. Go to https://www.dropbox.com/developers/apps\n' +
+        '2. Create new app (Scoped access, Full Dropbox)\n' +
+        '3. Add redirect URIs: ' + OAUTH_CONFIG.dropbox.popupRedirectUri + ' and ' + OAUTH_CONFIG.dropbox.redirectUri,
+    });
+  }
+
+  /**
+   * Call an RPC endpoint
+   * @param {string} endpoint - Path under /2/files
+   * @param {Object} arg - JSON argument
+   * @returns {Promise<Response>}
+   */
+  rpc(endpoint, arg) {
+    return this.request(`${DROPBOX_API}/${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(arg),
+    });
+  }
+
+  /**
+   * Dropbox revokes the access token the request is made with, which ends
+   * the refresh token too
+   */
+  async revoke() {
+    if (!this.isConnected()) return;
+    const response = await this.request(this.oauth.revokeUrl, { method: 'POST' });
+    if (!response.ok) await throwResponseError(response, 'Revoking access failed');
+  }
+
+  toFile(data) {
+    return { id: data.path_lower, name: data.name, revision: data.rev };
+  }
+
+  async list() {
+    let response = await this.rpc('list_folder', { path: DROPBOX_FOLDER });
+    const files = [];
+    for (;;) {
+      // The folder is created by the first upload
+      if (await isDropboxError(response, 'path/not_found')) return files;
+      if (!response.ok) await throwResponseError(response, 'Dropbox request failed');
+
+      const data = await response.json();
+      files.push(...data.entries.filter((entry) => entry['.tag'] === 'file').map((entry) => this.toFile(entry)));
+      if (!data.has_more) return files;
+      response = await this.rpc('list_folder/continue', { cursor: data.cursor });
+    }
+  }
+
+  async read(file) {
+    const response = await this.request(`${DROPBOX_CONTENT_API}/download`, {
+      method: 'POST',
+      headers: { 'Dropbox-API-Arg': dropboxArg({ path: file.id }) },
+    });
+    if (!response.ok) await throwResponseError(response, 'Download failed');
+    const meta = JSON.parse(response.headers.get('Dropbox-API-Result'));
+    return { content: await response.text(), revision: meta.rev };
+  }
+
+  async write({ id, name, content, revision }) {
+    const response = await this.request(`${DROPBOX_CONTENT_API}/upload`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        // Replacing only succeeds while the file is still at the revision we merged with
+        'Dropbox-API-Arg': dropboxArg({
+          path: id || `${DROPBOX_FOLDER}/${name}`,
+          mode: id ? { '.tag': 'update', update: revision } : 'add',
+          autorename: false,
+          mute: true,
+        }),
+      },
+      body: new TextEncoder().encode(content),
+    });
+    if (await isDropboxError(response, 'path/conflict')) return { conflict: true };
+    if (!response.ok) await throwResponseError(response, 'Upload failed');
+    return this.toFile(await response.json());
+  }
+
+  async delete(file) {
+    const response = await this.rpc('delete_v2', { path: file.id });
+    if (await isDropboxError(response, 'path_lookup/not_found')) return;
+    if (!response.ok) await throwResponseError(response, 'Delete failed');
+  }
+
+  async getRevision(file) {
+    const response = await this.rpc('get_metadata', { path: file.id });
+    if (await isDropboxError(response, 'path/not_found')) return null;
+    if (!response.ok) await throwResponseError(response, 'Dropbox request failed');
+    return (await response.json()).rev || null;
+  }
+}
+
+export default DropboxProvider;
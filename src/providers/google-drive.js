@@ -0,0 +1,125 @@
+/**
+ * Google Drive provider
+ * Documents are Markdown files the app created; the drive.file scope only
+ * gives access to those
+ */
+
+import OAuthProvider, { throwResponseError } from './oauth-provider.js';
+import { OAUTH_CONFIG } from '../oauth-config.js';
+
+const DRIVE_API = 'https://www.googleapis.com/drive/v3/files';
+const DRIVE_UPLOAD_API = 'https://www.googleapis.com/upload/drive/v3/files';
+const DRIVE_FILE_FIELDS = 'id,name,headRevisionId';
+// Marks the app's documents among the files it created
+const DRIVE_APP_PROPERTY = 'minimalEditor';
+
+class GoogleDriveProvider extends OAuthProvider {
+  constructor() {
+    super({
+      id: 'google',
+      name: 'Google Drive',
+      oauth: OAUTH_CONFIG.google,
+      authParams: {
+        scope: OAUTH_CONFIG.google.scope,
+        access_type: 'offline', // Request refresh token
+        prompt: 'consent', // Force consent screen to get refresh token
+      },
+      setupHelp: 'Google Drive OAuth is not configured.\n\n' +
+        'Please add your Google OAuth Client ID in src/oauth-config.js\n\n' +
+        'To get a Client ID:\n' +
+        '1. Go to https://console.cloud.google.com/\n' +
+        '2. Create a project or select existing\n' +
+        '3. Enable Google Drive API\n' +
+        '4. Create OAuth 2.0 credentials (Web application)\n' +
+        '5. Add authorized redirect URIs: ' + OAUTH_CONFIG.google.popupRedirectUri + ' and ' + OAUTH_CONFIG.google.redirectUri,
+    });
+  }
+
+  /**
+   * Authorized request that throws unless it succeeds
+   * @param {string} url - URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>}
+   */
+  async driveRequest(url, options) {
+    const response = await this.request(url, options);
+    if (!response.ok) await throwResponseError(response, 'Google Drive request failed');
+    return response;
+  }
+
+  toFile(data) {
+    return { id: data.id, name: data.name, revision: data.headRevisionId };
+  }
+
+  async list() {
+    const files = [];
+    let pageToken = '';
+    do {
+      const params = new URLSearchParams({
+        q: `appProperties has { key='${DRIVE_APP_PROPERTY}' and value='document' } and trashed=false`,
+        fields: `nextPageToken,files(${DRIVE_FILE_FIELDS})`,
+        pageSize: '1000',
+      });
+      if (pageToken) params.set('pageToken', pageToken);
+      const data = await (await this.driveRequest(`${DRIVE_API}?${params}`)).json();
+      files.push(...data.files.map((file) => this.toFile(file)));
+      pageToken = data.nextPageToken || '';
+    } while (pageToken);
+    return files;
+  }
+
+  async read(file) {
+    const revision = await this.getRevision(file);
+    const content = await (await this.driveRequest(`${DRIVE_API}/${file.id}?alt=media`)).text();
+    return { content, revision };
+  }
+
+  async write({ id, name, content, revision }) {
+    if (id) {
+      // Drive has no conditional writes, so check the revision right before replacing it
+      if (await this.getRevision({ id }) !== revision) return { conflict: true };
+
+      const response = await this.driveRequest(`${DRIVE_UPLOAD_API}/${id}?uploadType=media&fields=${DRIVE_FILE_FIELDS}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'text/markdown; charset=UTF-8' },
+        body: content,
+      });
+      return this.toFile(await response.json());
+    }
+
+    const metadata = {
+      name,
+      mimeType: 'text/markdown',
+      appProperties: { [DRIVE_APP_PROPERTY]: 'document' },
+    };
+    const boundary = '----MinimalEditorBoundary' + Math.random().toString(36).substring(2);
+    const body = `--${boundary}\r\n` +
+      `Content-Type: application/json; charset=UTF-8\r\n\r\n` +
+      `${JSON.stringify(metadata)}\r\n` +
+      `--${boundary}\r\n` +
+      `Content-Type: text/markdown; charset=UTF-8\r\n\r\n` +
+      `${content}\r\n` +
+      `--${boundary}--`;
+
+    const response = await this.driveRequest(`${DRIVE_UPLOAD_API}?uploadType=multipart&fields=${DRIVE_FILE_FIELDS}`, {
+      method: 'POST',
+      headers: { 'Content-Type': `multipart/related; boundary=${boundary}` },
+      body,
+    });
+    return this.toFile(await response.json());
+  }
+
+  async delete(file) {
+    const response = await this.request(`${DRIVE_API}/${file.id}`, { method: 'DELETE' });
+    if (!response.ok && response.status !== 404) await throwResponseError(response, 'Delete failed');
+  }
+
+  async getRevision(file) {
+    const response = await this.request(`${DRIVE_API}/${file.id}?fields=${DRIVE_FILE_FIELDS}`);
+    if (response.status === 404) return null;
+    if (!response.ok) await throwResponseError(response, 'Google Drive request failed');
+    return (await response.json()).headRevisionId;
+  }
+}
+
+export default GoogleDriveProvider;
@@ -0,0 +1,195 @@
+/**
+ * OAuth Provider
+ * Connection handling shared by providers that sign in with OAuth 2.0 and
+ * PKCE: the consent screen in a popup (or a redirect), the code exchange,
+ * authorized requests and revoking access on disconnect
+ */
+
+import { generatePKCE, generateState, storeAuthRequest } from '../pkce.js';
+import { isMockCloudEnabled, mockTokenResponse } from '../cloud-mock.js';
+import TokenManager, { EXPIRED_MESSAGE } from '../token-manager.js';
+
+/**
+ * Size and place the sign-in popup over the editor
+ * @returns {string} window.open() features
+ */
+function popupFeatures() {
+  const width = 500;
+  const height = 650;
+  const left = Math.round(window.screenX + (window.outerWidth - width) / 2);
+  const top = Math.round(window.screenY + (window.outerHeight - height) / 2);
+  return `popup,width=${width},height=${height},left=${left},top=${top}`;
+}
+
+/**
+ * Throw a readable error for a failed response
+ * @param {Response} response - Response
+ * @param {string} fallback - Message when the body has none
+ */
+export async function throwResponseError(response, fallback) {
+  if (response.status === 401) {
+    throw new Error(EXPIRED_MESSAGE);
+  }
+  const text = await response.text();
+  let message = text;
+  try {
+    const data = JSON.parse(text);
+    message = (data.error && data.error.message) || data.error_description || data.error_summary || text;
+  } catch {
+    // Not JSON; use the text as it is
+  }
+  throw new Error(message || fallback);
+}
+
+class OAuthProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.id - Provider id
+   * @param {string} options.name - Name for display
+   * @param {Object} options.oauth - clientId, redirectUri, popupRedirectUri, authUrl, tokenUrl and revokeUrl
+   * @param {Object} options.authParams - Extra authorization parameters
+   * @param {string} options.setupHelp - How to configure the client id, shown when it is missing
+   */
+  constructor({ id, name, oauth, authParams = {}, setupHelp = '' }) {
+    this.id = id;
+    this.name = name;
+    this.oauth = oauth;
+    this.authParams = authParams;
+    this.setupHelp = setupHelp;
+    this.tokens = new TokenManager(id, oauth);
+  }
+
+  isConnected() {
+    return this.tokens.has();
+  }
+
+  async restore() {
+    await this.tokens.restore();
+  }
+
+  /**
+   * Start signing in. The consent screen opens in a popup so the editor
+   * stays open; only if popups are blocked does the page go there instead.
+   * CloudSync.completeOAuth() finishes signing in when the provider answers.
+   * @returns {Promise<boolean>} Whether it connected already
+   */
+  async authenticate() {
+    if (isMockCloudEnabled()) {
+      await this.tokens.set(mockTokenResponse(this.id));
+      return true;
+    }
+
+    if (!this.oauth.clientId) {
+      alert(this.setupHelp);
+      return false;
+    }
+
+    // Opened before anything is awaited, while the click still allows popups
+    const popup = window.open('', 'oauth-sign-in', popupFeatures());
+    const redirectUri = popup ? this.oauth.popupRedirectUri : this.oauth.redirectUri;
+
+    try {
+      // Generate PKCE pair, and the state that ties the answer to it
+      const { verifier, challenge } = await generatePKCE();
+      const state = generateState();
+      storeAuthRequest(state, { provider: this.id, verifier, redirectUri });
+
+      const params = new URLSearchParams({
+        client_id: this.oauth.clientId,
+        redirect_uri: redirectUri,
+        response_type: 'code',
+        code_challenge: challenge,
+        code_challenge_method: 'S256',
+        state,
+        ...this.authParams,
+      });
+      const url = `${this.oauth.authUrl}?${params.toString()}`;
+      if (popup) {
+        popup.location.href = url;
+        popup.focus();
+      } else {
+        window.location.href = url;
+      }
+    } catch (error) {
+      if (popup) popup.close();
+      console.error(`${this.name} OAuth error:`, error);
+      alert(`Failed to initiate ${this.name} connection: ` + error.message);
+    }
+    return false;
+  }
+
+  /**
+   * Exchange the authorization code from the provider's answer for tokens
+   * @param {string} code - Authorization code
+   * @param {Object} request - The sign-in the answer's state belongs to (see pkce.js)
+   */
+  async completeSignIn(code, request) {
+    const response = await fetch(this.oauth.tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({
+        client_id: this.oauth.clientId,
+        code,
+        redirect_uri: request.redirectUri,
+        grant_type: 'authorization_code',
+        code_verifier: request.verifier,
+      }),
+    });
+    if (!response.ok) await throwResponseError(response, 'Token exchange failed');
+
+    await this.tokens.set(await response.json());
+  }
+
+  /**
+   * Revoke the app's access and forget the tokens. Signing out still
+   * happens here if the service can't be reached.
+   */
+  async disconnect() {
+    try {
+      await this.revoke();
+    } catch (error) {
+      console.error(`${this.name} token revocation error:`, error);
+    }
+    await this.tokens.clear();
+  }
+
+  /**
+   * Revoke the tokens with the service (RFC 7009); revoking the refresh
+   * token ends the whole grant
+   */
+  async revoke() {
+    const { accessToken, refreshToken } = this.tokens.tokens || {};
+    if (!this.oauth.revokeUrl || !(refreshToken || accessToken)) return;
+    const response = await fetch(this.oauth.revokeUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({ token: refreshToken || accessToken }),
+    });
+    if (!response.ok) await throwResponseError(response, 'Revoking access failed');
+  }
+
+  /**
+   * fetch() with an access token that is refreshed when it is about to
+   * expire, and once more if the service rejects it anyway
+   * @param {string} url - URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>}
+   */
+  async request(url, options = {}) {
+    const send = (token) => fetch(url, {
+      ...options,
+      headers: { Authorization: `Bearer ${token}`, ...options.headers },
+    });
+
+    const token = await this.tokens.getAccessToken();
+    const response = await send(token);
+    if (response.status !== 401 || !this.tokens.canRefresh()) return response;
+    return send(await this.tokens.getAccessToken(token));
+  }
+}
+
+export default OAuthProvider;
@@ -0,0 +1,211 @@
+/**
+ * WebDAV provider
+ * Documents are Markdown files in a folder on a WebDAV server such as
+ * Nextcloud or ownCloud, signed in to with a username and a password or app
+ * password. ETags are the revisions, and writes are conditional on them.
+ */
+
+import credentialStore from '../credential-store.js';
+
+const FOLDER = 'Minimal Text Editor';
+
+const PROPFIND_BODY = '<?xml version="1.0" encoding="utf-8"?>' +
+  '<d:propfind xmlns:d="DAV:"><d:prop><d:getetag/><d:resourcetype/></d:prop></d:propfind>';
+
+/**
+ * @param {string} text - Text
+ * @returns {string} Base64 of its UTF-8 bytes
+ */
+function base64(text) {
+  return btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+}
+
+/**
+ * Encode a URL's path one way, so that the ids of listed files match the URLs
+ * built for new ones whichever characters the server percent-encodes
+ * @param {string} href - Absolute URL
+ * @returns {string} URL
+ */
+function normalizeUrl(href) {
+  const url = new URL(href);
+  url.pathname = url.pathname.split('/').map((segment) => {
+    try {
+      return encodeURIComponent(decodeURIComponent(segment));
+    } catch {
+      return segment;
+    }
+  }).join('/');
+  return url.href;
+}
+
+class WebDAVProvider {
+  constructor() {
+    this.id = 'webdav';
+    this.name = 'WebDAV';
+    this.fields = [
+      { name: 'url', label: 'Server URL', type: 'url', placeholder: 'https://cloud.example.com/remote.php/dav/files/alice/' },
+      { name: 'username', label: 'Username', type: 'text', placeholder: '' },
+      { name: 'password', label: 'Password or app password', type: 'password', placeholder: '' },
+    ];
+    this.credentials = credentialStore.get(this.id);
+  }
+
+  isConnected() {
+    return !!this.credentials;
+  }
+
+  async restore() {
+    this.credentials = await credentialStore.restore(this.id);
+  }
+
+  /**
+   * @returns {string} URL of the documents folder, ending in a slash
+   */
+  get folderUrl() {
+    const base = this.credentials.url.endsWith('/') ? this.credentials.url : `${this.credentials.url}/`;
+    return new URL(`${encodeURIComponent(FOLDER)}/`, base).href;
+  }
+
+  /**
+   * Check the credentials against the server and create the documents folder
+   * @param {Object} values - url, username and password from the sign-in form
+   * @returns {Promise<boolean>} Whether it connected
+   */
+  async authenticate({ url, username, password }) {
+    if (!url || !username) {
+      alert('Please enter the server URL and your username.');
+      return false;
+    }
+    this.credentials = { url: url.trim(), username: username.trim(), password };
+    try {
+      const response = await this.request(this.folderUrl, { method: 'PROPFIND', headers: { Depth: '0' } });
+      if (response.status === 404) {
+        const created = await this.request(this.folderUrl, { method: 'MKCOL' });
+        if (!created.ok) throw new Error(`Could not create the "${FOLDER}" folder (${created.status})`);
+      } else if (response.status === 401) {
+        throw new Error('The server did not accept the username and password.');
+      } else if (!response.ok) {
+        throw new Error(`The server answered ${response.status} ${response.statusText}`);
+      }
+    } catch (error) {
+      this.credentials = null;
+      console.error('WebDAV sign-in error:', error);
+      // A failed fetch is most often a server that doesn't allow this origin
+      alert('Failed to connect to the WebDAV server: ' + (error instanceof TypeError
+        ? 'the server could not be reached, or does not allow requests from this site (CORS).'
+        : error.message));
+      return false;
+    }
+
+    await credentialStore.set(this.id, this.credentials);
+    return true;
+  }
+
+  async disconnect() {
+    this.credentials = null;
+    await credentialStore.delete(this.id);
+  }
+
+  /**
+   * fetch() with basic authentication
+   * @param {string} url - URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>}
+   */
+  request(url, options = {}) {
+    const { username, password } = this.credentials;
+    return fetch(url, {
+      ...options,
+      headers: { Authorization: `Basic ${base64(`${username}:${password}`)}`, ...options.headers },
+    });
+  }
+
+  /**
+   * Throw a readable error for a failed response
+   * @param {Response} response - Response
+   */
+  fail(response) {
+    if (response.status === 401) {
+      throw new Error('The server no longer accepts the password. Please disconnect and connect again.');
+    }
+    throw new Error(`The server answered ${response.status} ${response.statusText}`);
+  }
+
+  /**
+   * @param {string} url - File or folder URL
+   * @param {string} depth - '0' for the item itself, '1' to include a folder's contents
+   * @returns {Promise<Array<{id: string, name: string, revision: string, folder: boolean}>|null>} Items, or null if missing
+   */
+  async propfind(url, depth) {
+    const response = await this.request(url, {
+      method: 'PROPFIND',
+      headers: { Depth: depth, 'Content-Type': 'application/xml; charset=utf-8' },
+      body: PROPFIND_BODY,
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) this.fail(response);
+
+    const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+    return Array.from(xml.getElementsByTagNameNS('DAV:', 'response')).map((item) => {
+      const href = item.getElementsByTagNameNS('DAV:', 'href')[0].textContent;
+      const etag = item.getElementsByTagNameNS('DAV:', 'getetag')[0];
+      const id = normalizeUrl(new URL(href, url).href);
+      return {
+        id,
+        name: decodeURIComponent(id.replace(/\/$/, '').split('/').pop()),
+        revision: etag ? etag.textContent : '',
+        folder: item.getElementsByTagNameNS('DAV:', 'collection').length > 0,
+      };
+    });
+  }
+
+  async list() {
+    const items = await this.propfind(this.folderUrl, '1');
+    if (!items) return [];
+    return items
+      .filter((item) => !item.folder && /\.(md|markdown|txt)$/i.test(item.name))
+      .map(({ id, name, revision }) => ({ id, name, revision }));
+  }
+
+  async read(file) {
+    const response = await this.request(file.id, { cache: 'no-store' });
+    if (!response.ok) this.fail(response);
+    const content = await response.text();
+    // Servers that don't expose the ETag header to the page still report it to PROPFIND
+    return { content, revision: response.headers.get('ETag') || await this.getRevision(file) };
+  }
+
+  async write({ id, name, content, revision }) {
+    const url = id || normalizeUrl(new URL(encodeURIComponent(name), this.folderUrl).href);
+    const response = await this.request(url, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'text/markdown; charset=utf-8',
+        // Only replace the version we merged with, and never create over an existing file
+        ...(id ? { 'If-Match': revision } : { 'If-None-Match': '*' }),
+      },
+      body: content,
+    });
+    if (response.status === 412) return { conflict: true };
+    if (!response.ok) this.fail(response);
+
+    const etag = response.headers.get('ETag');
+    return {
+      id: url,
+      name: name || decodeURIComponent(url.split('/').pop()),
+      revision: etag || await this.getRevision({ id: url }),
+    };
+  }
+
+  async delete(file) {
+    const response = await this.request(file.id, { method: 'DELETE' });
+    if (!response.ok && response.status !== 404) this.fail(response);
+  }
+
+  async getRevision(file) {
+    const items = await this.propfind(file.id, '0');
+    return items && items.length ? items[0].revision : null;
+  }
+}
+
+export default WebDAVProvider;
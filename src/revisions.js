@@ -0,0 +1,160 @@
+/**
+ * Revision history
+ * Keeps periodic and on-demand snapshots of each document in IndexedDB
+ */
+
+import storage, { promisifyRequest } from './storage.js';
+import ui from './ui.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+class Revisions {
+  constructor() {
+    this.snapshotInterval = 5 * 60 * 1000; // At most one automatic snapshot every 5 minutes
+    this.maxAutoRevisions = 50; // Per document; manual snapshots are never pruned
+  }
+
+  /**
+   * List revisions of a document, newest first
+   * @param {string} documentId - Document id
+   * @returns {Promise<Array<Object>>} Revisions
+   */
+  async list(documentId) {
+    const store = await storage.getStore('readonly', storage.revisionsStoreName);
+    const revisions = await promisifyRequest(store.index('documentId').getAll(documentId));
+    return revisions.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id - a.id);
+  }
+
+  /**
+   * Get a single revision
+   * @param {number} id - Revision id
+   * @returns {Promise<Object|null>} The revision, or null if missing
+   */
+  async get(id) {
+    const store = await storage.getStore('readonly', storage.revisionsStoreName);
+    const revision = await promisifyRequest(store.get(id));
+    return revision || null;
+  }
+
+  /**
+   * Store a snapshot of a document
+   * @param {string} documentId - Document id
+   * @param {string} content - HTML content
+   * @param {Object} options - Snapshot options
+   * @param {string} options.kind - 'auto' or 'manual'
+   * @param {string} options.label - Optional description
+   * @returns {Promise<Object>} The created revision
+   */
+  async create(documentId, content, { kind = 'auto', label = '' } = {}) {
+    const revision = {
+      documentId,
+      content,
+      kind,
+      label,
+      wordCount: ui.countWords(content),
+      createdAt: new Date().toISOString(),
+    };
+
+    const store = await storage.getStore('readwrite', storage.revisionsStoreName);
+    revision.id = await promisifyRequest(store.add(revision));
+
+    await this.prune(documentId);
+    return revision;
+  }
+
+  /**
+   * Take an automatic snapshot if the last one is old enough and content changed
+   * @param {string} documentId - Document id
+   * @param {string} content - HTML content
+   * @returns {Promise<Object|null>} The created revision, or null if skipped
+   */
+  async maybeSnapshot(documentId, content) {
+    const [latest] = await this.list(documentId);
+    if (latest) {
+      const age = Date.now() - new Date(latest.createdAt).getTime();
+      if (latest.content === content || age < this.snapshotInterval) {
+        return null;
+      }
+    }
+    return this.create(documentId, content);
+  }
+
+  /**
+   * Record the content that was last uploaded to a cloud provider.
+   * Only the most recent synced copy of each document is kept.
+   * @param {string} documentId - Document id
+   * @param {string} content - HTML content that was synced
+   * @param {string} provider - Provider name for display
+   * @returns {Promise<Object>} The created revision
+   */
+  async markSynced(documentId, content, provider) {
+    const previous = (await this.list(documentId)).filter((revision) => revision.kind === 'sync');
+    const revision = await this.create(documentId, content, { kind: 'sync', label: `Synced to ${provider}` });
+
+    const store = await storage.getStore('readwrite', storage.revisionsStoreName);
+    await Promise.all(previous.map((old) => promisifyRequest(store.delete(old.id))));
+    return revision;
+  }
+
+  /**
+   * Get the last cloud-synced copy of a document
+   * @param {string} documentId - Document id
+   * @returns {Promise<Object|null>} The revision, or null if never synced
+   */
+  async getLastSynced(documentId) {
+    const revisions = await this.list(documentId);
+    return revisions.find((revision) => revision.kind === 'sync') || null;
+  }
+
+  /**
+   * Apply retention rules to a document's automatic snapshots:
+   * keep everything from the last day, one per hour for the last week,
+   * one per day beyond that, and never more than maxAutoRevisions.
+   * @param {string} documentId - Document id
+   */
+  async prune(documentId) {
+    const revisions = await this.list(documentId);
+    const now = Date.now();
+    const seenBuckets = new Set();
+    const toDelete = [];
+    let kept = 0;
+
+    revisions.forEach((revision) => {
+      if (revision.kind !== 'auto') return;
+
+      const time = new Date(revision.createdAt).getTime();
+      const age = now - time;
+      let bucket = null;
+      if (age > 7 * DAY) {
+        bucket = `d${Math.floor(time / DAY)}`;
+      } else if (age > DAY) {
+        bucket = `h${Math.floor(time / HOUR)}`;
+      }
+
+      if ((bucket && seenBuckets.has(bucket)) || kept >= this.maxAutoRevisions) {
+        toDelete.push(revision.id);
+        return;
+      }
+      if (bucket) seenBuckets.add(bucket);
+      kept++;
+    });
+
+    if (toDelete.length === 0) return;
+
+    const store = await storage.getStore('readwrite', storage.revisionsStoreName);
+    await Promise.all(toDelete.map((id) => promisifyRequest(store.delete(id))));
+  }
+
+  /**
+   * Delete every revision of a document
+   * @param {string} documentId - Document id
+   */
+  async deleteForDocument(documentId) {
+    const store = await storage.getStore('readwrite', storage.revisionsStoreName);
+    const keys = await promisifyRequest(store.index('documentId').getAllKeys(documentId));
+    await Promise.all(keys.map((id) => promisifyRequest(store.delete(id))));
+  }
+}
+
+export default new Revisions();
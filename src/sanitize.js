@@ -0,0 +1,191 @@
+/**
+ * HTML Sanitizer
+ * Reduces untrusted HTML to the tags and attributes the editor supports
+ */
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+const SAFE_SCHEMES = new Set(['http', 'https', 'mailto', 'tel']);
+const SAFE_IMAGE_DATA = /^data:image\/(png|gif|jpe?g|webp);base64,[a-z\d+/=\s]+$/i;
+const ALIGNMENTS = new Set(['left', 'center', 'right', 'justify']);
+// Class names the editor itself uses, by tag
+const CLASS_PATTERNS = {
+  CODE: /^language-[\w+#.-]+$/,
+  UL: /^checklist$/,
+};
+
+// Attributes kept on each allowed tag; everything else is stripped
+const BLOCK_ATTRIBUTES = ['style', 'align'];
+const ALLOWED_TAGS = {
+  P: BLOCK_ATTRIBUTES,
+  DIV: BLOCK_ATTRIBUTES,
+  H1: BLOCK_ATTRIBUTES,
+  H2: BLOCK_ATTRIBUTES,
+  H3: BLOCK_ATTRIBUTES,
+  H4: BLOCK_ATTRIBUTES,
+  H5: BLOCK_ATTRIBUTES,
+  H6: BLOCK_ATTRIBUTES,
+  BLOCKQUOTE: BLOCK_ATTRIBUTES,
+  PRE: BLOCK_ATTRIBUTES,
+  UL: [...BLOCK_ATTRIBUTES, 'class'],
+  OL: [...BLOCK_ATTRIBUTES, 'start'],
+  LI: [...BLOCK_ATTRIBUTES, 'data-checked'],
+  TABLE: [],
+  THEAD: [],
+  TBODY: [],
+  TFOOT: [],
+  TR: [],
+  TH: BLOCK_ATTRIBUTES,
+  TD: BLOCK_ATTRIBUTES,
+  HR: [],
+  BR: [],
+  STRONG: [],
+  B: [],
+  EM: [],
+  I: [],
+  U: [],
+  S: [],
+  DEL: [],
+  STRIKE: [],
+  CODE: ['class'],
+  KBD: [],
+  SAMP: [],
+  MARK: [],
+  SUB: [],
+  SUP: [],
+  SPAN: [],
+  A: ['href', 'title', 'target'],
+  IMG: ['src', 'alt', 'title', 'width', 'height'],
+};
+
+// Removed together with their contents
+const DROPPED_TAGS = new Set([
+  'SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'FRAME', 'FRAMESET', 'OBJECT', 'EMBED', 'APPLET',
+  'NOSCRIPT', 'NOEMBED', 'NOFRAMES', 'HEAD', 'TITLE', 'META', 'LINK', 'BASE', 'TEXTAREA',
+  'SELECT', 'OPTION', 'BUTTON', 'INPUT', 'CANVAS', 'AUDIO', 'VIDEO', 'SOURCE', 'TRACK',
+]);
+
+// Unsupported containers that still separate lines, kept as plain blocks
+const BLOCK_CONTAINERS = new Set([
+  'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'NAV', 'ASIDE', 'MAIN', 'ADDRESS', 'FIGURE',
+  'FIGCAPTION', 'DETAILS', 'SUMMARY', 'CENTER', 'DL', 'DT', 'DD', 'CAPTION',
+]);
+
+/**
+ * Whether a link target may be used; relative links and web, mail and phone links are allowed
+ * @param {string} url - URL
+ * @returns {boolean}
+ */
+export function isSafeUrl(url) {
+  const scheme = url.replace(/[\u0000- ]/g, '').match(/^([a-z][a-z\d+.-]*):/i);
+  return !scheme || SAFE_SCHEMES.has(scheme[1].toLowerCase());
+}
+
+/**
+ * Whether an image source may be used; safe URLs and inline raster images are allowed
+ * @param {string} src - Image source
+ * @returns {boolean}
+ */
+function isSafeImageSource(src) {
+  return isSafeUrl(src) || SAFE_IMAGE_DATA.test(src.trim());
+}
+
+/**
+ * Keep only the declarations the editor sets itself
+ * @param {CSSStyleDeclaration} style - Element style
+ * @returns {string} Cleaned style attribute, or an empty string
+ */
+function cleanStyle(style) {
+  const align = style.getPropertyValue('text-align').trim().toLowerCase();
+  return ALIGNMENTS.has(align) ? `text-align: ${align};` : '';
+}
+
+/**
+ * Remove attributes that are not allowed on an element and check the rest
+ * @param {Element} el - Element
+ * @param {Array<string>} allowed - Allowed attribute names
+ */
+function cleanAttributes(el, allowed) {
+  Array.from(el.attributes).forEach(({ name, value }) => {
+    if (!allowed.includes(name)) {
+      el.removeAttribute(name);
+      return;
+    }
+
+    let cleaned = value;
+    if (name === 'style') cleaned = cleanStyle(el.style);
+    else if (name === 'align') cleaned = ALIGNMENTS.has(value.toLowerCase()) ? value.toLowerCase() : '';
+    else if (name === 'href') cleaned = isSafeUrl(value) ? value : '';
+    else if (name === 'src') cleaned = isSafeImageSource(value) ? value : '';
+    else if (name === 'target') cleaned = value === '_blank' ? value : '';
+    else if (name === 'start' || name === 'width' || name === 'height') cleaned = /^\d+$/.test(value) ? value : '';
+    else if (name === 'class') cleaned = value.split(/\s+/).filter((token) => CLASS_PATTERNS[el.tagName].test(token)).join(' ');
+    else if (name === 'data-checked') cleaned = value === 'true' || value === 'false' ? value : '';
+
+    if (cleaned) el.setAttribute(name, cleaned);
+    else el.removeAttribute(name);
+  });
+
+  // New windows get no handle back to the editor
+  if (el.getAttribute('target') === '_blank') el.setAttribute('rel', 'noopener noreferrer');
+}
+
+/**
+ * Replace an element with its children
+ * @param {Element} el - Element
+ */
+function unwrap(el) {
+  el.replaceWith(...el.childNodes);
+}
+
+/**
+ * Sanitize the children of a node in place
+ * @param {Node} parent - Parent node
+ */
+function cleanChildren(parent) {
+  Array.from(parent.childNodes).forEach((node) => {
+    if (node.nodeType === Node.TEXT_NODE) return;
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      node.remove();
+      return;
+    }
+
+    let el = node;
+    if (el.namespaceURI !== HTML_NAMESPACE || DROPPED_TAGS.has(el.tagName)) {
+      el.remove();
+      return;
+    }
+
+    cleanChildren(el);
+
+    if (BLOCK_CONTAINERS.has(el.tagName)) {
+      const div = el.ownerDocument.createElement('div');
+      div.append(...el.childNodes);
+      el.replaceWith(div);
+      el = div;
+    }
+
+    const allowed = ALLOWED_TAGS[el.tagName];
+    if (!allowed) {
+      unwrap(el);
+      return;
+    }
+
+    cleanAttributes(el, allowed);
+    // Images and links whose target was unsafe are dropped, keeping link text
+    if (el.tagName === 'IMG' && !el.hasAttribute('src')) el.remove();
+    else if (el.tagName === 'A' && !el.hasAttribute('href')) unwrap(el);
+  });
+}
+
+/**
+ * Reduce HTML to the allowed tags and attributes.
+ * Parsing happens in an inert template, so nothing loads or runs while cleaning.
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHTML(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html || '';
+  cleanChildren(template.content);
+  return template.innerHTML;
+}
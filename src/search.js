@@ -0,0 +1,381 @@
+/**
+ * Full-text search
+ * In-memory inverted index over every stored document, kept current as
+ * documents are saved, with phrase and prefix queries and BM25 ranking
+ */
+
+import storage from './storage.js';
+import { escapeHTML, htmlToPlainText } from './diff.js';
+import { loosePattern } from './dom-text.js';
+
+const TERM_PATTERN = /[\p{L}\p{N}_]+(?:'[\p{L}\p{N}_]+)*/gu;
+const SNIPPET_RADIUS = 60;
+const MAX_PREFIX_EXPANSIONS = 50;
+const TITLE_BOOST = 2;
+const PHRASE_BOOST = 1.5;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Normalise a word for indexing: lower case, accents removed
+ * @param {string} word - Word
+ * @returns {string} Index term
+ */
+export function normalizeTerm(word) {
+  return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into index terms with their character offsets
+ * @param {string} text - Plain text
+ * @returns {Array<{term: string, start: number, end: number}>} Tokens
+ */
+export function tokenizeText(text) {
+  const tokens = [];
+  for (const match of text.matchAll(TERM_PATTERN)) {
+    tokens.push({ term: normalizeTerm(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a query into clauses that must all match.
+ * "quoted words" match as a phrase, a trailing * matches any word starting with the term.
+ * @param {string} query - Query string
+ * @param {Object} options - Parser options
+ * @param {boolean} options.prefixLast - Treat the last word as a prefix while it is still being typed
+ * @returns {Array<{terms: Array<string>, prefix: boolean}>} Clauses; more than one term means a phrase
+ */
+export function parseQuery(query, { prefixLast = false } = {}) {
+  const clauses = [];
+  const pattern = /"([^"]*)"?|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(query))) {
+    const quoted = match[1] !== undefined;
+    const raw = quoted ? match[1] : match[2];
+    const terms = tokenizeText(raw).map((token) => token.term);
+    if (terms.length === 0) continue;
+
+    const atEnd = pattern.lastIndex === query.length;
+    const prefix = /\*$/.test(raw) || (prefixLast && !quoted && atEnd);
+    clauses.push({ terms, prefix });
+  }
+  return clauses;
+}
+
+class SearchIndex {
+  constructor() {
+    this.entries = new Map(); // document id -> indexed document
+    this.postings = new Map(); // term -> Map(document id -> token positions)
+    this.totalLength = 0;
+    this.ready = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Keep the index in step with storage
+   */
+  init() {
+    document.addEventListener('document-saved', (e) => {
+      if (this.ready) this.enqueue(() => this.updateDocument(e.detail.id));
+    });
+    document.addEventListener('documents-changed', () => {
+      if (this.ready) this.enqueue(() => this.reconcile());
+    });
+  }
+
+  /**
+   * Run index updates one at a time
+   * @param {Function} task - Async update
+   * @returns {Promise} Resolves when the task has run
+   */
+  enqueue(task) {
+    this.queue = this.queue.then(task).catch((error) => {
+      console.error('Search index update failed:', error);
+    });
+    return this.queue;
+  }
+
+  /**
+   * Build the index on first use
+   * @returns {Promise} Resolves once the index is complete
+   */
+  ensureReady() {
+    if (!this.ready) {
+      this.ready = this.enqueue(async () => {
+        const docs = await storage.getAllDocuments();
+        docs.forEach((doc) => this.add(doc));
+      });
+    }
+    return this.ready.then(() => this.queue);
+  }
+
+  /**
+   * Add a document to the index
+   * @param {Object} doc - Document record
+   */
+  add(doc) {
+    const text = htmlToPlainText(doc.content);
+    const title = doc.title || 'Untitled';
+    const tokens = tokenizeText(text);
+    const entry = {
+      id: doc.id,
+      title,
+      titleTerms: tokenizeText(title).map((token) => token.term),
+      updatedAt: doc.updatedAt,
+      text,
+      tokens,
+    };
+
+    tokens.forEach((token, position) => {
+      let docs = this.postings.get(token.term);
+      if (!docs) {
+        docs = new Map();
+        this.postings.set(token.term, docs);
+      }
+      let positions = docs.get(doc.id);
+      if (!positions) {
+        positions = [];
+        docs.set(doc.id, positions);
+      }
+      positions.push(position);
+    });
+
+    this.entries.set(doc.id, entry);
+    this.totalLength += tokens.length;
+  }
+
+  /**
+   * Remove a document from the index
+   * @param {string} id - Document id
+   */
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+
+    entry.tokens.forEach(({ term }) => {
+      const docs = this.postings.get(term);
+      if (!docs) return;
+      docs.delete(id);
+      if (docs.size === 0) this.postings.delete(term);
+    });
+
+    this.entries.delete(id);
+    this.totalLength -= entry.tokens.length;
+  }
+
+  /**
+   * Re-index one document from storage
+   * @param {string} id - Document id
+   */
+  async updateDocument(id) {
+    const doc = await storage.getDocument(id);
+    this.remove(id);
+    if (doc) this.add(doc);
+  }
+
+  /**
+   * Bring the index in line with storage after documents were added, renamed,
+   * trashed, restored or imported; only changed documents are re-indexed
+   */
+  async reconcile() {
+    const docs = await storage.getAllDocuments();
+    const current = new Set(docs.map((doc) => doc.id));
+
+    Array.from(this.entries.keys()).forEach((id) => {
+      if (!current.has(id)) this.remove(id);
+    });
+
+    docs.forEach((doc) => {
+      const entry = this.entries.get(doc.id);
+      if (!entry || entry.updatedAt !== doc.updatedAt || entry.title !== (doc.title || 'Untitled')) {
+        this.remove(doc.id);
+        this.add(doc);
+      }
+    });
+  }
+
+  /**
+   * Index terms matching a clause term
+   * @param {string} term - Query term
+   * @param {boolean} prefix - Match terms starting with it
+   * @returns {Array<string>} Index terms
+   */
+  expand(term, prefix) {
+    if (!prefix) return this.postings.has(term) ? [term] : [];
+
+    const terms = [];
+    for (const candidate of this.postings.keys()) {
+      if (candidate.startsWith(term)) {
+        terms.push(candidate);
+        if (terms.length >= MAX_PREFIX_EXPANSIONS) break;
+      }
+    }
+    return terms;
+  }
+
+  /**
+   * Find where a clause occurs in each document
+   * @param {{terms: Array<string>, prefix: boolean}} clause - Query clause
+   * @returns {Map<string, Array<number>>} Document id -> positions of the first matched token
+   */
+  matchClause(clause) {
+    const last = clause.terms.length - 1;
+    const lists = clause.terms.map((term, i) => {
+      const merged = new Map();
+      this.expand(term, clause.prefix && i === last).forEach((indexTerm) => {
+        this.postings.get(indexTerm).forEach((positions, id) => {
+          merged.set(id, (merged.get(id) || []).concat(positions));
+        });
+      });
+      return merged;
+    });
+
+    if (lists.length === 1) return lists[0];
+
+    // Phrase: start from the first word and check the following tokens
+    const matches = new Map();
+    lists[0].forEach((positions, id) => {
+      if (!lists.every((list) => list.has(id))) return;
+      const tokens = this.entries.get(id).tokens;
+      const hits = positions.filter((position) => clause.terms.every((term, i) => {
+        const token = tokens[position + i];
+        if (!token) return false;
+        return clause.prefix && i === last ? token.term.startsWith(term) : token.term === term;
+      }));
+      if (hits.length > 0) matches.set(id, hits.sort((a, b) => a - b));
+    });
+    return matches;
+  }
+
+  /**
+   * Search all documents
+   * @param {string} query - Query string
+   * @param {Object} options - Search options
+   * @param {number} options.limit - Maximum number of results
+   * @param {boolean} options.prefixLast - Treat the last word as a prefix
+   * @returns {Promise<Array<Object>>} Ranked results with highlighted snippets
+   */
+  async search(query, { limit = 20, prefixLast = true } = {}) {
+    const clauses = parseQuery(query || '', { prefixLast });
+    if (clauses.length === 0) return [];
+
+    await this.ensureReady();
+
+    const matches = clauses.map((clause) => this.matchClause(clause));
+    if (matches.some((match) => match.size === 0)) return [];
+
+    // Every clause must match; start from the most selective one
+    const order = matches.map((match, i) => i).sort((a, b) => matches[a].size - matches[b].size);
+    const candidates = Array.from(matches[order[0]].keys())
+      .filter((id) => order.every((i) => matches[i].has(id)));
+
+    const total = this.entries.size;
+    const averageLength = this.totalLength / Math.max(total, 1) || 1;
+
+    const results = candidates.map((id) => {
+      const entry = this.entries.get(id);
+      let score = 0;
+
+      clauses.forEach((clause, i) => {
+        const df = matches[i].size;
+        const tf = matches[i].get(id).length;
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        const norm = 1 - BM25_B + BM25_B * (entry.tokens.length / averageLength);
+        let clauseScore = idf * ((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm));
+        if (clause.terms.length > 1) clauseScore *= PHRASE_BOOST;
+        if (this.inTitle(entry, clause)) clauseScore += idf * TITLE_BOOST;
+        score += clauseScore;
+      });
+
+      return { entry, score, anchor: order[0] };
+    });
+
+    results.sort((a, b) => b.score - a.score || b.entry.updatedAt.localeCompare(a.entry.updatedAt));
+
+    return results.slice(0, limit).map(({ entry, score, anchor }) => {
+      const hits = clauses.map((clause, i) => ({
+        length: clause.terms.length,
+        positions: matches[i].get(entry.id),
+      }));
+      return {
+        id: entry.id,
+        title: entry.title,
+        updatedAt: entry.updatedAt,
+        score,
+        ...this.buildSnippet(entry, hits, anchor),
+      };
+    });
+  }
+
+  /**
+   * Whether a clause matches the document title
+   * @param {Object} entry - Indexed document
+   * @param {{terms: Array<string>, prefix: boolean}} clause - Query clause
+   * @returns {boolean}
+   */
+  inTitle(entry, clause) {
+    const last = clause.terms.length - 1;
+    return entry.titleTerms.some((_, start) => clause.terms.every((term, i) => {
+      const titleTerm = entry.titleTerms[start + i];
+      if (titleTerm === undefined) return false;
+      return clause.prefix && i === last ? titleTerm.startsWith(term) : titleTerm === term;
+    }));
+  }
+
+  /**
+   * Build a highlighted excerpt around the first hit of the most selective clause
+   * @param {Object} entry - Indexed document
+   * @param {Array<{length: number, positions: Array<number>}>} hits - Hits per clause
+   * @param {number} anchor - Clause the excerpt is centred on
+   * @returns {{snippet: string, match: string, occurrence: number}} Snippet HTML, matched text and which occurrence of it is the hit
+   */
+  buildSnippet(entry, hits, anchor) {
+    const { text, tokens } = entry;
+    const spanOf = (position, length) => [tokens[position].start, tokens[position + length - 1].end];
+
+    const [matchStart, matchEnd] = spanOf(hits[anchor].positions[0], hits[anchor].length);
+    let from = Math.max(0, matchStart - SNIPPET_RADIUS);
+    let to = Math.min(text.length, matchEnd + SNIPPET_RADIUS);
+
+    // Avoid cutting words in half at either end
+    if (from > 0) {
+      const space = text.slice(from, matchStart).search(/\s/);
+      if (space !== -1) from += space + 1;
+    }
+    if (to < text.length) {
+      const space = text.slice(matchEnd, to).search(/\s\S*$/);
+      if (space !== -1) to = matchEnd + space;
+    }
+
+    // Highlight every hit that falls inside the excerpt
+    const spans = [];
+    hits.forEach(({ length, positions }) => {
+      positions.forEach((position) => {
+        const [start, end] = spanOf(position, length);
+        if (start >= from && end <= to) spans.push([start, end]);
+      });
+    });
+    spans.sort((a, b) => a[0] - b[0]);
+
+    let snippet = '';
+    let cursor = from;
+    spans.forEach(([start, end]) => {
+      if (start < cursor) return;
+      snippet += escapeHTML(text.slice(cursor, start)) + '<mark>' + escapeHTML(text.slice(start, end)) + '</mark>';
+      cursor = end;
+    });
+    snippet += escapeHTML(text.slice(cursor, to));
+    snippet = (from > 0 ? '…' : '') + snippet.replace(/\s+/g, ' ').trim() + (to < text.length ? '…' : '');
+
+    const match = text.slice(matchStart, matchEnd);
+    const before = text.slice(0, matchStart).match(loosePattern(match));
+    return {
+      snippet,
+      match,
+      occurrence: before ? before.length : 0,
+    };
+  }
+}
+
+export default new SearchIndex();
@@ -3,6 +3,8 @@
  * Handles editor customization settings
  */
 
+import commands from './commands.js';
+
 class Settings {
   constructor() {
     this.sidebar = document.getElementById('settings-sidebar');
@@ -22,6 +24,10 @@ class Settings {
     this.width = document.getElementById('setting-width');
     this.statistics = document.getElementById('setting-statistics');
     this.scrollbar = document.getElementById('setting-scrollbar');
+    this.inputRules = document.getElementById('setting-input-rules');
+    this.keymap = document.getElementById('setting-keymap');
+    this.trashRetention = document.getElementById('setting-trash-retention');
+    this.stayConnected = document.getElementById('setting-stay-connected');
     this.restoreBtn = document.getElementById('restore-defaults');
     
     this.defaults = {
@@ -34,6 +40,10 @@ class Settings {
       width: '800',
       statistics: true,
       scrollbar: true,
+      inputRules: true,
+      keymap: 'standard',
+      trashRetention: '30',
+      stayConnected: false,
     };
     
     this.init();
@@ -71,10 +81,67 @@ class Settings {
     this.width.addEventListener('input', () => this.updateWidth());
     this.statistics.addEventListener('change', () => this.toggleStatistics());
     this.scrollbar.addEventListener('change', () => this.toggleScrollbar());
+    this.inputRules.addEventListener('change', () => this.saveSettings());
+    this.keymap.addEventListener('change', () => this.updateKeymap());
+    this.trashRetention.addEventListener('change', () => this.saveSettings());
+    this.stayConnected.addEventListener('change', () => this.updateStayConnected());
     this.restoreBtn.addEventListener('click', () => this.restoreDefaults());
     
     // Apply initial settings
     this.applyAllSettings();
+
+    this.registerCommands();
+  }
+
+  registerCommands() {
+    commands.register({
+      id: 'settings',
+      title: 'Open Settings',
+      group: 'Settings',
+      keywords: ['preferences', 'options'],
+      run: () => this.showSidebar(),
+    });
+
+    [
+      { id: 'statistics', title: 'Show Statistics', keywords: ['words', 'count', 'status bar'], checkbox: this.statistics },
+      { id: 'scrollbar', title: 'Show Scrollbar', keywords: ['scroll'], checkbox: this.scrollbar },
+      { id: 'input-rules', title: 'Markdown Shortcuts', keywords: ['autoformat', 'input rules'], checkbox: this.inputRules },
+    ].forEach(({ id, title, keywords, checkbox }) => {
+      commands.register({
+        id: `toggle-${id}`,
+        title: `Toggle ${title}`,
+        group: 'Settings',
+        keywords,
+        run: () => {
+          checkbox.checked = !checkbox.checked;
+          checkbox.dispatchEvent(new Event('change'));
+        },
+      });
+    });
+
+    [
+      { id: 'vim', title: 'Toggle Vim Mode', keywords: ['keymap', 'modal', 'editing keys'] },
+      { id: 'emacs', title: 'Toggle Emacs Keys', keywords: ['keymap', 'kill ring', 'editing keys'] },
+    ].forEach(({ id, title, keywords }) => {
+      commands.register({
+        id: `toggle-${id}`,
+        title,
+        group: 'Settings',
+        keywords,
+        run: () => {
+          this.keymap.value = this.keymap.value === id ? 'standard' : id;
+          this.keymap.dispatchEvent(new Event('change'));
+        },
+      });
+    });
+
+    commands.register({
+      id: 'restore-defaults',
+      title: 'Restore Default Settings',
+      group: 'Settings',
+      keywords: ['reset'],
+      run: () => this.restoreDefaults(),
+    });
   }
 
   toggleSidebar() {
@@ -82,6 +149,11 @@ class Settings {
     this.sidebar.setAttribute('aria-hidden', this.sidebar.classList.contains('visible') ? 'false' : 'true');
   }
 
+  showSidebar() {
+    this.sidebar.classList.add('visible');
+    this.sidebar.setAttribute('aria-hidden', 'false');
+  }
+
   hideSidebar() {
     this.sidebar.classList.remove('visible');
     this.sidebar.setAttribute('aria-hidden', 'true');
@@ -171,6 +243,22 @@ class Settings {
     this.saveSettings();
   }
 
+  /**
+   * Tell the editor which editing keys to use
+   */
+  updateKeymap() {
+    this.saveSettings();
+    document.dispatchEvent(new CustomEvent('keymap-changed', { detail: { keymap: this.keymap.value } }));
+  }
+
+  /**
+   * Keep or forget cloud connections after the browser session
+   */
+  updateStayConnected() {
+    this.saveSettings();
+    document.dispatchEvent(new CustomEvent('stay-connected-changed', { detail: { stayConnected: this.stayConnected.checked } }));
+  }
+
   restoreDefaults() {
     if (confirm('Restore all settings to defaults?')) {
       this.theme.value = this.defaults.theme;
@@ -182,6 +270,10 @@ class Settings {
       this.width.value = this.defaults.width;
       this.statistics.checked = this.defaults.statistics;
       this.scrollbar.checked = this.defaults.scrollbar;
+      this.inputRules.checked = this.defaults.inputRules;
+      this.keymap.value = this.defaults.keymap;
+      this.trashRetention.value = this.defaults.trashRetention;
+      this.stayConnected.checked = this.defaults.stayConnected;
       
       // Reset CSS variables
       document.documentElement.style.removeProperty('--bg-primary');
@@ -189,7 +281,7 @@ class Settings {
       document.documentElement.style.backgroundColor = '';
       
       this.applyAllSettings();
-      this.saveSettings();
+      this.updateStayConnected();
     }
   }
 
@@ -205,6 +297,7 @@ class Settings {
     this.updateWidth();
     this.toggleStatistics();
     this.toggleScrollbar();
+    this.updateKeymap();
   }
 
   saveSettings() {
@@ -218,6 +311,10 @@ class Settings {
       width: this.width.value,
       statistics: this.statistics.checked,
       scrollbar: this.scrollbar.checked,
+      inputRules: this.inputRules.checked,
+      keymap: this.keymap.value,
+      trashRetention: this.trashRetention.value,
+      stayConnected: this.stayConnected.checked,
     };
     localStorage.setItem('editorSettings', JSON.stringify(settings));
   }
@@ -236,6 +333,10 @@ class Settings {
         this.width.value = settings.width || this.defaults.width;
         this.statistics.checked = settings.statistics !== undefined ? settings.statistics : this.defaults.statistics;
         this.scrollbar.checked = settings.scrollbar !== undefined ? settings.scrollbar : this.defaults.scrollbar;
+        this.inputRules.checked = settings.inputRules !== undefined ? settings.inputRules : this.defaults.inputRules;
+        this.keymap.value = settings.keymap || this.defaults.keymap;
+        this.trashRetention.value = settings.trashRetention || this.defaults.trashRetention;
+        this.stayConnected.checked = settings.stayConnected !== undefined ? settings.stayConnected : this.defaults.stayConnected;
       } catch (e) {
         console.error('Failed to load settings:', e);
       }
@@ -3,11 +3,52 @@
  * Provides a simple interface for local-first storage
  */
 
+const LEGACY_DOCUMENT_ID = 'current-document';
+const LAST_DOCUMENT_KEY = 'lastDocumentId';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - The request to wait for
+ * @returns {Promise<any>} The request result
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+/**
+ * Wait for an IDBTransaction to commit
+ * @param {IDBTransaction} transaction - The transaction to wait for
+ * @returns {Promise<void>}
+ */
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Generate a unique document id
+ * @returns {string} Document id
+ */
+function generateId() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  return `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
 class Storage {
   constructor() {
     this.dbName = 'minimal-text-editor';
-    this.dbVersion = 1;
+    this.dbVersion = 6;
     this.storeName = 'documents';
+    this.revisionsStoreName = 'revisions';
+    this.trashStoreName = 'trash';
+    this.syncQueueStoreName = 'syncQueue';
+    this.credentialsStoreName = 'credentials';
     this.db = null;
   }
 
@@ -26,54 +67,369 @@ class Storage {
 
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
+        const transaction = event.target.transaction;
+
+        let documents;
         if (!db.objectStoreNames.contains(this.storeName)) {
-          db.createObjectStore(this.storeName, { keyPath: 'id' });
+          documents = db.createObjectStore(this.storeName, { keyPath: 'id' });
+        } else {
+          documents = transaction.objectStore(this.storeName);
+        }
+
+        if (!documents.indexNames.contains('updatedAt')) {
+          documents.createIndex('updatedAt', 'updatedAt');
+        }
+
+        if (event.oldVersion < 2) {
+          this.migrateLegacyDocument(documents);
+        }
+
+        if (!db.objectStoreNames.contains(this.revisionsStoreName)) {
+          const revisions = db.createObjectStore(this.revisionsStoreName, { keyPath: 'id', autoIncrement: true });
+          revisions.createIndex('documentId', 'documentId');
+        }
+
+        if (!db.objectStoreNames.contains(this.trashStoreName)) {
+          const trash = db.createObjectStore(this.trashStoreName, { keyPath: 'id' });
+          trash.createIndex('deletedAt', 'deletedAt');
+        }
+
+        if (!db.objectStoreNames.contains(this.syncQueueStoreName)) {
+          const queue = db.createObjectStore(this.syncQueueStoreName, { keyPath: 'key' });
+          queue.createIndex('provider', 'provider');
+        }
+
+        if (!db.objectStoreNames.contains(this.credentialsStoreName)) {
+          db.createObjectStore(this.credentialsStoreName, { keyPath: 'provider' });
         }
       };
     });
   }
 
   /**
-   * Save content to IndexedDB
-   * @param {string} content - The text content to save
+   * Move the v1 single 'current-document' record into the document library
+   * @param {IDBObjectStore} documents - The documents store (upgrade transaction)
    */
-  async save(content) {
-    if (!this.db) await this.init();
+  migrateLegacyDocument(documents) {
+    const request = documents.get(LEGACY_DOCUMENT_ID);
+    request.onsuccess = () => {
+      const legacy = request.result;
+      if (!legacy) return;
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.storeName], 'readwrite');
-      const store = transaction.objectStore(this.storeName);
-      const data = {
-        id: 'current-document',
-        content: content,
-        updatedAt: new Date().toISOString(),
+      const now = legacy.updatedAt || new Date().toISOString();
+      const doc = {
+        id: generateId(),
+        title: '',
+        customTitle: false,
+        content: legacy.content || '',
+        createdAt: now,
+        updatedAt: now,
       };
+      doc.title = this.deriveTitle(doc.content);
 
-      const request = store.put(data);
+      documents.put(doc);
+      documents.delete(LEGACY_DOCUMENT_ID);
+      localStorage.setItem(LAST_DOCUMENT_KEY, doc.id);
+    };
+  }
 
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => resolve();
-    });
+  /**
+   * Derive a title from the first line of a document's content
+   * @param {string} content - HTML content
+   * @returns {string} Title
+   */
+  deriveTitle(content) {
+    // An inert template, so that images in the content don't load
+    const template = document.createElement('template');
+    template.innerHTML = (content || '').replace(/<br\s*\/?>|<\/(p|div|h[1-6]|li)>/gi, '\n');
+    const firstLine = (template.content.textContent || '')
+      .split('\n')
+      .map((line) => line.trim())
+      .find((line) => line.length > 0);
+
+    if (!firstLine) return 'Untitled';
+    return firstLine.length > 60 ? `${firstLine.slice(0, 57)}...` : firstLine;
   }
 
   /**
-   * Load content from IndexedDB
-   * @returns {Promise<string>} The saved content
+   * Get an object store for a new transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {string} storeName - Object store name (defaults to documents)
+   * @returns {Promise<IDBObjectStore>}
    */
-  async load() {
+  async getStore(mode, storeName = this.storeName) {
     if (!this.db) await this.init();
+    const transaction = this.db.transaction([storeName], mode);
+    return transaction.objectStore(storeName);
+  }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.storeName], 'readonly');
-      const store = transaction.objectStore(this.storeName);
-      const request = store.get('current-document');
+  /**
+   * Create a new document
+   * @param {Object} options - Initial values
+   * @param {string} options.title - Document title (derived from content when omitted)
+   * @param {string} options.content - HTML content
+   * @returns {Promise<Object>} The created document
+   */
+  async createDocument({ title, content = '' } = {}) {
+    const now = new Date().toISOString();
+    const doc = {
+      id: generateId(),
+      title: title || this.deriveTitle(content),
+      customTitle: !!title,
+      content,
+      createdAt: now,
+      updatedAt: now,
+    };
 
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        const result = request.result;
-        resolve(result ? result.content : '');
-      };
-    });
+    const store = await this.getStore('readwrite');
+    await promisifyRequest(store.put(doc));
+    return doc;
+  }
+
+  /**
+   * Get a single document
+   * @param {string} id - Document id
+   * @returns {Promise<Object|null>} The document, or null if missing
+   */
+  async getDocument(id) {
+    const store = await this.getStore('readonly');
+    const doc = await promisifyRequest(store.get(id));
+    return doc || null;
+  }
+
+  /**
+   * Get every document including its content
+   * @returns {Promise<Array<Object>>} Document records
+   */
+  async getAllDocuments() {
+    const store = await this.getStore('readonly');
+    return promisifyRequest(store.getAll());
+  }
+
+  /**
+   * List all documents, most recently updated first
+   * @returns {Promise<Array<Object>>} Document metadata (without content)
+   */
+  async listDocuments() {
+    const docs = await this.getAllDocuments();
+    return docs
+      .map(({ content, ...meta }) => meta)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Save content to a document
+   * @param {string} id - Document id
+   * @param {string} content - The HTML content to save
+   * @returns {Promise<Object>} The updated document
+   */
+  async saveDocument(id, content) {
+    const store = await this.getStore('readwrite');
+    const existing = await promisifyRequest(store.get(id));
+    const now = new Date().toISOString();
+    const doc = existing || { id, createdAt: now, customTitle: false };
+
+    doc.content = content;
+    doc.updatedAt = now;
+    if (!doc.customTitle) {
+      doc.title = this.deriveTitle(content);
+    }
+
+    await promisifyRequest(store.put(doc));
+    return doc;
+  }
+
+  /**
+   * Rename a document
+   * @param {string} id - Document id
+   * @param {string} title - New title (empty string reverts to the derived title)
+   * @returns {Promise<Object|null>} The updated document
+   */
+  async renameDocument(id, title) {
+    const store = await this.getStore('readwrite');
+    const doc = await promisifyRequest(store.get(id));
+    if (!doc) return null;
+
+    const trimmed = (title || '').trim();
+    doc.customTitle = trimmed.length > 0;
+    doc.title = doc.customTitle ? trimmed : this.deriveTitle(doc.content);
+
+    await promisifyRequest(store.put(doc));
+    return doc;
+  }
+
+  /**
+   * Record which remote file a document is synced with, without changing when it was updated
+   * @param {string} id - Document id
+   * @param {string} provider - Provider id
+   * @param {Object|null} remote - File id, name, revision and the content last synced, or null to unlink
+   * @returns {Promise<Object|null>} The updated document
+   */
+  async setRemote(id, provider, remote) {
+    // One transaction, so that a save made while syncing isn't undone
+    const store = await this.getStore('readwrite');
+    const doc = await promisifyRequest(store.get(id));
+    if (!doc) return null;
+
+    doc.remote = { ...doc.remote, [provider]: remote };
+    if (!remote) delete doc.remote[provider];
+
+    await promisifyRequest(store.put(doc));
+    return doc;
+  }
+
+  /**
+   * Delete a document
+   * @param {string} id - Document id
+   */
+  async deleteDocument(id) {
+    const store = await this.getStore('readwrite');
+    await promisifyRequest(store.delete(id));
+    if (this.getLastDocumentId() === id) {
+      localStorage.removeItem(LAST_DOCUMENT_KEY);
+    }
+  }
+
+  /**
+   * Move a document into the trash store
+   * @param {string} id - Document id
+   * @returns {Promise<Object|null>} The trashed record, or null if missing
+   */
+  async moveToTrash(id) {
+    if (!this.db) await this.init();
+
+    const transaction = this.db.transaction([this.storeName, this.trashStoreName], 'readwrite');
+    const documents = transaction.objectStore(this.storeName);
+    const trash = transaction.objectStore(this.trashStoreName);
+
+    const doc = await promisifyRequest(documents.get(id));
+    if (!doc) return null;
+
+    const record = { ...doc, deletedAt: new Date().toISOString() };
+    trash.put(record);
+    documents.delete(id);
+    await promisifyTransaction(transaction);
+
+    if (this.getLastDocumentId() === id) {
+      localStorage.removeItem(LAST_DOCUMENT_KEY);
+    }
+    return record;
+  }
+
+  /**
+   * Move a document from the trash back into the library
+   * @param {string} id - Document id
+   * @returns {Promise<Object|null>} The restored document, or null if missing
+   */
+  async restoreFromTrash(id) {
+    if (!this.db) await this.init();
+
+    const transaction = this.db.transaction([this.storeName, this.trashStoreName], 'readwrite');
+    const documents = transaction.objectStore(this.storeName);
+    const trash = transaction.objectStore(this.trashStoreName);
+
+    const record = await promisifyRequest(trash.get(id));
+    if (!record) return null;
+
+    const { deletedAt, ...doc } = record;
+    documents.put(doc);
+    trash.delete(id);
+    await promisifyTransaction(transaction);
+    return doc;
+  }
+
+  /**
+   * List trashed documents, most recently deleted first
+   * @returns {Promise<Array<Object>>} Trash records (without content)
+   */
+  async listTrash() {
+    const store = await this.getStore('readonly', this.trashStoreName);
+    const records = await promisifyRequest(store.getAll());
+    return records
+      .map(({ content, ...meta }) => meta)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  /**
+   * Permanently remove a document from the trash
+   * @param {string} id - Document id
+   */
+  async deleteFromTrash(id) {
+    const store = await this.getStore('readwrite', this.trashStoreName);
+    await promisifyRequest(store.delete(id));
+  }
+
+  /**
+   * Read every record from every store
+   * @returns {Promise<{documents: Array, revisions: Array, trash: Array}>}
+   */
+  async exportAll() {
+    const read = async (name) => promisifyRequest((await this.getStore('readonly', name)).getAll());
+    return {
+      documents: await read(this.storeName),
+      revisions: await read(this.revisionsStoreName),
+      trash: await read(this.trashStoreName),
+    };
+  }
+
+  /**
+   * Write many records into a store in one transaction
+   * @param {string} storeName - Object store name
+   * @param {Array<Object>} records - Records to put
+   */
+  async putAll(storeName, records) {
+    if (!this.db) await this.init();
+
+    const transaction = this.db.transaction([storeName], 'readwrite');
+    const store = transaction.objectStore(storeName);
+    records.forEach((record) => store.put(record));
+    await promisifyTransaction(transaction);
+  }
+
+  /**
+   * Replace all stored data with an archive's records in one transaction,
+   * so that a failed write leaves the old data in place
+   * @param {Object} data - Records to keep
+   * @param {Array<Object>} data.documents - Documents
+   * @param {Array<Object>} data.revisions - Revisions
+   * @param {Array<Object>} data.trash - Trashed documents
+   */
+  async replaceAll({ documents, revisions, trash }) {
+    if (!this.db) await this.init();
+
+    const storeNames = [this.storeName, this.revisionsStoreName, this.trashStoreName, this.syncQueueStoreName];
+    const transaction = this.db.transaction(storeNames, 'readwrite');
+    const done = promisifyTransaction(transaction);
+    try {
+      storeNames.forEach((name) => transaction.objectStore(name).clear());
+      [[this.storeName, documents], [this.revisionsStoreName, revisions], [this.trashStoreName, trash]].forEach(([name, records]) => {
+        const store = transaction.objectStore(name);
+        records.forEach((record) => store.put(record));
+      });
+    } catch (error) {
+      // A record that can't be stored throws here instead of failing the transaction
+      transaction.abort();
+      done.catch(() => {});
+      throw error;
+    }
+    await done;
+    localStorage.removeItem(LAST_DOCUMENT_KEY);
+  }
+
+  /**
+   * Get the id of the last opened document
+   * @returns {string|null}
+   */
+  getLastDocumentId() {
+    return localStorage.getItem(LAST_DOCUMENT_KEY);
+  }
+
+  /**
+   * Remember the last opened document
+   * @param {string} id - Document id
+   */
+  setLastDocumentId(id) {
+    localStorage.setItem(LAST_DOCUMENT_KEY, id);
   }
 
   /**
@@ -82,14 +438,11 @@ class Storage {
   async clear() {
     if (!this.db) await this.init();
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.storeName], 'readwrite');
-      const store = transaction.objectStore(this.storeName);
-      const request = store.clear();
-
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => resolve();
-    });
+    const storeNames = [this.storeName, this.revisionsStoreName, this.trashStoreName, this.syncQueueStoreName];
+    const transaction = this.db.transaction(storeNames, 'readwrite');
+    storeNames.forEach((name) => transaction.objectStore(name).clear());
+    await promisifyTransaction(transaction);
+    localStorage.removeItem(LAST_DOCUMENT_KEY);
   }
 
   /**
@@ -108,4 +461,3 @@ class Storage {
 }
 
 export default new Storage();
-
@@ -0,0 +1,81 @@
+/**
+ * Sync Queue
+ * Documents saved since they were last synced, per provider. The queue is
+ * kept in IndexedDB so that edits made offline, or before a reload, are
+ * still uploaded once the provider can be reached.
+ */
+
+import storage, { promisifyRequest } from './storage.js';
+
+class SyncQueue {
+  /**
+   * Queue a document for upload
+   * @param {string} provider - Provider id
+   * @param {string} documentId - Document id
+   */
+  async add(provider, documentId) {
+    const key = `${provider}:${documentId}`;
+    const now = new Date().toISOString();
+    const store = await this.getStore('readwrite');
+    const existing = await promisifyRequest(store.get(key));
+    await promisifyRequest(store.put(existing
+      ? { ...existing, savedAt: now }
+      : { key, provider, documentId, queuedAt: now, savedAt: now, conflict: false }));
+  }
+
+  /**
+   * @param {string} provider - Provider id, or omitted for every provider
+   * @returns {Promise<Array<Object>>} Queued uploads, oldest first
+   */
+  async list(provider) {
+    const store = await this.getStore('readonly');
+    const records = provider
+      ? await promisifyRequest(store.index('provider').getAll(provider))
+      : await promisifyRequest(store.getAll());
+    return records.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+  }
+
+  /**
+   * Remove documents from a provider's queue once they are synced
+   * @param {string} provider - Provider id
+   * @param {Array<string>} documentIds - Document ids
+   * @param {string} syncedAt - When the sync started; documents saved since stay queued
+   */
+  async remove(provider, documentIds, syncedAt = null) {
+    const store = await this.getStore('readwrite');
+    await Promise.all(documentIds.map(async (id) => {
+      const record = await promisifyRequest(store.get(`${provider}:${id}`));
+      if (record && (!syncedAt || record.savedAt <= syncedAt)) await promisifyRequest(store.delete(record.key));
+    }));
+  }
+
+  /**
+   * Keep documents queued, but don't retry them until they are synced by hand
+   * @param {string} provider - Provider id
+   * @param {Array<string>} documentIds - Document ids with conflicting edits
+   */
+  async markConflicts(provider, documentIds) {
+    const now = new Date().toISOString();
+    const store = await this.getStore('readwrite');
+    await Promise.all(documentIds.map(async (documentId) => {
+      const key = `${provider}:${documentId}`;
+      const record = await promisifyRequest(store.get(key)) || { key, provider, documentId, queuedAt: now, savedAt: now };
+      await promisifyRequest(store.put({ ...record, conflict: true }));
+    }));
+  }
+
+  /**
+   * Forget everything queued for a provider
+   * @param {string} provider - Provider id
+   */
+  async clear(provider) {
+    const records = await this.list(provider);
+    await this.remove(provider, records.map((record) => record.documentId));
+  }
+
+  async getStore(mode) {
+    return storage.getStore(mode, storage.syncQueueStoreName);
+  }
+}
+
+export default new SyncQueue();
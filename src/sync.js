@@ -0,0 +1,288 @@
+/**
+ * Document Sync
+ * Two-way sync of the document library with a provider's files. Each
+ * document is linked to one remote Markdown file per provider, remembering
+ * the file's revision and the content both sides last agreed on. Edits on one
+ * side are copied to the other; edits on both are merged line by line, and
+ * anything that can't be merged is left to the user.
+ */
+
+import storage from './storage.js';
+import revisions from './revisions.js';
+import { htmlToMarkdown, markdownToHTML } from './markdown.js';
+import { merge3, resolveMerge } from './diff.js';
+import { sanitizeHTML } from './sanitize.js';
+
+const KNOWN_FILES_KEY = 'syncKnownFiles';
+
+/**
+ * File name for a document, unique among the remote files
+ * @param {string} title - Document title
+ * @param {Array<Object>} files - Remote files
+ * @returns {string} File name
+ */
+function fileNameFor(title, files) {
+  const base = (title || 'Untitled').replace(/[\\/:*?"<>|\n\r]+/g, ' ').trim().slice(0, 100) || 'Untitled';
+  const taken = new Set(files.map((file) => file.name.toLowerCase()));
+  let name = `${base}.md`;
+  for (let n = 2; taken.has(name.toLowerCase()); n++) name = `${base} ${n}.md`;
+  return name;
+}
+
+/**
+ * @param {string} name - File name
+ * @returns {string} Document title
+ */
+function titleFromFileName(name) {
+  return name.replace(/\.(md|markdown|txt)$/i, '');
+}
+
+/**
+ * Markdown as it reads once it has been through the editor, so that it can be
+ * compared with a document's content
+ * @param {string} markdown - Markdown
+ * @returns {string} Markdown
+ */
+function normalizeMarkdown(markdown) {
+  return htmlToMarkdown(sanitizeHTML(markdownToHTML(markdown)));
+}
+
+class DocumentSync {
+  /**
+   * @param {Editor} editor - The editor, whose open document is synced through it
+   * @param {SyncConflictDialog} conflictDialog - Asks how to resolve conflicting edits
+   */
+  constructor(editor, conflictDialog) {
+    this.editor = editor;
+    this.conflictDialog = conflictDialog;
+    this.syncing = false;
+    this.interactive = true;
+  }
+
+  /**
+   * Ids of every remote file ever linked, so that files whose document was
+   * deleted here are not downloaded again
+   * @param {string} provider - Provider id
+   * @returns {Set<string>} File ids
+   */
+  getKnownFiles(provider) {
+    try {
+      const known = JSON.parse(localStorage.getItem(KNOWN_FILES_KEY) || '{}');
+      return new Set(known[provider] || []);
+    } catch {
+      return new Set();
+    }
+  }
+
+  /**
+   * @param {string} provider - Provider id
+   * @param {Set<string>} ids - File ids
+   */
+  setKnownFiles(provider, ids) {
+    let known = {};
+    try {
+      known = JSON.parse(localStorage.getItem(KNOWN_FILES_KEY) || '{}');
+    } catch {
+      // Start over
+    }
+    known[provider] = Array.from(ids);
+    localStorage.setItem(KNOWN_FILES_KEY, JSON.stringify(known));
+  }
+
+  /**
+   * Sync every document with a provider
+   * @param {Object} provider - Provider, see cloud-providers.js
+   * @param {Object} options - Sync options
+   * @param {Array<string>} options.documentIds - Only sync these documents, and don't download new files
+   * @param {boolean} options.interactive - Ask how to resolve conflicting edits, rather than skipping them
+   * @returns {Promise<Object|null>} Counts of what changed and the ids of skipped documents,
+   *   or null if a sync is already running
+   */
+  async syncAll(provider, { documentIds = null, interactive = true } = {}) {
+    if (this.syncing) return null;
+    this.syncing = true;
+    this.interactive = interactive;
+
+    try {
+      await this.editor.flushSave();
+      const files = await provider.list();
+      const summary = { uploaded: 0, downloaded: 0, merged: 0, skipped: 0, skippedIds: [] };
+
+      let docs = await storage.getAllDocuments();
+      if (documentIds) docs = docs.filter((doc) => documentIds.includes(doc.id));
+      for (const doc of docs) {
+        await this.syncDocument(provider, doc, files, summary);
+      }
+
+      // Every linked file is known by now; the rest are new from elsewhere
+      const known = this.getKnownFiles(provider.id);
+      for (const file of documentIds ? [] : files) {
+        if (!known.has(file.id)) {
+          await this.importFile(provider, file, summary);
+        }
+      }
+
+      if (summary.downloaded || summary.merged) {
+        document.dispatchEvent(new CustomEvent('documents-changed'));
+      }
+      return summary;
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * Bring one document and its remote file up to date with each other
+   * @param {Object} provider - Provider
+   * @param {Object} doc - Document record
+   * @param {Array<Object>} files - Remote files; new uploads are added
+   * @param {Object} summary - Counts to update
+   */
+  async syncDocument(provider, doc, files, summary) {
+    if (doc.id === this.editor.currentDocumentId) {
+      // Edits made since the sync started
+      await this.editor.flushSave();
+      doc = await storage.getDocument(doc.id);
+    }
+
+    const local = htmlToMarkdown(doc.content);
+    const link = (doc.remote || {})[provider.id];
+    const file = link ? files.find((candidate) => candidate.id === link.id) : null;
+
+    if (!file) {
+      // Never synced, or the remote file is gone: upload it as a new file
+      if (!link && !local.trim()) return;
+      const created = await provider.write({ name: fileNameFor(doc.title, files), content: local });
+      files.push(created);
+      await this.link(provider, doc, created, local);
+      summary.uploaded++;
+      return;
+    }
+
+    if (file.revision === link.revision) {
+      if (local === link.base) return;
+      const updated = await provider.write({ ...file, content: local, revision: link.revision });
+      if (!updated.conflict) {
+        await this.link(provider, doc, updated, local);
+        summary.uploaded++;
+        return;
+      }
+    }
+
+    // The remote file changed since the last sync
+    const remote = await provider.read(file);
+    const current = { ...file, revision: remote.revision };
+    const theirs = normalizeMarkdown(remote.content);
+
+    if (local === theirs) {
+      await this.link(provider, doc, current, local);
+      return;
+    }
+    if (local === link.base) {
+      const content = await this.applyRemote(doc, remote.content, `Before sync with ${provider.name}`);
+      await this.link(provider, { ...doc, content }, current, htmlToMarkdown(content));
+      summary.downloaded++;
+      return;
+    }
+
+    let resolution;
+    if (theirs === link.base) {
+      resolution = { action: 'mine' };
+    } else {
+      const segments = merge3(link.base, local, theirs);
+      if (!segments.some((segment) => segment.type === 'conflict')) {
+        resolution = { action: 'merge', content: resolveMerge(segments) };
+      } else if (this.interactive) {
+        resolution = await this.conflictDialog.open({ title: doc.title, provider: provider.name, segments });
+      }
+    }
+
+    if (!resolution) {
+      summary.skipped++;
+      summary.skippedIds.push(doc.id);
+      return;
+    }
+    if (resolution.action === 'theirs') {
+      const content = await this.applyRemote(doc, remote.content, `Before sync with ${provider.name}`);
+      await this.link(provider, { ...doc, content }, current, htmlToMarkdown(content));
+      summary.downloaded++;
+      return;
+    }
+    if (resolution.action === 'both') {
+      // The remote version becomes a document of its own, uploaded as its own file
+      const copy = await storage.createDocument({
+        title: `${doc.title} (${provider.name} copy)`,
+        content: sanitizeHTML(markdownToHTML(remote.content)),
+      });
+      await this.syncDocument(provider, copy, files, summary);
+    }
+
+    let markdown = local;
+    if (resolution.action === 'merge') {
+      const content = await this.applyRemote(doc, resolution.content, `Before merge with ${provider.name}`);
+      doc = { ...doc, content };
+      markdown = htmlToMarkdown(content);
+    }
+    const updated = await provider.write({ ...current, content: markdown });
+    if (updated.conflict) {
+      throw new Error(`"${doc.title}" changed on ${provider.name} again while syncing. Please sync again.`);
+    }
+    await this.link(provider, doc, updated, markdown);
+    if (resolution.action === 'merge') summary.merged++;
+    else summary.uploaded++;
+  }
+
+  /**
+   * Create a document for a remote file that has none
+   * @param {Object} provider - Provider
+   * @param {Object} file - Remote file
+   * @param {Object} summary - Counts to update
+   */
+  async importFile(provider, file, summary) {
+    const remote = await provider.read(file);
+    const doc = await storage.createDocument({
+      title: titleFromFileName(file.name),
+      content: sanitizeHTML(markdownToHTML(remote.content)),
+    });
+    await this.link(provider, doc, { ...file, revision: remote.revision }, htmlToMarkdown(doc.content));
+    summary.downloaded++;
+  }
+
+  /**
+   * Replace a document's content with Markdown from the remote side,
+   * keeping what it replaces in the version history
+   * @param {Object} doc - Document record
+   * @param {string} markdown - New content
+   * @param {string} label - Label for the snapshot of the replaced content
+   * @returns {Promise<string>} The document's new HTML content
+   */
+  async applyRemote(doc, markdown, label) {
+    const content = sanitizeHTML(markdownToHTML(markdown));
+    if (doc.id === this.editor.currentDocumentId) {
+      await this.editor.replaceContent(content, label);
+      return this.editor.getHTMLContent();
+    }
+    await revisions.create(doc.id, doc.content, { kind: 'manual', label });
+    await storage.saveDocument(doc.id, content);
+    return content;
+  }
+
+  /**
+   * Remember the remote file and the content both sides now have
+   * @param {Object} provider - Provider
+   * @param {Object} doc - Document record, with the content that was synced
+   * @param {Object} file - Remote file
+   * @param {string} base - Markdown both sides now agree on
+   */
+  async link(provider, doc, file, base) {
+    await storage.setRemote(doc.id, provider.id, { id: file.id, name: file.name, revision: file.revision, base });
+    const known = this.getKnownFiles(provider.id);
+    known.add(file.id);
+    this.setKnownFiles(provider.id, known);
+    document.dispatchEvent(new CustomEvent('cloud-synced', {
+      detail: { provider: provider.name, documentId: doc.id, content: doc.content },
+    }));
+  }
+}
+
+export default DocumentSync;
@@ -0,0 +1,154 @@
+/**
+ * Text edits
+ * Line-aware offsets, deletion and insertion on the editor DOM, addressed
+ * by offsets into the text from mapLines, for the Vim and Emacs keys
+ */
+
+import { mapLines, pointAtOffset, lineElementOf } from './dom-text.js';
+
+const EMPTY_CONTAINERS = 'ul, ol, blockquote, table, thead, tbody, tfoot, tr';
+const LEAF_LINES = 'p, div, h1, h2, h3, h4, h5, h6, li, pre, td, th';
+const INLINE_TAGS = 'strong, b, em, i, u, s, strike, del, code, a, span, mark';
+
+/**
+ * @param {string} char - Character, or undefined past the end
+ * @returns {number} 0 for whitespace, 1 for word characters, 2 for punctuation
+ */
+export function charClass(char) {
+  if (char === undefined || /\s/.test(char)) return 0;
+  return /[\p{L}\p{N}_]/u.test(char) ? 1 : 2;
+}
+
+export function lineStartOf(text, pos) {
+  return pos > 0 ? text.lastIndexOf('\n', pos - 1) + 1 : 0;
+}
+
+export function lineEndOf(text, pos) {
+  const end = text.indexOf('\n', pos);
+  return end === -1 ? text.length : end;
+}
+
+/**
+ * @param {string} text - Text
+ * @returns {Array<number>} Offset where each line starts
+ */
+export function lineStarts(text) {
+  const starts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) starts.push(i + 1);
+  return starts;
+}
+
+export function lineIndexOf(text, pos) {
+  let count = 0;
+  for (let i = text.indexOf('\n'); i !== -1 && i < pos; i = text.indexOf('\n', i + 1)) count++;
+  return count;
+}
+
+/**
+ * Remove what a deletion leaves behind: empty lists, quotes and table parts,
+ * empty formatting, and lines with nothing to give them height
+ * @param {Element} root - Editor element
+ */
+function tidy(root) {
+  root.querySelectorAll(INLINE_TAGS).forEach((el) => {
+    if (!el.textContent && !el.querySelector('br, img')) el.remove();
+  });
+  Array.from(root.querySelectorAll(EMPTY_CONTAINERS)).reverse().forEach((el) => {
+    if (!el.textContent && !el.querySelector('br, img, hr, li, td, th, p')) el.remove();
+  });
+  root.querySelectorAll(LEAF_LINES).forEach((el) => {
+    if (!el.textContent && !el.querySelector('br, img, hr, p, li, ul, ol, table, pre, blockquote')) {
+      el.appendChild(document.createElement('br'));
+    }
+  });
+  if (!root.textContent && !root.querySelector('br, img, hr')) root.innerHTML = '<p><br></p>';
+}
+
+/**
+ * Delete text between two offsets, joining the lines at either end
+ * @param {Element} root - Editor element
+ * @param {number} from - Start offset
+ * @param {number} to - End offset
+ * @param {boolean} [keepEnd] - Join into the end line instead of the start line
+ */
+export function deleteText(root, from, to, keepEnd = false) {
+  if (from >= to) return;
+  const map = mapLines(root);
+  const start = pointAtOffset(map, from);
+  const end = pointAtOffset(map, to);
+  const startLine = lineElementOf(root, start.node);
+  const endLine = lineElementOf(root, end.node);
+
+  const range = document.createRange();
+  range.setStart(start.node, start.offset);
+  range.setEnd(end.node, end.offset);
+  range.deleteContents();
+
+  if (startLine === endLine || startLine === root || endLine === root
+    || !startLine.isConnected || !endLine.isConnected || endLine.contains(startLine)) {
+    tidy(root);
+    return;
+  }
+
+  if (startLine.contains(endLine)) {
+    // The rest of a nested item joins its parent item's text, ahead of the nested list
+    const moved = Array.from(endLine.childNodes).filter((node) => node.nodeName !== 'BR');
+    const nested = Array.from(startLine.children).find((child) => child.contains(endLine));
+    nested.before(...moved);
+    endLine.remove();
+  } else if (keepEnd) {
+    if (startLine.textContent) endLine.prepend(...startLine.childNodes);
+    startLine.remove();
+  } else {
+    const moved = Array.from(endLine.childNodes).filter((node) => node.nodeName !== 'BR' || !startLine.textContent);
+    startLine.append(...moved);
+    endLine.remove();
+  }
+  tidy(root);
+}
+
+/**
+ * Insert unformatted text at an offset. Line breaks in the text split the
+ * line into paragraphs, or list items in a list; in code blocks and table
+ * cells they stay as typed.
+ * @param {Element} root - Editor element
+ * @param {number} pos - Offset
+ * @param {string} text - Text
+ */
+export function insertText(root, pos, text) {
+  if (!text) return;
+  const point = pointAtOffset(mapLines(root), pos);
+  const line = lineElementOf(root, point.node);
+  const [first, ...rest] = text.split('\n');
+
+  if (rest.length > 0 && line !== root && !line.matches('pre, td, th')) {
+    // The rest of the line moves to the end of the last inserted line
+    const range = document.createRange();
+    range.setStart(point.node, point.offset);
+    range.setEnd(line, line.childNodes.length);
+    const tail = range.extractContents();
+    if (first) line.append(document.createTextNode(first));
+
+    const tag = line.tagName === 'LI' ? 'li' : 'p';
+    const middle = rest.slice(0, -1).map((content) => {
+      const el = document.createElement(tag);
+      el.textContent = content;
+      return el;
+    });
+    const last = line.cloneNode(false);
+    if (rest[rest.length - 1]) last.appendChild(document.createTextNode(rest[rest.length - 1]));
+    last.appendChild(tail);
+    if (last.hasAttribute('data-checked')) last.setAttribute('data-checked', 'false');
+    line.after(...middle, last);
+    tidy(root);
+    return;
+  }
+
+  if (point.node.nodeType === Node.TEXT_NODE) {
+    point.node.insertData(point.offset, text);
+    return;
+  }
+  const target = point.node === root ? root.appendChild(document.createElement('p')) : point.node;
+  target.querySelectorAll(':scope > br').forEach((br) => br.remove());
+  target.prepend(document.createTextNode(text));
+}
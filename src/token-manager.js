@@ -0,0 +1,121 @@
+/**
+ * Token Manager
+ * An OAuth provider's tokens: where they are kept, when the access token
+ * expires, and refreshing it with the refresh token before it does
+ */
+
+import credentials from './credential-store.js';
+
+// Refresh this long before the access token expires, so requests in flight don't fail
+const EXPIRY_MARGIN = 60 * 1000;
+
+export const EXPIRED_MESSAGE = 'The connection has expired. Please connect again.';
+
+class TokenManager {
+  /**
+   * @param {string} id - Provider id
+   * @param {Object} oauth - clientId and tokenUrl
+   */
+  constructor(id, oauth) {
+    this.id = id;
+    this.oauth = oauth;
+    this.tokens = credentials.get(id);
+    this.refreshing = null;
+  }
+
+  /**
+   * Load the tokens saved by an earlier session
+   */
+  async restore() {
+    this.tokens = await credentials.restore(this.id);
+  }
+
+  /**
+   * @returns {boolean} Whether there are tokens
+   */
+  has() {
+    return !!this.tokens;
+  }
+
+  /**
+   * @returns {boolean} Whether the access token can be renewed
+   */
+  canRefresh() {
+    return !!(this.tokens && this.tokens.refreshToken);
+  }
+
+  /**
+   * Keep the tokens from a token response
+   * @param {Object} data - access_token, and optionally refresh_token and expires_in
+   */
+  async set(data) {
+    this.tokens = {
+      accessToken: data.access_token,
+      // Refreshing doesn't always return a new refresh token
+      refreshToken: data.refresh_token || (this.tokens && this.tokens.refreshToken) || null,
+      expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
+    };
+    await credentials.set(this.id, this.tokens);
+  }
+
+  /**
+   * Forget the tokens
+   */
+  async clear() {
+    this.tokens = null;
+    await credentials.delete(this.id);
+  }
+
+  /**
+   * An access token that is valid for at least another minute
+   * @param {string} rejected - A token the service refused, to replace even if it
+   *   hasn't expired (unless another request already did)
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken(rejected = null) {
+    if (!this.tokens) throw new Error(EXPIRED_MESSAGE);
+
+    const expiring = this.tokens.expiresAt && this.tokens.expiresAt - EXPIRY_MARGIN <= Date.now();
+    const refused = rejected && rejected === this.tokens.accessToken;
+    if ((expiring || refused || this.refreshing) && this.canRefresh()) {
+      // Requests made while refreshing wait for the same new token
+      if (!this.refreshing) {
+        this.refreshing = this.refresh().finally(() => {
+          this.refreshing = null;
+        });
+      }
+      await this.refreshing;
+    }
+    return this.tokens.accessToken;
+  }
+
+  /**
+   * Exchange the refresh token for a new access token. A refresh token that
+   * was revoked or has expired disconnects the provider.
+   */
+  async refresh() {
+    const response = await fetch(this.oauth.tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({
+        client_id: this.oauth.clientId,
+        grant_type: 'refresh_token',
+        refresh_token: this.tokens.refreshToken,
+      }),
+    });
+
+    if (response.status === 400 || response.status === 401) {
+      await this.clear();
+      document.dispatchEvent(new CustomEvent('cloud-connection-changed', { detail: { provider: this.id } }));
+      throw new Error(EXPIRED_MESSAGE);
+    }
+    if (!response.ok) {
+      throw new Error(`Could not renew the connection (${response.status} ${response.statusText})`);
+    }
+    await this.set(await response.json());
+  }
+}
+
+export default TokenManager;
@@ -0,0 +1,95 @@
+/**
+ * Trash
+ * Soft delete for documents with recovery and automatic purging
+ */
+
+import storage from './storage.js';
+import revisions from './revisions.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class Trash {
+  constructor() {
+    this.defaultRetentionDays = 30;
+  }
+
+  /**
+   * Number of days trashed documents are kept (0 keeps them forever)
+   * @returns {number} Retention in days
+   */
+  getRetentionDays() {
+    try {
+      const settings = JSON.parse(localStorage.getItem('editorSettings') || '{}');
+      if (settings.trashRetention !== undefined) return Number(settings.trashRetention);
+    } catch {}
+    return this.defaultRetentionDays;
+  }
+
+  /**
+   * List trashed documents with their purge date
+   * @returns {Promise<Array<Object>>} Trash records, most recently deleted first
+   */
+  async list() {
+    const days = this.getRetentionDays();
+    const records = await storage.listTrash();
+    return records.map((record) => ({
+      ...record,
+      expiresAt: days > 0 ? new Date(new Date(record.deletedAt).getTime() + days * DAY).toISOString() : null,
+    }));
+  }
+
+  /**
+   * Move a document to the trash; its revisions are kept until it is purged
+   * @param {string} id - Document id
+   */
+  async moveToTrash(id) {
+    return storage.moveToTrash(id);
+  }
+
+  /**
+   * Restore a trashed document
+   * @param {string} id - Document id
+   * @returns {Promise<Object|null>} The restored document
+   */
+  async restore(id) {
+    return storage.restoreFromTrash(id);
+  }
+
+  /**
+   * Permanently delete a trashed document and its revisions
+   * @param {string} id - Document id
+   */
+  async deletePermanently(id) {
+    await storage.deleteFromTrash(id);
+    await revisions.deleteForDocument(id);
+  }
+
+  /**
+   * Permanently delete everything in the trash
+   */
+  async empty() {
+    const records = await storage.listTrash();
+    for (const record of records) {
+      await this.deletePermanently(record.id);
+    }
+  }
+
+  /**
+   * Permanently delete documents that have been in the trash longer than the retention window
+   * @returns {Promise<number>} Number of purged documents
+   */
+  async purgeExpired() {
+    const days = this.getRetentionDays();
+    if (!days) return 0;
+
+    const cutoff = Date.now() - days * DAY;
+    const records = await storage.listTrash();
+    const expired = records.filter((record) => new Date(record.deletedAt).getTime() < cutoff);
+    for (const record of expired) {
+      await this.deletePermanently(record.id);
+    }
+    return expired.length;
+  }
+}
+
+export default new Trash();
@@ -3,6 +3,8 @@
  * Handles stats (lines, words, characters), theme, and UI interactions
  */
 
+import commands from './commands.js';
+
 class UI {
   constructor() {
     this.lineCountEl = document.getElementById('line-count');
@@ -20,17 +22,24 @@ class UI {
     const savedTheme = localStorage.getItem('theme') || 'light';
     this.setTheme(savedTheme);
 
-    // Keyboard shortcut: Cmd/Ctrl + K for theme toggle (opens settings)
-    document.addEventListener('keydown', (e) => {
-      if ((e.metaKey || e.ctrlKey) && e.key === 'k') {
-        e.preventDefault();
-        const currentTheme = this.appContainer.getAttribute('data-theme');
-        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
-        this.setTheme(newTheme);
-      }
+    commands.register({
+      id: 'toggle-theme',
+      title: 'Toggle Dark Mode',
+      group: 'View',
+      keywords: ['theme', 'light', 'night'],
+      shortcut: 'Mod+KeyK',
+      run: () => this.toggleTheme(),
     });
   }
 
+  /**
+   * Switch between the light and dark themes
+   */
+  toggleTheme() {
+    const currentTheme = this.appContainer.getAttribute('data-theme');
+    this.setTheme(currentTheme === 'light' ? 'dark' : 'light');
+  }
+
   setTheme(theme) {
     this.appContainer.setAttribute('data-theme', theme);
     localStorage.setItem('theme', theme);
@@ -0,0 +1,242 @@
+/**
+ * Diff Viewer
+ * Side-by-side comparison of two saved states of a document,
+ * with per-hunk accept/reject merged back into the editor
+ */
+
+import revisions from '../revisions.js';
+import ui from '../ui.js';
+import { diff, mergeHunks, renderSide, htmlToPlainText, plainTextToHTML } from '../diff.js';
+import { sanitizeHTML } from '../sanitize.js';
+
+class DiffViewer {
+  /**
+   * @param {Editor} editor - The editor instance being compared
+   */
+  constructor(editor) {
+    this.editor = editor;
+    this.modal = document.getElementById('diff-modal');
+    this.closeBtn = document.getElementById('diff-close');
+    this.oldSelect = document.getElementById('diff-old');
+    this.newSelect = document.getElementById('diff-new');
+    this.modeSelect = document.getElementById('diff-mode');
+    this.oldPane = document.getElementById('diff-old-pane');
+    this.newPane = document.getElementById('diff-new-pane');
+    this.summaryEl = document.getElementById('diff-summary');
+    this.acceptAllBtn = document.getElementById('diff-accept-all');
+    this.rejectAllBtn = document.getElementById('diff-reject-all');
+    this.applyBtn = document.getElementById('diff-apply');
+
+    this.segments = [];
+    this.rejected = new Set();
+    this.syncingScroll = null;
+
+    this.init();
+  }
+
+  init() {
+    this.closeBtn.addEventListener('click', () => this.hide());
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.hide();
+      }
+    });
+
+    [this.oldSelect, this.newSelect, this.modeSelect].forEach((select) => {
+      select.addEventListener('change', () => this.compare());
+    });
+
+    [this.oldPane, this.newPane].forEach((pane) => {
+      pane.addEventListener('click', (e) => {
+        if (e.target.closest('a')) e.preventDefault();
+        const hunk = e.target.closest('.diff-hunk');
+        if (hunk) {
+          this.toggleHunk(Number(hunk.dataset.hunk));
+        }
+      });
+      pane.addEventListener('scroll', () => this.syncScroll(pane));
+    });
+
+    this.acceptAllBtn.addEventListener('click', () => {
+      this.rejected.clear();
+      this.renderPanes();
+    });
+
+    this.rejectAllBtn.addEventListener('click', () => {
+      this.segments.forEach((segment) => {
+        if (segment.type === 'change') this.rejected.add(segment.id);
+      });
+      this.renderPanes();
+    });
+
+    this.applyBtn.addEventListener('click', () => this.apply());
+  }
+
+  /**
+   * Open the viewer
+   * @param {Object} options - Initial selection
+   * @param {string} options.oldSource - Source value for the left side
+   * @param {string} options.newSource - Source value for the right side
+   */
+  async open({ oldSource, newSource = 'current' } = {}) {
+    await this.editor.flushSave();
+    const sources = await this.loadSources();
+
+    if (sources.length < 2) {
+      alert('There is nothing to compare yet. Snapshots are taken automatically as you write.');
+      return;
+    }
+
+    this.populateSelect(this.oldSelect, sources);
+    this.populateSelect(this.newSelect, sources);
+
+    // Default to comparing the last cloud sync (or latest snapshot) against the editor
+    const fallback = sources.find((source) => source.value === 'sync') || sources[1];
+    this.oldSelect.value = oldSource || fallback.value;
+    this.newSelect.value = newSource;
+
+    ui.showModal(this.modal);
+    await this.compare();
+  }
+
+  hide() {
+    ui.hideModal(this.modal);
+  }
+
+  /**
+   * Collect the states of the current document that can be compared
+   * @returns {Promise<Array<{value: string, label: string}>>}
+   */
+  async loadSources() {
+    const sources = [{ value: 'current', label: 'Current document' }];
+    this.revisionCache = new Map();
+
+    const list = await revisions.list(this.editor.currentDocumentId);
+    list.forEach((revision) => {
+      this.revisionCache.set(`rev:${revision.id}`, revision);
+      const when = new Date(revision.createdAt).toLocaleString();
+      if (revision.kind === 'sync') {
+        this.revisionCache.set('sync', revision);
+        sources.push({ value: 'sync', label: `Last cloud sync (${when})` });
+      } else {
+        sources.push({ value: `rev:${revision.id}`, label: revision.label ? `${when} · ${revision.label}` : when });
+      }
+    });
+
+    return sources;
+  }
+
+  populateSelect(select, sources) {
+    select.innerHTML = '';
+    sources.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Get the HTML and plain text of a source
+   * @param {string} value - Source value
+   * @returns {{html: string, text: string}}
+   */
+  getSource(value) {
+    if (value === 'current') {
+      return { html: this.editor.getHTMLContent(), text: this.editor.getTextContent() };
+    }
+    const revision = this.revisionCache.get(value);
+    const html = revision ? sanitizeHTML(revision.content) : '';
+    return { html, text: htmlToPlainText(html) };
+  }
+
+  /**
+   * Currently selected comparison mode
+   * @returns {{html: boolean, granularity: string}}
+   */
+  getMode() {
+    const [source, granularity] = this.modeSelect.value.split('-');
+    return { html: source === 'html', granularity };
+  }
+
+  async compare() {
+    const mode = this.getMode();
+    const oldSource = this.getSource(this.oldSelect.value);
+    const newSource = this.getSource(this.newSelect.value);
+    const key = mode.html ? 'html' : 'text';
+
+    this.segments = diff(oldSource[key], newSource[key], mode);
+    this.rejected = new Set();
+    this.renderPanes();
+  }
+
+  renderPanes() {
+    const mode = this.getMode();
+    this.oldPane.innerHTML = renderSide(this.segments, { side: 'old', rejected: this.rejected, ...mode });
+    this.newPane.innerHTML = renderSide(this.segments, { side: 'new', rejected: this.rejected, ...mode });
+
+    const hunks = this.segments.filter((segment) => segment.type === 'change').length;
+    if (hunks === 0) {
+      this.summaryEl.textContent = 'No differences';
+    } else {
+      const accepted = hunks - this.rejected.size;
+      this.summaryEl.textContent = `${hunks} ${hunks === 1 ? 'change' : 'changes'} · ${accepted} accepted`;
+    }
+    this.applyBtn.disabled = hunks === 0;
+  }
+
+  /**
+   * Flip a hunk between accepted (keep the right side) and rejected (keep the left side)
+   * @param {number} id - Hunk id
+   */
+  toggleHunk(id) {
+    if (this.rejected.has(id)) {
+      this.rejected.delete(id);
+    } else {
+      this.rejected.add(id);
+    }
+    this.renderPanes();
+  }
+
+  /**
+   * Write the merged result into the editor
+   */
+  async apply() {
+    const mode = this.getMode();
+    const merged = mergeHunks(this.segments, this.rejected);
+
+    if (!mode.html && !confirm('Applying a plain-text comparison replaces the document without formatting. Continue?')) {
+      return;
+    }
+
+    try {
+      await this.editor.replaceContent(mode.html ? merged : plainTextToHTML(merged), 'Before merge');
+      ui.updateSaveStatus('Changes applied', true);
+      this.hide();
+    } catch (error) {
+      console.error('Apply failed:', error);
+      ui.updateSaveStatus('Apply failed', false);
+    }
+  }
+
+  /**
+   * Keep both panes at the same relative scroll position
+   * @param {HTMLElement} source - Pane that was scrolled
+   */
+  syncScroll(source) {
+    // Ignore the scroll event caused by our own update of the other pane
+    if (this.syncingScroll === source) return;
+
+    const target = source === this.oldPane ? this.newPane : this.oldPane;
+    const range = source.scrollHeight - source.clientHeight;
+    const ratio = range > 0 ? source.scrollTop / range : 0;
+    this.syncingScroll = target;
+    target.scrollTop = ratio * (target.scrollHeight - target.clientHeight);
+    requestAnimationFrame(() => {
+      this.syncingScroll = null;
+    });
+  }
+}
+
+export default DiffViewer;
@@ -0,0 +1,166 @@
+/**
+ * Document List Sidebar
+ * Lists stored documents and lets the user open, create, rename and delete them
+ */
+
+import storage from '../storage.js';
+import ui from '../ui.js';
+
+class DocumentList {
+  /**
+   * @param {Editor} editor - The editor instance documents are opened in
+   */
+  constructor(editor) {
+    this.editor = editor;
+    this.sidebar = document.getElementById('documents-sidebar');
+    this.toggleBtn = document.getElementById('documents-btn');
+    this.closeBtn = document.getElementById('documents-close');
+    this.newBtn = document.getElementById('documents-new');
+    this.listEl = document.getElementById('documents-list');
+
+    this.init();
+  }
+
+  init() {
+    this.toggleBtn.addEventListener('click', () => this.toggle());
+    this.closeBtn.addEventListener('click', () => this.hide());
+
+    this.newBtn.addEventListener('click', async () => {
+      await this.editor.newDocument();
+      this.hide();
+    });
+
+    this.listEl.addEventListener('click', (e) => this.handleListClick(e));
+
+    // Keep the list current as documents change
+    document.addEventListener('document-saved', () => this.refresh());
+    document.addEventListener('document-opened', () => this.refresh());
+    document.addEventListener('documents-changed', () => this.refresh());
+  }
+
+  toggle() {
+    if (this.sidebar.classList.contains('visible')) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  show() {
+    this.sidebar.classList.add('visible');
+    this.sidebar.setAttribute('aria-hidden', 'false');
+    this.refresh();
+  }
+
+  hide() {
+    this.sidebar.classList.remove('visible');
+    this.sidebar.setAttribute('aria-hidden', 'true');
+  }
+
+  /**
+   * Re-render the document list from storage
+   */
+  async refresh() {
+    if (!this.sidebar.classList.contains('visible')) return;
+
+    try {
+      const docs = await storage.listDocuments();
+      this.render(docs);
+    } catch (error) {
+      console.error('Failed to list documents:', error);
+    }
+  }
+
+  /**
+   * Render document entries
+   * @param {Array<Object>} docs - Document metadata, most recent first
+   */
+  render(docs) {
+    this.listEl.innerHTML = '';
+
+    docs.forEach((doc) => {
+      const item = document.createElement('li');
+      item.className = 'document-item';
+      item.dataset.id = doc.id;
+      if (doc.id === this.editor.currentDocumentId) {
+        item.classList.add('active');
+        item.setAttribute('aria-current', 'true');
+      }
+
+      const open = document.createElement('button');
+      open.className = 'document-open';
+      open.dataset.action = 'open';
+
+      const title = document.createElement('span');
+      title.className = 'document-title';
+      title.textContent = doc.title || 'Untitled';
+
+      const meta = document.createElement('span');
+      meta.className = 'document-meta';
+      meta.textContent = this.formatDate(doc.updatedAt);
+
+      open.append(title, meta);
+
+      const rename = document.createElement('button');
+      rename.className = 'btn-icon document-action';
+      rename.dataset.action = 'rename';
+      rename.title = 'Rename';
+      rename.setAttribute('aria-label', `Rename ${doc.title}`);
+      rename.textContent = '✎';
+
+      const remove = document.createElement('button');
+      remove.className = 'btn-icon document-action';
+      remove.dataset.action = 'delete';
+      remove.title = 'Move to Trash';
+      remove.setAttribute('aria-label', `Move ${doc.title} to Trash`);
+      remove.textContent = '×';
+
+      item.append(open, rename, remove);
+      this.listEl.appendChild(item);
+    });
+  }
+
+  async handleListClick(e) {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+
+    const item = btn.closest('.document-item');
+    const id = item.dataset.id;
+    const title = item.querySelector('.document-title').textContent;
+
+    switch (btn.dataset.action) {
+      case 'open':
+        await this.editor.openDocument(id);
+        this.hide();
+        this.editor.editorEl.focus();
+        break;
+      case 'rename': {
+        const newTitle = prompt('Rename document:', title);
+        if (newTitle !== null) {
+          await this.editor.renameDocument(id, newTitle);
+        }
+        break;
+      }
+      case 'delete':
+        await this.editor.trashDocument(id);
+        ui.updateSaveStatus(`"${title}" moved to Trash`, true);
+        break;
+    }
+  }
+
+  /**
+   * Format an ISO timestamp for display
+   * @param {string} iso - ISO date string
+   * @returns {string} Human readable date
+   */
+  formatDate(iso) {
+    const date = new Date(iso);
+    const now = new Date();
+    if (date.toDateString() === now.toDateString()) {
+      return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    return date.toLocaleDateString();
+  }
+}
+
+export default DocumentList;
@@ -0,0 +1,106 @@
+/**
+ * Document Search
+ * Shows full-text search results in the command palette and opens a
+ * document scrolled to the matching text
+ */
+
+import search from '../search.js';
+import ui from '../ui.js';
+
+class DocumentSearch {
+  /**
+   * @param {Editor} editor - The editor instance results open in
+   * @param {Function} onOpen - Called after a result has been opened
+   */
+  constructor(editor, onOpen) {
+    this.editor = editor;
+    this.onOpen = onOpen;
+    this.sectionEl = document.getElementById('command-results');
+    this.listEl = document.getElementById('command-results-list');
+    this.latestQuery = '';
+
+    this.init();
+  }
+
+  init() {
+    search.init();
+    this.listEl.addEventListener('click', (e) => {
+      const item = e.target.closest('.command-item');
+      if (item) this.open(item);
+    });
+  }
+
+  /**
+   * Search for a query and render the results
+   * @param {string} query - Query typed in the palette
+   * @returns {Promise<number>} Number of results shown
+   */
+  async update(query) {
+    this.latestQuery = query;
+
+    // Start indexing as soon as the palette opens
+    search.ensureReady();
+
+    let results = [];
+    try {
+      results = await search.search(query);
+    } catch (error) {
+      console.error('Search failed:', error);
+    }
+
+    // A newer query may have finished first
+    if (query !== this.latestQuery) return this.listEl.children.length;
+
+    this.render(results);
+    return results.length;
+  }
+
+  /**
+   * Render result entries
+   * @param {Array<Object>} results - Ranked search results
+   */
+  render(results) {
+    this.listEl.innerHTML = '';
+    this.sectionEl.style.display = results.length > 0 ? 'block' : 'none';
+
+    results.forEach((result) => {
+      const item = document.createElement('button');
+      item.className = 'command-item search-result';
+      item.dataset.id = result.id;
+      item.dataset.match = result.match;
+      item.dataset.occurrence = result.occurrence;
+
+      const title = document.createElement('span');
+      title.className = 'document-title';
+      title.textContent = result.title;
+
+      // Snippet HTML is built from escaped document text
+      const snippet = document.createElement('span');
+      snippet.className = 'search-snippet';
+      snippet.innerHTML = result.snippet;
+
+      item.append(title, snippet);
+      this.listEl.appendChild(item);
+    });
+  }
+
+  /**
+   * Open the document of a result and reveal the hit
+   * @param {HTMLElement} item - Result element
+   */
+  async open(item) {
+    const { id, match, occurrence } = item.dataset;
+    try {
+      await this.editor.openDocument(id);
+      if (this.onOpen) this.onOpen();
+      if (!this.editor.revealText(match, Number(occurrence))) {
+        ui.updateSaveStatus('Match not found', false);
+      }
+    } catch (error) {
+      console.error('Failed to open search result:', error);
+      ui.updateSaveStatus('Open failed', false);
+    }
+  }
+}
+
+export default DocumentSearch;
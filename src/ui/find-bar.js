@@ -0,0 +1,331 @@
+/**
+ * Find & Replace Bar
+ * Finds text in the editor, highlights every match, steps through them and
+ * replaces one or all of them
+ */
+
+import { collectText, rangeFromOffsets } from '../dom-text.js';
+import { buildFindPattern, findMatches, expandReplacement } from '../find.js';
+import ui from '../ui.js';
+
+const REFRESH_DELAY = 150;
+const INLINE_TAGS = new Set(['B', 'STRONG', 'I', 'EM', 'U', 'S', 'STRIKE', 'CODE', 'MARK', 'SPAN', 'A', 'SUB', 'SUP']);
+
+class FindBar {
+  /**
+   * @param {Editor} editor - The editor instance to search
+   */
+  constructor(editor) {
+    this.editor = editor;
+    this.bar = document.getElementById('find-bar');
+    this.findInput = document.getElementById('find-input');
+    this.replaceInput = document.getElementById('replace-input');
+    this.replaceRow = document.getElementById('find-replace-row');
+    this.toggleReplaceBtn = document.getElementById('find-toggle-replace');
+    this.countEl = document.getElementById('find-count');
+    this.prevBtn = document.getElementById('find-prev');
+    this.nextBtn = document.getElementById('find-next');
+    this.closeBtn = document.getElementById('find-close');
+    this.replaceBtn = document.getElementById('replace-one');
+    this.replaceAllBtn = document.getElementById('replace-all');
+    this.optionButtons = {
+      caseSensitive: document.getElementById('find-case'),
+      wholeWord: document.getElementById('find-word'),
+      regex: document.getElementById('find-regex'),
+    };
+
+    this.options = { caseSensitive: false, wholeWord: false, regex: false };
+    this.pattern = null;
+    this.matches = [];
+    this.current = -1;
+    this.refreshTimer = null;
+    this.startOffset = 0;
+    this.replaceVisible = false;
+
+    // Matches are painted with the CSS Custom Highlight API where available;
+    // otherwise only the current match is shown, as the selection
+    this.supportsHighlights = typeof CSS !== 'undefined' && !!CSS.highlights && typeof Highlight === 'function';
+
+    this.init();
+  }
+
+  init() {
+    this.findInput.addEventListener('input', () => this.search({ reveal: true }));
+    this.findInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        if (e.shiftKey) this.previous();
+        else this.next();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.hide();
+      }
+    });
+
+    this.replaceInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        if (e.metaKey || e.ctrlKey) this.replaceAll();
+        else this.replaceCurrent();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.hide();
+      }
+    });
+
+    Object.entries(this.optionButtons).forEach(([option, btn]) => {
+      btn.addEventListener('click', () => {
+        this.options[option] = !this.options[option];
+        btn.setAttribute('aria-pressed', String(this.options[option]));
+        btn.classList.toggle('active', this.options[option]);
+        this.search({ reveal: true });
+        this.findInput.focus();
+      });
+    });
+
+    this.prevBtn.addEventListener('click', () => this.previous());
+    this.nextBtn.addEventListener('click', () => this.next());
+    this.closeBtn.addEventListener('click', () => this.hide());
+    this.toggleReplaceBtn.addEventListener('click', () => this.setReplaceVisible(!this.replaceVisible));
+    this.replaceBtn.addEventListener('click', () => this.replaceCurrent());
+    this.replaceAllBtn.addEventListener('click', () => this.replaceAll());
+
+    // Keep highlights in step with edits and document switches
+    this.editor.editorEl.addEventListener('input', () => this.scheduleRefresh());
+    document.addEventListener('document-opened', () => this.scheduleRefresh());
+  }
+
+  isVisible() {
+    return this.bar.classList.contains('visible');
+  }
+
+  /**
+   * Open the bar, prefilled with the selected text
+   * @param {Object} options - Display options
+   * @param {boolean} options.replace - Also show the replace row
+   */
+  show({ replace = false } = {}) {
+    const wasVisible = this.isVisible();
+    const editorEl = this.editor.editorEl;
+    const selection = window.getSelection();
+    const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+
+    if (range && editorEl.contains(range.startContainer)) {
+      const selected = selection.toString();
+      if (selected && !selected.includes('\n')) {
+        this.findInput.value = selected;
+      }
+
+      // Start from the cursor rather than the top of the document
+      const before = document.createRange();
+      before.selectNodeContents(editorEl);
+      before.setEnd(range.startContainer, range.startOffset);
+      this.startOffset = collectText(before.cloneContents()).text.length;
+    } else if (!wasVisible) {
+      this.startOffset = 0;
+    }
+
+    this.bar.classList.add('visible');
+    this.bar.setAttribute('aria-hidden', 'false');
+    this.setReplaceVisible(replace || (wasVisible && this.replaceVisible));
+
+    this.findInput.focus();
+    this.findInput.select();
+    this.matches = [];
+    this.current = -1;
+    this.search({ reveal: true });
+  }
+
+  /**
+   * Close the bar and leave the current match selected in the editor
+   */
+  hide() {
+    if (!this.isVisible()) return;
+
+    const match = this.matches[this.current];
+    this.bar.classList.remove('visible');
+    this.bar.setAttribute('aria-hidden', 'true');
+    clearTimeout(this.refreshTimer);
+    this.clearHighlights();
+    this.matches = [];
+    this.current = -1;
+
+    this.editor.editorEl.focus();
+    if (match) {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(match.range);
+    }
+  }
+
+  /**
+   * @param {boolean} visible - Whether the replace row is shown
+   */
+  setReplaceVisible(visible) {
+    this.replaceVisible = visible;
+    this.replaceRow.classList.toggle('visible', visible);
+    this.toggleReplaceBtn.setAttribute('aria-expanded', String(visible));
+    this.toggleReplaceBtn.classList.toggle('expanded', visible);
+  }
+
+  scheduleRefresh() {
+    if (!this.isVisible()) return;
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => this.search(), REFRESH_DELAY);
+  }
+
+  /**
+   * Find all matches of the current query
+   * @param {Object} options - Search options
+   * @param {boolean} options.reveal - Scroll the current match into view
+   * @param {number} options.fromOffset - Make the first match at or after this text offset current
+   */
+  search({ reveal = false, fromOffset } = {}) {
+    const previous = this.matches[this.current];
+
+    try {
+      this.pattern = buildFindPattern(this.findInput.value, this.options);
+      this.findInput.classList.remove('invalid');
+    } catch (error) {
+      this.pattern = null;
+      this.findInput.classList.add('invalid');
+      this.matches = [];
+      this.current = -1;
+      this.render({ error: 'Invalid pattern' });
+      return;
+    }
+
+    const map = collectText(this.editor.editorEl);
+    this.matches = findMatches(map.text, this.pattern).map((match) => ({
+      match,
+      range: rangeFromOffsets(map, match.index, match.index + match[0].length),
+    })).filter(({ range }) => range);
+
+    // Stay near the previous current match, or start from the cursor
+    let startAt = fromOffset;
+    if (startAt === undefined) startAt = previous ? previous.match.index : this.startOffset || 0;
+
+    const index = this.matches.findIndex(({ match }) => match.index >= startAt);
+    this.current = this.matches.length === 0 ? -1 : Math.max(index, 0);
+    this.render({ reveal });
+  }
+
+  next() {
+    this.step(1);
+  }
+
+  previous() {
+    this.step(-1);
+  }
+
+  /**
+   * Move the current match, wrapping around at either end
+   * @param {number} delta - +1 for next, -1 for previous
+   */
+  step(delta) {
+    if (this.matches.length === 0) return;
+    this.current = (this.current + delta + this.matches.length) % this.matches.length;
+    this.render({ reveal: true });
+  }
+
+  /**
+   * Paint the highlights and update the match count
+   * @param {Object} options - Render options
+   * @param {boolean} options.reveal - Scroll the current match into view
+   * @param {string} options.error - Message shown instead of the count
+   */
+  render({ reveal = false, error = '' } = {}) {
+    const total = this.matches.length;
+    if (error) {
+      this.countEl.textContent = error;
+    } else if (!this.findInput.value) {
+      this.countEl.textContent = '';
+    } else {
+      this.countEl.textContent = total > 0 ? `${this.current + 1} of ${total}` : 'No results';
+    }
+    this.bar.classList.toggle('no-results', !!this.findInput.value && total === 0);
+    this.prevBtn.disabled = total === 0;
+    this.nextBtn.disabled = total === 0;
+    this.replaceBtn.disabled = total === 0;
+    this.replaceAllBtn.disabled = total === 0;
+
+    const current = this.matches[this.current];
+    if (this.supportsHighlights) {
+      CSS.highlights.set('find-match', new Highlight(...this.matches.map(({ range }) => range)));
+      if (current) CSS.highlights.set('find-current', new Highlight(current.range));
+      else CSS.highlights.delete('find-current');
+    } else if (current && reveal) {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(current.range);
+    }
+
+    if (current && reveal) {
+      const target = current.range.startContainer.parentElement;
+      if (target && target.scrollIntoView) {
+        target.scrollIntoView({ block: 'center' });
+      }
+    }
+  }
+
+  clearHighlights() {
+    if (this.supportsHighlights) {
+      CSS.highlights.delete('find-match');
+      CSS.highlights.delete('find-current');
+    }
+  }
+
+  /**
+   * Replace the current match and move on to the next one
+   */
+  replaceCurrent() {
+    const current = this.matches[this.current];
+    if (!current) return;
+
+    const replacement = expandReplacement(current.match, this.replaceInput.value, this.options.regex);
+    this.editor.replaceRange(current.range, replacement);
+
+    this.search({ reveal: true, fromOffset: current.match.index + replacement.length });
+    this.replaceInput.focus();
+  }
+
+  /**
+   * Replace every match as one edit
+   */
+  replaceAll() {
+    if (!this.pattern || this.matches.length === 0) return;
+
+    // Rewrite a copy of the document so the change lands as a single edit
+    const copy = this.editor.editorEl.cloneNode(true);
+    const map = collectText(copy);
+    const matches = findMatches(map.text, this.pattern);
+    for (let i = matches.length - 1; i >= 0; i--) {
+      const match = matches[i];
+      const range = rangeFromOffsets(map, match.index, match.index + match[0].length);
+      if (!range) continue;
+      const replacement = expandReplacement(match, this.replaceInput.value, this.options.regex);
+      const emptied = [];
+      range.deleteContents();
+      if (replacement) {
+        range.insertNode(document.createTextNode(replacement));
+      } else {
+        // Drop formatting wrappers whose only text was the match
+        let el = range.startContainer.nodeType === Node.TEXT_NODE ? range.startContainer.parentElement : range.startContainer;
+        while (el && el !== copy && !el.textContent && INLINE_TAGS.has(el.tagName)) {
+          emptied.push(el);
+          el = el.parentElement;
+        }
+      }
+      emptied.forEach((el) => el.remove());
+    }
+    copy.normalize();
+
+    this.editor.replaceAllHTML(copy.innerHTML);
+    ui.updateSaveStatus(`Replaced ${matches.length} ${matches.length === 1 ? 'match' : 'matches'}`, true);
+
+    this.search({ fromOffset: 0 });
+    this.replaceInput.focus();
+  }
+}
+
+export default FindBar;
@@ -3,6 +3,88 @@
  * Appears when text is selected and provides formatting options
  */
 
+import { isSafeUrl } from '../sanitize.js';
+import commands from '../commands.js';
+import {
+  applyMark,
+  removeMark,
+  toggleMark,
+  isMarkActive,
+  toggleBlock,
+  isBlockActive,
+  isWithin,
+  isListActive,
+  toggleList,
+  indentListItems,
+  outdentListItems,
+  toggleBlockquote,
+  toggleCodeBlock,
+  insertHorizontalRule,
+  saveSelection,
+  restoreSelection,
+  rangeAround,
+} from '../formatting.js';
+
+// Marks with a browser command can also be turned on at the cursor, for the text typed next
+const MARKS = {
+  bold: { tag: 'strong', selector: 'strong, b', command: 'bold' },
+  italic: { tag: 'em', selector: 'em, i', command: 'italic' },
+  underline: { tag: 'u', selector: 'u', command: 'underline' },
+  strikethrough: { tag: 's', selector: 's, del, strike', command: 'strikeThrough' },
+  code: { tag: 'code', selector: 'code' },
+  link: { tag: 'a', selector: 'a' },
+};
+const HEADINGS = { heading1: 'h1', heading2: 'h2', heading3: 'h3' };
+const LISTS = { 'bullet-list': 'bullet', 'ordered-list': 'ordered', checklist: 'checklist' };
+const BLOCKS = { blockquote: 'blockquote', 'code-block': 'pre' };
+
+// Input types reported for each action, so edits are saved and recorded for undo
+const INPUT_TYPES = {
+  heading1: 'formatBlock',
+  heading2: 'formatBlock',
+  heading3: 'formatBlock',
+  bold: 'formatBold',
+  italic: 'formatItalic',
+  underline: 'formatUnderline',
+  strikethrough: 'formatStrikeThrough',
+  code: 'formatCode',
+  link: 'insertLink',
+  'bullet-list': 'insertUnorderedList',
+  'ordered-list': 'insertOrderedList',
+  checklist: 'insertUnorderedList',
+  blockquote: 'formatBlock',
+  'code-block': 'formatBlock',
+  'horizontal-rule': 'insertHorizontalRule',
+  indent: 'formatIndent',
+  outdent: 'formatOutdent',
+  'align-left': 'formatJustifyLeft',
+  'align-center': 'formatJustifyCenter',
+  'align-right': 'formatJustifyRight',
+};
+
+// Toolbar actions offered as commands; block actions are also in the / menu.
+// Shortcuts name the physical key, so they work on any keyboard layout.
+const COMMANDS = [
+  { action: 'bold', title: 'Bold', group: 'Format', keywords: ['strong'], shortcut: 'Mod+KeyB' },
+  { action: 'italic', title: 'Italic', group: 'Format', keywords: ['emphasis'], shortcut: 'Mod+KeyI' },
+  { action: 'underline', title: 'Underline', group: 'Format', shortcut: 'Mod+KeyU' },
+  { action: 'strikethrough', title: 'Strikethrough', group: 'Format', keywords: ['cross out', 'delete'], shortcut: 'Mod+Shift+KeyX' },
+  { action: 'code', title: 'Inline Code', group: 'Format', keywords: ['monospace'], shortcut: 'Mod+Shift+KeyE' },
+  { action: 'link', title: 'Link', group: 'Format', keywords: ['url', 'hyperlink', 'web'] },
+  { action: 'align-left', title: 'Align Left', group: 'Format', keywords: ['alignment'] },
+  { action: 'align-center', title: 'Align Center', group: 'Format', keywords: ['alignment', 'centre'] },
+  { action: 'align-right', title: 'Align Right', group: 'Format', keywords: ['alignment'] },
+  { action: 'heading1', title: 'Heading 1', group: 'Insert', keywords: ['h1', 'title'], slash: true, shortcut: 'Mod+Alt+Digit1' },
+  { action: 'heading2', title: 'Heading 2', group: 'Insert', keywords: ['h2', 'subtitle'], slash: true, shortcut: 'Mod+Alt+Digit2' },
+  { action: 'heading3', title: 'Heading 3', group: 'Insert', keywords: ['h3'], slash: true, shortcut: 'Mod+Alt+Digit3' },
+  { action: 'bullet-list', title: 'Bulleted List', group: 'Insert', keywords: ['unordered', 'ul'], slash: true, shortcut: 'Mod+Shift+Digit8' },
+  { action: 'ordered-list', title: 'Numbered List', group: 'Insert', keywords: ['ordered', 'ol'], slash: true, shortcut: 'Mod+Shift+Digit7' },
+  { action: 'checklist', title: 'Checklist', group: 'Insert', keywords: ['todo', 'task', 'checkbox'], slash: true, shortcut: 'Mod+Shift+Digit9' },
+  { action: 'blockquote', title: 'Quote', group: 'Insert', keywords: ['blockquote', 'citation'], slash: true, shortcut: 'Mod+Shift+Period' },
+  { action: 'code-block', title: 'Code Block', group: 'Insert', keywords: ['pre', 'snippet'], slash: true, shortcut: 'Mod+Alt+KeyC' },
+  { action: 'horizontal-rule', title: 'Divider', group: 'Insert', keywords: ['horizontal rule', 'hr', 'separator'], slash: true, shortcut: 'Mod+Alt+Minus' },
+];
+
 class FormattingToolbar {
   constructor() {
     this.toolbar = null;
@@ -16,6 +98,18 @@ class FormattingToolbar {
   init() {
     this.createToolbar();
     this.setupEventListeners();
+    this.registerCommands();
+  }
+
+  registerCommands() {
+    COMMANDS.forEach(({ action, ...command }) => {
+      commands.register({
+        ...command,
+        id: `format-${action}`,
+        inEditor: true,
+        run: () => this.run(action),
+      });
+    });
   }
 
   createToolbar() {
@@ -45,18 +139,50 @@ class FormattingToolbar {
           <button class="toolbar-btn" data-action="italic" title="Italic">
             <span class="toolbar-icon">I</span>
           </button>
+          <button class="toolbar-btn" data-action="underline" title="Underline">
+            <span class="toolbar-icon">U</span>
+          </button>
+          <button class="toolbar-btn" data-action="strikethrough" title="Strikethrough">
+            <span class="toolbar-icon">S</span>
+          </button>
+          <button class="toolbar-btn" data-action="code" title="Inline Code">
+            <span class="toolbar-icon">&lt;/&gt;</span>
+          </button>
         </div>
         
         <div class="toolbar-separator"></div>
         
         <div class="toolbar-group">
-          <button class="toolbar-btn" data-action="link" title="Add Link">
+          <button class="toolbar-btn" data-action="link" title="Link">
             <span class="toolbar-icon">🔗</span>
           </button>
         </div>
         
         <div class="toolbar-separator"></div>
         
+        <div class="toolbar-group">
+          <button class="toolbar-btn" data-action="bullet-list" title="Bulleted List">
+            <span class="toolbar-icon">•</span>
+          </button>
+          <button class="toolbar-btn" data-action="ordered-list" title="Numbered List">
+            <span class="toolbar-icon">1.</span>
+          </button>
+          <button class="toolbar-btn" data-action="checklist" title="Checklist">
+            <span class="toolbar-icon">☑</span>
+          </button>
+          <button class="toolbar-btn" data-action="blockquote" title="Quote">
+            <span class="toolbar-icon">❝</span>
+          </button>
+          <button class="toolbar-btn" data-action="code-block" title="Code Block">
+            <span class="toolbar-icon">{ }</span>
+          </button>
+          <button class="toolbar-btn" data-action="horizontal-rule" title="Horizontal Rule">
+            <span class="toolbar-icon">―</span>
+          </button>
+        </div>
+        
+        <div class="toolbar-separator"></div>
+        
         <div class="toolbar-group">
           <button class="toolbar-btn" data-action="align-left" title="Align Left">
             <span class="toolbar-icon">⬅</span>
@@ -87,6 +213,31 @@ class FormattingToolbar {
       }
     });
     
+    this.editor.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+    // Clicking a checklist item's box checks or unchecks it
+    this.editor.addEventListener('click', (e) => {
+      const item = e.target.closest('ul.checklist > li');
+      if (item && this.editor.contains(item) && e.clientX < item.getBoundingClientRect().left) {
+        item.setAttribute('data-checked', item.getAttribute('data-checked') === 'true' ? 'false' : 'true');
+        this.editor.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'formatChecklist' }));
+      }
+    });
+
+    // A new checklist item starts unchecked, even when split from a checked one
+    this.editor.addEventListener('input', (e) => {
+      if (e.inputType !== 'insertParagraph') return;
+      const selection = window.getSelection();
+      if (selection.rangeCount === 0) return;
+      const node = selection.getRangeAt(0).startContainer;
+      const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      const item = el && el.closest('ul.checklist > li');
+      if (item && this.editor.contains(item)) item.setAttribute('data-checked', 'false');
+    });
+
+    // Keep the editor's selection while using the toolbar
+    this.toolbar.addEventListener('mousedown', (e) => e.preventDefault());
+
     // Handle toolbar button clicks
     this.toolbar.addEventListener('click', (e) => {
       const btn = e.target.closest('.toolbar-btn');
@@ -97,6 +248,28 @@ class FormattingToolbar {
     });
   }
 
+  /**
+   * Tab / Shift+Tab indent and outdent list items
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeydown(e) {
+    if (e.key !== 'Tab' || e.metaKey || e.ctrlKey || e.altKey) return;
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0 || !isWithin(selection.getRangeAt(0), this.editor, 'li')) return;
+
+    e.preventDefault();
+    this.run(e.shiftKey ? 'outdent' : 'indent');
+  }
+
+  /**
+   * Apply a formatting action to the editor's current selection or caret
+   * @param {string} action - Toolbar action name
+   */
+  run(action) {
+    this.selection = window.getSelection();
+    this.applyFormatting(action);
+  }
+
   handleSelection() {
     const selection = window.getSelection();
     const selectedText = selection.toString().trim();
@@ -119,6 +292,40 @@ class FormattingToolbar {
     this.toolbar.style.display = 'block';
     this.toolbar.style.left = `${rect.left + window.scrollX}px`;
     this.toolbar.style.top = `${rect.top + window.scrollY - 50}px`;
+
+    this.updateActiveStates(range);
+  }
+
+  /**
+   * Mark the buttons whose formatting covers the selection
+   * @param {Range} range - Selected range
+   */
+  updateActiveStates(range) {
+    const align = this.getAlignment(range);
+    this.toolbar.querySelectorAll('.toolbar-btn').forEach((btn) => {
+      const action = btn.dataset.action;
+      let active = false;
+      if (MARKS[action]) active = isMarkActive(range, this.editor, MARKS[action].selector);
+      else if (HEADINGS[action]) active = isBlockActive(range, this.editor, HEADINGS[action]);
+      else if (LISTS[action]) active = isListActive(range, this.editor, LISTS[action]);
+      else if (BLOCKS[action]) active = isWithin(range, this.editor, BLOCKS[action]);
+      else if (action.startsWith('align-')) active = action === `align-${align}`;
+
+      btn.classList.toggle('active', active);
+      btn.setAttribute('aria-pressed', String(active));
+    });
+  }
+
+  /**
+   * @param {Range} range - Selected range
+   * @returns {string} Text alignment at the start of the selection
+   */
+  getAlignment(range) {
+    const node = range.startContainer;
+    const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    if (!el || !this.editor.contains(el)) return '';
+    const align = window.getComputedStyle(el).textAlign;
+    return align === 'start' ? 'left' : align;
   }
 
   hide() {
@@ -127,30 +334,46 @@ class FormattingToolbar {
   }
 
   applyFormatting(action) {
-    if (!this.selection) return;
+    if (!this.selection || this.selection.rangeCount === 0) return;
     
-    const range = this.selection.getRangeAt(0);
-    const selectedText = range.toString();
+    const before = this.editor.innerHTML;
     
     switch (action) {
       case 'heading1':
-        this.wrapSelection('h1');
-        break;
       case 'heading2':
-        this.wrapSelection('h2');
-        break;
       case 'heading3':
-        this.wrapSelection('h3');
+        this.toggleHeading(HEADINGS[action]);
         break;
       case 'bold':
-        this.wrapSelection('strong');
-        break;
       case 'italic':
-        this.wrapSelection('em');
+      case 'underline':
+      case 'strikethrough':
+      case 'code':
+        this.toggleInline(MARKS[action]);
         break;
       case 'link':
         this.createLink();
         break;
+      case 'bullet-list':
+      case 'ordered-list':
+      case 'checklist':
+        this.changeBlocks((range) => toggleList(range, this.editor, LISTS[action]));
+        break;
+      case 'indent':
+        this.changeBlocks((range) => indentListItems(range, this.editor));
+        break;
+      case 'outdent':
+        this.changeBlocks((range) => outdentListItems(range, this.editor));
+        break;
+      case 'blockquote':
+        this.changeBlocks((range) => toggleBlockquote(range, this.editor));
+        break;
+      case 'code-block':
+        this.changeBlocks((range) => toggleCodeBlock(range, this.editor));
+        break;
+      case 'horizontal-rule':
+        this.insertRule();
+        break;
       case 'align-left':
         this.setAlignment('left');
         break;
@@ -162,38 +385,106 @@ class FormattingToolbar {
         break;
     }
     
-    this.hide();
+    if (this.editor.innerHTML !== before) {
+      this.editor.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: INPUT_TYPES[action] }));
+    }
+
+    // Stay open on the formatted text so more formatting can be applied
+    const selection = window.getSelection();
+    if (selection.rangeCount > 0 && selection.toString().trim()) {
+      this.show(selection);
+    } else {
+      this.hide();
+    }
   }
 
-  wrapSelection(tag) {
-    const range = this.selection.getRangeAt(0);
-    const selectedText = range.toString();
-    
-    const wrapper = document.createElement(tag);
-    wrapper.textContent = selectedText;
-    
-    range.deleteContents();
-    range.insertNode(wrapper);
-    
-    // Clear selection
+  /**
+   * Select a range in the editor
+   * @param {Range} range - Range to select
+   */
+  select(range) {
     this.selection.removeAllRanges();
+    this.selection.addRange(range);
   }
 
+  /**
+   * Toggle an inline mark on the selection, keeping other formatting
+   * @param {Object} mark - Mark with tag and selector
+   */
+  toggleInline(mark) {
+    const range = this.selection.getRangeAt(0);
+    if (range.collapsed) {
+      if (mark.command) document.execCommand(mark.command);
+      return;
+    }
+
+    const nodes = toggleMark(range, this.editor, mark);
+    if (nodes.length > 0) this.select(rangeAround(nodes));
+  }
+
+  /**
+   * Run a change on the selected blocks, keeping the same text selected
+   * @param {Function} change - Receives the selected range and restructures the editor
+   */
+  changeBlocks(change) {
+    const saved = saveSelection(this.selection.getRangeAt(0), this.editor);
+    change(this.selection.getRangeAt(0));
+    this.select(restoreSelection(saved, this.editor));
+  }
+
+  /**
+   * Insert a horizontal rule after the current line and continue on the line below it
+   */
+  insertRule() {
+    const next = insertHorizontalRule(this.selection.getRangeAt(0), this.editor);
+    const range = document.createRange();
+    range.setStart(next, 0);
+    range.collapse(true);
+    this.select(range);
+  }
+
+  /**
+   * Turn the selected lines into headings, or back into paragraphs
+   * @param {string} tag - Heading tag
+   */
+  toggleHeading(tag) {
+    const blocks = toggleBlock(this.selection.getRangeAt(0), this.editor, tag);
+    if (blocks.length === 0) return;
+
+    const range = document.createRange();
+    const last = blocks[blocks.length - 1];
+    range.setStart(blocks[0], 0);
+    range.setEnd(last, last.childNodes.length);
+    this.select(range);
+  }
+
+  /**
+   * Link the selection, or remove the link if the selection is already linked
+   */
   createLink() {
-    const url = prompt('Enter URL:');
+    const range = this.selection.getRangeAt(0);
+    if (isMarkActive(range, this.editor, MARKS.link.selector)) {
+      const nodes = removeMark(range, this.editor, MARKS.link.selector);
+      if (nodes.length > 0) this.select(rangeAround(nodes));
+      return;
+    }
+
+    const url = (prompt('Enter URL:') || '').trim();
     if (url) {
-      const range = this.selection.getRangeAt(0);
-      const selectedText = range.toString();
-      
-      const link = document.createElement('a');
-      link.href = url;
-      link.textContent = selectedText;
-      link.target = '_blank';
-      
-      range.deleteContents();
-      range.insertNode(link);
-      
-      this.selection.removeAllRanges();
+      if (!isSafeUrl(url)) {
+        alert('Only web, email and phone links can be added.');
+        return;
+      }
+
+      // Links cannot nest, so partly linked text is unlinked first
+      const unlinked = removeMark(range, this.editor, MARKS.link.selector);
+      if (unlinked.length === 0) return;
+      const nodes = applyMark(rangeAround(unlinked), this.editor, MARKS.link, {
+        href: url,
+        target: '_blank',
+        rel: 'noopener noreferrer',
+      });
+      this.select(rangeAround(nodes));
     }
   }
 
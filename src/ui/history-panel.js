@@ -0,0 +1,171 @@
+/**
+ * Version History Panel
+ * Lists snapshots of the current document with previews and one-click restore
+ */
+
+import revisions from '../revisions.js';
+import ui from '../ui.js';
+import { sanitizeHTML } from '../sanitize.js';
+
+class HistoryPanel {
+  /**
+   * @param {Editor} editor - The editor instance revisions belong to
+   * @param {DiffViewer} diffViewer - Viewer used to compare a revision with the current text
+   */
+  constructor(editor, diffViewer) {
+    this.editor = editor;
+    this.diffViewer = diffViewer;
+    this.modal = document.getElementById('history-modal');
+    this.closeBtn = document.getElementById('history-close');
+    this.snapshotBtn = document.getElementById('history-snapshot');
+    this.listEl = document.getElementById('history-list');
+    this.emptyEl = document.getElementById('history-empty');
+    this.previewEl = document.getElementById('history-preview');
+    this.restoreBtn = document.getElementById('history-restore');
+    this.compareBtn = document.getElementById('history-compare');
+    this.selected = null;
+
+    this.init();
+  }
+
+  init() {
+    this.closeBtn.addEventListener('click', () => this.hide());
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.hide();
+      }
+    });
+
+    this.snapshotBtn.addEventListener('click', () => this.takeSnapshot());
+    this.restoreBtn.addEventListener('click', () => this.restoreSelected());
+    this.compareBtn.addEventListener('click', () => this.compareSelected());
+
+    this.listEl.addEventListener('click', (e) => {
+      const item = e.target.closest('.history-item');
+      if (item) {
+        this.select(Number(item.dataset.id));
+      }
+    });
+  }
+
+  async show() {
+    ui.showModal(this.modal);
+    await this.refresh();
+  }
+
+  hide() {
+    ui.hideModal(this.modal);
+  }
+
+  /**
+   * Reload the revision list for the current document
+   */
+  async refresh() {
+    this.selected = null;
+    this.previewEl.innerHTML = '';
+    this.restoreBtn.disabled = true;
+    this.compareBtn.disabled = true;
+
+    try {
+      this.revisions = await revisions.list(this.editor.currentDocumentId);
+      this.render();
+      if (this.revisions.length > 0) {
+        this.select(this.revisions[0].id);
+      }
+    } catch (error) {
+      console.error('Failed to load revisions:', error);
+      ui.updateSaveStatus('History unavailable', false);
+    }
+  }
+
+  render() {
+    this.listEl.innerHTML = '';
+    this.emptyEl.style.display = this.revisions.length === 0 ? 'block' : 'none';
+
+    this.revisions.forEach((revision, index) => {
+      const previous = this.revisions[index + 1];
+      const item = document.createElement('li');
+      item.className = 'history-item';
+      item.dataset.id = revision.id;
+      item.tabIndex = 0;
+
+      const time = document.createElement('span');
+      time.className = 'history-time';
+      time.textContent = new Date(revision.createdAt).toLocaleString();
+
+      const meta = document.createElement('span');
+      meta.className = 'history-meta';
+      const words = `${revision.wordCount} ${revision.wordCount === 1 ? 'word' : 'words'}`;
+      const label = revision.label || (revision.kind === 'manual' ? 'Snapshot' : '');
+      meta.textContent = [words, label].filter(Boolean).join(' · ');
+
+      const delta = document.createElement('span');
+      delta.className = 'history-delta';
+      if (previous) {
+        const diff = revision.wordCount - previous.wordCount;
+        delta.textContent = diff > 0 ? `+${diff}` : `${diff}`;
+        delta.classList.add(diff > 0 ? 'added' : diff < 0 ? 'removed' : 'unchanged');
+      }
+
+      item.append(time, meta, delta);
+      this.listEl.appendChild(item);
+    });
+  }
+
+  /**
+   * Show a revision in the preview pane
+   * @param {number} id - Revision id
+   */
+  select(id) {
+    this.selected = this.revisions.find((revision) => revision.id === id) || null;
+
+    this.listEl.querySelectorAll('.history-item').forEach((item) => {
+      item.classList.toggle('active', Number(item.dataset.id) === id);
+    });
+
+    this.previewEl.innerHTML = this.selected ? sanitizeHTML(this.selected.content) : '';
+    this.restoreBtn.disabled = !this.selected;
+    this.compareBtn.disabled = !this.selected;
+  }
+
+  compareSelected() {
+    if (!this.selected) return;
+
+    const oldSource = this.selected.kind === 'sync' ? 'sync' : `rev:${this.selected.id}`;
+    this.hide();
+    this.diffViewer.open({ oldSource, newSource: 'current' });
+  }
+
+  async takeSnapshot() {
+    try {
+      await this.editor.flushSave();
+      await revisions.create(this.editor.currentDocumentId, this.editor.getHTMLContent(), { kind: 'manual' });
+      ui.updateSaveStatus('Snapshot saved', true);
+      await this.refresh();
+    } catch (error) {
+      console.error('Snapshot failed:', error);
+      ui.updateSaveStatus('Snapshot failed', false);
+    }
+  }
+
+  async restoreSelected() {
+    if (!this.selected) return;
+
+    const when = new Date(this.selected.createdAt).toLocaleString();
+    if (!confirm(`Restore the version from ${when}? The current text will be kept as a snapshot.`)) {
+      return;
+    }
+
+    try {
+      await this.editor.restoreRevision(this.selected);
+      ui.updateSaveStatus('Version restored', true);
+      this.hide();
+    } catch (error) {
+      console.error('Restore failed:', error);
+      ui.updateSaveStatus('Restore failed', false);
+    }
+  }
+}
+
+export default HistoryPanel;
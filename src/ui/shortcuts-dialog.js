@@ -0,0 +1,327 @@
+/**
+ * Keyboard Shortcuts Dialog
+ * A cheat sheet built from the current bindings, which switches to an editor
+ * for rebinding commands, with warnings when a key is already taken
+ */
+
+import commands, { IS_MAC, formatShortcut } from '../commands.js';
+import keybindings, { FIXED_SHORTCUTS, shortcutFromEvent, isBindable } from '../keybindings.js';
+import { getEmacsShortcuts } from '../emacs-mode.js';
+import ui from '../ui.js';
+
+// Sections in the order they are listed; any others follow
+const GROUP_ORDER = ['File', 'Edit', 'Format', 'Insert', 'Template', 'Export', 'View', 'Cloud', 'Settings', 'Help'];
+const EMACS_GROUP = 'Emacs Keys (in the editor)';
+
+/**
+ * The keys the chosen editing keys take while typing in the editor
+ * @returns {Map<string, string>} What each shortcut does there, or nothing without Emacs keys
+ */
+function getEditorKeys() {
+  try {
+    const settings = JSON.parse(localStorage.getItem('editorSettings') || '{}');
+    if (settings.keymap !== 'emacs') return new Map();
+  } catch {
+    return new Map();
+  }
+  return new Map(getEmacsShortcuts().map(({ title, shortcut }) => [shortcut, title]));
+}
+
+/**
+ * @param {Array<Object>} entries - Entries with a group
+ * @returns {Array<{group: string, entries: Array<Object>}>} Entries by group
+ */
+function groupEntries(entries) {
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const group = entry.group || 'General';
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(entry);
+  });
+  const rank = (group) => (GROUP_ORDER.includes(group) ? GROUP_ORDER.indexOf(group) : GROUP_ORDER.length);
+  return Array.from(groups, ([group, items]) => ({ group, entries: items }))
+    .sort((a, b) => rank(a.group) - rank(b.group));
+}
+
+/**
+ * @param {string} text - Button label
+ * @param {Object} data - data-* attributes
+ * @returns {HTMLButtonElement}
+ */
+function actionButton(text, data) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn-restore shortcut-action';
+  button.textContent = text;
+  Object.assign(button.dataset, data);
+  return button;
+}
+
+class ShortcutsDialog {
+  constructor() {
+    this.modal = document.getElementById('shortcuts-modal');
+    this.closeBtn = document.getElementById('shortcuts-close');
+    this.filterInput = document.getElementById('shortcuts-filter');
+    this.messageEl = document.getElementById('shortcuts-message');
+    this.listEl = document.getElementById('shortcuts-list');
+    this.customizeBtn = document.getElementById('shortcuts-customize');
+    this.resetAllBtn = document.getElementById('shortcuts-reset-all');
+    this.editing = false;
+    this.recording = null;
+    this.pending = null;
+    this.editorKeys = new Map();
+
+    this.init();
+  }
+
+  init() {
+    this.closeBtn.addEventListener('click', () => this.hide());
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.hide();
+      }
+    });
+
+    this.customizeBtn.addEventListener('click', () => this.setEditing(!this.editing));
+    this.filterInput.addEventListener('input', () => this.render());
+    this.resetAllBtn.addEventListener('click', () => {
+      if (confirm('Reset all keyboard shortcuts to their defaults?')) {
+        this.pending = null;
+        keybindings.resetAll();
+      }
+    });
+
+    this.listEl.addEventListener('click', (e) => this.handleListClick(e));
+    ['keybindings-changed', 'keymap-changed'].forEach((type) => document.addEventListener(type, () => {
+      if (this.modal.classList.contains('visible')) this.render();
+    }));
+  }
+
+  /**
+   * @param {Object} options - Options
+   * @param {boolean} options.customize - Open the editor rather than the cheat sheet
+   */
+  show({ customize = false } = {}) {
+    this.filterInput.value = '';
+    this.setEditing(customize);
+    ui.showModal(this.modal);
+  }
+
+  hide() {
+    this.recording = null;
+    ui.hideModal(this.modal);
+  }
+
+  /**
+   * @param {boolean} editing - Whether shortcuts can be changed
+   */
+  setEditing(editing) {
+    this.editing = editing;
+    this.recording = null;
+    this.pending = null;
+    this.modal.classList.toggle('editing', editing);
+    this.customizeBtn.textContent = editing ? 'Done' : 'Customize shortcuts';
+    this.showMessage('');
+    this.render();
+  }
+
+  /**
+   * @param {string} text - Message, or '' to clear it
+   */
+  showMessage(text) {
+    this.messageEl.textContent = text;
+    this.messageEl.style.display = text ? 'block' : 'none';
+  }
+
+  /**
+   * @returns {Array<Object>} Rows to show: every matching command while editing, otherwise the bound ones,
+   *   fixed keys and the editing keys' own
+   */
+  getEntries() {
+    if (this.editing) {
+      return commands.search(this.filterInput.value).map((command) => ({
+        id: command.id,
+        group: command.group,
+        title: command.title,
+        shortcuts: keybindings.getBindings(command.id),
+      }));
+    }
+
+    const bound = commands.list()
+      .map((command) => ({ group: command.group, title: command.title, shortcuts: keybindings.getBindings(command.id) }))
+      .filter((entry) => entry.shortcuts.length > 0);
+    const editorKeys = Array.from(this.editorKeys, ([shortcut, title]) => ({ group: EMACS_GROUP, title, shortcuts: [shortcut], editorKey: true }));
+    return bound.concat(FIXED_SHORTCUTS.map(({ shortcut, ...entry }) => ({ ...entry, shortcuts: [shortcut] })), editorKeys);
+  }
+
+  render() {
+    this.editorKeys = getEditorKeys();
+    this.listEl.innerHTML = '';
+    groupEntries(this.getEntries()).forEach(({ group, entries }) => {
+      const heading = document.createElement('h3');
+      heading.className = 'shortcuts-group-title';
+      heading.textContent = group;
+      this.listEl.appendChild(heading);
+      entries.forEach((entry) => this.listEl.appendChild(this.renderRow(entry)));
+    });
+
+    if (!this.listEl.children.length) {
+      const empty = document.createElement('p');
+      empty.className = 'history-empty';
+      empty.textContent = 'No matching commands';
+      this.listEl.appendChild(empty);
+    }
+  }
+
+  /**
+   * @param {Object} entry - Command or fixed key
+   * @returns {HTMLElement} Row
+   */
+  renderRow(entry) {
+    const row = document.createElement('div');
+    row.className = 'shortcut-row';
+    if (entry.id) row.dataset.id = entry.id;
+
+    const title = document.createElement('span');
+    title.className = 'shortcut-title';
+    title.textContent = entry.title;
+
+    const keys = document.createElement('span');
+    keys.className = 'shortcut-keys';
+    entry.shortcuts.forEach((shortcut) => {
+      const key = document.createElement('kbd');
+      key.className = 'shortcut-key';
+      key.textContent = formatShortcut(shortcut);
+      // Emacs keys win while typing in the editor; the shortcut still works everywhere else
+      if (!entry.editorKey && this.editorKeys.has(shortcut)) {
+        key.classList.add('overridden');
+        key.title = `In the editor this is Emacs ${this.editorKeys.get(shortcut)}`;
+      }
+      keys.appendChild(key);
+      if (this.editing) {
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'shortcut-remove';
+        remove.dataset.remove = shortcut;
+        remove.setAttribute('aria-label', `Remove ${formatShortcut(shortcut)} from ${entry.title}`);
+        remove.textContent = '×';
+        key.appendChild(remove);
+      }
+    });
+    row.append(title, keys);
+
+    if (this.editing) {
+      const recording = this.recording === entry.id;
+      const record = actionButton(recording ? 'Press keys…' : 'Add', { record: '' });
+      record.classList.toggle('recording', recording);
+      record.addEventListener('keydown', (e) => this.handleRecordKey(e, entry.id));
+      // Clicking elsewhere stops waiting; re-rendering removes the button without that meaning
+      record.addEventListener('blur', () => {
+        if (this.recording === entry.id && record.isConnected) this.stopRecording();
+      });
+      keys.appendChild(record);
+      if (keybindings.isCustomized(entry.id)) keys.appendChild(actionButton('Reset', { reset: '' }));
+
+      if (this.pending && this.pending.id === entry.id) row.appendChild(this.renderConflict());
+    }
+    return row;
+  }
+
+  /**
+   * @returns {HTMLElement} Warning that the pending shortcut belongs to another command, with a choice to take it
+   */
+  renderConflict() {
+    const { shortcut, owner } = this.pending;
+    const conflict = document.createElement('div');
+    conflict.className = 'shortcut-conflict';
+    conflict.setAttribute('role', 'alert');
+
+    const text = document.createElement('span');
+    text.textContent = `${formatShortcut(shortcut)} is already used by ${owner.group ? `${owner.group}: ` : ''}${owner.title}.`;
+    conflict.append(text, actionButton('Reassign', { reassign: '' }), actionButton('Cancel', { cancel: '' }));
+    return conflict;
+  }
+
+  /**
+   * @param {MouseEvent} e - Click in the list
+   */
+  handleListClick(e) {
+    const row = e.target.closest('.shortcut-row');
+    const button = e.target.closest('button');
+    if (!row || !button || !row.dataset.id) return;
+    const { id } = row.dataset;
+
+    if (button.dataset.remove !== undefined) {
+      keybindings.remove(id, button.dataset.remove);
+    } else if (button.dataset.record !== undefined) {
+      this.startRecording(id);
+    } else if (button.dataset.reset !== undefined) {
+      keybindings.reset(id);
+    } else if (button.dataset.reassign !== undefined) {
+      const { shortcut } = this.pending;
+      this.pending = null;
+      keybindings.add(id, shortcut);
+    } else if (button.dataset.cancel !== undefined) {
+      this.pending = null;
+      this.render();
+    }
+  }
+
+  /**
+   * Wait for the next key combination to bind to a command
+   * @param {string} id - Command id
+   */
+  startRecording(id) {
+    this.recording = id;
+    this.pending = null;
+    this.showMessage('');
+    this.render();
+    const button = this.listEl.querySelector(`.shortcut-row[data-id="${CSS.escape(id)}"] [data-record]`);
+    if (button) button.focus();
+  }
+
+  stopRecording() {
+    this.recording = null;
+    this.render();
+  }
+
+  /**
+   * Bind the pressed combination, or explain why it cannot be used
+   * @param {KeyboardEvent} e - Keydown on the recording button
+   * @param {string} id - Command id
+   */
+  handleRecordKey(e, id) {
+    if (this.recording !== id) return;
+    // Keep the key from running commands or closing the dialog
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (e.key === 'Escape') {
+      this.stopRecording();
+      return;
+    }
+    const shortcut = shortcutFromEvent(e);
+    if (!shortcut) return;
+    if (!isBindable(shortcut)) {
+      this.showMessage(`${formatShortcut(shortcut)} can't be used. Shortcuts need ${IS_MAC ? '⌘, ⌃ or ⌥' : 'Ctrl or Alt'}, or a function key.`);
+      return;
+    }
+
+    this.recording = null;
+    const conflict = keybindings.findConflict(shortcut, id);
+    if (conflict && conflict.reserved) {
+      this.showMessage(`${formatShortcut(shortcut)} is reserved for ${conflict.reserved}.`);
+      this.render();
+    } else if (conflict) {
+      this.showMessage('');
+      this.pending = { id, shortcut, owner: conflict.command };
+      this.render();
+    } else {
+      this.showMessage('');
+      keybindings.add(id, shortcut);
+    }
+  }
+}
+
+export default ShortcutsDialog;
@@ -0,0 +1,245 @@
+/**
+ * Slash Menu
+ * Typing "/" at the start of a line or after a space opens a filterable menu
+ * of insert commands at the caret
+ */
+
+import commands from '../commands.js';
+
+class SlashMenu {
+  /**
+   * @param {Editor} editor - The editor the menu inserts into
+   */
+  constructor(editor) {
+    this.editor = editor;
+    this.editorEl = editor.editorEl;
+    this.menu = null;
+    this.anchor = null;
+    this.items = [];
+    this.activeIndex = 0;
+
+    this.init();
+  }
+
+  init() {
+    this.menu = document.createElement('div');
+    this.menu.className = 'slash-menu';
+    this.menu.setAttribute('role', 'listbox');
+    this.menu.setAttribute('aria-label', 'Insert');
+    document.body.appendChild(this.menu);
+
+    this.editorEl.addEventListener('input', (e) => this.handleInput(e));
+    // Capture so the menu's keys win over list indenting and other editor shortcuts
+    this.editorEl.addEventListener('keydown', (e) => this.handleKeydown(e), true);
+    this.editorEl.addEventListener('mousedown', () => this.close());
+    this.editorEl.addEventListener('blur', () => this.close());
+
+    // Keep the editor's caret while using the menu
+    this.menu.addEventListener('mousedown', (e) => e.preventDefault());
+    this.menu.addEventListener('click', (e) => {
+      const item = e.target.closest('.slash-item');
+      if (item) this.choose(Number(item.dataset.index));
+    });
+  }
+
+  isOpen() {
+    return this.anchor !== null;
+  }
+
+  /**
+   * @param {InputEvent} e - Input event
+   */
+  handleInput(e) {
+    if (this.isOpen()) {
+      this.update();
+      return;
+    }
+    if (e.inputType !== 'insertText' || e.data !== '/') return;
+
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0 || !selection.isCollapsed) return;
+    const { startContainer: node, startOffset: offset } = selection.getRangeAt(0);
+    if (node.nodeType !== Node.TEXT_NODE || offset === 0 || node.parentElement.closest('pre, code')) return;
+
+    // Only at the start of a word, so paths and fractions stay as typed
+    const before = node.data[offset - 2];
+    if (before !== undefined && !/\s/.test(before)) return;
+
+    this.anchor = { node, offset: offset - 1 };
+    this.update();
+  }
+
+  /**
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeydown(e) {
+    if (!this.isOpen()) return;
+
+    // With nothing to choose, Enter and Tab keep their usual meaning
+    if (this.items.length === 0 && (e.key === 'Enter' || e.key === 'Tab')) {
+      this.close();
+      return;
+    }
+
+    let handled = true;
+    if (e.key === 'ArrowDown') this.setActive(this.activeIndex + 1);
+    else if (e.key === 'ArrowUp') this.setActive(this.activeIndex - 1);
+    else if (e.key === 'Enter' || e.key === 'Tab') this.choose(this.activeIndex);
+    else if (e.key === 'Escape') this.close();
+    else handled = false;
+
+    if (handled) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    }
+  }
+
+  /**
+   * The text typed after the slash, or null if the caret has left it
+   * @returns {string|null}
+   */
+  getQuery() {
+    const { node, offset } = this.anchor;
+    const selection = window.getSelection();
+    if (!node.isConnected || node.data[offset] !== '/' || selection.rangeCount === 0) return null;
+
+    const range = selection.getRangeAt(0);
+    if (!range.collapsed || range.startContainer !== node || range.startOffset <= offset) return null;
+    return node.data.slice(offset + 1, range.startOffset);
+  }
+
+  /**
+   * Filter the menu by the current query, closing it once nothing matches
+   */
+  update() {
+    const query = this.getQuery();
+    if (query === null || query.length > 40) {
+      this.close();
+      return;
+    }
+
+    this.items = commands.search(query, (command) => command.slash && commands.isEnabled(command));
+    if (this.items.length === 0 && /\s$/.test(query)) {
+      this.close();
+      return;
+    }
+
+    this.render(query);
+    this.position();
+  }
+
+  /**
+   * @param {string} query - Query the items were found by
+   */
+  render(query) {
+    this.menu.innerHTML = '';
+    if (this.items.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'slash-empty';
+      empty.textContent = 'No matching blocks';
+      this.menu.appendChild(empty);
+    }
+
+    // Matches are listed best first, which would split the groups
+    const grouped = !query.trim();
+    let group = null;
+    this.items.forEach((command, index) => {
+      if (grouped && command.group !== group) {
+        group = command.group;
+        const heading = document.createElement('div');
+        heading.className = 'slash-group';
+        heading.textContent = group;
+        this.menu.appendChild(heading);
+      }
+
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'slash-item';
+      item.id = `slash-item-${index}`;
+      item.dataset.index = index;
+      item.setAttribute('role', 'option');
+      item.textContent = command.title;
+      this.menu.appendChild(item);
+    });
+
+    this.menu.style.display = 'block';
+    this.setActive(0);
+  }
+
+  /**
+   * Place the menu below the slash
+   */
+  position() {
+    const { node, offset } = this.anchor;
+    const range = document.createRange();
+    range.setStart(node, offset);
+    range.setEnd(node, offset + 1);
+    const rect = range.getBoundingClientRect();
+
+    this.menu.style.left = `${rect.left}px`;
+    this.menu.style.top = `${rect.bottom + 4}px`;
+  }
+
+  /**
+   * @param {number} index - Item to highlight, wrapping around
+   */
+  setActive(index) {
+    if (this.items.length === 0) return;
+    this.activeIndex = (index + this.items.length) % this.items.length;
+
+    this.menu.querySelectorAll('.slash-item').forEach((item) => {
+      const active = Number(item.dataset.index) === this.activeIndex;
+      item.classList.toggle('active', active);
+      item.setAttribute('aria-selected', String(active));
+      if (active && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+    });
+    this.editorEl.setAttribute('aria-activedescendant', `slash-item-${this.activeIndex}`);
+  }
+
+  /**
+   * Remove the typed slash command and run the chosen command in its place
+   * @param {number} index - Item index
+   */
+  choose(index) {
+    const command = this.items[index];
+    const query = this.getQuery();
+    const { node, offset } = this.anchor;
+    this.close();
+    if (!command || query === null) return;
+
+    node.deleteData(offset, query.length + 1);
+    const range = document.createRange();
+    if (node.length > 0 || node.parentNode.textContent || node.parentNode.querySelector('br, img')) {
+      range.setStart(node, offset);
+    } else {
+      // An emptied line keeps its height, and a bare line becomes a paragraph
+      const br = document.createElement('br');
+      if (node.parentNode === this.editorEl) {
+        const paragraph = document.createElement('p');
+        paragraph.appendChild(br);
+        node.replaceWith(paragraph);
+      } else {
+        node.replaceWith(br);
+      }
+      range.setStartBefore(br);
+    }
+    range.collapse(true);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    commands.run(command.id).catch((error) => {
+      console.error('Command failed:', error);
+    });
+  }
+
+  close() {
+    if (!this.isOpen()) return;
+    this.anchor = null;
+    this.items = [];
+    this.menu.style.display = 'none';
+    this.editorEl.removeAttribute('aria-activedescendant');
+  }
+}
+
+export default SlashMenu;
@@ -0,0 +1,144 @@
+/**
+ * Sync Conflict Dialog
+ * Shows the lines a document's local and remote copies both changed and
+ * asks which to keep: one side for each conflict, either copy as a whole,
+ * or both copies as separate documents
+ */
+
+import ui from '../ui.js';
+import { escapeHTML, resolveMerge } from '../diff.js';
+
+class SyncConflictDialog {
+  constructor() {
+    this.modal = document.getElementById('sync-conflict-modal');
+    this.closeBtn = document.getElementById('sync-conflict-close');
+    this.messageEl = document.getElementById('sync-conflict-message');
+    this.listEl = document.getElementById('sync-conflict-list');
+    this.keepMineBtn = document.getElementById('sync-keep-mine');
+    this.keepTheirsBtn = document.getElementById('sync-keep-theirs');
+    this.keepBothBtn = document.getElementById('sync-keep-both');
+    this.applyBtn = document.getElementById('sync-apply-merge');
+
+    this.segments = [];
+    this.choices = new Map();
+    this.provider = '';
+    this.resolve = null;
+
+    this.init();
+  }
+
+  init() {
+    this.closeBtn.addEventListener('click', () => this.finish(null));
+
+    // Before the editor's Escape handler, which would hide the modal and leave the sync waiting
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape' || !this.resolve) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.finish(null);
+    }, true);
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.finish(null);
+      }
+    });
+
+    this.listEl.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-choice]');
+      if (!button) return;
+      this.choices.set(Number(button.closest('.sync-conflict').dataset.conflict), button.dataset.choice);
+      this.render();
+    });
+
+    this.keepMineBtn.addEventListener('click', () => this.finish({ action: 'mine' }));
+    this.keepTheirsBtn.addEventListener('click', () => this.finish({ action: 'theirs' }));
+    this.keepBothBtn.addEventListener('click', () => this.finish({ action: 'both' }));
+    this.applyBtn.addEventListener('click', () => {
+      this.finish({ action: 'merge', content: resolveMerge(this.segments, this.choices) });
+    });
+  }
+
+  /**
+   * Ask how to resolve a document's conflicts
+   * @param {Object} conflict - Conflict
+   * @param {string} conflict.title - Document title
+   * @param {string} conflict.provider - Provider name
+   * @param {Array<Object>} conflict.segments - Segments from merge3(), with this device's edits as mine
+   * @returns {Promise<Object|null>} {action: 'mine'|'theirs'|'both'} or {action: 'merge', content}, or null to skip the document
+   */
+  open({ title, provider, segments }) {
+    this.segments = segments;
+    this.choices = new Map();
+    this.provider = provider;
+    const count = segments.filter((segment) => segment.type === 'conflict').length;
+    this.messageEl.textContent = `"${title}" was changed on this device and on ${provider} since it was last synced. ` +
+      `${count} ${count === 1 ? 'change conflicts' : 'changes conflict'}; everything else was merged.`;
+    this.keepTheirsBtn.textContent = `Keep ${provider}'s`;
+    this.render();
+    ui.showModal(this.modal);
+
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * @param {Object|null} resolution - What to do, or null to skip
+   */
+  finish(resolution) {
+    ui.hideModal(this.modal);
+    const resolve = this.resolve;
+    this.resolve = null;
+    if (resolve) resolve(resolution);
+  }
+
+  /**
+   * @param {string} text - Lines
+   * @returns {string} HTML
+   */
+  renderLines(text) {
+    return text ? escapeHTML(text).replace(/\n/g, '<br>') : '<em>(nothing)</em>';
+  }
+
+  render() {
+    this.listEl.innerHTML = '';
+    this.segments.forEach((segment) => {
+      if (segment.type !== 'conflict') return;
+      const choice = this.choices.get(segment.id) || 'mine';
+
+      const item = document.createElement('div');
+      item.className = 'sync-conflict';
+      item.dataset.conflict = segment.id;
+      item.innerHTML = `
+        <div class="sync-conflict-sides">
+          <div class="sync-conflict-side${choice !== 'theirs' ? ' chosen' : ''}">
+            <span class="setting-label">This device</span>
+            <div class="sync-conflict-text">${this.renderLines(segment.mine)}</div>
+          </div>
+          <div class="sync-conflict-side${choice !== 'mine' ? ' chosen' : ''}">
+            <span class="setting-label">${escapeHTML(this.provider)}</span>
+            <div class="sync-conflict-text">${this.renderLines(segment.theirs)}</div>
+          </div>
+        </div>`;
+
+      const actions = document.createElement('div');
+      actions.className = 'sync-conflict-choices';
+      actions.setAttribute('role', 'radiogroup');
+      [['mine', 'This device'], ['theirs', this.provider], ['both', 'Both']].forEach(([value, label]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn-restore';
+        button.dataset.choice = value;
+        button.setAttribute('role', 'radio');
+        button.setAttribute('aria-checked', String(choice === value));
+        button.textContent = label;
+        actions.appendChild(button);
+      });
+      item.appendChild(actions);
+      this.listEl.appendChild(item);
+    });
+  }
+}
+
+export default SyncConflictDialog;
@@ -0,0 +1,147 @@
+/**
+ * Trash Panel
+ * Lists trashed documents for restoring or permanent deletion
+ */
+
+import trash from '../trash.js';
+import ui from '../ui.js';
+
+class TrashPanel {
+  /**
+   * @param {Editor} editor - The editor instance restored documents open in
+   */
+  constructor(editor) {
+    this.editor = editor;
+    this.modal = document.getElementById('trash-modal');
+    this.closeBtn = document.getElementById('trash-close');
+    this.listEl = document.getElementById('trash-list');
+    this.emptyEl = document.getElementById('trash-empty');
+    this.emptyTrashBtn = document.getElementById('trash-empty-all');
+    this.retentionEl = document.getElementById('trash-retention-note');
+
+    this.init();
+  }
+
+  init() {
+    this.closeBtn.addEventListener('click', () => this.hide());
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.hide();
+      }
+    });
+
+    this.emptyTrashBtn.addEventListener('click', () => this.emptyTrash());
+    this.listEl.addEventListener('click', (e) => this.handleListClick(e));
+  }
+
+  async show() {
+    ui.showModal(this.modal);
+    await this.refresh();
+  }
+
+  hide() {
+    ui.hideModal(this.modal);
+  }
+
+  async refresh() {
+    try {
+      await trash.purgeExpired();
+      const records = await trash.list();
+      this.render(records);
+    } catch (error) {
+      console.error('Failed to load trash:', error);
+      ui.updateSaveStatus('Trash unavailable', false);
+    }
+  }
+
+  render(records) {
+    const days = trash.getRetentionDays();
+    this.retentionEl.textContent = days > 0
+      ? `Documents are permanently deleted ${days} days after being moved here.`
+      : 'Documents stay here until you delete them.';
+
+    this.listEl.innerHTML = '';
+    this.emptyEl.style.display = records.length === 0 ? 'block' : 'none';
+    this.emptyTrashBtn.disabled = records.length === 0;
+
+    records.forEach((record) => {
+      const item = document.createElement('li');
+      item.className = 'trash-item';
+      item.dataset.id = record.id;
+
+      const info = document.createElement('div');
+      info.className = 'trash-info';
+
+      const title = document.createElement('span');
+      title.className = 'document-title';
+      title.textContent = record.title || 'Untitled';
+
+      const meta = document.createElement('span');
+      meta.className = 'document-meta';
+      const deleted = `Deleted ${new Date(record.deletedAt).toLocaleString()}`;
+      meta.textContent = record.expiresAt
+        ? `${deleted} · purged ${new Date(record.expiresAt).toLocaleDateString()}`
+        : deleted;
+
+      info.append(title, meta);
+
+      const restore = document.createElement('button');
+      restore.className = 'btn-restore trash-action';
+      restore.dataset.action = 'restore';
+      restore.textContent = 'Restore';
+
+      const remove = document.createElement('button');
+      remove.className = 'btn-restore trash-action danger';
+      remove.dataset.action = 'delete';
+      remove.textContent = 'Delete forever';
+
+      item.append(info, restore, remove);
+      this.listEl.appendChild(item);
+    });
+  }
+
+  async handleListClick(e) {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+
+    const item = btn.closest('.trash-item');
+    const id = item.dataset.id;
+    const title = item.querySelector('.document-title').textContent;
+
+    try {
+      if (btn.dataset.action === 'restore') {
+        await trash.restore(id);
+        document.dispatchEvent(new CustomEvent('documents-changed'));
+        await this.editor.openDocument(id);
+        ui.updateSaveStatus(`"${title}" restored`, true);
+        this.hide();
+      } else if (btn.dataset.action === 'delete') {
+        if (confirm(`Permanently delete "${title}" and its history? This cannot be undone.`)) {
+          await trash.deletePermanently(id);
+          await this.refresh();
+        }
+      }
+    } catch (error) {
+      console.error('Trash action failed:', error);
+      ui.updateSaveStatus('Trash action failed', false);
+    }
+  }
+
+  async emptyTrash() {
+    if (!confirm('Permanently delete everything in the Trash? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await trash.empty();
+      ui.updateSaveStatus('Trash emptied', true);
+      await this.refresh();
+    } catch (error) {
+      console.error('Emptying trash failed:', error);
+      ui.updateSaveStatus('Emptying trash failed', false);
+    }
+  }
+}
+
+export default TrashPanel;
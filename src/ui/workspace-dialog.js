@@ -0,0 +1,114 @@
+/**
+ * Workspace Import/Export Dialog
+ * Downloads the workspace archive and imports one with a merge-or-replace choice
+ */
+
+import workspace from '../workspace.js';
+import ui from '../ui.js';
+
+class WorkspaceDialog {
+  /**
+   * @param {Editor} editor - The editor instance
+   * @param {Settings} settings - Settings instance, re-applied after import
+   */
+  constructor(editor, settings) {
+    this.editor = editor;
+    this.settings = settings;
+    this.modal = document.getElementById('import-modal');
+    this.summaryEl = document.getElementById('import-summary');
+    this.mergeBtn = document.getElementById('import-merge');
+    this.replaceBtn = document.getElementById('import-replace');
+    this.cancelBtn = document.getElementById('import-cancel');
+    this.pendingArchive = null;
+
+    this.init();
+  }
+
+  init() {
+    this.mergeBtn.addEventListener('click', () => this.runImport('merge'));
+
+    this.replaceBtn.addEventListener('click', () => {
+      if (confirm('Replace all local documents, history, trash and settings with the archive?')) {
+        this.runImport('replace');
+      }
+    });
+
+    this.cancelBtn.addEventListener('click', () => this.hide());
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.hide();
+      }
+    });
+  }
+
+  hide() {
+    this.pendingArchive = null;
+    ui.hideModal(this.modal);
+  }
+
+  async exportWorkspace() {
+    try {
+      await this.editor.flushSave();
+      await workspace.exportWorkspace();
+      ui.updateSaveStatus('Workspace exported', true);
+    } catch (error) {
+      console.error('Workspace export failed:', error);
+      ui.updateSaveStatus('Export failed', false);
+    }
+  }
+
+  /**
+   * Ask for an archive file and show the import options
+   */
+  chooseImportFile() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = (event) => {
+        try {
+          this.pendingArchive = workspace.parse(event.target.result);
+        } catch (error) {
+          alert(error.message);
+          return;
+        }
+        this.summaryEl.textContent = `${file.name}: ${workspace.describe(this.pendingArchive)}.`;
+        ui.showModal(this.modal);
+      };
+      reader.readAsText(file);
+    });
+    fileInput.click();
+  }
+
+  /**
+   * Import the pending archive
+   * @param {string} mode - 'merge' or 'replace'
+   */
+  async runImport(mode) {
+    if (!this.pendingArchive) return;
+
+    try {
+      await this.editor.flushSave();
+      const counts = await workspace.importArchive(this.pendingArchive, { mode });
+
+      // Apply imported settings and reopen the (possibly replaced) document
+      ui.setTheme(localStorage.getItem('theme') || 'light');
+      this.settings.loadSettings();
+      this.settings.applyAllSettings();
+      await this.editor.reloadDocuments();
+
+      this.hide();
+      ui.updateSaveStatus(`Imported ${counts.documents} ${counts.documents === 1 ? 'document' : 'documents'}`, true);
+    } catch (error) {
+      console.error('Workspace import failed:', error);
+      alert('Failed to import workspace: ' + error.message);
+    }
+  }
+}
+
+export default WorkspaceDialog;
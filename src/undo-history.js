@@ -0,0 +1,258 @@
+/**
+ * Undo History
+ * Records editor states so typing, formatting, paste, replace and document
+ * switches can be undone and redone step by step
+ */
+
+const MAX_STEPS = 200;
+const COALESCE_DELAY = 1000; // Keystrokes closer together than this form one step
+
+// Input types whose consecutive edits merge into one step
+const TYPING_GROUPS = {
+  insertText: 'insert',
+  insertCompositionText: 'insert',
+  deleteContentBackward: 'delete',
+  deleteContentForward: 'delete',
+  deleteWordBackward: 'delete',
+  deleteWordForward: 'delete',
+};
+const NAVIGATION_KEYS = new Set(['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'PageUp', 'PageDown']);
+
+/**
+ * Child-index path from a root element to a node
+ * @param {Node} root - Root element
+ * @param {Node} node - Descendant node
+ * @returns {Array<number>|null} Path, or null if the node is outside the root
+ */
+function nodePath(root, node) {
+  const path = [];
+  while (node && node !== root) {
+    path.unshift(Array.prototype.indexOf.call(node.parentNode.childNodes, node));
+    node = node.parentNode;
+  }
+  return node === root ? path : null;
+}
+
+/**
+ * Follow a child-index path from a root element
+ * @param {Node} root - Root element
+ * @param {Array<number>} path - Path
+ * @returns {Node|null} Node, or null if the path no longer exists
+ */
+function resolvePath(root, path) {
+  let node = root;
+  for (const index of path) {
+    node = node.childNodes[index];
+    if (!node) return null;
+  }
+  return node;
+}
+
+class UndoHistory {
+  /**
+   * @param {Editor} editor - The editor whose changes are recorded
+   */
+  constructor(editor) {
+    this.editor = editor;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.current = null;
+    this.lastGroup = null;
+    this.lastTime = 0;
+    this.applying = false;
+
+    this.init();
+  }
+
+  init() {
+    const editorEl = this.editor.editorEl;
+
+    editorEl.addEventListener('keydown', (e) => {
+      if (NAVIGATION_KEYS.has(e.key)) this.breakGroup();
+    });
+
+    // Moving the cursor starts a new step
+    editorEl.addEventListener('mousedown', () => this.breakGroup());
+
+    // Undo and redo from the browser's Edit menu or context menu, or a shortcut no longer bound
+    editorEl.addEventListener('beforeinput', (e) => {
+      if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+        e.preventDefault();
+        if (e.inputType === 'historyUndo') this.undo();
+        else this.redo();
+      }
+    });
+  }
+
+  /**
+   * Snapshot the editor
+   * @returns {{documentId: string, html: string, selection: Object|null}}
+   */
+  capture() {
+    return {
+      documentId: this.editor.currentDocumentId,
+      html: this.editor.editorEl.innerHTML,
+      selection: this.captureSelection(),
+    };
+  }
+
+  /**
+   * @returns {Object|null} Selection as node paths and offsets, or null if outside the editor
+   */
+  captureSelection() {
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0) return null;
+
+    const range = selection.getRangeAt(0);
+    const editorEl = this.editor.editorEl;
+    const start = nodePath(editorEl, range.startContainer);
+    const end = nodePath(editorEl, range.endContainer);
+    if (!start || !end) return null;
+    return { start, startOffset: range.startOffset, end, endOffset: range.endOffset };
+  }
+
+  /**
+   * @param {Object|null} saved - Selection from captureSelection
+   */
+  restoreSelection(saved) {
+    const editorEl = this.editor.editorEl;
+    editorEl.focus();
+    const startNode = saved && resolvePath(editorEl, saved.start);
+    const endNode = saved && resolvePath(editorEl, saved.end);
+    if (!startNode || !endNode) {
+      this.editor.placeCursorAtEnd();
+      return;
+    }
+
+    try {
+      const range = document.createRange();
+      range.setStart(startNode, saved.startOffset);
+      range.setEnd(endNode, saved.endOffset);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+    } catch (error) {
+      this.editor.placeCursorAtEnd();
+    }
+  }
+
+  /**
+   * Record the editor's state after a change
+   * @param {string} kind - Input type of the change
+   * @param {string} data - Inserted text, if any
+   */
+  record(kind, data = '') {
+    if (this.applying) return;
+
+    const state = this.capture();
+    if (!this.current) {
+      this.current = state;
+      return;
+    }
+    if (state.html === this.current.html && state.documentId === this.current.documentId) {
+      this.current.selection = state.selection;
+      return;
+    }
+
+    const group = TYPING_GROUPS[kind] || null;
+    const now = Date.now();
+    const merge = group && group === this.lastGroup && now - this.lastTime < COALESCE_DELAY;
+    if (!merge) {
+      this.undoStack.push(this.current);
+      if (this.undoStack.length > MAX_STEPS) this.undoStack.shift();
+    }
+
+    this.current = state;
+    this.redoStack = [];
+    this.lastTime = now;
+    // A typed space closes the word, so each word is its own step
+    this.lastGroup = group === 'insert' && /^\s+$/.test(data || '') ? null : group;
+  }
+
+  /**
+   * End the current typing step so the next edit starts a new one
+   */
+  breakGroup() {
+    this.lastGroup = null;
+  }
+
+  /**
+   * Forget all steps and start again from the editor's current state
+   */
+  reset() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastGroup = null;
+    this.current = this.capture();
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether a step was undone
+   */
+  undo() {
+    return this.step(this.undoStack, this.redoStack);
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether a step was redone
+   */
+  redo() {
+    return this.step(this.redoStack, this.undoStack);
+  }
+
+  /**
+   * Move one state from one stack to the editor, skipping states whose document is gone
+   * @param {Array<Object>} from - Stack to take the state from
+   * @param {Array<Object>} to - Stack that receives the current state
+   * @returns {Promise<boolean>} Whether a state was applied
+   */
+  async step(from, to) {
+    if (this.applying) return false;
+
+    while (from.length > 0) {
+      const state = from.pop();
+      const previous = this.current;
+      if (await this.apply(state)) {
+        to.push(previous);
+        this.current = state;
+        this.breakGroup();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Put the editor into a recorded state
+   * @param {Object} state - State from capture
+   * @returns {Promise<boolean>} Whether the state could be applied
+   */
+  async apply(state) {
+    const editor = this.editor;
+    this.applying = true;
+    try {
+      if (state.documentId !== editor.currentDocumentId) {
+        await editor.openDocument(state.documentId);
+        if (editor.currentDocumentId !== state.documentId) return false;
+      }
+      if (editor.editorEl.innerHTML !== state.html) {
+        editor.editorEl.innerHTML = state.html;
+        editor.handleInput();
+      }
+      this.restoreSelection(state.selection);
+      return true;
+    } finally {
+      this.applying = false;
+    }
+  }
+}
+
+export default UndoHistory;
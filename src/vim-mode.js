@@ -0,0 +1,910 @@
+/**
+ * Vim Mode
+ * Optional modal editing: normal, insert and visual modes with motions,
+ * operators and counts, registers, repeat, undo and search. Off unless chosen
+ * as the editing keys in Settings, and then only keys typed in the editor are
+ * taken over.
+ */
+
+import { mapLines, pointAtOffset, offsetAtPoint, lineElementOf } from './dom-text.js';
+import { charClass, lineStartOf, lineEndOf, lineStarts, lineIndexOf, deleteText, insertText } from './text-edits.js';
+
+const MODE_LABELS = { normal: '-- NORMAL --', insert: '-- INSERT --', visual: '-- VISUAL --' };
+
+// Keys that act like a Vim key in normal and visual mode
+const KEY_ALIASES = {
+  ArrowLeft: 'h',
+  ArrowDown: 'j',
+  ArrowUp: 'k',
+  ArrowRight: 'l',
+  Home: '0',
+  End: '$',
+  Backspace: 'h',
+  Enter: 'j',
+  ' ': 'l',
+};
+const MOTIONS = new Set(['h', 'j', 'k', 'l', 'w', 'b', 'e', '0', '$', 'G', 'gg']);
+const OPERATORS = new Set(['d', 'c', 'y']);
+// Commands that are an operator and a motion in one key
+const SHORTHANDS = { x: 'dl', X: 'dh', D: 'd$', C: 'c$', s: 'cl', S: 'cc', Y: 'yy' };
+// What a key does to the selection in visual mode
+const VISUAL_OPERATORS = { d: 'd', x: 'd', X: 'd', D: 'd', c: 'c', s: 'c', C: 'c', S: 'c', y: 'y', Y: 'y' };
+
+/**
+ * @param {string} text - Text
+ * @param {number} start - Start of a line
+ * @returns {number} First character on the line that is not a space
+ */
+function firstNonBlank(text, start) {
+  const end = lineEndOf(text, start);
+  let pos = start;
+  while (pos < end - 1 && /[ \t]/.test(text[pos])) pos++;
+  return pos;
+}
+
+/**
+ * Start of the next word, stopping at empty lines (w)
+ */
+function nextWordStart(text, pos) {
+  let i = pos;
+  const start = charClass(text[i]);
+  if (start) while (i < text.length && charClass(text[i]) === start) i++;
+  while (i < text.length && charClass(text[i]) === 0) {
+    i++;
+    if (text[i - 1] === '\n' && (i === text.length || text[i] === '\n')) return i;
+  }
+  return i;
+}
+
+/**
+ * End of this or the next word (e)
+ */
+function wordEnd(text, pos) {
+  let i = pos + 1;
+  while (i < text.length && charClass(text[i]) === 0) i++;
+  const cls = charClass(text[i]);
+  while (i + 1 < text.length && charClass(text[i + 1]) === cls) i++;
+  return Math.min(i, Math.max(0, text.length - 1));
+}
+
+/**
+ * Start of this or the previous word, stopping at empty lines (b)
+ */
+function prevWordStart(text, pos) {
+  let i = pos - 1;
+  while (i > 0 && charClass(text[i]) === 0) {
+    if (text[i] === '\n' && text[i - 1] === '\n') return i;
+    i--;
+  }
+  const cls = charClass(text[i]);
+  while (i > 0 && charClass(text[i - 1]) === cls) i--;
+  return Math.max(0, i);
+}
+
+class VimMode {
+  /**
+   * @param {Editor} editor - The editor whose keys are handled
+   */
+  constructor(editor) {
+    this.editor = editor;
+    this.root = editor.editorEl;
+    this.statusEl = document.getElementById('keymap-status');
+    this.modeEl = document.getElementById('keymap-mode');
+    this.messageEl = document.getElementById('keymap-message');
+    this.searchInput = document.getElementById('keymap-search');
+
+    this.enabled = false;
+    this.mode = 'normal';
+    this.count = '';
+    this.operator = null;
+    this.operatorCount = null;
+    this.prefix = '';
+    this.keys = [];
+    this.column = 0;
+    this.anchor = 0;
+    this.head = 0;
+    this.register = null;
+    this.lastChange = null;
+    this.insertStart = null;
+    this.lastSearch = null;
+    this.searchOrigin = null;
+    this.replaying = false;
+    this.applying = false;
+
+    this.init();
+  }
+
+  init() {
+    // Capture, so normal mode keys are taken before typing, the / menu and list indenting see them
+    this.root.addEventListener('keydown', (e) => this.handleKeydown(e), true);
+    this.root.addEventListener('beforeinput', (e) => {
+      if (this.enabled && this.mode !== 'insert' && !this.applying && !this.editor.history.applying
+        && /^(insert|delete)/.test(e.inputType) && e.inputType !== 'insertFromPaste') {
+        e.preventDefault();
+      }
+    });
+    this.root.addEventListener('focus', () => {
+      if (this.enabled && this.mode === 'normal') this.setCursor(this.clampNormal(this.getCursor()));
+    });
+    document.addEventListener('selectionchange', () => this.handleSelectionChange());
+
+    this.searchInput.addEventListener('keydown', (e) => this.handleSearchKey(e));
+    this.searchInput.addEventListener('blur', () => this.closeSearch(false));
+
+    document.addEventListener('keymap-changed', (e) => this.setEnabled(e.detail.keymap === 'vim'));
+    this.setEnabled(this.isChosen());
+  }
+
+  /**
+   * Vim mode is on when chosen as the editing keys in Settings
+   * @returns {boolean}
+   */
+  isChosen() {
+    try {
+      const settings = JSON.parse(localStorage.getItem('editorSettings') || '{}');
+      return settings.keymap === 'vim';
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * @param {boolean} enabled - Whether Vim keys are used
+   */
+  setEnabled(enabled) {
+    if (enabled === this.enabled) return;
+    this.enabled = enabled;
+    // The mode line is shared with the Emacs keys
+    if (enabled) this.statusEl.dataset.keymap = 'vim';
+    if (this.statusEl.dataset.keymap === 'vim') this.statusEl.hidden = !enabled;
+    this.resetPending();
+    this.mode = 'normal';
+    this.lastChange = null;
+    if (enabled && document.activeElement === this.root) this.setCursor(this.clampNormal(this.getCursor()));
+    this.paintCursor();
+    this.renderStatus();
+  }
+
+  /**
+   * @param {KeyboardEvent} e - Keydown in the editor
+   */
+  handleKeydown(e) {
+    if (!this.enabled || e.isComposing) return;
+
+    if (this.mode === 'insert') {
+      if (e.key === 'Escape' || (e.ctrlKey && e.key === '[')) {
+        e.preventDefault();
+        this.leaveInsert();
+      }
+      return;
+    }
+
+    let key = e.key;
+    if (e.ctrlKey && !e.metaKey && !e.altKey && (key === 'r' || key === '[')) {
+      key = key === 'r' ? 'C-r' : 'Escape';
+    } else if (e.metaKey || e.ctrlKey || e.altKey) {
+      // Leave the app's shortcuts alone
+      return;
+    }
+    key = KEY_ALIASES[key] || key;
+    if (key !== 'Escape' && key !== 'C-r' && key.length !== 1) return;
+    // With nothing to cancel, Escape keeps its meaning in the app
+    if (key === 'Escape' && this.mode === 'normal' && !this.count && !this.operator && !this.prefix) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    if (key === 'Escape') {
+      if (this.mode === 'visual') this.leaveVisual(this.head);
+      this.resetPending();
+      return;
+    }
+    this.processKey(key);
+  }
+
+  /**
+   * Act on one key in normal or visual mode
+   * @param {string} key - Key
+   */
+  processKey(key) {
+    this.keys.push(key);
+
+    if (this.prefix === 'g') {
+      this.prefix = '';
+      if (key === 'g') this.handleMotion('gg');
+      else this.resetPending();
+      return;
+    }
+    if (/^[1-9]$/.test(key) || (key === '0' && this.count)) {
+      this.count += key;
+      this.renderStatus();
+      return;
+    }
+    if (key === 'g') {
+      this.prefix = 'g';
+      this.renderStatus();
+      return;
+    }
+    if (MOTIONS.has(key)) {
+      this.handleMotion(key);
+      return;
+    }
+
+    if (this.mode === 'visual') {
+      this.handleVisualKey(key);
+      return;
+    }
+
+    if (this.operator) {
+      // Doubled operators (dd, cc, yy) act on whole lines
+      if (key === this.operator) this.applyToLines(this.operator, this.takeCount() * (this.operatorCount || 1));
+      else this.resetPending();
+      return;
+    }
+
+    if (SHORTHANDS[key]) {
+      this.keys.pop();
+      Array.from(SHORTHANDS[key]).forEach((part) => this.processKey(part));
+      return;
+    }
+    if (OPERATORS.has(key)) {
+      this.operatorCount = this.count ? this.takeCount() : null;
+      this.operator = key;
+      this.renderStatus();
+      return;
+    }
+
+    this.handleCommand(key);
+  }
+
+  /**
+   * Keys that are neither counts, motions nor operators
+   * @param {string} key - Key
+   */
+  handleCommand(key) {
+    const count = this.takeCount();
+    const text = this.getText();
+    const pos = this.getCursor();
+    const start = lineStartOf(text, pos);
+    const end = lineEndOf(text, pos);
+
+    switch (key) {
+      case 'i':
+        this.enterInsert(pos);
+        return;
+      case 'a':
+        this.enterInsert(Math.min(pos + 1, end));
+        return;
+      case 'I':
+        this.enterInsert(firstNonBlank(text, start));
+        return;
+      case 'A':
+        this.enterInsert(end);
+        return;
+      case 'o':
+      case 'O':
+        this.enterInsert(this.openLine(pos, key === 'o'));
+        return;
+      case 'p':
+      case 'P':
+        this.paste(key === 'p', count);
+        this.finishCommand(true);
+        return;
+      case 'v':
+        this.anchor = pos;
+        this.head = pos;
+        this.mode = 'visual';
+        this.keys = [];
+        this.renderVisual();
+        this.renderStatus();
+        return;
+      case 'u':
+      case 'C-r':
+        this.finishCommand(false);
+        this.undo(key === 'u', count);
+        return;
+      case '.':
+        this.keys = [];
+        this.repeatLastChange();
+        return;
+      case '/':
+        this.finishCommand(false);
+        this.openSearch();
+        return;
+      case 'n':
+      case 'N':
+        this.finishCommand(false);
+        this.searchNext(key === 'n');
+        return;
+      default:
+        this.resetPending();
+    }
+  }
+
+  /**
+   * @param {string} key - Key in visual mode
+   */
+  handleVisualKey(key) {
+    const operator = VISUAL_OPERATORS[key];
+    if (key === 'v') {
+      this.leaveVisual(this.head);
+      return;
+    }
+    if (!operator) {
+      this.resetPending();
+      return;
+    }
+
+    const text = this.getText();
+    const from = Math.min(this.anchor, this.head);
+    const to = Math.min(Math.max(this.anchor, this.head) + 1, text.length);
+    this.mode = 'normal';
+    this.keys = [];
+    this.applyToRange(operator, from, to);
+  }
+
+  /**
+   * Move, or apply the pending operator over the motion
+   * @param {string} key - Motion key
+   */
+  handleMotion(key) {
+    const count = this.count ? Number(this.count) : null;
+    const operator = this.operator;
+    // Counts before and after an operator multiply (2d3w deletes six words)
+    const total = operator && (count || this.operatorCount) ? (count || 1) * (this.operatorCount || 1) : count;
+    this.count = '';
+
+    const text = this.getText();
+    const pos = this.mode === 'visual' ? this.head : this.getCursor();
+    // cw changes to the end of the word, like ce
+    const motion = operator === 'c' && key === 'w' && charClass(text[pos]) !== 0 ? 'e' : key;
+    const target = this.motion(motion, text, pos, total, Boolean(operator));
+    // j and k keep to the column of the last sideways move, or to line ends after $
+    if (key === '$') this.column = Infinity;
+    else if (key !== 'j' && key !== 'k') this.column = target.pos - lineStartOf(text, target.pos);
+
+    if (operator) {
+      this.operator = null;
+      if (target.linewise) {
+        this.applyToLines(operator, 0, Math.min(lineIndexOf(text, pos), lineIndexOf(text, target.pos)),
+          Math.max(lineIndexOf(text, pos), lineIndexOf(text, target.pos)));
+      } else {
+        const to = Math.max(pos, target.pos) + (target.inclusive ? 1 : 0);
+        this.applyToRange(operator, Math.min(pos, target.pos), Math.min(to, text.length));
+      }
+    } else if (this.mode === 'visual') {
+      this.head = target.pos;
+      this.keys = [];
+      this.renderVisual();
+      this.renderStatus();
+    } else {
+      this.keys = [];
+      this.setCursor(this.clampNormal(target.pos, text));
+      this.renderStatus();
+    }
+  }
+
+  /**
+   * Where a motion goes
+   * @param {string} key - Motion
+   * @param {string} text - Editor text
+   * @param {number} pos - Cursor
+   * @param {number|null} count - Count typed, if any
+   * @param {boolean} forOperator - Whether an operator will use it
+   * @returns {{pos: number, linewise?: boolean, inclusive?: boolean}}
+   */
+  motion(key, text, pos, count, forOperator) {
+    const times = count || 1;
+    const start = lineStartOf(text, pos);
+    const end = lineEndOf(text, pos);
+    const starts = lineStarts(text);
+    const toLine = (index) => {
+      const lineStart = starts[Math.max(0, Math.min(index, starts.length - 1))];
+      const lineEnd = lineEndOf(text, lineStart);
+      return Math.min(lineStart + this.column, Math.max(lineStart, lineEnd - 1));
+    };
+
+    switch (key) {
+      case 'h':
+        return { pos: Math.max(start, pos - times) };
+      case 'l':
+        return { pos: Math.min(forOperator ? end : Math.max(start, end - 1), pos + times) };
+      case 'j':
+        return { pos: toLine(lineIndexOf(text, pos) + times), linewise: true };
+      case 'k':
+        return { pos: toLine(lineIndexOf(text, pos) - times), linewise: true };
+      case 'w': {
+        let next = pos;
+        for (let i = 0; i < times; i++) next = nextWordStart(text, next);
+        // An operator stops at the end of the line, as in Vim
+        if (forOperator && next > end && lineIndexOf(text, next) > lineIndexOf(text, pos)) next = Math.max(end, pos);
+        return { pos: next };
+      }
+      case 'e': {
+        let next = pos;
+        for (let i = 0; i < times; i++) next = wordEnd(text, next);
+        return { pos: next, inclusive: true };
+      }
+      case 'b': {
+        let previous = pos;
+        for (let i = 0; i < times; i++) previous = prevWordStart(text, previous);
+        return { pos: previous };
+      }
+      case '0':
+        return { pos: start };
+      case '$': {
+        const lineStart = starts[Math.min(lineIndexOf(text, pos) + times - 1, starts.length - 1)];
+        const lineEnd = lineEndOf(text, lineStart);
+        return { pos: Math.max(lineStart, lineEnd - 1), inclusive: lineEnd > lineStart };
+      }
+      case 'G':
+      case 'gg': {
+        const fallback = key === 'G' ? starts.length - 1 : 0;
+        const index = count ? Math.min(count, starts.length) - 1 : fallback;
+        return { pos: firstNonBlank(text, starts[index]), linewise: true };
+      }
+      default:
+        return { pos };
+    }
+  }
+
+  /**
+   * Delete, change or yank characters
+   * @param {string} operator - 'd', 'c' or 'y'
+   * @param {number} from - Start offset
+   * @param {number} to - End offset, exclusive
+   */
+  applyToRange(operator, from, to) {
+    const text = this.getText();
+    if (from >= to && operator !== 'c') {
+      this.finishCommand(false);
+      this.renderStatus();
+      return;
+    }
+    this.register = { text: text.slice(from, to), linewise: false };
+
+    if (operator === 'y') {
+      this.finishCommand(false);
+      this.setCursor(this.clampNormal(from, text));
+    } else if (operator === 'd') {
+      this.change(() => deleteText(this.root, from, to), 'deleteContent');
+      this.finishCommand(true);
+      this.setCursor(this.clampNormal(from));
+    } else {
+      this.change(() => deleteText(this.root, from, to), 'deleteContent');
+      this.enterInsert(from);
+    }
+    this.renderStatus();
+  }
+
+  /**
+   * Delete, change or yank whole lines
+   * @param {string} operator - 'd', 'c' or 'y'
+   * @param {number} count - Lines from the cursor's, or 0 to use first and last
+   * @param {number} [first] - First line index
+   * @param {number} [last] - Last line index
+   */
+  applyToLines(operator, count, first, last) {
+    const text = this.getText();
+    const starts = lineStarts(text);
+    if (count) {
+      first = lineIndexOf(text, this.getCursor());
+      last = Math.min(first + count - 1, starts.length - 1);
+    }
+    const from = starts[first];
+    const to = lineEndOf(text, starts[last]);
+    this.register = { text: text.slice(from, to), linewise: true };
+
+    if (operator === 'y') {
+      this.finishCommand(false);
+      const pos = this.getCursor();
+      if (lineIndexOf(text, pos) !== first) this.setCursor(firstNonBlank(text, from));
+    } else if (operator === 'd') {
+      this.change(() => this.deleteLines(first, last), 'deleteContent');
+      this.finishCommand(true);
+      const after = this.getText();
+      const remaining = lineStarts(after);
+      this.setCursor(firstNonBlank(after, remaining[Math.min(first, remaining.length - 1)]));
+    } else {
+      // Keep one empty line to type into
+      this.change(() => deleteText(this.root, from, to), 'deleteContent');
+      this.enterInsert(from);
+    }
+    this.operator = null;
+    this.renderStatus();
+  }
+
+  /**
+   * Remove lines, with the line breaks between them and their neighbours
+   * @param {number} first - First line index
+   * @param {number} last - Last line index
+   */
+  deleteLines(first, last) {
+    const text = this.getText();
+    const starts = lineStarts(text);
+    const from = starts[first];
+    const to = lineEndOf(text, starts[last]);
+    if (first > 0) deleteText(this.root, from - 1, to);
+    else if (last < starts.length - 1) deleteText(this.root, from, to + 1, true);
+    else deleteText(this.root, from, to);
+  }
+
+  /**
+   * Add an empty line above or below the cursor's line
+   * @param {number} pos - Cursor
+   * @param {boolean} below - Below rather than above
+   * @returns {number} Offset of the new line
+   */
+  openLine(pos, below) {
+    const text = this.getText();
+    const index = lineIndexOf(text, pos);
+    this.change(() => this.insertLines(index, below, ['']), 'insertParagraph');
+    return lineStarts(this.getText())[below ? index + 1 : index];
+  }
+
+  /**
+   * Add lines next to a line, as siblings of its paragraph or list item
+   * @param {number} index - Line index
+   * @param {boolean} below - Below rather than above
+   * @param {Array<string>} lines - Text of the new lines
+   */
+  insertLines(index, below, lines) {
+    const map = mapLines(this.root);
+    const lineStart = lineStarts(map.text)[index];
+    const point = pointAtOffset(map, lineStart);
+    const line = lineElementOf(this.root, point.node);
+
+    if (line === this.root || line.matches('pre, td, th')) {
+      // Lines without an element of their own are split by line breaks in their text
+      const joined = lines.join('\n');
+      if (below) insertText(this.root, lineEndOf(map.text, lineStart), `\n${joined}`);
+      else insertText(this.root, lineStart, `${joined}\n`);
+      return;
+    }
+
+    const tag = line.tagName === 'LI' ? 'li' : 'p';
+    const elements = lines.map((content) => {
+      const el = document.createElement(tag);
+      if (tag === 'li' && line.hasAttribute('data-checked')) el.setAttribute('data-checked', 'false');
+      if (content) el.textContent = content;
+      else el.appendChild(document.createElement('br'));
+      return el;
+    });
+    if (below) line.after(...elements);
+    else line.before(...elements);
+  }
+
+  /**
+   * Put the register after or before the cursor
+   * @param {boolean} after - After rather than before (p or P)
+   * @param {number} count - Times to put it
+   */
+  paste(after, count) {
+    if (!this.register) return;
+    const text = this.getText();
+    const pos = this.getCursor();
+
+    if (this.register.linewise) {
+      const index = lineIndexOf(text, pos);
+      const lines = Array(count).fill(this.register.text).join('\n').split('\n');
+      this.change(() => this.insertLines(index, after, lines), 'insertFromYank');
+      const updated = this.getText();
+      this.setCursor(firstNonBlank(updated, lineStarts(updated)[after ? index + 1 : index]));
+      return;
+    }
+
+    const content = this.register.text.repeat(count);
+    const at = after && pos < lineEndOf(text, pos) ? pos + 1 : pos;
+    this.change(() => insertText(this.root, at, content), 'insertFromYank');
+    this.setCursor(this.clampNormal(at + content.length - 1));
+  }
+
+  /**
+   * Make a change to the editor as one undo step, saved like typing
+   * @param {Function} edit - Changes the DOM
+   * @param {string} inputType - Input type reported for the change
+   */
+  change(edit, inputType) {
+    this.applying = true;
+    try {
+      edit();
+      this.editor.history.breakGroup();
+      this.root.dispatchEvent(new InputEvent('input', { bubbles: true, inputType }));
+      this.editor.history.breakGroup();
+    } finally {
+      this.applying = false;
+    }
+  }
+
+  /**
+   * @param {boolean} undo - Undo rather than redo
+   * @param {number} count - Steps
+   */
+  async undo(undo, count) {
+    for (let i = 0; i < count; i++) {
+      const stepped = undo ? await this.editor.history.undo() : await this.editor.history.redo();
+      if (!stepped) break;
+    }
+    this.setCursor(this.clampNormal(this.getCursor()));
+  }
+
+  /**
+   * Switch to insert mode, remembering where typing started so . can repeat it
+   * @param {number} pos - Offset to type at
+   */
+  enterInsert(pos) {
+    this.mode = 'insert';
+    this.operator = null;
+    this.count = '';
+    this.setCursor(pos);
+    this.insertStart = { pos, length: this.getText().length };
+    this.paintCursor();
+    this.renderStatus();
+  }
+
+  leaveInsert() {
+    const text = this.getText();
+    const pos = this.getCursor();
+    const { pos: start, length } = this.insertStart || { pos, length: text.length };
+    const typed = text.length > length ? text.slice(start, start + text.length - length) : '';
+    if (!this.replaying && this.keys.length > 0) this.lastChange = { keys: this.keys, text: typed };
+    this.keys = [];
+    this.insertStart = null;
+    this.mode = 'normal';
+    this.setCursor(this.clampNormal(pos > lineStartOf(text, pos) ? pos - 1 : pos, text));
+    this.renderStatus();
+  }
+
+  /**
+   * @param {number} pos - Where the cursor goes
+   */
+  leaveVisual(pos) {
+    this.mode = 'normal';
+    this.keys = [];
+    this.setCursor(this.clampNormal(pos));
+    this.renderStatus();
+  }
+
+  /**
+   * Repeat the last change, with the text typed after it (.)
+   */
+  repeatLastChange() {
+    const change = this.lastChange;
+    if (!change) return;
+    this.replaying = true;
+    try {
+      change.keys.forEach((key) => this.processKey(key));
+      if (this.mode === 'insert') {
+        if (change.text) {
+          const pos = this.getCursor();
+          this.change(() => insertText(this.root, pos, change.text), 'insertText');
+          this.setCursor(pos + change.text.length);
+        }
+        this.leaveInsert();
+      }
+    } finally {
+      this.replaying = false;
+      this.keys = [];
+    }
+  }
+
+  /**
+   * End a command; changes are remembered for .
+   * @param {boolean} changed - Whether it changed the text
+   */
+  finishCommand(changed) {
+    if (changed && !this.replaying) this.lastChange = { keys: this.keys, text: null };
+    this.keys = [];
+  }
+
+  /**
+   * @returns {number} The count typed, or 1
+   */
+  takeCount() {
+    const count = Number(this.count) || 1;
+    this.count = '';
+    return count;
+  }
+
+  resetPending() {
+    this.count = '';
+    this.operator = null;
+    this.prefix = '';
+    this.keys = [];
+    this.renderStatus();
+  }
+
+  openSearch() {
+    this.searchOrigin = this.getCursor();
+    this.searchInput.value = '';
+    this.searchInput.hidden = false;
+    this.messageEl.textContent = '/';
+    this.searchInput.focus();
+  }
+
+  /**
+   * @param {KeyboardEvent} e - Keydown in the search field
+   */
+  handleSearchKey(e) {
+    if (this.searchOrigin === null) return;
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      const query = this.searchInput.value;
+      this.closeSearch(true);
+      if (query) {
+        this.lastSearch = query;
+        this.searchNext(true);
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      this.closeSearch(true);
+    }
+  }
+
+  /**
+   * @param {boolean} refocus - Return to the editor
+   */
+  closeSearch(refocus) {
+    if (this.searchOrigin === null) return;
+    const origin = this.searchOrigin;
+    this.searchOrigin = null;
+    this.searchInput.hidden = true;
+    this.messageEl.textContent = '';
+    if (refocus) {
+      this.root.focus();
+      this.setCursor(origin);
+    }
+  }
+
+  /**
+   * Jump to the next or previous match of the last search, wrapping around
+   * the document. Lowercase searches ignore case.
+   * @param {boolean} forward - Search forward (n) rather than backward (N)
+   */
+  searchNext(forward) {
+    if (!this.lastSearch) return;
+    const ignoreCase = this.lastSearch === this.lastSearch.toLowerCase();
+    const text = ignoreCase ? this.getText().toLowerCase() : this.getText();
+    const query = ignoreCase ? this.lastSearch.toLowerCase() : this.lastSearch;
+    const pos = this.getCursor();
+
+    let found = forward ? text.indexOf(query, pos + 1) : (pos > 0 ? text.lastIndexOf(query, pos - 1) : -1);
+    if (found === -1) found = forward ? text.indexOf(query) : text.lastIndexOf(query);
+    if (found === -1) {
+      this.renderStatus(`Pattern not found: ${this.lastSearch}`);
+      return;
+    }
+    this.column = found - lineStartOf(text, found);
+    this.setCursor(found);
+    this.renderStatus();
+  }
+
+  /**
+   * @returns {string} Editor text, one line per line on screen
+   */
+  getText() {
+    return mapLines(this.root).text;
+  }
+
+  /**
+   * @returns {number} Offset of the caret, or of the selection's moving end
+   */
+  getCursor() {
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0 || !this.root.contains(selection.focusNode)) return 0;
+    return offsetAtPoint(mapLines(this.root), selection.focusNode, selection.focusOffset);
+  }
+
+  /**
+   * Keep the cursor on a character, as normal mode has no position after the last one
+   * @param {number} pos - Offset
+   * @param {string} [text] - Editor text
+   * @returns {number} Offset on the same line
+   */
+  clampNormal(pos, text = this.getText()) {
+    const clamped = Math.max(0, Math.min(pos, text.length));
+    const start = lineStartOf(text, clamped);
+    const end = lineEndOf(text, clamped);
+    return Math.max(start, Math.min(clamped, end - 1));
+  }
+
+  /**
+   * @param {number} pos - Offset to put the caret at
+   */
+  setCursor(pos) {
+    const point = pointAtOffset(mapLines(this.root), pos);
+    const range = document.createRange();
+    range.setStart(point.node, point.offset);
+    range.collapse(true);
+    const selection = window.getSelection();
+    this.applying = true;
+    selection.removeAllRanges();
+    selection.addRange(range);
+    this.applying = false;
+    this.paintCursor(pos);
+  }
+
+  /**
+   * Select from the anchor to the head, including both characters
+   */
+  renderVisual() {
+    const map = mapLines(this.root);
+    const forward = this.head >= this.anchor;
+    const base = pointAtOffset(map, forward ? this.anchor : Math.min(this.anchor + 1, map.text.length));
+    const extent = pointAtOffset(map, forward ? Math.min(this.head + 1, map.text.length) : this.head);
+    this.applying = true;
+    window.getSelection().setBaseAndExtent(base.node, base.offset, extent.node, extent.offset);
+    this.applying = false;
+    this.paintCursor(this.head);
+  }
+
+  /**
+   * Show a block cursor on the character at an offset in normal and visual mode
+   * @param {number} [pos] - Offset, or the caret's
+   */
+  paintCursor(pos) {
+    if (typeof CSS === 'undefined' || !CSS.highlights || typeof Highlight !== 'function') return;
+    if (!this.enabled || this.mode === 'insert') {
+      CSS.highlights.delete('vim-cursor');
+      return;
+    }
+
+    const map = mapLines(this.root);
+    const at = pos === undefined ? this.getCursor() : pos;
+    if (!map.text[at] || map.text[at] === '\n') {
+      CSS.highlights.delete('vim-cursor');
+      return;
+    }
+    const from = pointAtOffset(map, at);
+    const to = pointAtOffset(map, at + 1);
+    const range = document.createRange();
+    range.setStart(from.node, from.offset);
+    range.setEnd(to.node, to.offset);
+    CSS.highlights.set('vim-cursor', new Highlight(range));
+  }
+
+  /**
+   * Follow clicks: keep the caret on a character, and treat a dragged selection as visual mode
+   */
+  handleSelectionChange() {
+    if (!this.enabled || this.applying || this.mode === 'insert' || document.activeElement !== this.root) return;
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0 || !this.root.contains(selection.focusNode)) return;
+
+    const map = mapLines(this.root);
+    if (!selection.isCollapsed) {
+      // Both ends include their character, as renderVisual selects them
+      const anchor = offsetAtPoint(map, selection.anchorNode, selection.anchorOffset);
+      const focus = offsetAtPoint(map, selection.focusNode, selection.focusOffset);
+      this.mode = 'visual';
+      this.anchor = focus > anchor ? anchor : Math.max(0, anchor - 1);
+      this.head = focus > anchor ? focus - 1 : focus;
+      this.paintCursor(this.head);
+      this.renderStatus();
+      return;
+    }
+
+    if (this.mode === 'visual') {
+      this.mode = 'normal';
+      this.resetPending();
+    }
+    const pos = offsetAtPoint(map, selection.focusNode, selection.focusOffset);
+    const clamped = this.clampNormal(pos, map.text);
+    if (clamped !== pos) this.setCursor(clamped);
+    else this.paintCursor(pos);
+    this.column = clamped - lineStartOf(map.text, clamped);
+  }
+
+  /**
+   * Show the mode and any keys typed so far in the status bar
+   * @param {string} [message] - Message to show instead of the keys
+   */
+  renderStatus(message) {
+    if (!this.enabled) return;
+    this.modeEl.textContent = MODE_LABELS[this.mode];
+    if (this.searchOrigin !== null) return;
+    this.messageEl.textContent = message || `${this.count}${this.operator || ''}${this.prefix}`;
+  }
+}
+
+export default VimMode;
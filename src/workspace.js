@@ -0,0 +1,244 @@
+/**
+ * Workspace archive
+ * Bundles every document, its history, the trash and editor settings into one
+ * versioned JSON file, and restores it by merging or replacing local data
+ */
+
+import storage from './storage.js';
+import Export from './export.js';
+import ui from './ui.js';
+import { sanitizeHTML } from './sanitize.js';
+import keybindings from './keybindings.js';
+
+export const ARCHIVE_FORMAT = 'minimal-text-editor-workspace';
+export const ARCHIVE_VERSION = 1;
+
+/**
+ * Check that a value is a string holding a parseable date
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isDateString(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+class Workspace {
+  /**
+   * Build an archive of the whole workspace
+   * @returns {Promise<Object>} Archive object
+   */
+  async createArchive() {
+    const { documents, revisions, trash } = await storage.exportAll();
+
+    let editorSettings = null;
+    let keybindingSettings = null;
+    try {
+      editorSettings = JSON.parse(localStorage.getItem('editorSettings') || 'null');
+      keybindingSettings = JSON.parse(localStorage.getItem('keybindings') || 'null');
+    } catch {}
+
+    return {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      documents,
+      revisions: revisions.map(({ id, ...revision }) => revision),
+      trash,
+      settings: {
+        editorSettings,
+        theme: localStorage.getItem('theme'),
+        keybindings: keybindingSettings,
+      },
+    };
+  }
+
+  /**
+   * Download the workspace archive
+   */
+  async exportWorkspace() {
+    const archive = await this.createArchive();
+    const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+    Export.downloadBlob(blob, Export.generateFilename('json', 'minimal-editor-workspace'));
+    return archive;
+  }
+
+  /**
+   * Parse archive file contents
+   * @param {string} text - File contents
+   * @returns {Object} Validated archive
+   */
+  parse(text) {
+    let archive;
+    try {
+      archive = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not a valid workspace archive (invalid JSON).');
+    }
+    return this.validate(archive);
+  }
+
+  /**
+   * Validate an archive and clean the content it brings
+   * @param {Object} archive - Parsed archive
+   * @returns {Object} Validated archive
+   */
+  validate(archive) {
+    const fail = (reason) => {
+      throw new Error(`Invalid workspace archive: ${reason}.`);
+    };
+
+    if (!archive || typeof archive !== 'object') fail('not an object');
+
+    if (archive.format !== ARCHIVE_FORMAT) fail('unrecognised format');
+    if (!Number.isInteger(archive.version) || archive.version < 1) fail('missing version');
+    if (archive.version > ARCHIVE_VERSION) {
+      fail(`created by a newer version of the editor (archive v${archive.version}, supported v${ARCHIVE_VERSION})`);
+    }
+
+    const documents = archive.documents;
+    const revisions = archive.revisions || [];
+    const trash = archive.trash || [];
+    if (!Array.isArray(documents)) fail('documents must be a list');
+    if (!Array.isArray(revisions)) fail('revisions must be a list');
+    if (!Array.isArray(trash)) fail('trash must be a list');
+
+    const checkDocument = (doc, index, where) => {
+      if (!doc || typeof doc !== 'object') fail(`${where} ${index} is not an object`);
+      if (typeof doc.id !== 'string' || !doc.id) fail(`${where} ${index} has no id`);
+      if (typeof doc.content !== 'string') fail(`${where} ${index} has no content`);
+      if (doc.title !== undefined && typeof doc.title !== 'string') fail(`${where} ${index} has an invalid title`);
+      if (!isDateString(doc.createdAt) || !isDateString(doc.updatedAt)) fail(`${where} ${index} has invalid dates`);
+    };
+
+    documents.forEach((doc, index) => checkDocument(doc, index, 'document'));
+    trash.forEach((doc, index) => {
+      checkDocument(doc, index, 'trash item');
+      if (!isDateString(doc.deletedAt)) fail(`trash item ${index} has no deletion date`);
+    });
+    revisions.forEach((revision, index) => {
+      if (!revision || typeof revision !== 'object') fail(`revision ${index} is not an object`);
+      if (typeof revision.documentId !== 'string') fail(`revision ${index} has no document id`);
+      if (typeof revision.content !== 'string') fail(`revision ${index} has no content`);
+      if (!isDateString(revision.createdAt)) fail(`revision ${index} has an invalid date`);
+    });
+
+    const ids = new Set();
+    [...documents, ...trash].forEach((doc) => {
+      if (ids.has(doc.id)) fail(`duplicate document id ${doc.id}`);
+      ids.add(doc.id);
+    });
+
+    const settings = archive.settings && typeof archive.settings === 'object' ? archive.settings : {};
+    // Archives can come from anywhere, so content is cleaned before it is stored
+    const cleanDocument = (doc) => ({ ...doc, content: sanitizeHTML(doc.content) });
+    const normalizedRevisions = revisions.map(({ id, ...revision }) => {
+      const content = sanitizeHTML(revision.content);
+      return {
+        kind: 'auto',
+        label: '',
+        ...revision,
+        content,
+        wordCount: Number.isFinite(revision.wordCount) ? revision.wordCount : ui.countWords(content),
+      };
+    });
+    return {
+      ...archive,
+      documents: documents.map(cleanDocument),
+      revisions: normalizedRevisions,
+      trash: trash.map(cleanDocument),
+      settings,
+    };
+  }
+
+  /**
+   * Summarise an archive for confirmation dialogs
+   * @param {Object} archive - Validated archive
+   * @returns {string} Summary
+   */
+  describe(archive) {
+    const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    const parts = [
+      count(archive.documents.length, 'document'),
+      count(archive.revisions.length, 'revision'),
+      count(archive.trash.length, 'trashed document'),
+    ];
+    const when = archive.exportedAt ? ` exported ${new Date(archive.exportedAt).toLocaleString()}` : '';
+    return `${parts.join(', ')}${when}`;
+  }
+
+  /**
+   * Import a validated archive
+   * @param {Object} archive - Validated archive
+   * @param {Object} options - Import options
+   * @param {string} options.mode - 'replace' wipes local data first; 'merge' keeps the newer copy of each document
+   * @returns {Promise<{documents: number, revisions: number, trash: number}>} Imported record counts
+   */
+  async importArchive(archive, { mode = 'merge' } = {}) {
+    if (mode === 'replace') {
+      await storage.replaceAll(archive);
+      this.importSettings(archive.settings, { overwrite: true });
+      return {
+        documents: archive.documents.length,
+        revisions: archive.revisions.length,
+        trash: archive.trash.length,
+      };
+    }
+
+    const local = await storage.exportAll();
+    const localDocs = new Map(local.documents.map((doc) => [doc.id, doc]));
+    const localTrash = new Set(local.trash.map((doc) => doc.id));
+    const revisionKey = (revision) => `${revision.documentId}|${revision.createdAt}|${revision.content.length}`;
+    const localRevisions = new Set(local.revisions.map(revisionKey));
+
+    // Keep whichever copy of a document was edited last; the losing local copy stays in its history
+    const documents = [];
+    const replacedSnapshots = [];
+    archive.documents.forEach((doc) => {
+      const existing = localDocs.get(doc.id);
+      if (!existing && !localTrash.has(doc.id)) {
+        documents.push(doc);
+      } else if (existing && doc.updatedAt > existing.updatedAt && doc.content !== existing.content) {
+        documents.push(doc);
+        replacedSnapshots.push({
+          documentId: existing.id,
+          content: existing.content,
+          kind: 'manual',
+          label: 'Before import',
+          wordCount: ui.countWords(existing.content),
+          createdAt: new Date().toISOString(),
+        });
+      }
+    });
+
+    const revisions = archive.revisions.filter((revision) => !localRevisions.has(revisionKey(revision)));
+    const trash = archive.trash.filter((doc) => !localDocs.has(doc.id) && !localTrash.has(doc.id));
+
+    await storage.putAll(storage.storeName, documents);
+    await storage.putAll(storage.revisionsStoreName, [...revisions, ...replacedSnapshots]);
+    await storage.putAll(storage.trashStoreName, trash);
+    this.importSettings(archive.settings, { overwrite: false });
+
+    return { documents: documents.length, revisions: revisions.length, trash: trash.length };
+  }
+
+  /**
+   * Write archived settings to localStorage
+   * @param {Object} settings - Archived settings
+   * @param {Object} options - Import options
+   * @param {boolean} options.overwrite - Replace existing values (otherwise only fill in missing ones)
+   */
+  importSettings(settings, { overwrite }) {
+    if (settings.editorSettings && (overwrite || !localStorage.getItem('editorSettings'))) {
+      localStorage.setItem('editorSettings', JSON.stringify(settings.editorSettings));
+    }
+    if (settings.theme && (overwrite || !localStorage.getItem('theme'))) {
+      localStorage.setItem('theme', settings.theme);
+    }
+    if (settings.keybindings && typeof settings.keybindings === 'object' && (overwrite || !localStorage.getItem('keybindings'))) {
+      localStorage.setItem('keybindings', JSON.stringify(settings.keybindings));
+      keybindings.reload();
+    }
+  }
+}
+
+export default new Workspace();
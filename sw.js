@@ -83,3 +83,17 @@ self.addEventListener('fetch', (event) => {
   );
 });
 
+
+// Background sync event - the connection is back after edits were queued
+// offline. Cloud credentials live in the page, so ask open pages to sync.
+self.addEventListener('sync', (event) => {
+  if (event.tag !== 'cloud-sync') {
+    return;
+  }
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then((clients) => {
+      clients.forEach((client) => client.postMessage({ type: 'cloud-sync' }));
+    })
+  );
+});
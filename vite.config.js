@@ -14,6 +14,7 @@ export default defineConfig({
     rollupOptions: {
       input: {
         main: './index.html',
+        oauthCallback: './oauth-callback.html',
       },
     },
   },